@@ -7,8 +7,26 @@ import Sidebar from './components/Sidebar';
 import ChatArea from './components/ChatArea';
 import DMChatArea from './components/DMChatArea';
 import DialogContainer, { showConfirm, showAlert } from './components/Dialog';
-import { AlertTriangle, CheckCircle, X, Shield, Trash2, Users, Edit2, Key, LogIn, UserX, Crown } from 'lucide-react';
+import TwoFactorSettings from './components/TwoFactorSettings';
+import { AlertTriangle, CheckCircle, X, Shield, Trash2, Users, Edit2, Key, LogIn, UserX, Crown, ShieldCheck, ShieldOff, Copy, KeyRound, LogOut, Loader2 } from 'lucide-react';
 import toast, { Toaster } from 'react-hot-toast';
+import { AUDIT_ACTION_NAMES, ROOM_ROLE_NAMES } from './utils';
+
+// 审计日志详情：有 before / after 时显示变化，其余字段按 key: value 显示
+const formatAuditDetails = (details) => {
+  if (!details) return null;
+  const { before, after, ...rest } = details;
+  const format = (value) => {
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return ROOM_ROLE_NAMES[value] || String(value ?? '无');
+  };
+  const parts = [];
+  if ('before' in details || 'after' in details) {
+    parts.push(`${format(before)} → ${format(after)}`);
+  }
+  Object.entries(rest).forEach(([key, value]) => parts.push(`${key}: ${format(value)}`));
+  return parts.join('，');
+};
 
 // 动态更新 favicon 徽标
 const originalFavicon = '/vite.svg'; // 原始 favicon 路径
@@ -80,6 +98,7 @@ function App() {
     user, 
     initSocket, 
     connected, 
+    serverRestarting,
     currentRoom,
     isRestoring,
     showWelcomeModal, 
@@ -98,6 +117,20 @@ function App() {
     adminUpdateUser,
     fetchRoomUsers,
     adminDeleteUser,
+    adminPromoteUser,
+    adminDemoteUser,
+    fetchLoginLocks,
+    adminUnlockLogin,
+    fetchRegistrationSettings,
+    adminSetRegistrationPolicy,
+    adminCreateInvite,
+    adminRevokeInvite,
+    fetchAuditLog,
+    fetchTwoFactorStatus,
+    completeTwoFactorSetup,
+    adminSetTwoFactorPolicy,
+    adminResetTwoFactor,
+    logout,
     adminKickUser,
     forceLogoutMessage,
     kickedFromRoom,
@@ -146,8 +179,15 @@ function App() {
   const [dismissConfirm, setDismissConfirm] = useState({ open: false, room: null });
 
   // Admin Panel States
-  const [adminTab, setAdminTab] = useState('rooms'); // 'rooms' or 'users'
+  const [adminTab, setAdminTab] = useState('rooms'); // 'rooms', 'users', 'locks', 'registration' or 'audit'
   const [adminUsers, setAdminUsers] = useState([]);
+  const [loginLocks, setLoginLocks] = useState([]); // 因登录失败被临时锁定的用户名 / IP
+  const [adminTwoFactorRequired, setAdminTwoFactorRequired] = useState(false); // 是否强制管理员启用两步验证
+  const [registration, setRegistration] = useState({ policy: 'open', invites: [] }); // 注册策略和邀请码
+  const [inviteMaxUses, setInviteMaxUses] = useState(1);
+  const [inviteDays, setInviteDays] = useState(7);
+  const [auditLog, setAuditLog] = useState({ entries: [], total: 0, page: 1, pageSize: 50 }); // 审计日志（当前页）
+  const [auditFilters, setAuditFilters] = useState({ action: '', actor: '' });
   const [editingUser, setEditingUser] = useState(null); // User being edited
   const [editUsername, setEditUsername] = useState('');
   const [editPassword, setEditPassword] = useState('');
@@ -185,7 +225,7 @@ function App() {
   }, [theme]);
 
   const handleUpdateUser = async () => {
-    if (!editingUser || !editUsername || !editPassword) return;
+    if (!editingUser || !editUsername) return;
     
     try {
       const result = await adminUpdateUser(editingUser.username, editUsername, editPassword);
@@ -244,8 +284,120 @@ function App() {
     }
   };
 
+  // 授予 / 撤销管理员权限
+  const handleToggleAdmin = async (targetUser) => {
+    const promoting = !targetUser.isAdmin;
+    const confirmed = await showConfirm(
+      promoting
+        ? `确定将 ${targetUser.username} 设为管理员吗？对方需要重新登录。`
+        : `确定撤销 ${targetUser.username} 的管理员权限吗？对方需要重新登录。`,
+      { title: promoting ? '设为管理员' : '撤销管理员', variant: promoting ? 'default' : 'danger' }
+    );
+    if (!confirmed) return;
+
+    try {
+      const result = promoting
+        ? await adminPromoteUser(targetUser.username)
+        : await adminDemoteUser(targetUser.username);
+
+      if (result.success) {
+        toast.success(promoting ? `${targetUser.username} 已成为管理员` : `已撤销 ${targetUser.username} 的管理员权限`);
+        const users = await fetchAdminUsers();
+        setAdminUsers(users || []);
+      } else {
+        toast.error(result.error || '操作失败');
+      }
+    } catch (err) {
+      console.error('Toggle admin error:', err);
+      toast.error('操作失败：网络错误');
+    }
+  };
+
+  const handleUnlockLogin = async (lock) => {
+    const result = await adminUnlockLogin(lock.key);
+    if (result?.success) {
+      toast.success(`已解除 ${lock.name} 的登录锁定`);
+    } else {
+      toast.error(result?.error || '解锁失败');
+    }
+    setLoginLocks(await fetchLoginLocks());
+  };
+
+  // 重置两步验证：用于用户丢失手机且恢复码用完的情况
+  const handleResetTwoFactor = async (targetUser) => {
+    const confirmed = await showConfirm(
+      `确定关闭 ${targetUser.username} 的两步验证吗？对方的所有设备都需要重新登录。`,
+      { title: '重置两步验证', variant: 'danger' }
+    );
+    if (!confirmed) return;
+
+    const result = await adminResetTwoFactor(targetUser.username);
+    if (result?.success) {
+      toast.success(`已重置 ${targetUser.username} 的两步验证`);
+      const users = await fetchAdminUsers();
+      setAdminUsers(users || []);
+    } else {
+      toast.error(result?.error || '操作失败');
+    }
+  };
+
+  const handleToggleTwoFactorPolicy = async () => {
+    const required = !adminTwoFactorRequired;
+    const result = await adminSetTwoFactorPolicy(required);
+    if (result?.success) {
+      setAdminTwoFactorRequired(required);
+      toast.success(required ? '已要求所有管理员启用两步验证' : '已取消强制要求');
+    } else {
+      toast.error(result?.error || '操作失败');
+    }
+  };
+
+  const refreshRegistration = async () => {
+    const settings = await fetchRegistrationSettings();
+    if (settings) setRegistration({ policy: settings.policy, invites: settings.invites });
+  };
+
+  const handleSetRegistrationPolicy = async (policy) => {
+    const result = await adminSetRegistrationPolicy(policy);
+    if (result?.success) {
+      setRegistration((prev) => ({ ...prev, policy }));
+    } else {
+      toast.error(result?.error || '修改失败');
+    }
+  };
+
+  const handleCreateInvite = async () => {
+    const result = await adminCreateInvite(Number(inviteMaxUses), Number(inviteDays));
+    if (result?.success) {
+      toast.success(`邀请码 ${result.invite.code} 已生成`);
+      refreshRegistration();
+    } else {
+      toast.error(result?.error || '生成失败');
+    }
+  };
+
+  const handleRevokeInvite = async (code) => {
+    const confirmed = await showConfirm(`确定吊销邀请码 ${code} 吗？`, { variant: 'danger' });
+    if (!confirmed) return;
+    const result = await adminRevokeInvite(code);
+    if (result?.success) {
+      refreshRegistration();
+    } else {
+      toast.error(result?.error || '吊销失败');
+    }
+  };
+
+  const loadAuditLog = async (page = 1, filters = auditFilters) => {
+    const result = await fetchAuditLog({ ...filters, page });
+    if (result?.success) {
+      setAuditLog({ entries: result.entries, total: result.total, page: result.page, pageSize: result.pageSize });
+    } else {
+      toast.error(result?.error || '获取审计日志失败');
+    }
+  };
+
   const handleForceLogoutConfirm = () => {
-    // Clear all localStorage
+    // Clear saved session token
     localStorage.removeItem('chat_session');
     localStorage.removeItem('last_room_id');
     // Reload page to show login screen
@@ -305,7 +457,7 @@ function App() {
                 <AlertTriangle size={32} className="text-red-600 dark:text-red-400" />
               </div>
               <h3 className="text-xl font-bold text-zinc-900 dark:text-white mb-2">
-                账号已被删除
+                登录已失效
               </h3>
               <p className="text-base text-zinc-600 dark:text-zinc-300 leading-relaxed">
                 {forceLogoutMessage.reason}
@@ -314,7 +466,7 @@ function App() {
 
             <div className="bg-red-50 dark:bg-red-500/10 border border-red-200 dark:border-red-500/30 rounded-xl p-4 mb-5">
               <p className="text-sm text-red-800 dark:text-red-300 text-center">
-                您的账号信息已被清除，将返回登录页面。
+                本设备的登录状态已被清除，将返回登录页面。
               </p>
             </div>
 
@@ -330,8 +482,32 @@ function App() {
     </AnimatePresence>
   );
 
+  // 强制启用两步验证：设置完成（恢复码已保存）之前不能进入应用
+  const twoFactorSetupModal = user?.twoFactorSetupRequired && (
+    <div className="fixed inset-0 z-[55] flex items-center justify-center p-4 bg-black/70 backdrop-blur-md">
+      <div className="bg-white dark:bg-zinc-900 rounded-2xl p-6 w-full max-w-[420px] shadow-2xl">
+        <div className="flex flex-col items-center text-center mb-5">
+          <div className="w-14 h-14 rounded-full bg-indigo-100 dark:bg-indigo-500/20 flex items-center justify-center mb-3">
+            <ShieldCheck size={28} className="text-indigo-600 dark:text-indigo-400" />
+          </div>
+          <h3 className="text-lg font-bold text-zinc-900 dark:text-white mb-1">请启用两步验证</h3>
+          <p className="text-sm text-zinc-500 dark:text-zinc-400">管理员账号必须启用两步验证后才能继续使用。</p>
+        </div>
+        <TwoFactorSettings onSetupComplete={completeTwoFactorSetup} />
+        <button
+          onClick={logout}
+          className="w-full mt-3 h-10 rounded-lg text-sm text-zinc-500 hover:bg-zinc-100 dark:hover:bg-zinc-800 flex items-center justify-center gap-1.5 transition-colors"
+        >
+          <LogOut size={14} />
+          退出登录
+        </button>
+      </div>
+    </div>
+  );
+
   // Show loading state while connecting or restoring session
-  if (!connected || isRestoring) {
+  // 服务器重启期间保留已登录用户的界面，只在顶部显示提示
+  if ((!connected && !(serverRestarting && user)) || isRestoring) {
     return (
       <>
         {forceLogoutModal}
@@ -375,6 +551,7 @@ function App() {
   return (
     <>
       {forceLogoutModal}
+      {twoFactorSetupModal}
       <Toaster 
         position="top-center"
         containerStyle={{
@@ -382,6 +559,12 @@ function App() {
           transform: 'translateY(-50%)',
         }}
       />
+      {serverRestarting && (
+        <div className="fixed top-0 inset-x-0 z-50 flex items-center justify-center gap-2 px-4 py-2 bg-amber-500 text-white text-sm font-medium shadow">
+          <Loader2 size={14} className="animate-spin" />
+          服务器正在重启，稍后将自动重新连接
+        </div>
+      )}
       <div className="h-dvh flex bg-zinc-50 dark:bg-zinc-950 transition-colors duration-300 overflow-hidden">
         <div className={`${(currentRoom || showDMPanel) ? 'hidden md:block' : 'block'} w-full md:w-auto h-full z-20`}>
            <Sidebar />
@@ -489,7 +672,7 @@ function App() {
                   <br />
                   2. 查看房间成员，并可踢出违规用户（含冷却时间限制）；
                   <br />
-                  3. 管理用户账号（查看、编辑用户名 / 密码、删除用户）；
+                  3. 管理用户账号（查看、编辑用户名、重置密码、删除用户）；
                   <br />
                   4. 发布房间通知与顶部公告。
                 </p>
@@ -563,6 +746,46 @@ function App() {
                 >
                   用户管理
                 </button>
+                <button
+                  onClick={() => {
+                    setAdminTab('locks');
+                    fetchLoginLocks().then(setLoginLocks);
+                    fetchTwoFactorStatus().then((status) => setAdminTwoFactorRequired(!!status?.adminRequired));
+                  }}
+                  className={`flex-1 py-1.5 text-xs font-medium rounded-md transition-all ${
+                    adminTab === 'locks' 
+                      ? 'bg-white dark:bg-zinc-700 text-zinc-900 dark:text-white shadow-sm' 
+                      : 'text-zinc-500 dark:text-zinc-400 hover:text-zinc-700 dark:hover:text-zinc-300'
+                  }`}
+                >
+                  登录锁定
+                </button>
+                <button
+                  onClick={() => {
+                    setAdminTab('registration');
+                    refreshRegistration();
+                  }}
+                  className={`flex-1 py-1.5 text-xs font-medium rounded-md transition-all ${
+                    adminTab === 'registration' 
+                      ? 'bg-white dark:bg-zinc-700 text-zinc-900 dark:text-white shadow-sm' 
+                      : 'text-zinc-500 dark:text-zinc-400 hover:text-zinc-700 dark:hover:text-zinc-300'
+                  }`}
+                >
+                  注册设置
+                </button>
+                <button
+                  onClick={() => {
+                    setAdminTab('audit');
+                    loadAuditLog(1);
+                  }}
+                  className={`flex-1 py-1.5 text-xs font-medium rounded-md transition-all ${
+                    adminTab === 'audit' 
+                      ? 'bg-white dark:bg-zinc-700 text-zinc-900 dark:text-white shadow-sm' 
+                      : 'text-zinc-500 dark:text-zinc-400 hover:text-zinc-700 dark:hover:text-zinc-300'
+                  }`}
+                >
+                  审计日志
+                </button>
               </div>
 
               {/* Content */}
@@ -607,7 +830,7 @@ function App() {
                       ))
                     )}
                   </div>
-                ) : (
+                ) : adminTab === 'users' ? (
                   <div className="space-y-2">
                     <div className="flex items-center justify-between mb-2 px-1">
                         <span className="text-[11px] text-zinc-500">共 {adminUsers.length} 位用户</span>
@@ -628,20 +851,35 @@ function App() {
                                 </div>
                             </div>
                             <div className="flex items-center gap-2">
-                                <div className="hidden sm:flex flex-col items-end mr-2">
-                                    <span className="text-[10px] text-zinc-400 font-mono">Pwd: {u.password}</span>
-                                </div>
                                 <button
                                     onClick={() => {
                                         setEditingUser(u);
                                         setEditUsername(u.username);
-                                        setEditPassword(u.password);
+                                        setEditPassword('');
                                     }}
                                     className="p-2 rounded-full hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-500 transition-colors"
                                     title="编辑用户"
                                 >
                                     <Edit2 size={14} />
                                 </button>
+                                {!u.isConfiguredAdmin && (
+                                    <button
+                                        onClick={() => handleToggleAdmin(u)}
+                                        className="p-2 rounded-full hover:bg-amber-100 dark:hover:bg-amber-500/20 text-amber-500 transition-colors"
+                                        title={u.isAdmin ? '撤销管理员' : '设为管理员'}
+                                    >
+                                        {u.isAdmin ? <ShieldOff size={14} /> : <ShieldCheck size={14} />}
+                                    </button>
+                                )}
+                                {u.twoFactorEnabled && (
+                                    <button
+                                        onClick={() => handleResetTwoFactor(u)}
+                                        className="p-2 rounded-full hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-500 transition-colors"
+                                        title="重置两步验证"
+                                    >
+                                        <KeyRound size={14} />
+                                    </button>
+                                )}
                                 {!u.isAdmin && (
                                     <button
                                         onClick={() => setDeleteUserConfirm({ step: 1, user: u })}
@@ -655,6 +893,232 @@ function App() {
                         </div>
                     ))}
                   </div>
+                ) : adminTab === 'audit' ? (
+                  <div className="space-y-2">
+                    <form
+                      className="flex gap-2 mb-2"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        loadAuditLog(1);
+                      }}
+                    >
+                      <select
+                        value={auditFilters.action}
+                        onChange={(e) => {
+                          const filters = { ...auditFilters, action: e.target.value };
+                          setAuditFilters(filters);
+                          loadAuditLog(1, filters);
+                        }}
+                        className="h-9 px-2 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-xs text-zinc-700 dark:text-zinc-200 outline-none"
+                      >
+                        <option value="">全部操作</option>
+                        {Object.entries(AUDIT_ACTION_NAMES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        placeholder="操作者"
+                        value={auditFilters.actor}
+                        onChange={(e) => setAuditFilters({ ...auditFilters, actor: e.target.value })}
+                        className="flex-1 min-w-0 h-9 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-xs focus:border-indigo-500 outline-none"
+                      />
+                      <button type="submit" className="h-9 px-3 rounded-lg bg-indigo-500 text-white text-xs font-medium hover:bg-indigo-600">
+                        筛选
+                      </button>
+                    </form>
+
+                    {auditLog.entries.length === 0 ? (
+                      <div className="text-center py-6 text-[13px] text-zinc-400">暂无记录</div>
+                    ) : auditLog.entries.map((entry) => (
+                      <div key={entry.id} className="px-3 py-2.5 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="text-sm text-zinc-900 dark:text-white">
+                            <span className="font-medium">{entry.actorName}</span>
+                            {entry.actorRole && (
+                              <span className="text-[10px] text-zinc-400 ml-1">({ROOM_ROLE_NAMES[entry.actorRole]})</span>
+                            )}
+                            <span className="text-indigo-500 mx-1.5">{AUDIT_ACTION_NAMES[entry.action] || entry.action}</span>
+                            {entry.target && <span className="font-medium">{entry.target}</span>}
+                          </span>
+                          <span className="text-[10px] text-zinc-400 shrink-0">{new Date(entry.createdAt).toLocaleString()}</span>
+                        </div>
+                        {(entry.roomName || entry.details) && (
+                          <div className="text-[11px] text-zinc-500 mt-1 break-all">
+                            {entry.roomName && <span className="mr-2">房间：{entry.roomName}</span>}
+                            {formatAuditDetails(entry.details)}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+
+                    {auditLog.total > auditLog.pageSize && (
+                      <div className="flex items-center justify-between pt-1 px-1">
+                        <button
+                          disabled={auditLog.page <= 1}
+                          onClick={() => loadAuditLog(auditLog.page - 1)}
+                          className="text-[11px] text-indigo-500 hover:underline disabled:text-zinc-300 disabled:no-underline"
+                        >
+                          上一页
+                        </button>
+                        <span className="text-[11px] text-zinc-500">
+                          第 {auditLog.page} / {Math.ceil(auditLog.total / auditLog.pageSize)} 页，共 {auditLog.total} 条
+                        </span>
+                        <button
+                          disabled={auditLog.page * auditLog.pageSize >= auditLog.total}
+                          onClick={() => loadAuditLog(auditLog.page + 1)}
+                          className="text-[11px] text-indigo-500 hover:underline disabled:text-zinc-300 disabled:no-underline"
+                        >
+                          下一页
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ) : adminTab === 'registration' ? (
+                  <div className="space-y-4">
+                    <div>
+                      <span className="text-[11px] text-zinc-500 px-1">注册策略</span>
+                      <div className="flex gap-2 mt-1.5">
+                        {[
+                          { value: 'open', label: '开放注册' },
+                          { value: 'invite', label: '仅限邀请码' },
+                          { value: 'closed', label: '关闭注册' }
+                        ].map((option) => (
+                          <button
+                            key={option.value}
+                            onClick={() => handleSetRegistrationPolicy(option.value)}
+                            className={`flex-1 h-9 rounded-lg text-xs font-medium border transition-colors ${
+                              registration.policy === option.value
+                                ? 'bg-indigo-500 border-indigo-500 text-white'
+                                : 'border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 hover:bg-zinc-100 dark:hover:bg-zinc-800'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <div className="flex items-center justify-between px-1">
+                        <span className="text-[11px] text-zinc-500">邀请码（{registration.invites.length}）</span>
+                        <button onClick={refreshRegistration} className="text-[11px] text-indigo-500 hover:underline">刷新列表</button>
+                      </div>
+                      <div className="flex items-end gap-2 mt-1.5">
+                        <label className="flex-1">
+                          <span className="text-[10px] text-zinc-400">可用次数</span>
+                          <input
+                            type="number"
+                            min={1}
+                            max={100}
+                            value={inviteMaxUses}
+                            onChange={(e) => setInviteMaxUses(e.target.value)}
+                            className="w-full h-9 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-sm focus:border-indigo-500 outline-none"
+                          />
+                        </label>
+                        <label className="flex-1">
+                          <span className="text-[10px] text-zinc-400">有效天数（0 为不过期）</span>
+                          <input
+                            type="number"
+                            min={0}
+                            max={365}
+                            value={inviteDays}
+                            onChange={(e) => setInviteDays(e.target.value)}
+                            className="w-full h-9 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-sm focus:border-indigo-500 outline-none"
+                          />
+                        </label>
+                        <button
+                          onClick={handleCreateInvite}
+                          className="h-9 px-4 rounded-lg bg-indigo-500 text-white text-xs font-medium hover:bg-indigo-600"
+                        >
+                          生成
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="space-y-2">
+                      {registration.invites.map((invite) => {
+                        const expired = invite.expiresAt && invite.expiresAt <= Date.now();
+                        const usedUp = invite.uses >= invite.maxUses;
+                        return (
+                          <div key={invite.code} className="flex items-center justify-between px-3 py-3 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+                            <div className="flex flex-col">
+                              <div className="flex items-center gap-2">
+                                <span className={`text-sm font-mono font-medium ${expired || usedUp ? 'text-zinc-400 line-through' : 'text-zinc-900 dark:text-white'}`}>{invite.code}</span>
+                                {(expired || usedUp) && (
+                                  <span className="text-[10px] text-zinc-400">{expired ? '已过期' : '已用完'}</span>
+                                )}
+                              </div>
+                              <span className="text-[10px] text-zinc-400 mt-0.5">
+                                已用 {invite.uses}/{invite.maxUses} · {invite.expiresAt ? `${new Date(invite.expiresAt).toLocaleDateString()} 过期` : '永不过期'} · {invite.createdBy}
+                              </span>
+                            </div>
+                            <div className="flex items-center gap-1">
+                              {!expired && !usedUp && (
+                                <button
+                                  onClick={() => navigator.clipboard?.writeText(invite.code).then(() => toast.success('已复制'))}
+                                  className="p-2 rounded-full hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-500 transition-colors"
+                                  title="复制"
+                                >
+                                  <Copy size={14} />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleRevokeInvite(invite.code)}
+                                className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-500/20 text-red-500 transition-colors"
+                                title="吊销"
+                              >
+                                <Trash2 size={14} />
+                              </button>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="space-y-2">
+                    <div className="flex items-center justify-between px-3 py-3 mb-2 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+                        <div className="flex flex-col">
+                            <span className="text-sm font-medium text-zinc-900 dark:text-white">强制管理员启用两步验证</span>
+                            <span className="text-[11px] text-zinc-500">开启后，未启用的管理员登录后必须先完成设置</span>
+                        </div>
+                        <button
+                            onClick={handleToggleTwoFactorPolicy}
+                            className={`relative w-10 h-6 rounded-full transition-colors ${adminTwoFactorRequired ? 'bg-indigo-500' : 'bg-zinc-300 dark:bg-zinc-600'}`}
+                            title={adminTwoFactorRequired ? '关闭' : '开启'}
+                        >
+                            <span className={`absolute top-1 left-1 w-4 h-4 rounded-full bg-white transition-transform ${adminTwoFactorRequired ? 'translate-x-4' : ''}`} />
+                        </button>
+                    </div>
+                    <div className="flex items-center justify-between mb-2 px-1">
+                        <span className="text-[11px] text-zinc-500">当前有 {loginLocks.length} 个锁定</span>
+                        <button onClick={() => fetchLoginLocks().then(setLoginLocks)} className="text-[11px] text-indigo-500 hover:underline">刷新列表</button>
+                    </div>
+                    {loginLocks.length === 0 ? (
+                      <div className="text-center py-8 text-zinc-400 text-[13px]">没有被锁定的账号或 IP</div>
+                    ) : loginLocks.map((lock) => (
+                        <div key={lock.key} className="flex items-center justify-between px-3 py-3 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+                            <div className="flex flex-col">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-sm font-medium text-zinc-900 dark:text-white">{lock.name}</span>
+                                    <span className="text-[10px] px-1.5 py-0.5 rounded bg-zinc-200 dark:bg-zinc-700 text-zinc-600 dark:text-zinc-300">
+                                        {lock.type === 'ip' ? 'IP' : '账号'}
+                                    </span>
+                                </div>
+                                <span className="text-[10px] text-zinc-400 mt-0.5">
+                                    失败 {lock.failures} 次，锁定至 {new Date(lock.lockedUntil).toLocaleTimeString()}
+                                </span>
+                            </div>
+                            <button
+                                onClick={() => handleUnlockLogin(lock)}
+                                className="px-3 h-8 rounded-full text-xs font-medium bg-indigo-500 text-white hover:bg-indigo-600 transition-colors"
+                            >
+                                解锁
+                            </button>
+                        </div>
+                    ))}
+                  </div>
                 )}
               </div>
             </motion.div>
@@ -691,10 +1155,12 @@ function App() {
                             />
                         </div>
                         <div>
-                            <label className="text-xs text-zinc-500 mb-1 block">密码</label>
+                            <label className="text-xs text-zinc-500 mb-1 block">重置密码（留空则不修改）</label>
                             <input 
-                                type="text" 
+                                type="password" 
                                 value={editPassword}
+                                placeholder="新密码"
+                                autoComplete="new-password"
                                 onChange={(e) => setEditPassword(e.target.value)}
                                 className="w-full h-9 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-sm focus:border-indigo-500 outline-none transition-colors"
                             />
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, KeyRound, UserCog, Trash2, ShieldCheck } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+import { useChatStore } from '../store';
+import { showConfirm } from './Dialog';
+import TwoFactorSettings from './TwoFactorSettings';
+
+const inputClass = 'w-full h-10 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-sm text-zinc-900 dark:text-white focus:border-indigo-500 outline-none';
+
+const TABS = [
+  { id: 'password', label: '修改密码', icon: KeyRound },
+  { id: 'username', label: '修改用户名', icon: UserCog },
+  { id: '2fa', label: '两步验证', icon: ShieldCheck },
+  { id: 'delete', label: '注销账号', icon: Trash2 }
+];
+
+// 账号设置：修改密码、修改用户名、两步验证、注销账号
+export default function AccountSettingsModal({ isOpen, onClose }) {
+  const { changePassword, changeUsername, deleteMyAccount } = useChatStore();
+  const [tab, setTab] = useState('password');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [newUsername, setNewUsername] = useState('');
+  const [deletePassword, setDeletePassword] = useState('');
+  const [messageMode, setMessageMode] = useState('anonymize'); // 'anonymize' | 'purge'
+
+  const handleClose = () => {
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+    setNewUsername('');
+    setDeletePassword('');
+    onClose();
+  };
+
+  const submit = async (action, successText) => {
+    setSubmitting(true);
+    const result = await action();
+    setSubmitting(false);
+    if (result?.success) {
+      if (successText) toast.success(successText);
+      handleClose();
+    } else {
+      toast.error(result?.error || '操作失败');
+    }
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      toast.error('两次输入的新密码不一致');
+      return;
+    }
+    submit(() => changePassword(currentPassword, newPassword), '密码已修改，其他设备需要重新登录');
+  };
+
+  const handleChangeUsername = (e) => {
+    e.preventDefault();
+    submit(() => changeUsername(newUsername.trim()), '用户名已修改');
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    const confirmed = await showConfirm(
+      messageMode === 'purge'
+        ? '账号以及你发送过的所有消息和图片都将被永久删除，此操作不可撤销。'
+        : '账号将被永久删除，你发送过的消息会保留并显示为“已注销用户”。此操作不可撤销。',
+      { variant: 'danger' }
+    );
+    if (!confirmed) return;
+    submit(() => deleteMyAccount(deletePassword, messageMode));
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            className="bg-white dark:bg-zinc-900 rounded-2xl p-5 w-full max-w-[400px] shadow-2xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-zinc-900 dark:text-white">账号设置</h3>
+              <button
+                onClick={handleClose}
+                className="p-1 rounded-full hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+              >
+                <X size={20} className="text-zinc-500" />
+              </button>
+            </div>
+
+            <div className="flex p-1 bg-zinc-100 dark:bg-zinc-800 rounded-lg mb-4">
+              {TABS.map(({ id, label, icon: Icon }) => (
+                <button
+                  key={id}
+                  onClick={() => setTab(id)}
+                  className={clsx(
+                    'flex-1 flex items-center justify-center gap-1 py-1.5 text-xs font-medium rounded-md transition-all',
+                    tab === id
+                      ? 'bg-white dark:bg-zinc-700 text-zinc-900 dark:text-white shadow-sm'
+                      : 'text-zinc-500 dark:text-zinc-400 hover:text-zinc-700 dark:hover:text-zinc-300'
+                  )}
+                >
+                  <Icon size={12} />
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {tab === 'password' && (
+              <form onSubmit={handleChangePassword} className="space-y-3">
+                <input type="password" placeholder="当前密码" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} className={inputClass} autoComplete="current-password" />
+                <input type="password" placeholder="新密码（4-20个字符）" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className={inputClass} autoComplete="new-password" />
+                <input type="password" placeholder="确认新密码" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} autoComplete="new-password" />
+                <p className="text-[11px] text-zinc-400">修改后其他设备上的登录会失效。</p>
+                <button
+                  type="submit"
+                  disabled={submitting || !currentPassword || !newPassword}
+                  className="w-full h-10 rounded-lg bg-indigo-500 text-white text-sm font-medium hover:bg-indigo-600 disabled:opacity-50"
+                >
+                  修改密码
+                </button>
+              </form>
+            )}
+
+            {tab === 'username' && (
+              <form onSubmit={handleChangeUsername} className="space-y-3">
+                <input type="text" placeholder="新用户名" value={newUsername} onChange={(e) => setNewUsername(e.target.value)} className={inputClass} maxLength={16} />
+                <p className="text-[11px] text-zinc-400">2-16个字符，仅支持字母、数字、下划线。历史消息和私聊中的名字会同步更新，下次登录请使用新用户名。</p>
+                <button
+                  type="submit"
+                  disabled={submitting || !newUsername.trim()}
+                  className="w-full h-10 rounded-lg bg-indigo-500 text-white text-sm font-medium hover:bg-indigo-600 disabled:opacity-50"
+                >
+                  修改用户名
+                </button>
+              </form>
+            )}
+
+            {tab === '2fa' && <TwoFactorSettings />}
+
+            {tab === 'delete' && (
+              <form onSubmit={handleDeleteAccount} className="space-y-3">
+                <div className="space-y-2">
+                  {[
+                    { value: 'anonymize', label: '保留我的消息', hint: '消息发送者显示为“已注销用户”' },
+                    { value: 'purge', label: '删除我的消息', hint: '删除我发送过的所有消息和图片' }
+                  ].map((option) => (
+                    <label
+                      key={option.value}
+                      className={clsx(
+                        'flex items-start gap-2 p-3 rounded-xl border cursor-pointer transition-colors',
+                        messageMode === option.value
+                          ? 'border-red-400 bg-red-50 dark:bg-red-500/10'
+                          : 'border-zinc-200 dark:border-zinc-700'
+                      )}
+                    >
+                      <input
+                        type="radio"
+                        name="messageMode"
+                        value={option.value}
+                        checked={messageMode === option.value}
+                        onChange={() => setMessageMode(option.value)}
+                        className="mt-0.5 accent-red-500"
+                      />
+                      <span className="flex flex-col">
+                        <span className="text-sm font-medium text-zinc-900 dark:text-white">{option.label}</span>
+                        <span className="text-[11px] text-zinc-400">{option.hint}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <input type="password" placeholder="输入密码以确认" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} className={inputClass} autoComplete="current-password" />
+                <button
+                  type="submit"
+                  disabled={submitting || !deletePassword}
+                  className="w-full h-10 rounded-lg bg-red-500 text-white text-sm font-medium hover:bg-red-600 disabled:opacity-50"
+                >
+                  注销账号
+                </button>
+              </form>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
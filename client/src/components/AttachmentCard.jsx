@@ -0,0 +1,58 @@
+import React from 'react';
+import { File, FileText, FileArchive, FileAudio, FileVideo, FileX, Download } from 'lucide-react';
+import { formatFileSize } from '../utils';
+
+// 按类型选择图标
+const getFileIcon = (mime = '', name = '') => {
+  if (mime.startsWith('audio/')) return FileAudio;
+  if (mime.startsWith('video/')) return FileVideo;
+  if (/zip|gzip|tar|7z|rar|bzip|xz/.test(mime) || /\.(zip|gz|tgz|tar|7z|rar|bz2|xz)$/i.test(name)) return FileArchive;
+  if (mime.startsWith('text/') || mime === 'application/pdf' || mime.includes('document') || /\.(txt|log|md|csv|json|pdf|docx?)$/i.test(name)) {
+    return FileText;
+  }
+  return File;
+};
+
+// 消息中的文件附件：文件名、大小和下载按钮；超过保留天数（文件已被清理）后只显示文件名
+// isMe 为自己发出的消息（气泡是反色的），timestamp 为消息时间，retentionDays 为 fileRetentionDays
+export default function AttachmentCard({ attachment, isMe = false, timestamp, retentionDays }) {
+  if (!attachment) return null;
+  const expired = !!retentionDays && Date.now() - new Date(timestamp).getTime() > retentionDays * 24 * 60 * 60 * 1000;
+  const Icon = expired ? FileX : getFileIcon(attachment.mime, attachment.name);
+  const mutedClass = isMe ? 'text-zinc-400 dark:text-zinc-500' : 'text-zinc-500 dark:text-zinc-400';
+
+  const content = (
+    <>
+      <span className={`w-10 h-10 rounded-lg flex items-center justify-center shrink-0 ${
+        isMe ? 'bg-white/10 dark:bg-black/5' : 'bg-white dark:bg-zinc-900'
+      }`}>
+        <Icon size={20} className={mutedClass} />
+      </span>
+      <span className="min-w-0 flex-1">
+        <span className={`block text-[14px] font-medium truncate ${expired ? 'line-through opacity-60' : ''}`}>
+          {attachment.name}
+        </span>
+        <span className={`block text-[12px] ${mutedClass}`}>
+          {expired ? `文件已过期（超过${retentionDays}天自动清理）` : formatFileSize(attachment.size)}
+        </span>
+      </span>
+      {!expired && <Download size={18} className={`shrink-0 ${mutedClass}`} />}
+    </>
+  );
+
+  const className = 'flex items-center gap-3 w-[260px] max-w-full';
+  if (expired || !attachment.url) {
+    return <div className={className}>{content}</div>;
+  }
+  return (
+    <a
+      href={attachment.url}
+      download={attachment.name}
+      onClick={(e) => e.stopPropagation()}
+      className={`${className} hover:opacity-80 transition-opacity`}
+      title="下载"
+    >
+      {content}
+    </a>
+  );
+}
@@ -2,9 +2,21 @@ import React, { useState, useRef, useEffect, Suspense, useMemo, useCallback } fr
 import { motion, AnimatePresence } from 'framer-motion';
 import 'yet-another-react-lightbox/styles.css';
 import { useChatStore } from '../store';
-import { Hash, ArrowLeft, Copy, Check, Reply, X, Smile, Megaphone, Volume2, Image, Loader2, Undo2, Trash2 } from 'lucide-react';
+import { Hash, ArrowLeft, Copy, Check, Reply, X, Smile, Megaphone, Volume2, Image, Loader2, Undo2, Trash2, Users, ArrowDown, Pencil, SmilePlus, MessageSquare, Paperclip, File } from 'lucide-react';
 import { showAlert, showConfirm } from './Dialog';
-import { getAvatarColor, getInitials, getAvatarUrl, getPresetAvatarUrl, formatMessageTime } from '../utils';
+import RoomMembersModal from './RoomMembersModal';
+import MessageEditHistoryModal from './MessageEditHistoryModal';
+import MessageReactions from './MessageReactions';
+import ThreadPanel from './ThreadPanel';
+import MentionSuggestions from './MentionSuggestions';
+import MessageMarkdown from './MessageMarkdown';
+import LinkPreviewCard from './LinkPreviewCard';
+import AttachmentCard from './AttachmentCard';
+import ComposerTextarea from './ComposerTextarea';
+import { getAvatarColor, getInitials, getAvatarUrl, getPresetAvatarUrl, formatMessageTime, formatFileSize, hasRoomRole, isMentioned } from '../utils';
+import { useHistoryScroll } from '../useHistoryScroll';
+import { useMentionAutocomplete } from '../useMentionAutocomplete';
+import { markdownToPlainText } from '../markdown';
 
 const EmojiPickerLazy = React.lazy(() => import('emoji-picker-react'));
 
@@ -28,26 +40,43 @@ const LightboxLazy = React.lazy(async () => {
 export default function ChatArea() {
   const { 
     currentRoom, rooms, messages, sendMessage, user, leaveRoom, setReplyingTo, replyingTo, 
-    userAvatars, adminBroadcast, roomBanner, clearRoomBanner, connected,
+    userAvatars, adminBroadcast, roomBanner, clearRoomBanner, connected, serverConfig,
     // 图片上传相关
     uploadingImage, sendImageMessage,
-    // 消息撤回/删除
-    recallMessage, deleteMessage
+    // 文件附件
+    uploadingFile, sendFileMessage,
+    // 消息撤回/删除/编辑
+    recallMessage, deleteMessage, editMessage, fetchMessageEdits,
+    // 表情回应
+    toggleReaction,
+    // 话题
+    activeThread, openThread,
+    // 历史消息分页
+    hasMoreHistory, loadingHistory, hasNewerMessages, loadOlderMessages, loadLatestMessages,
+    // 搜索结果跳转
+    highlightedMessageId, clearHighlightedMessage
   } = useChatStore();
   const [input, setInput] = useState('');
   const [copied, setCopied] = useState(false);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [showBroadcastModal, setShowBroadcastModal] = useState(false);
   const [broadcastMessage, setBroadcastMessage] = useState('');
+  const [showMembersModal, setShowMembersModal] = useState(false);
   const [bannerDismissed, setBannerDismissed] = useState(false);
   const [previewImage, setPreviewImage] = useState(null); // { file, preview }
+  const [pendingFile, setPendingFile] = useState(null); // 待发送的文件附件
   const [lightboxOpen, setLightboxOpen] = useState(false);
   const [lightboxIndex, setLightboxIndex] = useState(0);
   const [expiredImages, setExpiredImages] = useState(() => new Set());
   const [activeMenuMsgId, setActiveMenuMsgId] = useState(null); // 当前显示菜单的消息ID
-  const messagesEndRef = useRef(null);
+  const [editingMessage, setEditingMessage] = useState(null); // 正在编辑的消息（输入框中是它的内容）
+  const [editHistoryMessage, setEditHistoryMessage] = useState(null); // 正在查看编辑记录的消息
+  const [reactionPickerMsgId, setReactionPickerMsgId] = useState(null); // 正在选择表情回应的消息ID
   const inputRef = useRef(null);
   const fileInputRef = useRef(null);
+  const attachmentInputRef = useRef(null);
+
+  const mention = useMentionAutocomplete({ roomId: currentRoom?.id, input, setInput, inputRef });
 
   // Reset banner dismissed state when banner changes
   useEffect(() => {
@@ -65,10 +94,37 @@ export default function ChatArea() {
   // Get real-time room data (for user count)
   const activeRoom = rooms.find(r => r.id === currentRoom?.id) || currentRoom;
 
-  // 滚动到底部（始终无动画，确保立即到位）
-  const scrollToBottom = useCallback(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'auto' });
-  }, []);
+  // 房间内的角色：协管及以上可以发布通知、管理成员和删除他人消息
+  const canModerate = hasRoomRole(currentRoom?.myRole, 'moderator');
+  const isMuted = currentRoom?.myRole === 'muted';
+
+  const {
+    containerRef: messagesContainerRef,
+    endRef: messagesEndRef,
+    handleScroll: handleMessagesScroll,
+    handleImageLoad,
+    followLatest
+  } = useHistoryScroll({
+    messages,
+    resetKey: currentRoom?.id,
+    userId: user?.id,
+    hasMore: hasMoreHistory,
+    loadingOlder: loadingHistory,
+    loadOlder: loadOlderMessages,
+    focusMessageId: highlightedMessageId
+  });
+
+  // 搜索结果高亮几秒后取消
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(clearHighlightedMessage, 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, clearHighlightedMessage]);
+
+  const handleJumpToLatest = () => {
+    followLatest();
+    loadLatestMessages();
+  };
 
   const markImageExpired = useCallback((url) => {
     if (!url) return;
@@ -85,14 +141,6 @@ export default function ChatArea() {
     return messages.filter(m => m.imageUrl && !expiredImages.has(m.imageUrl)).map(m => ({ src: m.imageUrl }));
   }, [messages, expiredImages]);
 
-  // 消息变化时滚动到底部
-  useEffect(() => {
-    scrollToBottom();
-    // 延迟滚动，处理图片加载导致的高度变化
-    const timer = setTimeout(scrollToBottom, 100);
-    return () => clearTimeout(timer);
-  }, [messages, scrollToBottom]);
-
   useEffect(() => {
     if (typeof window === 'undefined' || !window.visualViewport) return;
     const handleViewportChange = () => {
@@ -141,6 +189,35 @@ export default function ChatArea() {
     }
   }, [replyingTo]);
 
+  // 切换房间时退出编辑
+  useEffect(() => {
+    setEditingMessage(null);
+  }, [currentRoom?.id]);
+
+  // 自己的未撤回消息在编辑时限内可以编辑
+  const canEditMessage = (msg) =>
+    msg.senderId === user.id && !msg.recalled &&
+    Date.now() - new Date(msg.timestamp).getTime() < serverConfig.editWindowSeconds * 1000;
+
+  const startEditing = (msg) => {
+    if (previewImage) cancelImagePreview();
+    setPendingFile(null);
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setInput(msg.text || '');
+    requestAnimationFrame(() => inputRef.current?.focus());
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInput('');
+  };
+
+  const handleToggleReaction = async (messageId, emoji) => {
+    const res = await toggleReaction(messageId, emoji);
+    if (!res.success) showAlert(res.error || '操作失败', { variant: 'danger' });
+  };
+
   const copyRoomId = async () => {
     if (!currentRoom) return;
     const textToCopy = currentRoom.id;
@@ -171,7 +248,21 @@ export default function ChatArea() {
 
   const handleSend = async (e) => {
     e.preventDefault();
-    if (!input.trim() && !previewImage) return;
+
+    // 保存编辑
+    if (editingMessage) {
+      if (input === editingMessage.text) return cancelEditing();
+      if (!input.trim() && !editingMessage.imageUrl && !editingMessage.attachment) return;
+      const res = await editMessage(editingMessage.id, input);
+      if (res.success) {
+        cancelEditing();
+      } else {
+        showAlert(res.error || '编辑失败', { variant: 'danger' });
+      }
+      return;
+    }
+
+    if (!input.trim() && !previewImage && !pendingFile) return;
     
     // 发送文字
     if (input.trim()) {
@@ -186,6 +277,31 @@ export default function ChatArea() {
       URL.revokeObjectURL(previewImage.preview);
       setPreviewImage(null);
     }
+
+    // 发送文件，失败时保留，可以重试
+    if (pendingFile) {
+      const res = await sendFileMessage(pendingFile);
+      if (res.success) setPendingFile(null);
+    }
+  };
+
+  // 选择要发送的文件附件（大小按全局上限检查，按类型的上限由服务端检查）
+  const selectAttachment = (file) => {
+    if (!file) return;
+    if (file.size === 0) {
+      showAlert('不能发送空文件', { variant: 'warning' });
+      return;
+    }
+    if (file.size > serverConfig.fileUploadMaxBytes) {
+      showAlert(`文件最大支持${formatFileSize(serverConfig.fileUploadMaxBytes)}`, { variant: 'warning' });
+      return;
+    }
+    setPendingFile(file);
+  };
+
+  const handleAttachmentSelect = (e) => {
+    selectAttachment(e.target.files?.[0]);
+    e.target.value = '';
   };
 
   // 处理图片选择
@@ -198,8 +314,8 @@ export default function ChatArea() {
       return;
     }
     
-    if (file.size > 20 * 1024 * 1024) {
-      showAlert('图片最大支持20MB', { variant: 'warning' });
+    if (file.size > serverConfig.uploadMaxBytes) {
+      showAlert(`图片最大支持${Math.round(serverConfig.uploadMaxBytes / 1024 / 1024)}MB`, { variant: 'warning' });
       return;
     }
     
@@ -210,7 +326,7 @@ export default function ChatArea() {
   // 处理粘贴图片
   const handlePaste = (e) => {
     const items = e.clipboardData?.items;
-    if (!items) return;
+    if (!items || editingMessage) return;
     
     for (const item of items) {
       if (item.type.startsWith('image/')) {
@@ -234,6 +350,8 @@ export default function ChatArea() {
     if (file.type.startsWith('image/')) {
       const preview = URL.createObjectURL(file);
       setPreviewImage({ file, preview });
+    } else if (!editingMessage) {
+      selectAttachment(file);
     }
   };
 
@@ -289,6 +407,12 @@ export default function ChatArea() {
         className="hidden"
         onChange={handleImageSelect}
       />
+      <input
+        ref={attachmentInputRef}
+        type="file"
+        className="hidden"
+        onChange={handleAttachmentSelect}
+      />
       
       {/* Header */}
       <div className="h-16 px-4 flex items-center justify-between border-b border-zinc-200/40 dark:border-zinc-700/40 bg-white/90 dark:bg-zinc-950/90 backdrop-blur-xl absolute top-0 left-0 right-0 z-20 transition-colors duration-300 shadow-sm">
@@ -338,8 +462,19 @@ export default function ChatArea() {
             )}
           </button>
           
+          {/* Room Members Button */}
+          {canModerate && (
+            <button
+              onClick={() => setShowMembersModal(true)}
+              className="flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-3 py-1.5 rounded-full text-[13px] font-medium bg-zinc-100 dark:bg-zinc-900 text-zinc-600 dark:text-zinc-400 hover:bg-zinc-200 dark:hover:bg-zinc-800 transition-colors shrink-0"
+            >
+              <Users size={14} />
+              <span className="hidden sm:inline">成员</span>
+            </button>
+          )}
+
           {/* Admin Broadcast Button */}
-          {user?.isAdmin && (
+          {canModerate && (
             <button
               onClick={() => setShowBroadcastModal(true)}
               className="flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-3 py-1.5 rounded-full text-[13px] font-medium bg-amber-100 dark:bg-amber-500/20 text-amber-700 dark:text-amber-300 hover:bg-amber-200 dark:hover:bg-amber-500/30 transition-colors shrink-0"
@@ -372,7 +507,7 @@ export default function ChatArea() {
                 </div>
               </div>
               <div className="flex items-center gap-1 px-2 shrink-0">
-                {user?.isAdmin && (
+                {canModerate && (
                   <button
                     onClick={clearRoomBanner}
                     className="px-2 py-0.5 rounded-full text-[11px] font-medium text-amber-600 dark:text-amber-400 hover:bg-amber-200/50 dark:hover:bg-amber-500/20 transition-colors"
@@ -395,14 +530,25 @@ export default function ChatArea() {
       </AnimatePresence>
 
       {/* Messages Area */}
-      <div className={`flex-1 overflow-y-auto pb-20 px-4 space-y-1 ${roomBanner && !bannerDismissed ? 'pt-[100px]' : 'pt-16'}`}>
+      <div
+        ref={messagesContainerRef}
+        onScroll={handleMessagesScroll}
+        className={`flex-1 overflow-y-auto pb-20 px-4 space-y-1 ${roomBanner && !bannerDismissed ? 'pt-[100px]' : 'pt-16'}`}
+      >
+        {/* 加载更早的消息 */}
+        {loadingHistory && (
+          <div className="flex justify-center py-2">
+            <Loader2 size={16} className="animate-spin text-zinc-400" />
+          </div>
+        )}
+
         {messages.map((msg, i) => {
           const isMe = msg.senderId === user.id;
           const isSystem = msg.type === 'system';
 
           if (isSystem) {
             return (
-              <div key={msg.id} className="flex justify-center py-3">
+              <div key={msg.id} data-message-id={msg.id} className="flex justify-center py-3">
                 <span className="text-[13px] text-zinc-500 dark:text-zinc-600">
                   {msg.text}
                 </span>
@@ -413,7 +559,8 @@ export default function ChatArea() {
           return (
             <div
               key={msg.id}
-              className={`group relative flex gap-3 py-2 ${isMe ? 'justify-end' : 'justify-start'}`}
+              data-message-id={msg.id}
+              className={`group relative flex gap-3 py-2 rounded-xl transition-colors duration-700 ${isMe ? 'justify-end' : 'justify-start'} ${msg.id === highlightedMessageId ? 'bg-amber-100/70 dark:bg-amber-500/15' : ''}`}
             >
               {/* Avatar - left side for others */}
               {!isMe && (
@@ -441,7 +588,7 @@ export default function ChatArea() {
                 )}
                 
                 {/* Action Menu - 点击消息气泡显示，只有有可用操作时才显示 */}
-                {activeMenuMsgId === msg.id && (!msg.recalled || isMe || user?.isAdmin) && (
+                {activeMenuMsgId === msg.id && (!msg.recalled || isMe || canModerate) && (
                   <div 
                     className={`absolute ${isMe ? 'right-full mr-2' : 'left-full ml-2'} top-1/2 -translate-y-1/2 z-10`}
                     onClick={(e) => e.stopPropagation()}
@@ -450,13 +597,33 @@ export default function ChatArea() {
                       {/* 回复 - 只有未撤回的消息可以回复 */}
                       {!msg.recalled && (
                         <button 
-                          onClick={() => { setReplyingTo(msg); setActiveMenuMsgId(null); }}
+                          onClick={() => { if (editingMessage) cancelEditing(); setReplyingTo(msg); setActiveMenuMsgId(null); }}
                           className="p-1.5 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
                           title="回复"
                         >
                           <Reply size={14} />
                         </button>
                       )}
+                      {/* 表情回应 - 只有未撤回的消息可以回应 */}
+                      {!msg.recalled && (
+                        <button 
+                          onClick={() => { setReactionPickerMsgId(msg.id); setActiveMenuMsgId(null); }}
+                          className="p-1.5 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                          title="表情回应"
+                        >
+                          <SmilePlus size={14} />
+                        </button>
+                      )}
+                      {/* 话题 - 在这条消息的话题中回复 */}
+                      {!msg.recalled && (
+                        <button 
+                          onClick={() => { openThread(msg.id); setActiveMenuMsgId(null); }}
+                          className="p-1.5 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                          title="在话题中回复"
+                        >
+                          <MessageSquare size={14} />
+                        </button>
+                      )}
                       {/* 撤回 - 自己的未撤回消息 */}
                       {isMe && !msg.recalled && (
                         <button 
@@ -466,13 +633,23 @@ export default function ChatArea() {
                             setActiveMenuMsgId(null);
                           }}
                           className="p-1.5 rounded-full text-zinc-500 hover:text-amber-500 hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
-                          title="撤回 (2分钟内)"
+                          title={`撤回 (${serverConfig.recallWindowText}内)`}
                         >
                           <Undo2 size={14} />
                         </button>
                       )}
-                      {/* 删除 - 自己的已撤回消息 或 管理员任意消息 */}
-                      {((isMe && msg.recalled) || user?.isAdmin) && (
+                      {/* 编辑 - 自己的未撤回消息（编辑时限内） */}
+                      {canEditMessage(msg) && (
+                        <button 
+                          onClick={() => { startEditing(msg); setActiveMenuMsgId(null); }}
+                          className="p-1.5 rounded-full text-zinc-500 hover:text-indigo-500 hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                          title={`编辑 (${serverConfig.editWindowText}内)`}
+                        >
+                          <Pencil size={14} />
+                        </button>
+                      )}
+                      {/* 删除 - 自己的已撤回消息 或 协管及以上删除他人消息（服务端校验对方角色） */}
+                      {((isMe && msg.recalled) || (canModerate && (isMe || !msg.isAdmin))) && (
                         <button 
                           onClick={async () => {
                             const confirmed = await showConfirm('确定要删除这条消息吗？', { variant: 'danger' });
@@ -514,7 +691,7 @@ export default function ChatArea() {
                       : isMe 
                         ? 'bg-black dark:bg-white text-white dark:text-black rounded-br-md px-4 py-2.5' 
                         : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-900 dark:text-white rounded-bl-md px-4 py-2.5'
-                  }`}
+                  } ${!isMe && isMentioned(msg, user.realUsername || user.username) ? 'ring-2 ring-amber-400/70' : ''}`}
                   onClick={(e) => { e.stopPropagation(); setActiveMenuMsgId(activeMenuMsgId === msg.id ? null : msg.id); }}
                 >
                   {/* Reply Quote Block */}
@@ -550,13 +727,13 @@ export default function ChatArea() {
                         )}
                         {msg.replyTo.imageUrl && expiredImages.has(msg.replyTo.imageUrl) && (
                           <div className="mt-1 inline-flex items-center justify-center max-w-[140px] h-[72px] rounded-md bg-zinc-100 dark:bg-zinc-800 text-[11px] text-zinc-500 dark:text-zinc-400 text-center px-2">
-                            图片已过期（超过15天自动清理）
+                            图片已过期（超过{serverConfig.imageRetentionDays}天自动清理）
                           </div>
                         )}
 
                         {msg.replyTo.text && (
                           <div className={`truncate ${isMe ? 'text-zinc-400 dark:text-zinc-500' : 'text-zinc-500 dark:text-zinc-500'} ${msg.replyTo.imageUrl ? 'mt-1' : ''}`}>
-                            {msg.replyTo.text}
+                            {markdownToPlainText(msg.replyTo.text)}
                           </div>
                         )}
                     </div>
@@ -568,7 +745,7 @@ export default function ChatArea() {
                       src={msg.imageUrl}
                       alt="Shared image"
                       className="max-w-[280px] max-h-[280px] rounded-xl cursor-zoom-in hover:opacity-90 transition-opacity"
-                      onLoad={() => scrollToBottom(true)}
+                      onLoad={handleImageLoad}
                       onError={() => markImageExpired(msg.imageUrl)}
                       onClick={() => {
                         const imageMessages = messages.filter(m => m.imageUrl && !expiredImages.has(m.imageUrl));
@@ -581,20 +758,60 @@ export default function ChatArea() {
                   {msg.imageUrl && expiredImages.has(msg.imageUrl) && (
                     <div className="max-w-[280px] max-h-[280px] rounded-xl bg-zinc-100 dark:bg-zinc-800 flex flex-col items-center justify-center px-4 py-6 text-xs text-zinc-500 dark:text-zinc-400 text-center">
                       <span className="font-medium mb-1">图片已过期</span>
-                      <span className="text-[11px] opacity-80">超过15天的图片会被自动清理</span>
+                      <span className="text-[11px] opacity-80">超过{serverConfig.imageRetentionDays}天的图片会被自动清理</span>
                     </div>
                   )}
 
+                  {/* 文件附件 */}
+                  <AttachmentCard
+                    attachment={msg.attachment}
+                    isMe={isMe}
+                    timestamp={msg.timestamp}
+                    retentionDays={serverConfig.fileRetentionDays}
+                  />
+
                   {/* 文本消息 */}
                   {msg.text && (
-                    <p className={`text-[15px] leading-relaxed break-words ${msg.imageUrl ? 'mt-2' : ''}`}>
-                      {msg.text}
-                    </p>
+                    <div className={`text-[15px] leading-relaxed break-words ${msg.imageUrl || msg.attachment ? 'mt-2' : ''}`}>
+                      <MessageMarkdown text={msg.text} mentions={msg.mentions} isMe={isMe} />
+                    </div>
                   )}
+                  <LinkPreviewCard preview={msg.linkPreview} isMe={isMe} />
                 </div>
                 )}
+                {!msg.recalled && (
+                  <MessageReactions
+                    reactions={msg.reactions}
+                    userId={user.id}
+                    isMe={isMe}
+                    pickerOpen={reactionPickerMsgId === msg.id}
+                    onOpenPicker={() => setReactionPickerMsgId(msg.id)}
+                    onClosePicker={() => setReactionPickerMsgId(null)}
+                    onToggle={(emoji) => handleToggleReaction(msg.id, emoji)}
+                  />
+                )}
+                {/* 话题回复数 */}
+                {msg.replyCount > 0 && (
+                  <button
+                    onClick={() => openThread(msg.id)}
+                    className="mt-1 flex items-center gap-1 text-[12px] font-medium text-indigo-600 dark:text-indigo-400 hover:underline"
+                  >
+                    <MessageSquare size={12} />
+                    {msg.replyCount} 条回复
+                    <span className="font-normal text-zinc-400 dark:text-zinc-600">· 最后回复 {formatMessageTime(msg.lastReplyAt)}</span>
+                  </button>
+                )}
                 <span className={`text-[11px] text-zinc-400 dark:text-zinc-600 mt-1 block ${isMe ? 'text-right' : 'text-left'}`}>
                   {formatMessageTime(msg.timestamp)}
+                  {msg.editedAt && !msg.recalled && (
+                    <button
+                      onClick={() => setEditHistoryMessage(msg)}
+                      className="ml-1 hover:text-zinc-600 dark:hover:text-zinc-400 hover:underline"
+                      title="查看编辑记录"
+                    >
+                      (已编辑)
+                    </button>
+                  )}
                 </span>
               </div>
 
@@ -614,6 +831,16 @@ export default function ChatArea() {
 
       {/* Input Area */}
       <div className="border-t border-zinc-200 dark:border-zinc-800 bg-white dark:bg-black">
+        {/* 正在查看更早的消息，最新消息已不在列表中 */}
+        {hasNewerMessages && (
+          <button
+            onClick={handleJumpToLatest}
+            className="w-full flex items-center justify-center gap-1 py-2 text-xs font-medium text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-500/10 hover:bg-indigo-100 dark:hover:bg-indigo-500/20 transition-colors"
+          >
+            <ArrowDown size={12} />
+            回到最新消息
+          </button>
+        )}
         {/* Reply Preview Bar */}
         {replyingTo && (
           <motion.div
@@ -641,7 +868,7 @@ export default function ChatArea() {
                     Replying to {replyingTo.sender}
                   </span>
                   <span className="text-xs text-zinc-500 dark:text-zinc-400 truncate">
-                    {replyingTo.text || (replyingTo.imageUrl ? '[图片]' : '')}
+                    {markdownToPlainText(replyingTo.text) || (replyingTo.imageUrl ? '[图片]' : '')}
                   </span>
                 </div>
               </div>
@@ -654,6 +881,31 @@ export default function ChatArea() {
             </motion.div>
         )}
 
+        {/* Editing Bar */}
+        {editingMessage && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ duration: 0.1 }}
+            className="flex items-center justify-between px-4 py-2 bg-zinc-50 dark:bg-zinc-900 border-b border-zinc-100 dark:border-zinc-800"
+          >
+              <div className="flex flex-col overflow-hidden border-l-2 border-indigo-500 pl-3">
+                <span className="text-xs font-bold text-zinc-900 dark:text-zinc-200 mb-0.5">
+                  编辑消息
+                </span>
+                <span className="text-xs text-zinc-500 dark:text-zinc-400 truncate">
+                  {markdownToPlainText(editingMessage.text) || (editingMessage.attachment ? `[文件] ${editingMessage.attachment.name}` : '[图片]')}
+                </span>
+              </div>
+              <button
+                onClick={cancelEditing}
+                className="p-1 rounded-full hover:bg-zinc-200 dark:hover:bg-zinc-800 text-zinc-500 shrink-0"
+              >
+                <X size={16} />
+              </button>
+            </motion.div>
+        )}
+
         {/* Image Preview */}
         {previewImage && (
           <motion.div
@@ -683,6 +935,33 @@ export default function ChatArea() {
             </motion.div>
         )}
 
+        {/* File Preview */}
+        {pendingFile && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ duration: 0.1 }}
+            className="px-4 py-3 bg-zinc-50 dark:bg-zinc-900 border-b border-zinc-100 dark:border-zinc-800"
+          >
+              <div className="relative inline-flex items-center gap-3 max-w-full pl-3 pr-4 py-2 rounded-lg bg-white dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700">
+                {uploadingFile
+                  ? <Loader2 size={20} className="animate-spin text-zinc-500 shrink-0" />
+                  : <File size={20} className="text-zinc-500 shrink-0" />}
+                <div className="min-w-0">
+                  <div className="text-[13px] font-medium text-zinc-900 dark:text-white truncate">{pendingFile.name}</div>
+                  <div className="text-[11px] text-zinc-500 dark:text-zinc-400">{formatFileSize(pendingFile.size)}</div>
+                </div>
+                <button
+                  onClick={() => setPendingFile(null)}
+                  disabled={uploadingFile}
+                  className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-red-500 text-white flex items-center justify-center hover:bg-red-600 transition-colors shadow-sm disabled:opacity-50"
+                >
+                  <X size={12} />
+                </button>
+              </div>
+            </motion.div>
+        )}
+
         <div className="p-4">
           <form onSubmit={handleSend} className="flex items-center gap-2 sm:gap-3">
             <img 
@@ -690,26 +969,46 @@ export default function ChatArea() {
               alt={user?.username}
               className="w-10 h-10 rounded-full shrink-0 bg-zinc-200 dark:bg-zinc-700"
             />
-            <div className="flex-1 flex items-center gap-2 min-w-0">
-              <input
+            <div className="relative flex-1 flex items-center gap-2 min-w-0">
+              <MentionSuggestions
+                options={mention.options}
+                activeIndex={mention.activeIndex}
+                onSelect={mention.select}
+                onHover={mention.setActiveIndex}
+              />
+              <ComposerTextarea
                 ref={inputRef}
-                type="text"
                 value={input}
-                onChange={(e) => setInput(e.target.value)}
+                onChange={(e) => { setInput(e.target.value); mention.update(); }}
+                onClick={mention.update}
+                onKeyDown={mention.handleKeyDown}
+                onBlur={mention.close}
                 onFocus={handleInputFocus}
                 onPaste={handlePaste}
-                placeholder="What's happening?"
-                className="flex-1 h-12 px-3 sm:px-4 bg-transparent text-[15px] sm:text-[17px] text-zinc-900 dark:text-white placeholder-zinc-500 focus:outline-none min-w-0"
+                placeholder={isMuted ? '你已被禁言' : "What's happening?"}
+                disabled={isMuted}
+                className="flex-1 py-3 px-3 sm:px-4 bg-transparent text-[15px] sm:text-[17px] leading-6 text-zinc-900 dark:text-white placeholder-zinc-500 focus:outline-none min-w-0"
               />
               {/* Image Upload Button */}
               <button
                 type="button"
                 onClick={() => fileInputRef.current?.click()}
-                className="h-9 w-9 flex items-center justify-center rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors shrink-0"
+                disabled={!!editingMessage}
+                className="h-9 w-9 flex items-center justify-center rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors shrink-0 disabled:opacity-50"
                 title="Upload image"
               >
                 <Image size={18} />
               </button>
+              {/* File Upload Button */}
+              <button
+                type="button"
+                onClick={() => attachmentInputRef.current?.click()}
+                disabled={!!editingMessage}
+                className="h-9 w-9 flex items-center justify-center rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors shrink-0 disabled:opacity-50"
+                title="Upload file"
+              >
+                <Paperclip size={18} />
+              </button>
               <div className="relative shrink-0">
                 <button
                   type="button"
@@ -756,15 +1055,34 @@ export default function ChatArea() {
             <motion.button
               whileTap={{ scale: 0.95 }}
               type="submit"
-              disabled={(!input.trim() && !previewImage) || uploadingImage}
+              disabled={editingMessage
+                ? (!input.trim() && !editingMessage.imageUrl && !editingMessage.attachment)
+                : ((!input.trim() && !previewImage && !pendingFile) || uploadingImage || uploadingFile)}
               className="h-9 px-4 sm:px-5 bg-zinc-900 dark:bg-white hover:bg-black dark:hover:bg-zinc-200 text-white dark:text-black text-[14px] sm:text-[15px] font-bold rounded-full disabled:opacity-50 disabled:cursor-not-allowed transition-colors shrink-0 whitespace-nowrap"
             >
-              {uploadingImage ? 'Sending...' : 'Post'}
+              {editingMessage ? '保存' : (uploadingImage || uploadingFile ? 'Sending...' : 'Post')}
             </motion.button>
           </form>
         </div>
       </div>
 
+      {/* 话题侧栏 */}
+      <AnimatePresence>
+        {activeThread?.roomId === currentRoom.id && <ThreadPanel key={activeThread.rootId} thread={activeThread} />}
+      </AnimatePresence>
+
+      <MessageEditHistoryModal
+        message={editHistoryMessage}
+        onClose={() => setEditHistoryMessage(null)}
+        loadEdits={fetchMessageEdits}
+      />
+
+      <RoomMembersModal
+        isOpen={showMembersModal}
+        onClose={() => setShowMembersModal(false)}
+        roomId={currentRoom?.id}
+      />
+
       {/* Admin Broadcast Modal */}
       <AnimatePresence>
         {showBroadcastModal && (
@@ -0,0 +1,40 @@
+import React, { forwardRef, useImperativeHandle, useLayoutEffect, useRef } from 'react';
+import clsx from 'clsx';
+
+// 触屏设备的软键盘没有 Shift，回车只换行，用发送按钮发送
+const isCoarsePointer = () => typeof window !== 'undefined' && window.matchMedia?.('(pointer: coarse)').matches;
+
+// 消息输入框：Enter 发送（提交所在的表单），Shift+Enter 换行，输入法组字时的回车不发送
+// 高度随内容增长，超过 maxHeight 后出现滚动条；onKeyDown 先执行，调用了 preventDefault 就不再发送
+const ComposerTextarea = forwardRef(function ComposerTextarea({ value, onKeyDown, maxHeight = 160, className, ...props }, ref) {
+  const textareaRef = useRef(null);
+  useImperativeHandle(ref, () => textareaRef.current);
+
+  useLayoutEffect(() => {
+    const el = textareaRef.current;
+    if (!el) return;
+    el.style.height = 'auto';
+    el.style.height = `${Math.min(el.scrollHeight, maxHeight)}px`;
+  }, [value, maxHeight]);
+
+  const handleKeyDown = (e) => {
+    onKeyDown?.(e);
+    if (e.defaultPrevented || e.key !== 'Enter' || e.shiftKey) return;
+    if (e.nativeEvent.isComposing || e.keyCode === 229 || isCoarsePointer()) return;
+    e.preventDefault();
+    e.currentTarget.form?.requestSubmit();
+  };
+
+  return (
+    <textarea
+      ref={textareaRef}
+      rows={1}
+      value={value}
+      onKeyDown={handleKeyDown}
+      className={clsx('resize-none', className)}
+      {...props}
+    />
+  );
+});
+
+export default ComposerTextarea;
@@ -2,9 +2,19 @@ import React, { useState, useRef, useEffect, Suspense, useMemo, useCallback } fr
 import { motion, AnimatePresence } from 'framer-motion';
 import 'yet-another-react-lightbox/styles.css';
 import { useChatStore } from '../store';
-import { ArrowLeft, Reply, X, Smile, Image, Loader2, MessageCircle, Undo2, Trash2 } from 'lucide-react';
+import { ArrowLeft, Reply, X, Smile, Image, Loader2, MessageCircle, Undo2, Trash2, ArrowDown, Pencil, SmilePlus, Paperclip, File } from 'lucide-react';
 import { showAlert, showConfirm } from './Dialog';
-import { getPresetAvatarUrl, formatMessageTime } from '../utils';
+import MessageEditHistoryModal from './MessageEditHistoryModal';
+import MessageReactions from './MessageReactions';
+import MessageMarkdown from './MessageMarkdown';
+import LinkPreviewCard from './LinkPreviewCard';
+import AttachmentCard from './AttachmentCard';
+import ComposerTextarea from './ComposerTextarea';
+import { getPresetAvatarUrl, formatMessageTime, formatFileSize } from '../utils';
+import { useHistoryScroll } from '../useHistoryScroll';
+import { markdownToPlainText } from '../markdown';
+
+const NO_MESSAGES = [];
 
 const EmojiPickerLazy = React.lazy(() => import('emoji-picker-react'));
 
@@ -28,11 +38,19 @@ const LightboxLazy = React.lazy(async () => {
 export default function DMChatArea() {
   const { 
     currentDM, dmMessages, dmLoading, sendDMMessage, user, closeDM, setReplyingTo, replyingTo,
-    uploadingImage, sendDMImageMessage, connected, clearDMUnread,
-    // 消息撤回/删除
-    recallDMMessage, deleteDMMessage,
+    uploadingImage, sendDMImageMessage, connected, clearDMUnread, serverConfig,
+    // 文件附件
+    uploadingFile, sendDMFileMessage,
+    // 消息撤回/删除/编辑
+    recallDMMessage, deleteDMMessage, editDMMessage, fetchDMMessageEdits,
+    // 表情回应
+    toggleDMReaction,
     // 用户在线状态
-    dmUserOnlineStatus
+    dmUserOnlineStatus,
+    // 历史消息分页
+    dmHasMoreHistory, dmLoadingHistory, dmHasNewerMessages, loadOlderDMMessages, loadLatestDMMessages,
+    // 搜索结果跳转
+    highlightedMessageId, clearHighlightedMessage
   } = useChatStore();
   
   // 获取对方用户的在线状态
@@ -43,13 +61,17 @@ export default function DMChatArea() {
   const [input, setInput] = useState('');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [previewImage, setPreviewImage] = useState(null);
+  const [pendingFile, setPendingFile] = useState(null); // 待发送的文件附件
   const [lightboxOpen, setLightboxOpen] = useState(false);
   const [lightboxIndex, setLightboxIndex] = useState(0);
   const [expiredImages, setExpiredImages] = useState(() => new Set());
   const [activeMenuMsgId, setActiveMenuMsgId] = useState(null);
-  const messagesEndRef = useRef(null);
+  const [editingMessage, setEditingMessage] = useState(null); // 正在编辑的消息（输入框中是它的内容）
+  const [editHistoryMessage, setEditHistoryMessage] = useState(null); // 正在查看编辑记录的消息
+  const [reactionPickerMsgId, setReactionPickerMsgId] = useState(null); // 正在选择表情回应的消息ID
   const inputRef = useRef(null);
   const fileInputRef = useRef(null);
+  const attachmentInputRef = useRef(null);
 
   // 点击外部关闭消息菜单
   useEffect(() => {
@@ -59,10 +81,35 @@ export default function DMChatArea() {
     return () => document.removeEventListener('click', handleClick);
   }, [activeMenuMsgId]);
 
-  // 滚动到底部（始终无动画，确保立即到位）
-  const scrollToBottom = useCallback(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'auto' });
-  }, []);
+  // 加载中不显示消息列表，滚动控制以实际显示的消息为准
+  const visibleMessages = dmLoading ? NO_MESSAGES : dmMessages;
+  const {
+    containerRef: messagesContainerRef,
+    endRef: messagesEndRef,
+    handleScroll: handleMessagesScroll,
+    handleImageLoad,
+    followLatest
+  } = useHistoryScroll({
+    messages: visibleMessages,
+    resetKey: currentDM?.id,
+    userId: user?.id,
+    hasMore: dmHasMoreHistory,
+    loadingOlder: dmLoadingHistory,
+    loadOlder: loadOlderDMMessages,
+    focusMessageId: highlightedMessageId
+  });
+
+  // 搜索结果高亮几秒后取消
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(clearHighlightedMessage, 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, clearHighlightedMessage]);
+
+  const handleJumpToLatest = () => {
+    followLatest();
+    loadLatestDMMessages();
+  };
 
   const markImageExpired = useCallback((url) => {
     if (!url) return;
@@ -81,31 +128,6 @@ export default function DMChatArea() {
 
   const skeletons = useMemo(() => Array.from({ length: 6 }), []);
 
-  // 记录上一次消息数量，用于判断是否有新消息
-  const prevMsgCountRef = useRef(0);
-  
-  // 切换对话时重置计数
-  useEffect(() => {
-    prevMsgCountRef.current = 0;
-  }, [currentDM?.id]);
-  
-  // 只在有新消息时才滚动到底部
-  useEffect(() => {
-    const currentCount = dmMessages.length;
-    const prevCount = prevMsgCountRef.current;
-    
-    // 只有消息数量增加（新消息）或首次加载时才滚动
-    if (currentCount > prevCount || prevCount === 0) {
-      scrollToBottom();
-      // 延迟滚动，处理图片加载
-      const timer = setTimeout(scrollToBottom, 100);
-      prevMsgCountRef.current = currentCount;
-      return () => clearTimeout(timer);
-    }
-    
-    prevMsgCountRef.current = currentCount;
-  }, [dmMessages.length, scrollToBottom]);
-  
   // 清除未读（独立的 effect）
   useEffect(() => {
     if (currentDM) {
@@ -130,6 +152,35 @@ export default function DMChatArea() {
     }
   }, [replyingTo]);
 
+  // 切换会话时退出编辑
+  useEffect(() => {
+    setEditingMessage(null);
+  }, [currentDM?.id]);
+
+  // 自己的未撤回消息在编辑时限内可以编辑
+  const canEditMessage = (msg) =>
+    msg.senderId === user.id && !msg.recalled &&
+    Date.now() - new Date(msg.timestamp).getTime() < serverConfig.editWindowSeconds * 1000;
+
+  const startEditing = (msg) => {
+    if (previewImage) cancelImagePreview();
+    setPendingFile(null);
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setInput(msg.text || '');
+    requestAnimationFrame(() => inputRef.current?.focus());
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInput('');
+  };
+
+  const handleToggleReaction = async (messageId, emoji) => {
+    const res = await toggleDMReaction(messageId, emoji);
+    if (!res.success) showAlert(res.error || '操作失败', { variant: 'danger' });
+  };
+
   const handleEmojiClick = (emoji) => {
     const emojiChar = typeof emoji === 'string' ? emoji : emoji?.emoji;
     if (!emojiChar) return;
@@ -161,7 +212,21 @@ export default function DMChatArea() {
 
   const handleSend = async (e) => {
     e.preventDefault();
-    if (!input.trim() && !previewImage) return;
+
+    // 保存编辑
+    if (editingMessage) {
+      if (input === editingMessage.text) return cancelEditing();
+      if (!input.trim() && !editingMessage.imageUrl && !editingMessage.attachment) return;
+      const res = await editDMMessage(editingMessage.id, input);
+      if (res.success) {
+        cancelEditing();
+      } else {
+        showAlert(res.error || '编辑失败', { variant: 'danger' });
+      }
+      return;
+    }
+
+    if (!input.trim() && !previewImage && !pendingFile) return;
     
     // 发送文字
     if (input.trim()) {
@@ -176,6 +241,31 @@ export default function DMChatArea() {
       URL.revokeObjectURL(previewImage.preview);
       setPreviewImage(null);
     }
+
+    // 发送文件，失败时保留，可以重试
+    if (pendingFile) {
+      const res = await sendDMFileMessage(pendingFile);
+      if (res.success) setPendingFile(null);
+    }
+  };
+
+  // 文件附件处理函数（大小按全局上限检查，按类型的上限由服务端检查）
+  const selectAttachment = (file) => {
+    if (!file) return;
+    if (file.size === 0) {
+      showAlert('不能发送空文件', { variant: 'warning' });
+      return;
+    }
+    if (file.size > serverConfig.fileUploadMaxBytes) {
+      showAlert(`文件最大支持${formatFileSize(serverConfig.fileUploadMaxBytes)}`, { variant: 'warning' });
+      return;
+    }
+    setPendingFile(file);
+  };
+
+  const handleAttachmentSelect = (e) => {
+    selectAttachment(e.target.files?.[0]);
+    e.target.value = '';
   };
 
   // 图片处理函数
@@ -188,8 +278,8 @@ export default function DMChatArea() {
       return;
     }
     
-    if (file.size > 20 * 1024 * 1024) {
-      showAlert('图片最大支持20MB', { variant: 'warning' });
+    if (file.size > serverConfig.uploadMaxBytes) {
+      showAlert(`图片最大支持${Math.round(serverConfig.uploadMaxBytes / 1024 / 1024)}MB`, { variant: 'warning' });
       return;
     }
     
@@ -199,7 +289,7 @@ export default function DMChatArea() {
 
   const handlePaste = (e) => {
     const items = e.clipboardData?.items;
-    if (!items) return;
+    if (!items || editingMessage) return;
     
     for (const item of items) {
       if (item.type.startsWith('image/')) {
@@ -222,6 +312,8 @@ export default function DMChatArea() {
     if (file.type.startsWith('image/')) {
       const preview = URL.createObjectURL(file);
       setPreviewImage({ file, preview });
+    } else if (!editingMessage) {
+      selectAttachment(file);
     }
   };
 
@@ -274,6 +366,12 @@ export default function DMChatArea() {
         className="hidden"
         onChange={handleImageSelect}
       />
+      <input
+        ref={attachmentInputRef}
+        type="file"
+        className="hidden"
+        onChange={handleAttachmentSelect}
+      />
       
       {/* Header */}
       <div className="h-16 px-4 flex items-center justify-between border-b border-zinc-200/40 dark:border-zinc-700/40 bg-white/90 dark:bg-zinc-950/90 backdrop-blur-xl absolute top-0 left-0 right-0 z-20 transition-colors duration-300 shadow-sm">
@@ -313,7 +411,18 @@ export default function DMChatArea() {
       </div>
 
       {/* Messages Area */}
-      <div className="flex-1 overflow-y-auto pb-20 px-4 space-y-1 pt-16">
+      <div
+        ref={messagesContainerRef}
+        onScroll={handleMessagesScroll}
+        className="flex-1 overflow-y-auto pb-20 px-4 space-y-1 pt-16"
+      >
+        {/* 加载更早的消息 */}
+        {dmLoadingHistory && (
+          <div className="flex justify-center py-2">
+            <Loader2 size={16} className="animate-spin text-zinc-400" />
+          </div>
+        )}
+
         {/* 同步中提示（有缓存时显示小角标） */}
         {dmLoading && dmMessages.length > 0 && (
           <div className="flex justify-center">
@@ -344,7 +453,8 @@ export default function DMChatArea() {
           return (
             <div
               key={msg.id}
-              className={`group relative flex gap-3 py-2 ${isMe ? 'justify-end' : 'justify-start'}`}
+              data-message-id={msg.id}
+              className={`group relative flex gap-3 py-2 rounded-xl transition-colors duration-700 ${isMe ? 'justify-end' : 'justify-start'} ${msg.id === highlightedMessageId ? 'bg-amber-100/70 dark:bg-amber-500/15' : ''}`}
             >
               {/* Avatar - left side for others */}
               {!isMe && (
@@ -367,13 +477,23 @@ export default function DMChatArea() {
                       {/* 回复 - 只有未撤回的消息可以回复 */}
                       {!msg.recalled && (
                         <button 
-                          onClick={() => { setReplyingTo(msg); setActiveMenuMsgId(null); }}
+                          onClick={() => { if (editingMessage) cancelEditing(); setReplyingTo(msg); setActiveMenuMsgId(null); }}
                           className="p-1.5 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
                           title="回复"
                         >
                           <Reply size={14} />
                         </button>
                       )}
+                      {/* 表情回应 - 只有未撤回的消息可以回应 */}
+                      {!msg.recalled && (
+                        <button 
+                          onClick={() => { setReactionPickerMsgId(msg.id); setActiveMenuMsgId(null); }}
+                          className="p-1.5 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                          title="表情回应"
+                        >
+                          <SmilePlus size={14} />
+                        </button>
+                      )}
                       {/* 撤回 - 自己的未撤回消息 */}
                       {isMe && !msg.recalled && (
                         <button 
@@ -383,11 +503,21 @@ export default function DMChatArea() {
                             setActiveMenuMsgId(null);
                           }}
                           className="p-1.5 rounded-full text-zinc-500 hover:text-amber-500 hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
-                          title="撤回 (2分钟内)"
+                          title={`撤回 (${serverConfig.recallWindowText}内)`}
                         >
                           <Undo2 size={14} />
                         </button>
                       )}
+                      {/* 编辑 - 自己的未撤回消息（编辑时限内） */}
+                      {canEditMessage(msg) && (
+                        <button 
+                          onClick={() => { startEditing(msg); setActiveMenuMsgId(null); }}
+                          className="p-1.5 rounded-full text-zinc-500 hover:text-indigo-500 hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                          title={`编辑 (${serverConfig.editWindowText}内)`}
+                        >
+                          <Pencil size={14} />
+                        </button>
+                      )}
                       {/* 删除 - 自己的已撤回消息 或 管理员任意消息 */}
                       {((isMe && msg.recalled) || user?.isAdmin) && (
                         <button 
@@ -467,13 +597,13 @@ export default function DMChatArea() {
                         )}
                         {msg.replyTo.imageUrl && expiredImages.has(msg.replyTo.imageUrl) && (
                           <div className="mt-1 inline-flex items-center justify-center max-w-[140px] h-[72px] rounded-md bg-zinc-100 dark:bg-zinc-800 text-[11px] text-zinc-500 dark:text-zinc-400 text-center px-2">
-                            图片已过期（超过15天自动清理）
+                            图片已过期（超过{serverConfig.imageRetentionDays}天自动清理）
                           </div>
                         )}
 
                         {msg.replyTo.text && (
                           <div className={`truncate ${isMe ? 'text-zinc-400 dark:text-zinc-500' : 'text-zinc-500 dark:text-zinc-500'} ${msg.replyTo.imageUrl ? 'mt-1' : ''}`}>
-                            {msg.replyTo.text}
+                            {markdownToPlainText(msg.replyTo.text)}
                           </div>
                         )}
                     </div>
@@ -485,7 +615,7 @@ export default function DMChatArea() {
                       src={msg.imageUrl}
                       alt="Shared image"
                       className="max-w-[280px] max-h-[280px] rounded-xl cursor-zoom-in hover:opacity-90 transition-opacity"
-                      onLoad={() => scrollToBottom(true)}
+                      onLoad={handleImageLoad}
                       onError={() => markImageExpired(msg.imageUrl)}
                       onClick={() => {
                         const imageMessages = dmMessages.filter(m => m.imageUrl && !expiredImages.has(m.imageUrl));
@@ -498,20 +628,49 @@ export default function DMChatArea() {
                   {msg.imageUrl && expiredImages.has(msg.imageUrl) && (
                     <div className="max-w-[280px] max-h-[280px] rounded-xl bg-zinc-100 dark:bg-zinc-800 flex flex-col items-center justify-center px-4 py-6 text-xs text-zinc-500 dark:text-zinc-400 text-center">
                       <span className="font-medium mb-1">图片已过期</span>
-                      <span className="text-[11px] opacity-80">超过15天的图片会被自动清理</span>
+                      <span className="text-[11px] opacity-80">超过{serverConfig.imageRetentionDays}天的图片会被自动清理</span>
                     </div>
                   )}
 
+                  {/* 文件附件 */}
+                  <AttachmentCard
+                    attachment={msg.attachment}
+                    isMe={isMe}
+                    timestamp={msg.timestamp}
+                    retentionDays={serverConfig.fileRetentionDays}
+                  />
+
                   {/* 文本消息 */}
                   {msg.text && (
-                    <p className={`text-[15px] leading-relaxed break-words ${msg.imageUrl ? 'mt-2' : ''}`}>
-                      {msg.text}
-                    </p>
+                    <div className={`text-[15px] leading-relaxed break-words ${msg.imageUrl || msg.attachment ? 'mt-2' : ''}`}>
+                      <MessageMarkdown text={msg.text} isMe={isMe} />
+                    </div>
                   )}
+                  <LinkPreviewCard preview={msg.linkPreview} isMe={isMe} />
                 </div>
                 )}
+                {!msg.recalled && (
+                  <MessageReactions
+                    reactions={msg.reactions}
+                    userId={user.id}
+                    isMe={isMe}
+                    pickerOpen={reactionPickerMsgId === msg.id}
+                    onOpenPicker={() => setReactionPickerMsgId(msg.id)}
+                    onClosePicker={() => setReactionPickerMsgId(null)}
+                    onToggle={(emoji) => handleToggleReaction(msg.id, emoji)}
+                  />
+                )}
                 <span className={`text-[11px] text-zinc-400 dark:text-zinc-600 mt-1 block ${isMe ? 'text-right' : 'text-left'}`}>
                   {formatMessageTime(msg.timestamp)}
+                  {msg.editedAt && !msg.recalled && (
+                    <button
+                      onClick={() => setEditHistoryMessage(msg)}
+                      className="ml-1 hover:text-zinc-600 dark:hover:text-zinc-400 hover:underline"
+                      title="查看编辑记录"
+                    >
+                      (已编辑)
+                    </button>
+                  )}
                   {/* 已读状态 */}
                   {isMe && !msg.recalled && (
                     <span className={`ml-1.5 text-[10px] ${msg.isRead ? 'text-blue-500' : ''}`}>
@@ -537,6 +696,16 @@ export default function DMChatArea() {
 
       {/* Input Area */}
       <div className="border-t border-zinc-200 dark:border-zinc-800 bg-white dark:bg-black">
+        {/* 正在查看更早的消息，最新消息已不在列表中 */}
+        {dmHasNewerMessages && (
+          <button
+            onClick={handleJumpToLatest}
+            className="w-full flex items-center justify-center gap-1 py-2 text-xs font-medium text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-500/10 hover:bg-indigo-100 dark:hover:bg-indigo-500/20 transition-colors"
+          >
+            <ArrowDown size={12} />
+            回到最新消息
+          </button>
+        )}
         {/* Reply Preview Bar */}
         {replyingTo && (
           <motion.div
@@ -564,7 +733,7 @@ export default function DMChatArea() {
                   Replying to {replyingTo.sender}
                 </span>
                 <span className="text-xs text-zinc-500 dark:text-zinc-400 truncate">
-                  {replyingTo.text || (replyingTo.imageUrl ? '[图片]' : '')}
+                  {markdownToPlainText(replyingTo.text) || (replyingTo.imageUrl ? '[图片]' : '')}
                 </span>
               </div>
             </div>
@@ -577,6 +746,31 @@ export default function DMChatArea() {
           </motion.div>
         )}
 
+        {/* Editing Bar */}
+        {editingMessage && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ duration: 0.1 }}
+            className="flex items-center justify-between px-4 py-2 bg-zinc-50 dark:bg-zinc-900 border-b border-zinc-100 dark:border-zinc-800"
+          >
+            <div className="flex flex-col overflow-hidden border-l-2 border-indigo-500 pl-3">
+              <span className="text-xs font-bold text-zinc-900 dark:text-zinc-200 mb-0.5">
+                编辑消息
+              </span>
+              <span className="text-xs text-zinc-500 dark:text-zinc-400 truncate">
+                {markdownToPlainText(editingMessage.text) || (editingMessage.attachment ? `[文件] ${editingMessage.attachment.name}` : '[图片]')}
+              </span>
+            </div>
+            <button
+              onClick={cancelEditing}
+              className="p-1 rounded-full hover:bg-zinc-200 dark:hover:bg-zinc-800 text-zinc-500 shrink-0"
+            >
+              <X size={16} />
+            </button>
+          </motion.div>
+        )}
+
         {/* Image Preview */}
         {previewImage && (
           <motion.div
@@ -606,6 +800,33 @@ export default function DMChatArea() {
             </motion.div>
         )}
 
+        {/* File Preview */}
+        {pendingFile && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ duration: 0.1 }}
+            className="px-4 py-3 bg-zinc-50 dark:bg-zinc-900 border-b border-zinc-100 dark:border-zinc-800"
+          >
+            <div className="relative inline-flex items-center gap-3 max-w-full pl-3 pr-4 py-2 rounded-lg bg-white dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700">
+              {uploadingFile
+                ? <Loader2 size={20} className="animate-spin text-zinc-500 shrink-0" />
+                : <File size={20} className="text-zinc-500 shrink-0" />}
+              <div className="min-w-0">
+                <div className="text-[13px] font-medium text-zinc-900 dark:text-white truncate">{pendingFile.name}</div>
+                <div className="text-[11px] text-zinc-500 dark:text-zinc-400">{formatFileSize(pendingFile.size)}</div>
+              </div>
+              <button
+                onClick={() => setPendingFile(null)}
+                disabled={uploadingFile}
+                className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-red-500 text-white flex items-center justify-center hover:bg-red-600 transition-colors shadow-sm disabled:opacity-50"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          </motion.div>
+        )}
+
         <div className="p-4">
           <form onSubmit={handleSend} className="flex items-center gap-2 sm:gap-3">
             <img 
@@ -614,25 +835,35 @@ export default function DMChatArea() {
               className="w-10 h-10 rounded-full shrink-0 bg-zinc-200 dark:bg-zinc-700"
             />
             <div className="flex-1 flex items-center gap-2 min-w-0">
-              <input
+              <ComposerTextarea
                 ref={inputRef}
-                type="text"
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
                 onFocus={handleInputFocus}
                 onPaste={handlePaste}
                 placeholder="Type a message..."
-                className="flex-1 h-12 px-3 sm:px-4 bg-transparent text-[15px] sm:text-[17px] text-zinc-900 dark:text-white placeholder-zinc-500 focus:outline-none min-w-0"
+                className="flex-1 py-3 px-3 sm:px-4 bg-transparent text-[15px] sm:text-[17px] leading-6 text-zinc-900 dark:text-white placeholder-zinc-500 focus:outline-none min-w-0"
               />
               {/* Image Upload Button */}
               <button
                 type="button"
                 onClick={() => fileInputRef.current?.click()}
-                className="h-9 w-9 flex items-center justify-center rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors shrink-0"
+                disabled={!!editingMessage}
+                className="h-9 w-9 flex items-center justify-center rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors shrink-0 disabled:opacity-50"
                 title="Upload image"
               >
                 <Image size={18} />
               </button>
+              {/* File Upload Button */}
+              <button
+                type="button"
+                onClick={() => attachmentInputRef.current?.click()}
+                disabled={!!editingMessage}
+                className="h-9 w-9 flex items-center justify-center rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors shrink-0 disabled:opacity-50"
+                title="Upload file"
+              >
+                <Paperclip size={18} />
+              </button>
               <div className="relative shrink-0">
                 <button
                   type="button"
@@ -674,15 +905,23 @@ export default function DMChatArea() {
             <motion.button
               whileTap={{ scale: 0.95 }}
               type="submit"
-              disabled={(!input.trim() && !previewImage) || uploadingImage}
+              disabled={editingMessage
+                ? (!input.trim() && !editingMessage.imageUrl && !editingMessage.attachment)
+                : ((!input.trim() && !previewImage && !pendingFile) || uploadingImage || uploadingFile)}
               className="h-9 px-4 sm:px-5 bg-zinc-900 dark:bg-white hover:bg-black dark:hover:bg-zinc-200 text-white dark:text-black text-[14px] sm:text-[15px] font-bold rounded-full disabled:opacity-50 disabled:cursor-not-allowed transition-colors shrink-0 whitespace-nowrap"
             >
-              {uploadingImage ? 'Sending...' : 'Send'}
+              {editingMessage ? '保存' : (uploadingImage || uploadingFile ? 'Sending...' : 'Send')}
             </motion.button>
           </form>
         </div>
       </div>
 
+      <MessageEditHistoryModal
+        message={editHistoryMessage}
+        onClose={() => setEditHistoryMessage(null)}
+        loadEdits={fetchDMMessageEdits}
+      />
+
       {/* Image Lightbox */}
       <Suspense fallback={null}>
         <LightboxLazy
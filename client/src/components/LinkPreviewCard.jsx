@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+
+// 消息中第一个链接的预览卡片（服务端抓取的标题、描述和图片），点击在新窗口打开链接
+// isMe 为自己发出的消息（气泡是反色的）
+export default function LinkPreviewCard({ preview, isMe = false }) {
+  const [imageFailed, setImageFailed] = useState(false);
+  if (!preview) return null;
+
+  return (
+    <a
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+      onClick={(e) => e.stopPropagation()}
+      className={`mt-2 flex max-w-[320px] overflow-hidden rounded-xl border transition-opacity hover:opacity-90 ${
+        isMe
+          ? 'border-white/15 dark:border-black/10 bg-white/10 dark:bg-black/5'
+          : 'border-zinc-200 dark:border-zinc-700 bg-white dark:bg-zinc-900'
+      }`}
+    >
+      {preview.image && !imageFailed && (
+        <img
+          src={preview.image}
+          alt=""
+          loading="lazy"
+          referrerPolicy="no-referrer"
+          onError={() => setImageFailed(true)}
+          className="w-20 shrink-0 object-cover bg-zinc-200 dark:bg-zinc-800"
+        />
+      )}
+      <div className="min-w-0 px-3 py-2">
+        <div className={`text-[11px] truncate ${isMe ? 'text-zinc-400 dark:text-zinc-500' : 'text-zinc-500 dark:text-zinc-400'}`}>
+          {preview.siteName}
+        </div>
+        {preview.title && (
+          <div className="text-[13px] font-semibold leading-snug line-clamp-2">{preview.title}</div>
+        )}
+        {preview.description && (
+          <div className={`mt-0.5 text-[12px] leading-snug line-clamp-2 ${isMe ? 'text-zinc-300 dark:text-zinc-600' : 'text-zinc-600 dark:text-zinc-400'}`}>
+            {preview.description}
+          </div>
+        )}
+      </div>
+    </a>
+  );
+}
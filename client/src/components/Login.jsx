@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useChatStore } from '../store';
 import { useThemeStore } from '../themeStore';
@@ -6,6 +6,9 @@ import { MessageCircle, Eye, EyeOff, Sun, Moon } from 'lucide-react';
 
 export default function Login() {
   const login = useChatStore((state) => state.login);
+  const register = useChatStore((state) => state.register);
+  const verifyTwoFactor = useChatStore((state) => state.verifyTwoFactor);
+  const fetchRegistrationPolicy = useChatStore((state) => state.fetchRegistrationPolicy);
   const { theme, toggleTheme } = useThemeStore();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
@@ -13,6 +16,76 @@ export default function Login() {
   const [error, setError] = useState('');
   const [usernameError, setUsernameError] = useState('');
   const [showForgotPassword, setShowForgotPassword] = useState(false);
+  const [mode, setMode] = useState('login'); // 'login' | 'register'
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [policy, setPolicy] = useState('open'); // 注册策略：open / invite / closed
+  const [retryUntil, setRetryUntil] = useState(0); // 登录限流：在此时间之前不能再次提交
+  const [locked, setLocked] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [challenge, setChallenge] = useState(null); // 密码正确、等待输入两步验证码
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const retrySeconds = Math.max(0, Math.ceil((retryUntil - now) / 1000));
+
+  // 等待期间每秒刷新倒计时
+  useEffect(() => {
+    if (retryUntil <= Date.now()) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= retryUntil) {
+        clearInterval(timer);
+        setLocked(false);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryUntil]);
+
+  useEffect(() => {
+    fetchRegistrationPolicy().then(setPolicy);
+  }, [fetchRegistrationPolicy]);
+
+  const isRegister = mode === 'register';
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+    setConfirmPassword('');
+  };
+
+  const applyFailure = (result) => {
+    setError(result.error || '登录失败');
+    setLocked(!!result.locked);
+    if (result.retryAfter) {
+      setNow(Date.now());
+      setRetryUntil(Date.now() + result.retryAfter * 1000);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    if (!twoFactorCode.trim() || retrySeconds > 0) return;
+
+    setError('');
+    const result = await verifyTwoFactor(challenge, twoFactorCode.trim());
+    if (!result.success) {
+      applyFailure(result);
+      setTwoFactorCode('');
+      // 验证已过期或错误次数过多：回到密码步骤
+      if (result.expired) setChallenge(null);
+    }
+  };
+
+  const backToPassword = () => {
+    setChallenge(null);
+    setTwoFactorCode('');
+    setError('');
+  };
+
+  const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} 秒`;
+    return `${Math.floor(seconds / 60)} 分 ${String(seconds % 60).padStart(2, '0')} 秒`;
+  };
 
   const validateUsername = (value) => {
     if (!value) {
@@ -49,12 +122,25 @@ export default function Login() {
     e.preventDefault();
     if (!username.trim() || !password.trim()) return;
     if (usernameError) return; // Don't submit if username has errors
+    if (retrySeconds > 0) return;
     
     setError('');
+
+    if (isRegister && password !== confirmPassword) {
+      setError('两次输入的密码不一致');
+      return;
+    }
     
-    const result = await login(username, password);
+    const result = isRegister
+      ? await register(username, password, inviteCode)
+      : await login(username, password);
+    if (result.twoFactorRequired) {
+      setChallenge(result.challenge);
+      setPassword('');
+      return;
+    }
     if (!result.success) {
-      setError(result.error || '登录失败');
+      applyFailure(result);
     }
     // Modal is now handled by App.jsx
   };
@@ -83,14 +169,60 @@ export default function Login() {
             <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-zinc-900 dark:bg-white mb-8">
                 <MessageCircle size={32} className="text-white dark:text-black" />
             </div>
-            <h1 className="text-[31px] font-bold text-zinc-900 dark:text-white tracking-tight">Sign in to SecretSpace</h1>
+            <h1 className="text-[31px] font-bold text-zinc-900 dark:text-white tracking-tight">
+              {challenge ? 'Two-step verification' : isRegister ? 'Join SecretSpace' : 'Sign in to SecretSpace'}
+            </h1>
             </div>
 
+            {challenge ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-5">
+            {error && (
+                <div className="text-red-500 text-sm font-medium text-center bg-red-50 dark:bg-red-500/10 p-2 rounded-md border border-red-100 dark:border-red-500/20">
+                    {error}
+                    {locked && retrySeconds > 0 && (
+                      <div className="mt-1 text-xs font-normal">剩余锁定时间：{formatWait(retrySeconds)}</div>
+                    )}
+                </div>
+            )}
+            <p className="text-[15px] text-zinc-500 text-center">
+              请输入认证应用中的 6 位验证码，或使用一个恢复码
+            </p>
+            <input
+                type="text"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                placeholder="123456"
+                autoFocus
+                autoComplete="one-time-code"
+                maxLength={11}
+                className="w-full h-14 px-4 text-[20px] text-center tracking-[0.3em] rounded-md bg-transparent border border-zinc-300 dark:border-zinc-700 text-zinc-900 dark:text-white placeholder:text-zinc-400 focus:outline-none focus:border-zinc-900 dark:focus:border-white focus:ring-1 focus:ring-zinc-900 dark:focus:ring-white transition-all"
+            />
+            <motion.button
+                type="submit"
+                disabled={!twoFactorCode.trim() || retrySeconds > 0}
+                whileTap={{ scale: 0.98 }}
+                className="w-full h-14 flex items-center justify-center rounded-full bg-zinc-900 dark:bg-white text-white dark:text-black text-[17px] font-bold hover:bg-black dark:hover:bg-zinc-200 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {retrySeconds > 0 ? `请等待 ${formatWait(retrySeconds)}` : 'Verify'}
+            </motion.button>
+            <button
+              type="button"
+              onClick={backToPassword}
+              className="w-full text-sm text-zinc-500 hover:text-zinc-900 dark:hover:text-white transition-colors"
+            >
+              返回重新输入密码
+            </button>
+            </form>
+            ) : (
+            <>
             {/* Form */}
             <form onSubmit={handleSubmit} className="space-y-5">
             {error && (
                 <div className="text-red-500 text-sm font-medium text-center bg-red-50 dark:bg-red-500/10 p-2 rounded-md border border-red-100 dark:border-red-500/20">
                     {error}
+                    {locked && retrySeconds > 0 && (
+                      <div className="mt-1 text-xs font-normal">剩余锁定时间：{formatWait(retrySeconds)}</div>
+                    )}
                 </div>
             )}
             <div className="h-[72px]">
@@ -130,28 +262,70 @@ export default function Login() {
                       {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
                   </button>
               </div>
-              <button
-                type="button"
-                onClick={() => setShowForgotPassword(true)}
-                className="mt-2 text-sm text-zinc-500 hover:text-zinc-900 dark:hover:text-white transition-colors"
-              >
-                忘记密码？
-              </button>
+              {!isRegister && (
+                <button
+                  type="button"
+                  onClick={() => setShowForgotPassword(true)}
+                  className="mt-2 text-sm text-zinc-500 hover:text-zinc-900 dark:hover:text-white transition-colors"
+                >
+                  忘记密码？
+                </button>
+              )}
             </div>
 
+            {isRegister && (
+              <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="Confirm Password"
+                  className="w-full h-14 px-4 text-[17px] rounded-md bg-transparent border border-zinc-300 dark:border-zinc-700 text-zinc-900 dark:text-white placeholder:text-zinc-500 focus:outline-none focus:border-zinc-900 dark:focus:border-white focus:ring-1 focus:ring-zinc-900 dark:focus:ring-white transition-all"
+              />
+            )}
+
+            {isRegister && policy === 'invite' && (
+              <input
+                  type="text"
+                  value={inviteCode}
+                  onChange={(e) => setInviteCode(e.target.value)}
+                  placeholder="Invite Code"
+                  className="w-full h-14 px-4 text-[17px] uppercase rounded-md bg-transparent border border-zinc-300 dark:border-zinc-700 text-zinc-900 dark:text-white placeholder:text-zinc-500 placeholder:normal-case focus:outline-none focus:border-zinc-900 dark:focus:border-white focus:ring-1 focus:ring-zinc-900 dark:focus:ring-white transition-all"
+              />
+            )}
+
             <motion.button
                 type="submit"
-                disabled={!username.trim() || !password.trim() || !!usernameError}
+                disabled={
+                  !username.trim() || !password.trim() || !!usernameError || retrySeconds > 0 ||
+                  (isRegister && (!confirmPassword || (policy === 'invite' && !inviteCode.trim())))
+                }
                 whileTap={{ scale: 0.98 }}
                 className="w-full h-14 flex items-center justify-center rounded-full bg-zinc-900 dark:bg-white text-white dark:text-black text-[17px] font-bold hover:bg-black dark:hover:bg-zinc-200 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
             >
-                Sign In / Sign Up
+                {retrySeconds > 0 ? `请等待 ${formatWait(retrySeconds)}` : (isRegister ? 'Sign Up' : 'Sign In')}
             </motion.button>
             </form>
 
             <p className="text-center text-[15px] text-zinc-500 mt-10">
-              新用户将自动注册，请牢记密码
+              {isRegister ? (
+                <>
+                  已有账号？
+                  <button type="button" onClick={switchMode} className="font-medium text-zinc-900 dark:text-white hover:underline">登录</button>
+                </>
+              ) : policy === 'closed' ? (
+                '当前未开放注册，请联系管理员'
+              ) : (
+                <>
+                  还没有账号？
+                  <button type="button" onClick={switchMode} className="font-medium text-zinc-900 dark:text-white hover:underline">注册</button>
+                </>
+              )}
             </p>
+            {isRegister && (
+              <p className="text-center text-[13px] text-zinc-400 mt-2">请牢记密码，忘记后只能联系管理员重置</p>
+            )}
+            </>
+            )}
         </div>
       </motion.div>
 
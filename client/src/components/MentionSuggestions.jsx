@@ -0,0 +1,43 @@
+import React from 'react';
+import clsx from 'clsx';
+import { AtSign } from 'lucide-react';
+import { getPresetAvatarUrl } from '../utils';
+
+// 输入框上方的 @ 候选列表，options 来自 useMentionAutocomplete
+export default function MentionSuggestions({ options, activeIndex, onSelect, onHover }) {
+  if (options.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-full left-0 mb-2 z-40 w-64 max-w-full py-1 rounded-xl bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 shadow-lg">
+      {options.map((option, index) => (
+        <button
+          key={option.name}
+          type="button"
+          // 用 mousedown 选择，避免输入框先失去焦点
+          onMouseDown={(e) => { e.preventDefault(); onSelect(option); }}
+          onMouseEnter={() => onHover(index)}
+          className={clsx(
+            'w-full flex items-center gap-2 px-3 py-1.5 text-left transition-colors',
+            index === activeIndex ? 'bg-zinc-100 dark:bg-zinc-800' : ''
+          )}
+        >
+          {option.description ? (
+            <span className="w-6 h-6 rounded-full bg-amber-100 dark:bg-amber-500/20 flex items-center justify-center shrink-0">
+              <AtSign size={12} className="text-amber-600 dark:text-amber-400" />
+            </span>
+          ) : (
+            <img
+              src={getPresetAvatarUrl(option.avatarId, option.name)}
+              alt={option.name}
+              className="w-6 h-6 rounded-full shrink-0 bg-zinc-200 dark:bg-zinc-700"
+            />
+          )}
+          <span className="text-[14px] font-medium text-zinc-900 dark:text-white">@{option.name}</span>
+          {option.description && (
+            <span className="text-[11px] text-zinc-400 truncate">{option.description}</span>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+}
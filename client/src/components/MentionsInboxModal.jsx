@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Hash, Image, Loader2, MessageSquare } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useChatStore } from '../store';
+import { formatMessageTime, splitMentions } from '../utils';
+import { markdownToPlainText } from '../markdown';
+
+// 提及我的消息：打开时加载并全部标为已读（未读的仍显示圆点直到关闭），点击跳转到对应的消息
+export default function MentionsInboxModal({ isOpen, onClose }) {
+  const { fetchMentions, markMentionsRead, jumpToMessage } = useChatStore();
+  const [mentions, setMentions] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const load = async (before) => {
+    setLoading(true);
+    const response = await fetchMentions({ before });
+    setLoading(false);
+    if (!response.success) {
+      toast.error(response.error || '加载提及失败');
+      return null;
+    }
+    setMentions((prev) => (before ? [...(prev || []), ...response.mentions] : response.mentions));
+    setHasMore(response.hasMore);
+    return response;
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setMentions(null);
+    load().then((response) => {
+      if (response?.unreadCount > 0) markMentionsRead();
+    });
+  }, [isOpen]);
+
+  const handleOpen = async (mention) => {
+    const response = await jumpToMessage(mention);
+    if (response?.success) {
+      onClose();
+    } else if (response?.error) {
+      toast.error(response.error);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            className="bg-white dark:bg-zinc-900 rounded-2xl p-5 w-full max-w-[480px] max-h-[85dvh] flex flex-col shadow-2xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-zinc-900 dark:text-white">提及我的</h3>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+              >
+                <X size={20} className="text-zinc-500" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto -mx-2 px-2 space-y-1">
+              {!mentions && (
+                <div className="flex justify-center py-6">
+                  <Loader2 size={18} className="animate-spin text-zinc-400" />
+                </div>
+              )}
+              {mentions && mentions.length === 0 && (
+                <div className="text-center py-6 text-zinc-400 text-[13px]">还没有人提到你</div>
+              )}
+              {mentions?.map((mention) => {
+                const { message } = mention;
+                return (
+                  <button
+                    key={mention.id}
+                    onClick={() => handleOpen(mention)}
+                    className="w-full text-left p-3 rounded-xl hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                  >
+                    <div className="flex items-center gap-1.5 text-[11px] text-zinc-400 mb-1">
+                      {!mention.isRead && <span className="w-1.5 h-1.5 rounded-full bg-red-500 shrink-0" />}
+                      <Hash size={11} />
+                      <span className="truncate">{mention.scopeName}</span>
+                      {message.threadRootId && (
+                        <span className="flex items-center gap-0.5 shrink-0"><MessageSquare size={10} />话题</span>
+                      )}
+                      <span>·</span>
+                      <span className="font-medium text-zinc-500 dark:text-zinc-400">{message.sender}</span>
+                      <span className="ml-auto shrink-0">{formatMessageTime(message.timestamp)}</span>
+                    </div>
+                    <div className="flex items-start gap-1.5 text-sm text-zinc-800 dark:text-zinc-200 break-words">
+                      {message.imageUrl && <Image size={14} className="shrink-0 mt-0.5 text-zinc-400" />}
+                      <span className="line-clamp-3">
+                        {splitMentions(markdownToPlainText(message.text), message.mentions).map((part, i) => (
+                          part.mention
+                            ? <span key={i} className="font-semibold text-indigo-600 dark:text-indigo-400">{part.text}</span>
+                            : <React.Fragment key={i}>{part.text}</React.Fragment>
+                        ))}
+                      </span>
+                    </div>
+                  </button>
+                );
+              })}
+              {hasMore && (
+                <button
+                  onClick={() => load(mentions[mentions.length - 1].id)}
+                  disabled={loading}
+                  className="w-full py-2 text-[12px] font-medium text-indigo-600 dark:text-indigo-400 hover:underline disabled:opacity-50"
+                >
+                  {loading ? '加载中...' : '加载更多'}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatMessageTime } from '../utils';
+
+// 消息的编辑记录：当前内容和编辑前的各个版本（最新的在前）
+// loadEdits(messageId) 返回 { success, edits: [{ text, editedAt }] }（房间和私聊分别传入对应的 store 方法）
+export default function MessageEditHistoryModal({ message, onClose, loadEdits }) {
+  const [edits, setEdits] = useState(null);
+
+  useEffect(() => {
+    if (!message) return;
+    let cancelled = false;
+    setEdits(null);
+    loadEdits(message.id).then((res) => {
+      if (cancelled) return;
+      if (res?.success) {
+        setEdits(res.edits);
+      } else {
+        toast.error(res?.error || '获取编辑记录失败');
+        onClose();
+      }
+    });
+    return () => { cancelled = true; };
+  }, [message?.id]);
+
+  // 每个版本的时间：原始内容为发送时间，之后每个版本为产生它的那次编辑的时间
+  const versions = edits && message
+    ? [
+        ...edits.map((edit, i) => ({ text: edit.text, time: i === 0 ? message.timestamp : edits[i - 1].editedAt })),
+        { text: message.text, time: message.editedAt, current: true }
+      ].reverse()
+    : [];
+
+  return (
+    <AnimatePresence>
+      {message && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            className="bg-white dark:bg-zinc-900 rounded-2xl p-5 w-full max-w-[420px] max-h-[80dvh] flex flex-col shadow-2xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-zinc-900 dark:text-white">编辑记录</h3>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+              >
+                <X size={20} className="text-zinc-500" />
+              </button>
+            </div>
+
+            {!edits ? (
+              <div className="flex justify-center py-6">
+                <Loader2 size={18} className="animate-spin text-zinc-400" />
+              </div>
+            ) : (
+              <div className="flex-1 overflow-y-auto space-y-2">
+                {versions.map((version, i) => (
+                  <div key={i} className="p-3 rounded-xl bg-zinc-50 dark:bg-zinc-800">
+                    <div className="flex items-center justify-between text-[11px] text-zinc-400 mb-1">
+                      <span>{version.current ? '当前内容' : (i === versions.length - 1 ? '原始内容' : '历史版本')}</span>
+                      <span>{formatMessageTime(version.time)}</span>
+                    </div>
+                    <p className="text-sm text-zinc-800 dark:text-zinc-200 break-words whitespace-pre-wrap">
+                      {version.text || <span className="italic text-zinc-400">（无文字）</span>}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
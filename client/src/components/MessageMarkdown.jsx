@@ -0,0 +1,101 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../markdown';
+import { highlightCode } from '../highlight';
+import { splitMentions } from '../utils';
+
+// 代码块固定深色背景，高亮颜色按深色背景选
+const TOKEN_CLASSES = {
+  keyword: 'text-violet-300',
+  string: 'text-emerald-300',
+  number: 'text-amber-300',
+  comment: 'text-zinc-500 italic'
+};
+
+// 消息文本的 Markdown 渲染，生效的 @ 提及加粗显示
+// isMe 为自己发出的消息（气泡是反色的）
+export default function MessageMarkdown({ text, mentions, isMe = false }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  const mentionClass = isMe ? 'text-indigo-300 dark:text-indigo-600' : 'text-indigo-600 dark:text-indigo-400';
+  const inlineCodeClass = isMe ? 'bg-white/15 dark:bg-black/10' : 'bg-black/5 dark:bg-white/10';
+  const quoteClass = isMe ? 'border-zinc-500' : 'border-zinc-300 dark:border-zinc-600';
+
+  const renderInline = (nodes) => nodes.map((node, i) => {
+    switch (node.type) {
+      case 'strong':
+        return <strong key={i} className="font-bold">{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case 'code':
+        return (
+          <code key={i} className={`px-1 py-0.5 rounded font-mono text-[0.9em] select-text ${inlineCodeClass}`}>
+            {node.text}
+          </code>
+        );
+      case 'link':
+        return (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+            onClick={(e) => e.stopPropagation()}
+            className="underline underline-offset-2 break-all hover:opacity-80"
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      default:
+        return splitMentions(node.text, mentions).map((part, j) => (
+          part.mention
+            ? <span key={`${i}-${j}`} className={`font-semibold ${mentionClass}`}>{part.text}</span>
+            : <React.Fragment key={`${i}-${j}`}>{part.text}</React.Fragment>
+        ));
+    }
+  });
+
+  const renderBlocks = (nodes) => nodes.map((block, i) => {
+    switch (block.type) {
+      case 'code_block':
+        return (
+          <pre
+            key={i}
+            className="my-1 px-3 py-2 rounded-lg bg-zinc-900 border border-white/10 text-zinc-100 text-[13px] leading-snug font-mono overflow-x-auto select-text cursor-text"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <code>
+              {highlightCode(block.text, block.lang).map((token, j) => (
+                token.type === 'plain'
+                  ? <React.Fragment key={j}>{token.text}</React.Fragment>
+                  : <span key={j} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+              ))}
+            </code>
+          </pre>
+        );
+      case 'blockquote':
+        return (
+          <blockquote key={i} className={`my-1 pl-3 border-l-2 opacity-90 ${quoteClass}`}>
+            {renderBlocks(block.children)}
+          </blockquote>
+        );
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List
+            key={i}
+            start={block.ordered ? block.start : undefined}
+            className={`my-1 pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+          >
+            {block.items.map((item, j) => (
+              <li key={j} className="whitespace-pre-wrap">{renderInline(item)}</li>
+            ))}
+          </List>
+        );
+      }
+      default:
+        return <p key={i} className="whitespace-pre-wrap">{renderInline(block.children)}</p>;
+    }
+  });
+
+  return <div className="space-y-1 min-w-0">{renderBlocks(blocks)}</div>;
+}
@@ -0,0 +1,72 @@
+import React, { Suspense } from 'react';
+import clsx from 'clsx';
+import { SmilePlus } from 'lucide-react';
+
+const EmojiPickerLazy = React.lazy(() => import('emoji-picker-react'));
+
+// 消息下方的表情回应：已有的表情和人数，点击切换自己的回应；pickerOpen 时显示表情选择器
+// reactions: [{ emoji, userIds, usernames }]
+export default function MessageReactions({ reactions = [], userId, isMe, pickerOpen, onOpenPicker, onClosePicker, onToggle }) {
+  if (reactions.length === 0 && !pickerOpen) return null;
+
+  const handlePick = (emojiData) => {
+    onClosePicker();
+    onToggle(emojiData.emoji);
+  };
+
+  return (
+    <div className={clsx('relative flex flex-wrap items-center gap-1 mt-1', isMe ? 'justify-end' : 'justify-start')}>
+      {reactions.map(({ emoji, userIds, usernames }) => {
+        const mine = userIds.includes(userId);
+        return (
+          <button
+            key={emoji}
+            onClick={(e) => { e.stopPropagation(); onToggle(emoji); }}
+            title={usernames.filter(Boolean).join('、')}
+            className={clsx(
+              'h-6 px-1.5 flex items-center gap-1 rounded-full border text-[13px] transition-colors',
+              mine
+                ? 'bg-indigo-50 dark:bg-indigo-500/15 border-indigo-300 dark:border-indigo-500/50'
+                : 'bg-zinc-50 dark:bg-zinc-900 border-zinc-200 dark:border-zinc-700 hover:bg-zinc-100 dark:hover:bg-zinc-800'
+            )}
+          >
+            <span>{emoji}</span>
+            <span className={clsx('text-[11px] font-medium', mine ? 'text-indigo-600 dark:text-indigo-300' : 'text-zinc-500')}>
+              {userIds.length}
+            </span>
+          </button>
+        );
+      })}
+      {reactions.length > 0 && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onOpenPicker(); }}
+          className="h-6 w-6 flex items-center justify-center rounded-full text-zinc-400 hover:text-zinc-700 dark:hover:text-zinc-200 hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+          title="添加表情回应"
+        >
+          <SmilePlus size={14} />
+        </button>
+      )}
+
+      {pickerOpen && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={(e) => { e.stopPropagation(); onClosePicker(); }} />
+          <div
+            className={clsx('absolute top-full mt-1 z-40', isMe ? 'right-0' : 'left-0')}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <Suspense fallback={null}>
+              <EmojiPickerLazy
+                reactionsDefaultOpen
+                onReactionClick={handlePick}
+                onEmojiClick={handlePick}
+                lazyLoadEmojis
+                width={320}
+                height={380}
+              />
+            </Suspense>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
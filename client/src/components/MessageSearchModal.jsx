@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Search, Hash, MessageCircle, Image, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+import { useChatStore } from '../store';
+import { formatMessageTime } from '../utils';
+import { markdownToPlainText } from '../markdown';
+
+const inputClass = 'w-full h-10 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-sm text-zinc-900 dark:text-white focus:border-indigo-500 outline-none';
+
+const SCOPES = [
+  { id: 'all', label: '全部' },
+  { id: 'rooms', label: '房间' },
+  { id: 'dms', label: '私聊' }
+];
+
+// 日期输入框的值（本地日期）转换为 ISO 时间；endOfDay 时取第二天零点（不包含）
+const toISODate = (value, endOfDay = false) => {
+  if (!value) return undefined;
+  const date = new Date(`${value}T00:00:00`);
+  if (endOfDay) date.setDate(date.getDate() + 1);
+  return date.toISOString();
+};
+
+// 把消息中的关键词标出来（不区分大小写）
+const highlightText = (text, query) => {
+  if (!query) return text;
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  const parts = [];
+  let start = 0;
+  let index = lowerText.indexOf(lowerQuery);
+  while (index !== -1) {
+    parts.push(text.slice(start, index));
+    parts.push(
+      <mark key={index} className="bg-amber-200 dark:bg-amber-500/40 text-inherit rounded-sm">
+        {text.slice(index, index + query.length)}
+      </mark>
+    );
+    start = index + query.length;
+    index = lowerText.indexOf(lowerQuery, start);
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+// 消息搜索：在自己加入的房间和私聊中按关键词、发送者、日期和是否含图片搜索，点击结果跳转到对应位置
+export default function MessageSearchModal({ isOpen, onClose }) {
+  const { searchMessages, jumpToMessage } = useChatStore();
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState('all');
+  const [sender, setSender] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [hasImage, setHasImage] = useState(false);
+  const [results, setResults] = useState(null); // null: 尚未搜索
+  const [truncated, setTruncated] = useState(false);
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setSearching(true);
+    const response = await searchMessages({
+      query: query.trim(),
+      scope,
+      sender: sender.trim(),
+      from: toISODate(fromDate),
+      to: toISODate(toDate, true),
+      hasImage
+    });
+    setSearching(false);
+    if (!response.success) {
+      toast.error(response.error || '搜索失败');
+      return;
+    }
+    setResults(response.results);
+    setTruncated(response.truncated);
+    setSearchedQuery(query.trim());
+  };
+
+  const handleOpenResult = async (result) => {
+    const response = await jumpToMessage(result);
+    if (response?.success) {
+      onClose();
+    } else if (response?.error) {
+      toast.error(response.error);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            className="bg-white dark:bg-zinc-900 rounded-2xl p-5 w-full max-w-[480px] max-h-[85dvh] flex flex-col shadow-2xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold text-zinc-900 dark:text-white">搜索消息</h3>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+              >
+                <X size={20} className="text-zinc-500" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSearch} className="space-y-2 mb-3">
+              <div className="flex gap-2">
+                <input
+                  autoFocus
+                  type="text"
+                  placeholder="搜索内容"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  className={inputClass}
+                  maxLength={100}
+                />
+                <button
+                  type="submit"
+                  disabled={searching || (!query.trim() && !sender.trim() && !hasImage)}
+                  className="shrink-0 h-10 px-4 flex items-center gap-1.5 rounded-lg bg-indigo-500 text-white text-sm font-medium hover:bg-indigo-600 disabled:opacity-50"
+                >
+                  {searching ? <Loader2 size={14} className="animate-spin" /> : <Search size={14} />}
+                  搜索
+                </button>
+              </div>
+
+              <div className="flex p-1 bg-zinc-100 dark:bg-zinc-800 rounded-lg">
+                {SCOPES.map(({ id, label }) => (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => setScope(id)}
+                    className={clsx(
+                      'flex-1 py-1 text-xs font-medium rounded-md transition-all',
+                      scope === id
+                        ? 'bg-white dark:bg-zinc-700 text-zinc-900 dark:text-white shadow-sm'
+                        : 'text-zinc-500 dark:text-zinc-400 hover:text-zinc-700 dark:hover:text-zinc-300'
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <input type="text" placeholder="发送者用户名" value={sender} onChange={(e) => setSender(e.target.value)} className={inputClass} />
+                <label className="flex items-center gap-2 px-3 text-sm text-zinc-600 dark:text-zinc-300 cursor-pointer">
+                  <input type="checkbox" checked={hasImage} onChange={(e) => setHasImage(e.target.checked)} className="accent-indigo-500" />
+                  只看含图片
+                </label>
+                <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} title="开始日期" />
+                <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} title="结束日期" />
+              </div>
+            </form>
+
+            <div className="flex-1 overflow-y-auto -mx-2 px-2 space-y-1">
+              {results && results.length === 0 && (
+                <div className="text-center py-6 text-zinc-400 text-[13px]">没有找到相关消息</div>
+              )}
+              {results?.map((result) => {
+                const { message } = result;
+                return (
+                  <button
+                    key={`${result.type}-${message.id}`}
+                    onClick={() => handleOpenResult(result)}
+                    className="w-full text-left p-3 rounded-xl hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+                  >
+                    <div className="flex items-center gap-1.5 text-[11px] text-zinc-400 mb-1">
+                      {result.type === 'room' ? <Hash size={11} /> : <MessageCircle size={11} />}
+                      <span className="truncate">{result.scopeName}</span>
+                      <span>·</span>
+                      <span className="font-medium text-zinc-500 dark:text-zinc-400">{message.sender}</span>
+                      <span className="ml-auto shrink-0">{formatMessageTime(message.timestamp)}</span>
+                    </div>
+                    <div className="flex items-start gap-1.5 text-sm text-zinc-800 dark:text-zinc-200 break-words">
+                      {message.imageUrl && <Image size={14} className="shrink-0 mt-0.5 text-zinc-400" />}
+                      <span className="line-clamp-3">
+                        {message.text ? highlightText(markdownToPlainText(message.text), searchedQuery) : '[图片]'}
+                      </span>
+                    </div>
+                  </button>
+                );
+              })}
+              {truncated && (
+                <div className="text-center py-2 text-zinc-400 text-[11px]">只显示最近 {results.length} 条结果，请缩小搜索范围</div>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
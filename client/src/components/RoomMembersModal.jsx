@@ -0,0 +1,155 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Crown, Shield, ShieldCheck, ShieldOff, MicOff, Mic, UserX } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useChatStore } from '../store';
+import { showConfirm } from './Dialog';
+import { ROOM_ROLE_NAMES, hasRoomRole, outranksRoomRole } from '../utils';
+
+// 房间成员管理：房主可设置协管，协管及以上可禁言 / 移出权限低于自己的成员
+export default function RoomMembersModal({ isOpen, onClose, roomId }) {
+  const { fetchRoomMembers, setRoomModerator, setRoomMuted, adminKickUser, serverConfig } = useChatStore();
+  const [members, setMembers] = useState([]);
+  const [myRole, setMyRole] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadMembers = useCallback(async () => {
+    if (!roomId) return;
+    setLoading(true);
+    const res = await fetchRoomMembers(roomId);
+    setLoading(false);
+    if (res?.success) {
+      setMembers(res.members);
+      setMyRole(res.myRole);
+    } else {
+      toast.error(res?.error || '获取成员失败');
+    }
+  }, [roomId, fetchRoomMembers]);
+
+  useEffect(() => {
+    if (isOpen) loadMembers();
+  }, [isOpen, loadMembers]);
+
+  const runAction = async (action, successText) => {
+    const res = await action();
+    if (res?.success) {
+      toast.success(successText);
+      loadMembers();
+    } else {
+      toast.error(res?.error || '操作失败');
+    }
+  };
+
+  const handleKick = async (member) => {
+    const confirmed = await showConfirm(`确定将 ${member.username} 移出房间吗？${serverConfig.kickCooldownText}内对方无法重新加入。`, { variant: 'danger' });
+    if (!confirmed) return;
+    runAction(() => adminKickUser(roomId, member.realUsername), `已将 ${member.username} 移出房间`);
+  };
+
+  const roleIcon = (role) => {
+    if (role === 'owner') return <Crown size={12} className="text-yellow-500" />;
+    if (role === 'admin') return <Shield size={12} className="text-amber-500" />;
+    if (role === 'moderator') return <ShieldCheck size={12} className="text-indigo-500" />;
+    if (role === 'muted') return <MicOff size={12} className="text-red-500" />;
+    return null;
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            className="bg-white dark:bg-zinc-900 rounded-2xl p-5 w-full max-w-[400px] shadow-2xl max-h-[70vh] flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex flex-col">
+                <h3 className="text-lg font-bold text-zinc-900 dark:text-white">房间成员</h3>
+                {myRole && (
+                  <span className="text-[12px] text-zinc-500 dark:text-zinc-400">我的身份：{ROOM_ROLE_NAMES[myRole]}</span>
+                )}
+              </div>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+              >
+                <X size={20} className="text-zinc-500" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto space-y-2">
+              {loading && members.length === 0 ? (
+                <div className="text-center py-4 text-zinc-400 text-[13px]">加载中...</div>
+              ) : members.map((m) => {
+                const canManage = outranksRoomRole(myRole, m.role);
+                const canAppoint = hasRoomRole(myRole, 'owner') && canManage;
+
+                return (
+                  <div key={m.realUsername} className="flex items-center justify-between px-3 py-2.5 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+                    <div className="flex flex-col">
+                      <div className="flex items-center gap-1.5">
+                        <span className="text-sm font-medium text-zinc-900 dark:text-white">{m.username}</span>
+                        {roleIcon(m.role)}
+                      </div>
+                      <div className="flex items-center gap-2 mt-0.5">
+                        <span className={`w-1.5 h-1.5 rounded-full ${m.inRoom ? 'bg-green-500' : m.isOnline ? 'bg-amber-400' : 'bg-zinc-300 dark:bg-zinc-600'}`} />
+                        <span className="text-[10px] text-zinc-400">
+                          {ROOM_ROLE_NAMES[m.role]} · {m.inRoom ? '在房间中' : m.isOnline ? '在线' : '离线'}
+                        </span>
+                      </div>
+                    </div>
+
+                    {canManage && (
+                      <div className="flex items-center gap-1">
+                        {canAppoint && m.role !== 'muted' && (
+                          <button
+                            onClick={() => runAction(
+                              () => setRoomModerator(roomId, m.realUsername, m.role !== 'moderator'),
+                              m.role === 'moderator' ? `已取消 ${m.username} 的协管身份` : `已将 ${m.username} 设为协管`
+                            )}
+                            className="p-2 rounded-full hover:bg-indigo-100 dark:hover:bg-indigo-500/20 text-indigo-500 transition-colors"
+                            title={m.role === 'moderator' ? '取消协管' : '设为协管'}
+                          >
+                            {m.role === 'moderator' ? <ShieldOff size={14} /> : <ShieldCheck size={14} />}
+                          </button>
+                        )}
+                        <button
+                          onClick={() => runAction(
+                            () => setRoomMuted(roomId, m.realUsername, m.role !== 'muted'),
+                            m.role === 'muted' ? `已解除 ${m.username} 的禁言` : `已禁言 ${m.username}`
+                          )}
+                          className="p-2 rounded-full hover:bg-amber-100 dark:hover:bg-amber-500/20 text-amber-500 transition-colors"
+                          title={m.role === 'muted' ? '解除禁言' : '禁言'}
+                        >
+                          {m.role === 'muted' ? <Mic size={14} /> : <MicOff size={14} />}
+                        </button>
+                        {m.inRoom && (
+                          <button
+                            onClick={() => handleKick(m)}
+                            className="p-2 rounded-full hover:bg-red-100 dark:hover:bg-red-500/20 text-red-500 transition-colors"
+                            title="移出房间"
+                          >
+                            <UserX size={14} />
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
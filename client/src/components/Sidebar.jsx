@@ -2,18 +2,23 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useChatStore } from '../store';
 import { useThemeStore } from '../themeStore';
-import { Plus, Hash, Trash2, LogOut, Sun, Moon, X, Shield, Clock, MessageCircle, Search, Users, Crown, Sparkles } from 'lucide-react';
+import { Plus, Hash, Trash2, LogOut, Sun, Moon, X, Shield, Clock, MessageCircle, Search, Users, Crown, Sparkles, Settings, AtSign } from 'lucide-react';
 import clsx from 'clsx';
 import Modal from './Modal';
+import AccountSettingsModal from './AccountSettingsModal';
+import MessageSearchModal from './MessageSearchModal';
+import MentionsInboxModal from './MentionsInboxModal';
 import { getAvatarColor, getInitials, getAvatarUrl, PRESET_AVATARS, getPresetAvatarUrl } from '../utils';
 
 export default function Sidebar() {
   const { 
-    rooms, adminRooms, currentRoom, user, createRoom, joinRoom, dismissRoom, logout, updateAvatar, 
+    rooms, adminRooms, currentRoom, user, createRoom, joinRoom, dismissRoom, logout, logoutAllDevices, updateAvatar, 
     fetchAdminRooms, openAdminPanel, connected,
     // DM 相关
     dmList, dmUnreadTotal, fetchDMList, startDM, enterDM, searchUsers,
-    currentDM, showDMPanel, deleteConversation
+    currentDM, showDMPanel, deleteConversation,
+    // 提及
+    mentionUnreadCount, fetchMentions
   } = useChatStore();
   const { theme, toggleTheme } = useThemeStore();
   const [isCreating, setIsCreating] = useState(false);
@@ -22,6 +27,10 @@ export default function Sidebar() {
   const [deleteModal, setDeleteModal] = useState({ open: false, roomId: null, roomName: '' });
   const [deleteDMModal, setDeleteDMModal] = useState({ open: false, convId: null, userName: '' });
   const [showAvatarPicker, setShowAvatarPicker] = useState(false);
+  const [logoutAllModal, setLogoutAllModal] = useState(false);
+  const [showAccountSettings, setShowAccountSettings] = useState(false);
+  const [showMessageSearch, setShowMessageSearch] = useState(false);
+  const [showMentions, setShowMentions] = useState(false);
   const [now, setNow] = useState(Date.now());
   
   // DM 相关状态
@@ -43,10 +52,11 @@ export default function Sidebar() {
     return () => clearInterval(timer);
   }, [hasCooldownRoom]);
 
-  // 获取私聊列表
+  // 获取私聊列表和未读的提及数
   useEffect(() => {
     if (user) {
       fetchDMList();
+      fetchMentions({ limit: 1 });
     }
   }, [user]);
 
@@ -159,6 +169,33 @@ export default function Sidebar() {
             </div>
           </div>
           
+          <div className="flex items-center">
+          <button
+            onClick={() => setShowMessageSearch(true)}
+            className="p-2 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-900 transition-all"
+            title="搜索消息"
+          >
+            <Search size={16} />
+          </button>
+          <button
+            onClick={() => setShowMentions(true)}
+            className="relative p-2 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-900 transition-all"
+            title="提及我的"
+          >
+            <AtSign size={16} />
+            {mentionUnreadCount > 0 && (
+              <span className="absolute top-0.5 right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+                {mentionUnreadCount > 99 ? '99+' : mentionUnreadCount}
+              </span>
+            )}
+          </button>
+          <button
+            onClick={() => setShowAccountSettings(true)}
+            className="p-2 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-900 transition-all"
+            title="账号设置"
+          >
+            <Settings size={16} />
+          </button>
           <button
             onClick={toggleTheme}
             className="p-2 rounded-full text-zinc-500 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-100 dark:hover:bg-zinc-900 transition-all"
@@ -166,6 +203,7 @@ export default function Sidebar() {
           >
             {theme === 'dark' ? <Sun size={16} /> : <Moon size={16} />}
           </button>
+          </div>
         </div>
 
         {/* Admin Welcome Banner */}
@@ -540,8 +578,29 @@ export default function Sidebar() {
             <LogOut size={20} />
             <span className="text-[15px] font-medium">Log out</span>
           </button>
+          <button
+            onClick={() => setLogoutAllModal(true)}
+            className="w-full mt-1 text-[12px] text-zinc-400 hover:text-red-500 transition-colors"
+          >
+            退出所有设备
+          </button>
       </div>
 
+      <AccountSettingsModal isOpen={showAccountSettings} onClose={() => setShowAccountSettings(false)} />
+      <MessageSearchModal isOpen={showMessageSearch} onClose={() => setShowMessageSearch(false)} />
+      <MentionsInboxModal isOpen={showMentions} onClose={() => setShowMentions(false)} />
+
+      {/* Logout All Devices Confirmation Modal */}
+      <Modal
+        isOpen={logoutAllModal}
+        onClose={() => setLogoutAllModal(false)}
+        onConfirm={() => logoutAllDevices()}
+        title="退出所有设备"
+        message="所有设备（包括当前设备）上的登录状态都将失效，需要重新输入密码登录。"
+        confirmText="全部退出"
+        confirmVariant="danger"
+      />
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={deleteModal.open}
@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { X, Loader2, MessageSquare } from 'lucide-react';
+import { useChatStore } from '../store';
+import { showAlert } from './Dialog';
+import MessageMarkdown from './MessageMarkdown';
+import LinkPreviewCard from './LinkPreviewCard';
+import AttachmentCard from './AttachmentCard';
+import ComposerTextarea from './ComposerTextarea';
+import { getPresetAvatarUrl, formatMessageTime } from '../utils';
+
+// 话题中的一条消息（根消息或回复），retentionDays 为文件附件的保留天数
+function ThreadMessage({ msg, avatarId, retentionDays }) {
+  return (
+    <div className="flex gap-3 py-2">
+      <img
+        src={getPresetAvatarUrl(avatarId, msg.sender)}
+        alt={msg.sender}
+        className="w-8 h-8 rounded-full shrink-0 bg-zinc-200 dark:bg-zinc-700"
+      />
+      <div className="flex flex-col min-w-0">
+        <div className="flex items-baseline gap-2">
+          <span className="text-[13px] font-bold text-zinc-900 dark:text-white">{msg.sender}</span>
+          <span className="text-[11px] text-zinc-400 dark:text-zinc-600">
+            {formatMessageTime(msg.timestamp)}
+            {msg.editedAt && !msg.recalled && ' (已编辑)'}
+          </span>
+        </div>
+        {msg.recalled ? (
+          <span className="text-[13px] text-zinc-400 dark:text-zinc-500 italic">消息已撤回</span>
+        ) : (
+          <>
+            {msg.imageUrl && (
+              <img
+                src={msg.imageUrl}
+                alt="Shared image"
+                className="mt-1 max-w-[200px] max-h-[200px] rounded-lg object-contain"
+              />
+            )}
+            {msg.attachment && (
+              <div className="mt-1 px-3 py-2 rounded-lg bg-zinc-100 dark:bg-zinc-800 text-zinc-900 dark:text-white">
+                <AttachmentCard attachment={msg.attachment} timestamp={msg.timestamp} retentionDays={retentionDays} />
+              </div>
+            )}
+            {msg.text && (
+              <div className="text-[14px] leading-relaxed text-zinc-800 dark:text-zinc-200 break-words">
+                <MessageMarkdown text={msg.text} mentions={msg.mentions} />
+              </div>
+            )}
+            <LinkPreviewCard preview={msg.linkPreview} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// 房间消息的话题侧栏：根消息、全部回复和回复输入框（桌面端在聊天区右侧，移动端全屏）
+// thread 为 store 中的 activeThread，由父组件传入（关闭动画期间 store 中已经为空）
+export default function ThreadPanel({ thread }) {
+  const { closeThread, sendThreadReply, userAvatars, currentRoom, serverConfig } = useChatStore();
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+  const endRef = useRef(null);
+
+  const { root, replies, loading } = thread;
+  const isMuted = currentRoom?.myRole === 'muted';
+  const canReply = root && !root.recalled && !isMuted;
+
+  // 打开话题和有新回复时滚动到底部
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'end' });
+  }, [replies.length, loading]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || sending) return;
+    setSending(true);
+    const res = await sendThreadReply(input);
+    setSending(false);
+    if (res.success) {
+      setInput('');
+    } else {
+      showAlert(res.error || '发送失败', { variant: 'danger' });
+    }
+  };
+
+  const avatarOf = (msg) => userAvatars[msg.sender] ?? msg.senderAvatarId;
+
+  return (
+    <motion.div
+      initial={{ x: '100%' }}
+      animate={{ x: 0 }}
+      exit={{ x: '100%' }}
+      transition={{ type: 'tween', duration: 0.2 }}
+      className="absolute inset-y-0 right-0 z-30 w-full md:w-[380px] flex flex-col bg-white dark:bg-zinc-950 border-l border-zinc-200 dark:border-zinc-800 shadow-2xl"
+    >
+      <div className="h-16 px-4 flex items-center justify-between border-b border-zinc-200/40 dark:border-zinc-700/40 shrink-0">
+        <div className="flex items-center gap-2">
+          <MessageSquare size={16} className="text-zinc-400" />
+          <span className="text-[16px] font-bold text-zinc-900 dark:text-white">话题</span>
+          {root && (
+            <span className="text-[12px] text-zinc-500">{root.replyCount} 条回复</span>
+          )}
+        </div>
+        <button
+          onClick={closeThread}
+          className="p-1 rounded-full hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors"
+        >
+          <X size={20} className="text-zinc-500" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-2">
+        {loading || !root ? (
+          <div className="flex justify-center py-6">
+            <Loader2 size={18} className="animate-spin text-zinc-400" />
+          </div>
+        ) : (
+          <>
+            <ThreadMessage msg={root} avatarId={avatarOf(root)} retentionDays={serverConfig.fileRetentionDays} />
+            <div className="flex items-center gap-3 my-2 text-[12px] text-zinc-400">
+              <span>{replies.length > 0 ? `${replies.length} 条回复` : '还没有回复'}</span>
+              <div className="flex-1 h-px bg-zinc-200 dark:bg-zinc-800" />
+            </div>
+            {replies.map((msg) => (
+              <ThreadMessage key={msg.id} msg={msg} avatarId={avatarOf(msg)} retentionDays={serverConfig.fileRetentionDays} />
+            ))}
+          </>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      <form onSubmit={handleSend} className="p-3 flex items-center gap-2 border-t border-zinc-200 dark:border-zinc-800 shrink-0">
+        <ComposerTextarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={isMuted ? '你已被禁言' : (root?.recalled ? '消息已撤回，无法回复' : '在话题中回复...')}
+          disabled={!canReply}
+          className="flex-1 py-2 px-3 leading-6 rounded-2xl bg-zinc-100 dark:bg-zinc-900 text-[14px] text-zinc-900 dark:text-white placeholder-zinc-500 focus:outline-none min-w-0 disabled:opacity-60"
+        />
+        <button
+          type="submit"
+          disabled={!canReply || !input.trim() || sending}
+          className="h-9 px-4 bg-zinc-900 dark:bg-white hover:bg-black dark:hover:bg-zinc-200 text-white dark:text-black text-[14px] font-bold rounded-full disabled:opacity-50 disabled:cursor-not-allowed transition-colors shrink-0"
+        >
+          回复
+        </button>
+      </form>
+    </motion.div>
+  );
+}
@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Copy, ShieldCheck, ExternalLink } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useChatStore } from '../store';
+
+const inputClass = 'w-full h-10 px-3 rounded-lg bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 text-sm text-zinc-900 dark:text-white focus:border-indigo-500 outline-none';
+const buttonClass = 'w-full h-10 rounded-lg bg-indigo-500 text-white text-sm font-medium hover:bg-indigo-600 disabled:opacity-50';
+
+const copyText = (text) => {
+  navigator.clipboard?.writeText(text).then(() => toast.success('已复制'));
+};
+
+// 一次性恢复码：只在生成时显示一次
+function RecoveryCodes({ codes, onDone }) {
+  return (
+    <div className="space-y-3">
+      <p className="text-[12px] text-amber-600 dark:text-amber-400">
+        请把下面的恢复码保存在安全的地方。手机丢失时可以用它们登录，每个只能使用一次，关闭后将无法再次查看。
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-3 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+        {codes.map((code) => (
+          <span key={code} className="font-mono text-sm text-zinc-900 dark:text-white text-center">{code}</span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => copyText(codes.join('\n'))}
+        className="w-full h-10 rounded-lg border border-zinc-200 dark:border-zinc-700 text-sm text-zinc-700 dark:text-zinc-200 hover:bg-zinc-100 dark:hover:bg-zinc-800 flex items-center justify-center gap-1.5"
+      >
+        <Copy size={14} />
+        复制全部
+      </button>
+      <button type="button" onClick={onDone} className={buttonClass}>
+        我已保存恢复码
+      </button>
+    </div>
+  );
+}
+
+// 两步验证设置：启用（显示密钥和 otpauth 地址）、查看剩余恢复码、重新生成恢复码、关闭
+export default function TwoFactorSettings({ onSetupComplete }) {
+  const {
+    user,
+    fetchTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+  } = useChatStore();
+  const [status, setStatus] = useState(null); // { enabled, recoveryCodesLeft, adminRequired }
+  const [setup, setSetup] = useState(null); // { secret, uri }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableCode, setDisableCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = useCallback(() => fetchTwoFactorStatus().then((result) => {
+    if (result?.success) setStatus(result);
+  }), [fetchTwoFactorStatus]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = async (action, onSuccess) => {
+    setSubmitting(true);
+    const result = await action();
+    setSubmitting(false);
+    setCode('');
+    if (result?.success) {
+      onSuccess(result);
+    } else {
+      toast.error(result?.error || '操作失败');
+    }
+  };
+
+  const handleStartSetup = () => run(setupTwoFactor, (result) => setSetup({ secret: result.secret, uri: result.uri }));
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(() => enableTwoFactor(code.trim()), (result) => {
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+      toast.success('两步验证已启用');
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(() => regenerateRecoveryCodes(code.trim()), (result) => setRecoveryCodes(result.recoveryCodes));
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(() => disableTwoFactor(password, disableCode.trim()), () => {
+      setPassword('');
+      setDisableCode('');
+      toast.success('两步验证已关闭');
+      loadStatus();
+    });
+  };
+
+  if (recoveryCodes) {
+    return (
+      <RecoveryCodes
+        codes={recoveryCodes}
+        onDone={() => {
+          setRecoveryCodes(null);
+          loadStatus();
+          onSetupComplete?.();
+        }}
+      />
+    );
+  }
+
+  if (!status) {
+    return <div className="text-center py-4 text-zinc-400 text-[13px]">加载中...</div>;
+  }
+
+  if (!status.enabled && !setup) {
+    return (
+      <div className="space-y-3">
+        <p className="text-[12px] text-zinc-500 dark:text-zinc-400">
+          启用后，登录时除了密码还需要输入认证应用（如 Google Authenticator、Microsoft Authenticator）生成的 6 位验证码。
+        </p>
+        <button type="button" onClick={handleStartSetup} disabled={submitting} className={buttonClass}>
+          启用两步验证
+        </button>
+      </div>
+    );
+  }
+
+  if (setup) {
+    return (
+      <form onSubmit={handleEnable} className="space-y-3">
+        <p className="text-[12px] text-zinc-500 dark:text-zinc-400">
+          1. 在手机上点击下面的链接添加账号，或在认证应用中手动输入密钥。
+        </p>
+        <a
+          href={setup.uri}
+          className="flex items-center justify-center gap-1.5 h-10 rounded-lg border border-indigo-200 dark:border-indigo-500/40 text-sm text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-500/10"
+        >
+          <ExternalLink size={14} />
+          在认证应用中打开
+        </a>
+        <div className="flex items-center gap-2 p-3 rounded-xl bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700/50">
+          <span className="flex-1 font-mono text-sm text-zinc-900 dark:text-white break-all">
+            {setup.secret.match(/.{1,4}/g).join(' ')}
+          </span>
+          <button
+            type="button"
+            onClick={() => copyText(setup.secret)}
+            className="p-2 rounded-full hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-500 transition-colors"
+            title="复制密钥"
+          >
+            <Copy size={14} />
+          </button>
+        </div>
+        <p className="text-[12px] text-zinc-500 dark:text-zinc-400">2. 输入认证应用中显示的 6 位验证码完成启用。</p>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="123456"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className={`${inputClass} text-center tracking-[0.3em]`}
+        />
+        <button type="submit" disabled={submitting || code.trim().length !== 6} className={buttonClass}>
+          验证并启用
+        </button>
+      </form>
+    );
+  }
+
+  const canDisable = !(status.adminRequired && user?.isAdmin);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 p-3 rounded-xl bg-green-50 dark:bg-green-500/10 border border-green-200 dark:border-green-500/20">
+        <ShieldCheck size={16} className="text-green-600 dark:text-green-400" />
+        <span className="text-sm text-green-700 dark:text-green-300">两步验证已启用，剩余 {status.recoveryCodesLeft} 个恢复码</span>
+      </div>
+
+      <form onSubmit={handleRegenerate} className="space-y-2">
+        <span className="text-[11px] text-zinc-500">重新生成恢复码（旧的恢复码全部作废）</span>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            placeholder="验证码"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClass}
+          />
+          <button type="submit" disabled={submitting || !code.trim()} className="shrink-0 h-10 px-4 rounded-lg bg-indigo-500 text-white text-sm font-medium hover:bg-indigo-600 disabled:opacity-50">
+            生成
+          </button>
+        </div>
+      </form>
+
+      {canDisable ? (
+        <form onSubmit={handleDisable} className="space-y-2">
+          <span className="text-[11px] text-zinc-500">关闭两步验证</span>
+          <input type="password" placeholder="当前密码" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} autoComplete="current-password" />
+          <input type="text" placeholder="验证码或恢复码" value={disableCode} onChange={(e) => setDisableCode(e.target.value)} className={inputClass} />
+          <button
+            type="submit"
+            disabled={submitting || !password || !disableCode.trim()}
+            className="w-full h-10 rounded-lg bg-red-500 text-white text-sm font-medium hover:bg-red-600 disabled:opacity-50"
+          >
+            关闭两步验证
+          </button>
+        </form>
+      ) : (
+        <p className="text-[11px] text-zinc-400">管理员账号必须启用两步验证，无法关闭。</p>
+      )}
+    </div>
+  );
+}
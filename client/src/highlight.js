@@ -0,0 +1,137 @@
+// 代码块的轻量语法高亮：只区分注释、字符串、数字和关键字，够聊天里看代码片段用
+// 未知语言不高亮，返回整段文本
+
+const C_LIKE_KEYWORDS = 'if else for while do switch case default break continue return function class extends new this super try catch finally throw import export from const let var static public private protected void int long float double char bool boolean struct enum interface implements package null true false typeof instanceof async await yield in of';
+
+const LANGUAGES = {
+  js: {
+    keywords: `${C_LIKE_KEYWORDS} undefined delete`,
+    lineComment: '//',
+    blockComment: true,
+    strings: '\'"`'
+  },
+  ts: {
+    keywords: `${C_LIKE_KEYWORDS} undefined delete type namespace declare readonly as keyof any unknown never string number`,
+    lineComment: '//',
+    blockComment: true,
+    strings: '\'"`'
+  },
+  json: { keywords: 'true false null', strings: '"' },
+  c: {
+    keywords: `${C_LIKE_KEYWORDS} unsigned signed sizeof typedef union extern const auto register goto namespace using template typename virtual override nullptr include define`,
+    lineComment: '//',
+    blockComment: true,
+    strings: '\'"'
+  },
+  java: {
+    keywords: `${C_LIKE_KEYWORDS} final abstract synchronized throws byte short`,
+    lineComment: '//',
+    blockComment: true,
+    strings: '\'"'
+  },
+  go: {
+    keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var nil true false',
+    lineComment: '//',
+    blockComment: true,
+    strings: '\'"`'
+  },
+  rust: {
+    keywords: 'as break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while async await dyn',
+    lineComment: '//',
+    blockComment: true,
+    strings: '"'
+  },
+  python: {
+    keywords: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield self print',
+    lineComment: '#',
+    strings: '\'"'
+  },
+  bash: {
+    keywords: 'if then else elif fi case esac for while until do done in function return exit export local echo cd sudo',
+    lineComment: '#',
+    strings: '\'"'
+  },
+  sql: {
+    keywords: 'select from where and or not insert into values update set delete create table index drop alter add join left right inner outer on as group by order having limit offset distinct union all null is in like between primary key foreign references default exists case when then else end',
+    lineComment: '--',
+    blockComment: true,
+    strings: '\'"',
+    caseInsensitive: true
+  },
+  css: {
+    keywords: 'important media import keyframes root hover focus active before after',
+    blockComment: true,
+    strings: '\'"'
+  }
+};
+
+const ALIASES = {
+  javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', node: 'js',
+  typescript: 'ts', tsx: 'ts',
+  cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cs: 'java', csharp: 'java', kotlin: 'java', kt: 'java',
+  golang: 'go', rs: 'rust', py: 'python', python3: 'python',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  mysql: 'sql', postgres: 'sql', postgresql: 'sql', sqlite: 'sql',
+  scss: 'css', less: 'css'
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// 每种语言编译一次的词法规则
+const compiled = new Map();
+
+function getTokenizer(lang) {
+  const key = ALIASES[lang] || lang;
+  const spec = LANGUAGES[key];
+  if (!spec) return null;
+  if (compiled.has(key)) return compiled.get(key);
+
+  const parts = [];
+  if (spec.blockComment) parts.push('(?<comment>/\\*[\\s\\S]*?(?:\\*/|$))');
+  if (spec.lineComment) parts.push(`(?<lineComment>${escapeRegExp(spec.lineComment)}[^\\n]*)`);
+  const quotes = [...spec.strings].map(q => `${escapeRegExp(q)}(?:\\\\[\\s\\S]|(?!${escapeRegExp(q)})[^\\\\${q === '`' ? '' : '\\n'}])*(?:${escapeRegExp(q)}|$)`);
+  parts.push(`(?<string>${quotes.join('|')})`);
+  parts.push('(?<number>\\b(?:0[xX][\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)');
+  parts.push('(?<word>[A-Za-z_$][\\w$]*)');
+
+  const tokenizer = {
+    pattern: new RegExp(parts.join('|'), 'gm'),
+    keywords: new Set(spec.keywords.split(' ').map(word => (spec.caseInsensitive ? word.toLowerCase() : word))),
+    caseInsensitive: !!spec.caseInsensitive
+  };
+  compiled.set(key, tokenizer);
+  return tokenizer;
+}
+
+/**
+ * 把代码切分成带类型的片段，type 为 plain / comment / string / number / keyword
+ * @param {string} code
+ * @param {string} [lang] 代码块标注的语言
+ * @returns {Array<{ type: string, text: string }>}
+ */
+export function highlightCode(code, lang) {
+  const tokenizer = lang ? getTokenizer(lang.toLowerCase()) : null;
+  if (!tokenizer) return [{ type: 'plain', text: code }];
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.text += text;
+    else tokens.push({ type, text });
+  };
+
+  let last = 0;
+  for (const match of code.matchAll(tokenizer.pattern)) {
+    if (!match[0]) continue;
+    if (match.index > last) push('plain', code.slice(last, match.index));
+    const { comment, lineComment, string, number, word } = match.groups;
+    if (comment || lineComment) push('comment', match[0]);
+    else if (string) push('string', match[0]);
+    else if (number) push('number', match[0]);
+    else if (word && tokenizer.keywords.has(tokenizer.caseInsensitive ? word.toLowerCase() : word)) push('keyword', match[0]);
+    else push('plain', match[0]);
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) push('plain', code.slice(last));
+  return tokens;
+}
@@ -0,0 +1,250 @@
+// 消息中支持的 Markdown 子集：粗体、斜体、行内代码、代码块、列表、引用和链接
+// 解析结果是普通对象组成的语法树，由 MessageMarkdown 组件渲染成 React 元素（不使用 innerHTML），
+// 链接只允许 http / https / mailto，其余写法原样当作文本显示
+
+// 引用和强调的最大嵌套层数，超过后按文本处理
+const MAX_DEPTH = 4;
+
+const FENCE_PATTERN = /^\s{0,3}```\s*([\w#+.-]*)\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}> ?/;
+const BULLET_PATTERN = /^\s{0,3}[-*+]\s+/;
+const ORDERED_PATTERN = /^\s{0,3}(\d{1,9})[.)]\s+/;
+const CONTINUATION_PATTERN = /^\s{2,}\S/;
+
+// 可以用反斜杠转义的字符
+const ESCAPABLE = /[\\`*_[\]()>#+\-.!~]/;
+// 裸链接，遇到空白和中文标点结束
+const AUTOLINK_PATTERN = /^https?:\/\/[^\s<>"'，。！？；：、（）《》「」『』【】]+/;
+const LINK_PATTERN = /^\[([^\]\n]+)\]\(\s*([^)\s]+)\s*\)/;
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * 链接地址是否安全（只允许 http / https / mailto 的绝对地址）
+ * @param {string} href
+ * @returns {boolean}
+ */
+export function isSafeHref(href) {
+  try {
+    return ALLOWED_PROTOCOLS.includes(new URL(href).protocol);
+  } catch {
+    return false;
+  }
+}
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}_]/u.test(ch);
+
+// 从 start 开始找到成对的强调结束标记，找不到返回 -1
+function findClosingDelimiter(src, marker, start) {
+  let index = src.indexOf(marker, start);
+  while (index !== -1) {
+    const before = src[index - 1];
+    const after = src[index + marker.length];
+    const closesRun = marker.length === 2 || (after !== marker && before !== marker);
+    // 下划线只能在单词边界上，避免 snake_case 之类的文本被当作斜体
+    const atBoundary = marker[0] !== '_' || !isWordChar(after);
+    if (index > start && !/\s/.test(before) && closesRun && atBoundary) return index;
+    index = src.indexOf(marker, index + 1);
+  }
+  return -1;
+}
+
+/**
+ * 解析行内标记
+ * @param {string} src
+ * @param {{ depth?: number, inLink?: boolean }} [options]
+ * @returns {Array<object>} 节点：text / code / strong / em / link
+ */
+export function parseInline(src, { depth = 0, inLink = false } = {}) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    const rest = src.slice(i);
+
+    if (ch === '\\' && ESCAPABLE.test(src[i + 1] || '')) {
+      buffer += src[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      const match = /^(`+)([\s\S]*?[^`])\1(?!`)/.exec(rest);
+      if (match) {
+        flush();
+        nodes.push({ type: 'code', text: match[2] });
+        i += match[0].length;
+        continue;
+      }
+      // 没有闭合的反引号串整体当作文本
+      const run = /^`+/.exec(rest)[0];
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    if ((ch === '*' || ch === '_') && depth < MAX_DEPTH) {
+      const marker = src[i + 1] === ch ? ch + ch : ch;
+      const opens = !/\s/.test(src[i + marker.length] || ' ') && (ch === '*' || !isWordChar(src[i - 1]));
+      const close = opens ? findClosingDelimiter(src, marker, i + marker.length) : -1;
+      if (close !== -1) {
+        flush();
+        nodes.push({
+          type: marker.length === 2 ? 'strong' : 'em',
+          children: parseInline(src.slice(i + marker.length, close), { depth: depth + 1, inLink })
+        });
+        i = close + marker.length;
+        continue;
+      }
+      buffer += marker;
+      i += marker.length;
+      continue;
+    }
+
+    if (ch === '[' && !inLink) {
+      const match = LINK_PATTERN.exec(rest);
+      if (match && isSafeHref(match[2])) {
+        flush();
+        nodes.push({
+          type: 'link',
+          href: match[2],
+          children: parseInline(match[1], { depth: depth + 1, inLink: true })
+        });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if (ch === 'h' && !inLink && !isWordChar(src[i - 1])) {
+      const match = AUTOLINK_PATTERN.exec(rest);
+      if (match) {
+        // 句末的标点不算链接的一部分，除非括号是成对的
+        let url = match[0].replace(/[.,;:!?'"]+$/, '');
+        if (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+          url = url.slice(0, -1);
+        }
+        if (isSafeHref(url)) {
+          flush();
+          nodes.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+          i += url.length;
+          continue;
+        }
+      }
+    }
+
+    buffer += ch;
+    i += 1;
+  }
+  flush();
+  return nodes;
+}
+
+/**
+ * 解析块级结构：代码块、引用、列表和段落
+ * 段落中的单个换行保留为换行（聊天消息的习惯），空行分隔段落
+ * @param {string} text
+ * @param {number} [depth]
+ * @returns {Array<object>} 节点：paragraph / code_block / blockquote / list
+ */
+export function parseMarkdown(text, depth = 0) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      // 没有结束标记时代码块延续到消息末尾
+      const body = [];
+      i += 1;
+      while (i < lines.length && !/^\s{0,3}```\s*$/.test(lines[i])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push({ type: 'code_block', lang: fence[1].toLowerCase(), text: body.join('\n') });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line) && depth < MAX_DEPTH) {
+      const body = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        body.push(lines[i].replace(QUOTE_PATTERN, ''));
+        i += 1;
+      }
+      blocks.push({ type: 'blockquote', children: parseMarkdown(body.join('\n'), depth + 1) });
+      continue;
+    }
+
+    const ordered = ORDERED_PATTERN.exec(line);
+    if (ordered || BULLET_PATTERN.test(line)) {
+      const itemPattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      while (i < lines.length) {
+        if (itemPattern.test(lines[i])) {
+          items.push(lines[i].replace(itemPattern, ''));
+        } else if (CONTINUATION_PATTERN.test(lines[i])) {
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({
+        type: 'list',
+        ordered: !!ordered,
+        start: ordered ? Number(ordered[1]) : 1,
+        items: items.map(item => parseInline(item))
+      });
+      continue;
+    }
+
+    // 第一行总是属于段落（超过嵌套层数的引用也会走到这里），否则会原地循环
+    const body = [line];
+    i += 1;
+    while (
+      i < lines.length && lines[i].trim() &&
+      !FENCE_PATTERN.test(lines[i]) && !QUOTE_PATTERN.test(lines[i]) &&
+      !BULLET_PATTERN.test(lines[i]) && !ORDERED_PATTERN.test(lines[i])
+    ) {
+      body.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(body.join('\n')) });
+  }
+
+  return blocks;
+}
+
+const inlineToText = (nodes) => nodes.map(node => (node.children ? inlineToText(node.children) : node.text)).join('');
+
+const blocksToText = (blocks) => blocks.map((block) => {
+  switch (block.type) {
+    case 'code_block': return block.text;
+    case 'blockquote': return blocksToText(block.children);
+    case 'list': return block.items.map(inlineToText).join('\n');
+    default: return inlineToText(block.children);
+  }
+}).join('\n');
+
+/**
+ * 去掉 Markdown 标记后的纯文本，用于回复引用、搜索结果等单行预览
+ * @param {string} text
+ * @returns {string}
+ */
+export function markdownToPlainText(text) {
+  if (!text) return '';
+  return blocksToText(parseMarkdown(text)).replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,160 @@
+/**
+ * Markdown 子集解析测试
+ *
+ * 消息文本来自其他用户，解析结果直接渲染：这里验证不安全的链接和 HTML 都保持为文本，
+ * 以及嵌套层数限制、未闭合的代码块、snake_case 等边界情况
+ */
+
+import { describe, it, expect } from 'vitest';
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { isSafeHref, parseInline, parseMarkdown, markdownToPlainText } from './markdown.js';
+import MessageMarkdown from './components/MessageMarkdown.jsx';
+
+const text = (value) => ({ type: 'text', text: value });
+
+describe('isSafeHref', () => {
+  it('只允许 http / https / mailto 的绝对地址', () => {
+    expect(isSafeHref('https://example.com')).toBe(true);
+    expect(isSafeHref('http://example.com/a?b=c')).toBe(true);
+    expect(isSafeHref('mailto:someone@example.com')).toBe(true);
+  });
+
+  it('拒绝 javascript:、data:、vbscript: 和相对地址', () => {
+    for (const href of [
+      'javascript:alert(1)',
+      'JavaScript:alert(1)',
+      ' javascript:alert(1)',
+      'data:text/html,<script>alert(1)</script>',
+      'vbscript:msgbox(1)',
+      'file:///etc/passwd',
+      '//evil.example.com',
+      '/relative',
+      ''
+    ]) {
+      expect(isSafeHref(href), href).toBe(false);
+    }
+  });
+});
+
+describe('parseInline', () => {
+  it('不安全的链接保持为文本', () => {
+    expect(parseInline('[x](javascript:alert(1))')).toEqual([text('[x](javascript:alert(1))')]);
+    expect(parseInline('[x](data:text/html,hi)')).toEqual([text('[x](data:text/html,hi)')]);
+    expect(parseInline('[x]( javascript:alert(1) )')).toEqual([text('[x]( javascript:alert(1) )')]);
+  });
+
+  it('原始 HTML 保持为文本', () => {
+    expect(parseInline('<script>alert(1)</script>')).toEqual([text('<script>alert(1)</script>')]);
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([text('<img src=x onerror=alert(1)>')]);
+  });
+
+  it('解析安全的链接和裸链接', () => {
+    expect(parseInline('[docs](https://example.com/docs)')).toEqual([
+      { type: 'link', href: 'https://example.com/docs', children: [text('docs')] }
+    ]);
+    expect(parseInline('see https://example.com.')).toEqual([
+      text('see '),
+      { type: 'link', href: 'https://example.com', children: [text('https://example.com')] },
+      text('.')
+    ]);
+  });
+
+  it('链接文字中不再识别链接', () => {
+    expect(parseInline('[https://a.example *x*](https://b.example)')).toEqual([
+      {
+        type: 'link',
+        href: 'https://b.example',
+        children: [text('https://a.example '), { type: 'em', children: [text('x')] }]
+      }
+    ]);
+  });
+
+  it('解析不同标记组成的嵌套强调', () => {
+    expect(parseInline('**a *b __c _d_ c__ b* a**')).toEqual([{
+      type: 'strong',
+      children: [text('a '), {
+        type: 'em',
+        children: [text('b '), {
+          type: 'strong',
+          children: [text('c '), { type: 'em', children: [text('d')] }, text(' c')]
+        }, text(' b')]
+      }, text(' a')]
+    }]);
+  });
+
+  it('超过嵌套层数后强调标记按文本处理', () => {
+    expect(parseInline('*x*', { depth: 3 })).toEqual([{ type: 'em', children: [text('x')] }]);
+    expect(parseInline('*x* **y**', { depth: 4 })).toEqual([text('*x* **y**')]);
+  });
+
+  it('snake_case 中的下划线不是斜体', () => {
+    expect(parseInline('snake_case_name')).toEqual([text('snake_case_name')]);
+    expect(parseInline('call my_func(a_b)')).toEqual([text('call my_func(a_b)')]);
+    expect(parseInline('an _em_ word')).toEqual([text('an '), { type: 'em', children: [text('em')] }, text(' word')]);
+  });
+
+  it('行内代码中的内容不解析', () => {
+    expect(parseInline('`**x** [a](https://a.example)`')).toEqual([
+      { type: 'code', text: '**x** [a](https://a.example)' }
+    ]);
+    expect(parseInline('`unclosed *x*')).toEqual([text('`unclosed '), { type: 'em', children: [text('x')] }]);
+  });
+
+  it('反斜杠转义', () => {
+    expect(parseInline('\\*not em\\*')).toEqual([text('*not em*')]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('没有结束标记的代码块延续到消息末尾', () => {
+    expect(parseMarkdown('before\n```js\nconst a = 1;\n**not bold**')).toEqual([
+      { type: 'paragraph', children: [text('before')] },
+      { type: 'code_block', lang: 'js', text: 'const a = 1;\n**not bold**' }
+    ]);
+    expect(parseMarkdown('```')).toEqual([{ type: 'code_block', lang: '', text: '' }]);
+  });
+
+  it('超过嵌套层数的引用按文本处理', () => {
+    let node = parseMarkdown('> > > > > > deep')[0];
+    for (let depth = 0; depth < 4; depth++) {
+      expect(node.type).toBe('blockquote');
+      node = node.children[0];
+    }
+    expect(node).toEqual({ type: 'paragraph', children: [text('> > deep')] });
+  });
+
+  it('列表和段落中的换行', () => {
+    expect(parseMarkdown('3. a\n4. b\n\nline1\nline2')).toEqual([
+      { type: 'list', ordered: true, start: 3, items: [[text('a')], [text('b')]] },
+      { type: 'paragraph', children: [text('line1\nline2')] }
+    ]);
+  });
+});
+
+describe('markdownToPlainText', () => {
+  it('去掉标记，保留不安全链接的原文', () => {
+    expect(markdownToPlainText('**Hi** [link](https://a.example) `code`\n> quote')).toBe('Hi link code quote');
+    expect(markdownToPlainText('[x](javascript:alert(1))')).toBe('[x](javascript:alert(1))');
+    expect(markdownToPlainText('')).toBe('');
+  });
+});
+
+describe('MessageMarkdown', () => {
+  const render = (value) => renderToStaticMarkup(React.createElement(MessageMarkdown, { text: value }));
+
+  it('HTML 被转义，不安全的链接不会变成 <a>', () => {
+    const html = render('<script>alert(1)</script> [x](javascript:alert(1)) [y](data:text/html,hi)');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<a');
+    expect(html).not.toMatch(/href="(javascript|data):/i);
+  });
+
+  it('安全的链接在新窗口打开，并且不带来源', () => {
+    const html = render('[docs](https://example.com/docs)');
+    expect(html).toContain('href="https://example.com/docs"');
+    expect(html).toContain('target="_blank"');
+    expect(html).toContain('rel="noopener noreferrer nofollow"');
+  });
+});
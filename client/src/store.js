@@ -1,7 +1,7 @@
 import { create } from 'zustand';
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
-import { playNotificationSound, updateTitleNotification, isPageVisible, onVisibilityChange, debounce } from './utils';
+import { playNotificationSound, updateTitleNotification, isPageVisible, onVisibilityChange, debounce, hasRoomRole, ROOM_ROLE_NAMES } from './utils';
 
 // Create a debounced mark_dm_read emitter (300ms delay)
 // This prevents excessive server requests when visibility changes frequently
@@ -11,6 +11,167 @@ const debouncedMarkDMRead = debounce((conversationId) => {
 
 const MAX_MESSAGES = 300;
 
+// 服务端限制的默认值，连接后由 /api/config 返回的实际配置替换
+const DEFAULT_SERVER_CONFIG = {
+  uploadMaxBytes: 20 * 1024 * 1024,
+  imageRetentionDays: 15,
+  fileUploadMaxBytes: 100 * 1024 * 1024,
+  fileRetentionDays: 15,
+  recallWindowSeconds: 120,
+  editWindowSeconds: 900,
+  kickCooldownMinutes: 5,
+  recallWindowText: '2分钟',
+  editWindowText: '15分钟',
+  kickCooldownText: '5分钟',
+  historyPageSize: 50,
+  maxHistoryPageSize: 100
+};
+
+// 最早一条已保存消息的 ID，作为向上翻页的游标（系统消息没有数字 ID）
+const getOldestMessageId = (messages) => messages.find(msg => Number.isInteger(msg.id))?.id ?? null;
+
+// 把更早的一页消息加到列表前面，超出 MAX_MESSAGES 时丢弃最新的消息
+// trimmed 为 true 时列表不再包含最新消息，需要通过 loadLatest 重新加载
+const prependHistoryPage = (messages, page) => {
+  const existing = new Set(messages.map(msg => msg.id));
+  const merged = [...page.filter(msg => !existing.has(msg.id)), ...messages];
+  return { messages: merged.slice(0, MAX_MESSAGES), trimmed: merged.length > MAX_MESSAGES };
+};
+
+// 按 ID 更新房间（roomId）或私聊会话（conversationId）中的一条消息，同时更新当前列表和缓存，返回要 set 的状态
+// 房间消息也可能在打开的话题中（根消息或回复）
+const patchMessage = (state, { roomId, conversationId }, messageId, patch) => {
+  const apply = (msgs) => msgs.map(msg => (msg.id === messageId ? { ...msg, ...patch } : msg));
+  if (roomId) {
+    const cached = state.messageCache[roomId];
+    const thread = state.activeThread?.roomId === roomId ? state.activeThread : null;
+    return {
+      messages: state.currentRoom?.id === roomId ? apply(state.messages) : state.messages,
+      messageCache: cached ? { ...state.messageCache, [roomId]: apply(cached) } : state.messageCache,
+      activeThread: thread && thread.root
+        ? { ...thread, root: apply([thread.root])[0], replies: apply(thread.replies) }
+        : state.activeThread
+    };
+  }
+  const cached = state.dmMessageCache[conversationId];
+  return {
+    dmMessages: state.currentDM?.id === conversationId ? apply(state.dmMessages) : state.dmMessages,
+    dmMessageCache: cached ? { ...state.dmMessageCache, [conversationId]: apply(cached) } : state.dmMessageCache
+  };
+};
+
+// 本地只保存服务端签发的会话令牌，不再保存密码
+const getSavedSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem('chat_session'));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (token, userId) => {
+  localStorage.setItem('chat_session', JSON.stringify({ token, userId }));
+};
+
+const clearSavedSession = () => {
+  localStorage.removeItem('chat_session');
+  localStorage.removeItem('last_room_id');
+};
+
+// 上传文件：携带会话令牌，并在查询参数中注明文件发往的房间（roomId）或私聊会话（conversationId）
+// 服务端在接收文件内容之前先检查成员身份
+const postUpload = (url, field, file, scope) => {
+  const params = new URLSearchParams();
+  Object.entries(scope).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  const formData = new FormData();
+  formData.append(field, file);
+
+  return fetch(`${url}?${params}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${getSavedSession()?.token || ''}` },
+    body: formData
+  });
+};
+
+const postImageUpload = (file, scope) => postUpload('/api/upload', 'image', file, scope);
+
+// 上传文件附件，成功返回附件信息 { id, name, size, mime, sha256 }，失败时提示并返回 null
+const uploadAttachment = async (file, scope) => {
+  try {
+    const response = await postUpload('/api/files', 'file', file, scope);
+    const result = await response.json();
+    if (result.success) return result.attachment;
+    toast.error(result.error || '文件上传失败');
+  } catch (err) {
+    console.error('Upload error:', err);
+    toast.error('文件上传失败');
+  }
+  return null;
+};
+
+// 回复时引用的消息内容：只有附件的消息用文件名代替文字
+const getReplyData = (message) => (message ? {
+  id: message.id,
+  text: message.text || (message.attachment ? `[文件] ${message.attachment.name}` : ''),
+  sender: message.sender,
+  imageUrl: message.imageUrl || null
+} : null);
+
+// 登录 / 注册成功后的公共处理，返回给调用方的结果
+const applyAuthResponse = (set, response, isAutoLogin) => {
+  if (!response.success) {
+    // locked / retryAfter(秒) 用于登录页显示锁定提示和倒计时
+    // twoFactorRequired / challenge: 密码正确但需要输入两步验证码；expired: 需要重新输入密码
+    return {
+      success: false,
+      error: response.error,
+      locked: response.locked,
+      retryAfter: response.retryAfter,
+      twoFactorRequired: response.twoFactorRequired,
+      challenge: response.challenge,
+      expired: response.expired
+    };
+  }
+
+  // Only show welcome modal if:
+  // 1. It's a new user (isNewUser === true)
+  // 2. They haven't seen it before (no localStorage mark)
+  // 3. It's not an auto-login (user manually logging in)
+  const hasSeenWelcome = localStorage.getItem(`welcome_seen_${response.user.id}`);
+  const shouldShowWelcome = response.isNewUser && !hasSeenWelcome && !isAutoLogin;
+  const isAdminUser = !!response.user.isAdmin;
+  const shouldShowAdminWelcome = isAdminUser && !isAutoLogin;
+
+  set({
+    user: response.user,
+    connected: true,
+    showWelcomeModal: shouldShowWelcome,
+    showAdminWelcomeModal: shouldShowAdminWelcome
+  });
+
+  // Save session token for auto-reconnect (never the password)
+  saveSession(response.token, response.user.id);
+
+  // Return success with isNewUser flag
+  return { success: true, isNewUser: response.isNewUser };
+};
+
+// 对每个房间 / 会话的消息缓存应用同一个变换
+const mapMessageCache = (cache, fn) => Object.fromEntries(
+  Object.entries(cache).map(([id, msgs]) => [id, fn(msgs)])
+);
+
+// 使用保存的会话恢复登录（兼容旧版本保存的用户名密码，登录一次后即替换为令牌）
+const restoreSavedSession = (get) => {
+  const session = getSavedSession();
+  if (!session) return null;
+  if (session.token) return get().resumeSession(session.token);
+  if (session.username && session.password) return get().login(session.username, session.password, true);
+  return Promise.resolve({ success: false });
+};
+
 // Socket.io 客户端配置 - 优化连接稳定性
 const socket = io({
   // 重连配置
@@ -26,6 +187,9 @@ const socket = io({
   // 传输配置
   transports: ['websocket', 'polling'], // 优先使用 WebSocket
   upgrade: true,                // 允许从 polling 升级到 websocket
+
+  // 握手认证：每次（重新）连接时携带最新的会话令牌
+  auth: (cb) => cb({ token: getSavedSession()?.token }),
 });
 
 let isInitialized = false; // Prevent duplicate listeners from StrictMode
@@ -41,7 +205,15 @@ export const useChatStore = create((set, get) => ({
   currentRoom: null,
   messages: [],
   messageCache: {}, // Cache messages per room: { roomId: [messages] }
+  hasMoreHistory: false, // 当前房间是否还有更早的消息
+  loadingHistory: false, // 正在加载更早的消息
+  hasNewerMessages: false, // 向上翻页时丢弃了最新的消息，新消息暂不追加，需要回到最新
+  highlightedMessageId: null, // 从搜索结果跳转后需要定位并高亮的消息
+  activeThread: null, // 打开的话题 { roomId, rootId, root, replies, loading }
+  mentionUnreadCount: 0, // 未读的提及数
   connected: false,
+  serverConfig: DEFAULT_SERVER_CONFIG, // 上传大小、撤回时限等服务端限制
+  serverRestarting: false, // 服务器通知正在重启，直到重新连上
   showWelcomeModal: false,
   showAdminWelcomeModal: false,
   showAdminPanel: false,
@@ -61,6 +233,9 @@ export const useChatStore = create((set, get) => ({
   dmMessageCache: {}, // 各会话消息缓存
   dmUnreadTotal: 0, // 私聊未读总数
   dmLoading: false, // 私聊加载状态
+  dmHasMoreHistory: false, // 以下三项同房间的 hasMoreHistory / loadingHistory / hasNewerMessages
+  dmLoadingHistory: false,
+  dmHasNewerMessages: false,
   showDMPanel: false, // 是否显示私聊面板
   dmUserOnlineStatus: {}, // 私聊用户在线状态缓存 { oderId: boolean }
   
@@ -69,6 +244,7 @@ export const useChatStore = create((set, get) => ({
   
   // 图片上传相关状态
   uploadingImage: false, // 是否正在上传图片
+  uploadingFile: false, // 是否正在上传文件附件
   pendingImage: null, // 待发送的图片 { file, preview, url }
   
   closeWelcomeModal: () => {
@@ -162,6 +338,13 @@ export const useChatStore = create((set, get) => ({
   },
 
   // Actions
+  fetchServerConfig: () => {
+    return fetch('/api/config')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((config) => set({ serverConfig: { ...DEFAULT_SERVER_CONFIG, ...config } }))
+      .catch((err) => console.error('Failed to load server config:', err));
+  },
+
   initSocket: () => {
     // Prevent duplicate initialization (React StrictMode calls useEffect twice)
     if (isInitialized) return;
@@ -198,14 +381,15 @@ export const useChatStore = create((set, get) => ({
     });
 
     socket.on('connect', () => {
-      set({ connected: true });
+      set({ connected: true, serverRestarting: false });
+      // 服务器重启后配置可能变化，每次连接都重新读取
+      get().fetchServerConfig();
       // Auto-login on reconnect
-      const session = localStorage.getItem('chat_session');
-      if (session) {
-        const { username, password, userId } = JSON.parse(session);
-        // If user is already set (from memory), we might not need to login again, 
-        // but socket needs to be re-associated with the user data on server.
-        get().login(username, password, true).then((result) => {
+      // If user is already set (from memory), we might not need to login again, 
+      // but socket needs to be re-associated with the user data on server.
+      const restore = restoreSavedSession(get);
+      if (restore) {
+        restore.then((result) => {
             // Session restore complete
             set({ isRestoring: false });
             if (result.success) {
@@ -215,15 +399,14 @@ export const useChatStore = create((set, get) => ({
                     get().joinRoom(lastRoomId);
                 }
             } else {
-                // Login failed, clear invalid session
-                localStorage.removeItem('chat_session');
-                localStorage.removeItem('last_room_id');
+                // Token expired or revoked, clear invalid session
+                clearSavedSession();
+                set({ user: null, currentRoom: null, messages: [] });
             }
         }).catch(() => {
-            // Error during login, clear session and stop restoring
+            // Error during restore, clear session and stop restoring
             set({ isRestoring: false });
-            localStorage.removeItem('chat_session');
-            localStorage.removeItem('last_room_id');
+            clearSavedSession();
         });
       } else {
         // No session to restore
@@ -231,6 +414,11 @@ export const useChatStore = create((set, get) => ({
       }
     });
 
+    // 服务器即将重启：连接断开后保留聊天界面并显示提示，socket.io 会自动重连，连上后恢复会话
+    socket.on('server_restarting', () => {
+      set({ serverRestarting: true });
+    });
+
     socket.on('disconnect', (reason) => {
       set({ connected: false });
       
@@ -245,10 +433,9 @@ export const useChatStore = create((set, get) => ({
       toast.success('连接已恢复', { duration: 2000 });
       
       // 重连后自动恢复会话
-      const session = localStorage.getItem('chat_session');
-      if (session) {
-        const { username, password } = JSON.parse(session);
-        get().login(username, password, true).then((result) => {
+      const restore = restoreSavedSession(get);
+      if (restore) {
+        restore.then((result) => {
           if (result.success) {
             const lastRoomId = localStorage.getItem('last_room_id');
             if (lastRoomId) {
@@ -274,6 +461,14 @@ export const useChatStore = create((set, get) => ({
     socket.on('connect_error', (error) => {
       console.error('Connection error:', error);
       set({ connected: false });
+
+      // 令牌失效被服务端握手中间件拒绝：清除本地会话，以未登录身份重连
+      // （中间件拒绝的连接不会自动重连）
+      if (error?.message === 'invalid_session') {
+        clearSavedSession();
+        set({ isRestoring: false });
+        socket.connect();
+      }
     });
     
     socket.on('rooms_updated', (newRooms) => {
@@ -289,8 +484,10 @@ export const useChatStore = create((set, get) => ({
     });
 
     // Listen for room notifications (new messages when outside)
-    socket.on('room_notification', ({ roomId }) => {
-        const { globalUnreadCount } = get();
+    // threadRootId: 自己参与的话题有了新回复
+    socket.on('room_notification', ({ roomId, threadRootId, sender }) => {
+        const { globalUnreadCount, currentRoom, activeThread } = get();
+        if (threadRootId && activeThread?.rootId === threadRootId && !document.hidden) return;
         playNotificationSound();
         
         if (document.hidden) {
@@ -299,6 +496,12 @@ export const useChatStore = create((set, get) => ({
             updateTitleNotification(newCount);
         }
 
+        // 正在这个房间里：话题回复不会出现在主时间线，只提示一下
+        if (threadRootId && currentRoom?.id === roomId) {
+            toast(`${sender} 在你参与的话题中回复了`, { icon: '💬' });
+            return;
+        }
+
         set((state) => {
             const newRooms = state.rooms.map(room => {
                 if (room.id === roomId) {
@@ -321,6 +524,33 @@ export const useChatStore = create((set, get) => ({
         });
     });
 
+    // 被 @ 提及：不论是否在房间里、是否在话题中都提醒
+    socket.on('mention_notification', ({ roomId, roomName, message }) => {
+        const { globalUnreadCount, currentRoom } = get();
+        playNotificationSound();
+        toast(`${message.sender} 在 #${roomName} 中提到了你`, { icon: '@' });
+
+        if (document.hidden) {
+            const newCount = globalUnreadCount + 1;
+            set({ globalUnreadCount: newCount });
+            updateTitleNotification(newCount);
+        }
+
+        // 不在这个房间里时同 room_notification（被提及的人不会再收到 room_notification）
+        const outside = currentRoom?.id !== roomId;
+        set((state) => {
+            const newCache = { ...state.messageCache };
+            if (outside) delete newCache[roomId];
+            return {
+                mentionUnreadCount: state.mentionUnreadCount + 1,
+                rooms: outside
+                    ? state.rooms.map(room => (room.id === roomId ? { ...room, unreadCount: (room.unreadCount || 0) + 1 } : room))
+                    : state.rooms,
+                messageCache: newCache
+            };
+        });
+    });
+
     // Listen for avatar updates from other users
     socket.on('user_avatar_updated', ({ username, avatarId }) => {
         set((state) => ({
@@ -328,16 +558,68 @@ export const useChatStore = create((set, get) => ({
         }));
     });
 
+    // 其他用户修改了用户名：更新已加载的消息、私聊列表和头像缓存
+    socket.on('user_renamed', ({ userId, oldUsername, username }) => {
+        const rename = (msg) => (msg.senderId === userId ? { ...msg, sender: username } : msg);
+        set((state) => {
+            const { [oldUsername]: avatarId, ...userAvatars } = state.userAvatars;
+            return {
+                messages: state.messages.map(rename),
+                messageCache: mapMessageCache(state.messageCache, (msgs) => msgs.map(rename)),
+                dmMessages: state.dmMessages.map(rename),
+                dmMessageCache: mapMessageCache(state.dmMessageCache, (msgs) => msgs.map(rename)),
+                dmList: state.dmList.map((conv) => (
+                    conv.otherUser?.id === userId ? { ...conv, otherUser: { ...conv.otherUser, name: username } } : conv
+                )),
+                currentDM: state.currentDM?.otherUser?.id === userId
+                    ? { ...state.currentDM, otherUser: { ...state.currentDM.otherUser, name: username } }
+                    : state.currentDM,
+                userAvatars: avatarId === undefined ? state.userAvatars : { ...userAvatars, [username]: avatarId },
+                user: state.user?.id === userId ? { ...state.user, username } : state.user
+            };
+        });
+    });
+
+    // 其他用户注销了账号：删除（purged）或匿名化其消息
+    socket.on('user_deleted', ({ userId, purged, placeholderName }) => {
+        const update = (msgs) => (purged
+            ? msgs.filter((msg) => msg.senderId !== userId)
+            : msgs.map((msg) => (msg.senderId === userId ? { ...msg, sender: placeholderName, senderAvatarId: null } : msg)));
+        set((state) => ({
+            messages: update(state.messages),
+            messageCache: mapMessageCache(state.messageCache, update),
+            dmMessages: update(state.dmMessages),
+            dmMessageCache: mapMessageCache(state.dmMessageCache, update),
+            dmList: state.dmList.map((conv) => (
+                conv.otherUser?.id === userId ? { ...conv, otherUser: { ...conv.otherUser, name: placeholderName } } : conv
+            ))
+        }));
+    });
+
     // Listen for room banner updates
     socket.on('room_banner_updated', (banner) => {
         set({ roomBanner: banner });
     });
 
+    // 管理员两步验证策略变化：未启用的管理员需要先启用才能继续操作
+    socket.on('two_factor_policy_updated', ({ required }) => {
+        set((state) => (state.user ? {
+            user: { ...state.user, twoFactorSetupRequired: required && !state.user.twoFactorEnabled }
+        } : {}));
+    });
+
+    // 自己在某个房间中的角色变化（被设为协管、禁言等）
+    socket.on('room_role_updated', ({ roomId, role }) => {
+        const { currentRoom } = get();
+        if (currentRoom?.id !== roomId) return;
+        set({ currentRoom: { ...currentRoom, myRole: role } });
+        toast(`你在本房间的身份已变为：${ROOM_ROLE_NAMES[role] || role}`);
+    });
+
     // Listen for force logout (when admin deletes user)
     socket.on('force_logout', ({ reason }) => {
-      // Immediately clear localStorage to prevent auto re-login
-      localStorage.removeItem('chat_session');
-      localStorage.removeItem('last_room_id');
+      // Immediately clear the saved token to prevent auto re-login
+      clearSavedSession();
       
       // Set force logout message to show modal
       set({ 
@@ -351,6 +633,16 @@ export const useChatStore = create((set, get) => ({
     
     socket.on('receive_message', (message) => {
       const { currentRoom, messageCache, user, globalUnreadCount } = get();
+
+      // 话题中的回复：只加到打开的话题里（参与者另外会收到 room_notification）
+      if (message.threadRootId) {
+        set((state) => {
+          const thread = state.activeThread;
+          if (thread?.rootId !== message.threadRootId || thread.replies.some(m => m.id === message.id)) return {};
+          return { activeThread: { ...thread, replies: [...thread.replies, message] } };
+        });
+        return;
+      }
       // Determine if message is from self using persistent ID
       // We might need to update how we display messages in ChatArea too if we change senderId logic
       // For now, server sends senderId which is persistentId.
@@ -366,6 +658,12 @@ export const useChatStore = create((set, get) => ({
         }
       }
       
+      // 正在查看更早的消息（最新的消息已被移出列表）：自己发送的消息回到最新，其他的暂不追加
+      if (get().hasNewerMessages) {
+        if (message.senderId === user?.id) get().loadLatestMessages();
+        return;
+      }
+
 // Update both current messages and cache, keeping only last MAX_MESSAGES
       set((state) => {
         const newMessages = [...state.messages, message].slice(-MAX_MESSAGES);
@@ -378,7 +676,8 @@ export const useChatStore = create((set, get) => ({
     });
 
     socket.on('system_message', (msg) => {
-      const { currentRoom } = get();
+      const { currentRoom, hasNewerMessages } = get();
+      if (hasNewerMessages) return;
       const sysMsg = { 
         ...msg, 
         type: 'system', 
@@ -417,7 +716,11 @@ export const useChatStore = create((set, get) => ({
           );
         }
         
-        return { messages: newMessages, messageCache: newCache };
+        return {
+          messages: newMessages,
+          messageCache: newCache,
+          activeThread: patchMessage(state, { roomId }, messageId, { recalled: true }).activeThread
+        };
       });
     });
 
@@ -438,11 +741,32 @@ export const useChatStore = create((set, get) => ({
             !(msg.id === messageId || msg.id?.toString().startsWith(messageId?.toString()))
           );
         }
+
+        // 打开的话题：根消息被删除时话题随之删除，否则移除其中的回复
+        let thread = state.activeThread;
+        if (thread?.roomId === roomId) {
+          thread = thread.rootId === messageId
+            ? null
+            : { ...thread, replies: thread.replies.filter(msg => msg.id !== messageId) };
+        }
         
-        return { messages: newMessages, messageCache: newCache };
+        return { messages: newMessages, messageCache: newCache, activeThread: thread };
       });
     });
 
+    // 话题的回复数变化
+    socket.on('thread_updated', ({ roomId, rootId, replyCount, lastReplyAt }) => {
+      set((state) => patchMessage(state, { roomId }, rootId, { replyCount, lastReplyAt }));
+    });
+
+    // 话题的根消息被删除，数据库中的回复和其中的提及随之删除：关闭这个话题（回复只出现在话题面板中），重新获取未读提及数
+    socket.on('thread_deleted', ({ roomId, rootId }) => {
+      set((state) => (
+        state.activeThread?.roomId === roomId && state.activeThread.rootId === rootId ? { activeThread: null } : {}
+      ));
+      if (get().mentionUnreadCount > 0) get().fetchMentions({ limit: 1 });
+    });
+
     // Listen for being kicked from room
     socket.on('kicked_from_room', ({ roomName, reason }) => {
       // Show notification
@@ -483,7 +807,7 @@ export const useChatStore = create((set, get) => ({
         
         // Also fetch fresh list from server just in case
         socket.emit('get_rooms', (updatedRooms) => {
-           set({ rooms: updatedRooms || [] });
+           set({ rooms: Array.isArray(updatedRooms) ? updatedRooms : [] });
         });
     });
 
@@ -514,6 +838,11 @@ export const useChatStore = create((set, get) => ({
 
       // 如果是当前打开的会话，添加到消息列表
       if (currentDM && currentDM.id === conversationId) {
+        // 正在查看更早的消息时同房间的处理
+        if (get().dmHasNewerMessages) {
+          if (message.senderId === user?.id) get().loadLatestDMMessages();
+          return;
+        }
         set((state) => {
           const newMessages = [...state.dmMessages, message].slice(-MAX_MESSAGES);
           const newCache = { ...state.dmMessageCache, [conversationId]: newMessages };
@@ -608,6 +937,21 @@ export const useChatStore = create((set, get) => ({
       }
     });
 
+    // 消息编辑事件（房间消息带 roomId，私聊消息带 conversationId）
+    socket.on('message_edited', ({ messageId, roomId, conversationId, text, editedAt }) => {
+      set((state) => patchMessage(state, { roomId, conversationId }, messageId, { text, editedAt }));
+    });
+
+    // 链接预览抓取完成（或编辑后链接被去掉，linkPreview 为 null）
+    socket.on('message_updated', ({ messageId, roomId, conversationId, linkPreview }) => {
+      set((state) => patchMessage(state, { roomId, conversationId }, messageId, { linkPreview }));
+    });
+
+    // 表情回应变化（带这条消息最新的全部回应）
+    socket.on('reaction_updated', ({ messageId, roomId, conversationId, reactions }) => {
+      set((state) => patchMessage(state, { roomId, conversationId }, messageId, { reactions }));
+    });
+
     // 私聊消息删除事件
     socket.on('dm_message_deleted', ({ messageId, conversationId }) => {
       const { currentDM } = get();
@@ -653,8 +997,9 @@ export const useChatStore = create((set, get) => ({
       fetchDMList();
     });
 
-    // Initial fetch
+    // Initial fetch (未登录时服务端返回错误对象)
     socket.emit('get_rooms', (rooms) => {
+        if (!Array.isArray(rooms)) return;
         // Process cooldowns into timestamps
         const processedRooms = rooms.map(r => ({
             ...r,
@@ -684,33 +1029,46 @@ export const useChatStore = create((set, get) => ({
   login: (username, password, isAutoLogin = false) => {
     return new Promise((resolve) => {
       socket.emit('login', { username, password }, (response) => {
+        resolve(applyAuthResponse(set, response, isAutoLogin));
+      });
+    });
+  },
+
+  // 登录第二步：TOTP 验证码或恢复码
+  verifyTwoFactor: (challenge, code) => {
+    return new Promise((resolve) => {
+      socket.emit('login_2fa', { challenge, code }, (response) => {
+        resolve(applyAuthResponse(set, response, false));
+      });
+    });
+  },
+
+  // 注册新账号（注册策略为 invite 时需要邀请码）
+  register: (username, password, inviteCode) => {
+    return new Promise((resolve) => {
+      socket.emit('register', { username, password, inviteCode }, (response) => {
+        resolve(applyAuthResponse(set, response, false));
+      });
+    });
+  },
+
+  // 当前注册策略：open / invite / closed
+  fetchRegistrationPolicy: () => {
+    return new Promise((resolve) => {
+      socket.timeout(5000).emit('get_registration_policy', (err, response) => {
+        resolve(err ? 'open' : response.policy);
+      });
+    });
+  },
+
+  // 使用令牌恢复会话，服务端会返回轮换后的新令牌
+  resumeSession: (token) => {
+    return new Promise((resolve) => {
+      socket.emit('resume_session', { token }, (response) => {
         if (response.success) {
-          // Server returns user object with persistentId
-          // Only show welcome modal if:
-          // 1. It's a new user (isNewUser === true)
-          // 2. They haven't seen it before (no localStorage mark)
-          // 3. It's not an auto-login (user manually logging in)
-          const hasSeenWelcome = localStorage.getItem(`welcome_seen_${response.user.id}`);
-          const shouldShowWelcome = response.isNewUser && !hasSeenWelcome && !isAutoLogin;
-          const isAdminUser = !!response.user.isAdmin;
-          const shouldShowAdminWelcome = isAdminUser && !isAutoLogin;
-          
-          set({ 
-            user: response.user, 
-            connected: true,
-            showWelcomeModal: shouldShowWelcome,
-            showAdminWelcomeModal: shouldShowAdminWelcome
-          });
-          
-          // Save session for auto-reconnect
-          localStorage.setItem('chat_session', JSON.stringify({ 
-              username, 
-              password, 
-              userId: response.user.id // Save the persistent ID returned by server
-          }));
-          
-          // Return success with isNewUser flag
-          resolve({ success: true, isNewUser: response.isNewUser });
+          set({ user: response.user, connected: true });
+          saveSession(response.token, response.user.id);
+          resolve({ success: true });
         } else {
           resolve({ success: false, error: response.error });
         }
@@ -719,10 +1077,29 @@ export const useChatStore = create((set, get) => ({
   },
 
   logout: () => {
-    localStorage.removeItem('chat_session');
-    localStorage.removeItem('last_room_id');
-    set({ user: null, currentRoom: null, messages: [] });
-    window.location.reload();
+    const finish = () => {
+      clearSavedSession();
+      set({ user: null, currentRoom: null, messages: [] });
+      window.location.reload();
+    };
+
+    // 通知服务端吊销当前令牌；断线时直接清理本地
+    if (!socket.connected) return finish();
+    socket.timeout(3000).emit('logout', finish);
+  },
+
+  // 退出所有设备：吊销该账号的全部会话
+  logoutAllDevices: () => {
+    return new Promise((resolve) => {
+      socket.emit('logout_all_devices', (response) => {
+        if (response?.success) {
+          clearSavedSession();
+          set({ user: null, currentRoom: null, messages: [] });
+          window.location.reload();
+        }
+        resolve(response || { success: false });
+      });
+    });
   },
 
   updateAvatar: (avatarId) => {
@@ -740,12 +1117,105 @@ export const useChatStore = create((set, get) => ({
     });
   },
 
+  // 修改密码：其他设备会被强制下线，当前设备换用新令牌
+  changePassword: (currentPassword, newPassword) => {
+    return new Promise((resolve) => {
+      socket.emit('change_password', { currentPassword, newPassword }, (response) => {
+        if (response?.success) {
+          saveSession(response.token, get().user.id);
+        }
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  changeUsername: (newUsername) => {
+    return new Promise((resolve) => {
+      socket.emit('change_username', { newUsername }, (response) => {
+        if (response?.success) {
+          set((state) => ({ user: { ...state.user, username: response.username } }));
+        }
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // ======= 两步验证 =======
+
+  fetchTwoFactorStatus: () => {
+    return new Promise((resolve) => {
+      socket.emit('get_2fa_status', (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 返回 { secret, uri }，uri 为 otpauth:// 地址
+  setupTwoFactor: () => {
+    return new Promise((resolve) => {
+      socket.emit('setup_2fa', (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 成功时返回一次性恢复码
+  enableTwoFactor: (code) => {
+    return new Promise((resolve) => {
+      socket.emit('enable_2fa', { code }, (response) => {
+        if (response?.success) {
+          set((state) => ({ user: { ...state.user, twoFactorEnabled: true } }));
+        }
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 强制启用两步验证的管理员保存好恢复码后才进入应用，并补上之前被拒绝的请求
+  completeTwoFactorSetup: () => {
+    set((state) => ({ user: { ...state.user, twoFactorSetupRequired: false } }));
+    get().fetchDMList();
+  },
+
+  disableTwoFactor: (password, code) => {
+    return new Promise((resolve) => {
+      socket.emit('disable_2fa', { password, code }, (response) => {
+        if (response?.success) {
+          set((state) => ({ user: { ...state.user, twoFactorEnabled: false } }));
+        }
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  regenerateRecoveryCodes: (code) => {
+    return new Promise((resolve) => {
+      socket.emit('regenerate_recovery_codes', { code }, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // messages: 'anonymize' | 'purge'
+  deleteMyAccount: (password, messages) => {
+    return new Promise((resolve) => {
+      socket.emit('delete_my_account', { password, messages }, (response) => {
+        if (response?.success) {
+          clearSavedSession();
+          set({ user: null, currentRoom: null, messages: [], rooms: [] });
+          window.location.reload();
+        }
+        resolve(response || { success: false });
+      });
+    });
+  },
+
   fetchAdminRooms: () => {
     const { user } = get();
     if (!user?.isAdmin) return;
 
     socket.emit('get_rooms', (rooms) => {
-      set({ adminRooms: rooms || [] });
+      set({ adminRooms: Array.isArray(rooms) ? rooms : [] });
     });
   },
 
@@ -778,7 +1248,7 @@ export const useChatStore = create((set, get) => ({
         }));
       }
       
-      socket.emit('join_room', roomId, ({ success, room, history, banner, userAvatars: serverAvatars, error, cooldown, remainingSeconds, roomName }) => {
+      socket.emit('join_room', roomId, ({ success, room, history, hasMore, banner, userAvatars: serverAvatars, error, cooldown, remainingSeconds, roomName }) => {
         if (success) {
           // Save last room for auto-rejoin
           localStorage.setItem('last_room_id', roomId);
@@ -801,6 +1271,11 @@ export const useChatStore = create((set, get) => ({
           set({ 
             currentRoom: room, 
             messages: limitedMessages,
+            hasMoreHistory: !!hasMore,
+            loadingHistory: false,
+            hasNewerMessages: false,
+            highlightedMessageId: null,
+            activeThread: null,
             roomBanner: banner || null,
             hasJoined: true,
             rooms: updatedRooms,
@@ -845,9 +1320,133 @@ export const useChatStore = create((set, get) => ({
     }
     socket.emit('leave_room');
     localStorage.removeItem('last_room_id');
-    set({ currentRoom: null, messages: [], replyingTo: null, roomBanner: null });
+    set({ currentRoom: null, messages: [], replyingTo: null, roomBanner: null, hasMoreHistory: false, hasNewerMessages: false, activeThread: null });
   },
 
+  // 加载当前房间更早的一页消息（滚动到顶部时调用），返回 { success, count }
+  loadOlderMessages: () => {
+    return new Promise((resolve) => {
+      const { currentRoom, messages, hasMoreHistory, loadingHistory } = get();
+      const before = getOldestMessageId(messages);
+      if (!currentRoom || !hasMoreHistory || loadingHistory || !before) {
+        resolve({ success: false });
+        return;
+      }
+
+      set({ loadingHistory: true });
+      socket.emit('load_room_history', { roomId: currentRoom.id, before, limit: get().serverConfig.historyPageSize }, (response) => {
+        // 等待期间切换了房间，丢弃结果
+        if (get().currentRoom?.id !== currentRoom.id) {
+          resolve({ success: false });
+          return;
+        }
+        if (!response?.success) {
+          set({ loadingHistory: false });
+          resolve({ success: false, error: response?.error });
+          return;
+        }
+
+        set((state) => {
+          const { messages: merged, trimmed } = prependHistoryPage(state.messages, response.history);
+          return {
+            messages: merged,
+            messageCache: { ...state.messageCache, [currentRoom.id]: merged },
+            hasMoreHistory: response.hasMore,
+            hasNewerMessages: state.hasNewerMessages || trimmed,
+            loadingHistory: false,
+            userAvatars: { ...state.userAvatars, ...response.userAvatars }
+          };
+        });
+        resolve({ success: true, count: response.history.length });
+      });
+    });
+  },
+
+  // 重新加载当前房间最新的消息（回到最新消息）
+  loadLatestMessages: () => {
+    return new Promise((resolve) => {
+      const { currentRoom } = get();
+      if (!currentRoom) {
+        resolve({ success: false });
+        return;
+      }
+
+      socket.emit('load_room_history', { roomId: currentRoom.id, limit: get().serverConfig.maxHistoryPageSize }, (response) => {
+        if (get().currentRoom?.id !== currentRoom.id || !response?.success) {
+          resolve({ success: false, error: response?.error });
+          return;
+        }
+        set((state) => ({
+          messages: response.history,
+          messageCache: { ...state.messageCache, [currentRoom.id]: response.history },
+          hasMoreHistory: response.hasMore,
+          hasNewerMessages: false,
+          loadingHistory: false,
+          userAvatars: { ...state.userAvatars, ...response.userAvatars }
+        }));
+        resolve({ success: true });
+      });
+    });
+  },
+
+  // 搜索自己所在的房间和私聊中的消息，filters 见服务端 search_messages
+  searchMessages: (filters) => {
+    return new Promise((resolve) => {
+      socket.emit('search_messages', filters, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 跳转到搜索结果：进入对应的房间 / 私聊，加载这条消息前后的消息并定位到它
+  // 加载的消息不包含最新的消息时和向上翻页一样显示“回到最新消息”
+  // 话题中的回复定位到它的根消息并打开话题
+  jumpToMessage: async ({ type, scopeId, otherUser, message: target }) => {
+    const isRoom = type === 'room';
+    const message = target.threadRootId ? { id: target.threadRootId } : target;
+    const entered = isRoom
+      ? await get().joinRoom(scopeId)
+      : await get().enterDM({ id: scopeId, otherUser });
+    if (!entered?.success) return entered || { success: false };
+
+    return new Promise((resolve) => {
+      const event = isRoom ? 'load_room_history' : 'load_dm_history';
+      const scope = isRoom ? { roomId: scopeId } : { conversationId: scopeId };
+      socket.emit(event, { ...scope, around: message.id, limit: get().serverConfig.historyPageSize }, (response) => {
+        const stillOpen = isRoom ? get().currentRoom?.id === scopeId : get().currentDM?.id === scopeId;
+        if (!stillOpen || !response?.success) {
+          resolve({ success: false, error: response?.error });
+          return;
+        }
+
+        if (isRoom) {
+          set((state) => ({
+            messages: response.history,
+            messageCache: { ...state.messageCache, [scopeId]: response.history },
+            hasMoreHistory: response.hasMore,
+            hasNewerMessages: response.hasNewer,
+            loadingHistory: false,
+            userAvatars: { ...state.userAvatars, ...response.userAvatars },
+            highlightedMessageId: message.id
+          }));
+          if (target.threadRootId) get().openThread(target.threadRootId);
+        } else {
+          set((state) => ({
+            dmMessages: response.history,
+            dmMessageCache: { ...state.dmMessageCache, [scopeId]: response.history },
+            dmHasMoreHistory: response.hasMore,
+            dmHasNewerMessages: response.hasNewer,
+            dmLoadingHistory: false,
+            highlightedMessageId: message.id
+          }));
+        }
+        resolve({ success: true });
+      });
+    });
+  },
+
+  clearHighlightedMessage: () => set({ highlightedMessageId: null }),
+
   setReplyingTo: (message) => set({ replyingTo: message }),
 
   sendMessage: (text) => {
@@ -855,23 +1454,93 @@ export const useChatStore = create((set, get) => ({
     if (!currentRoom) return;
     
     // Prepare reply data if exists
-    const replyData = replyingTo ? {
-        id: replyingTo.id,
-        text: replyingTo.text,
-        sender: replyingTo.sender,
-        imageUrl: replyingTo.imageUrl || null
-    } : null;
+    const replyData = getReplyData(replyingTo);
 
     socket.emit('send_message', { 
         roomId: currentRoom.id, 
         message: text,
         replyTo: replyData 
+    }, (response) => {
+        if (response && !response.success && response.error) toast.error(response.error);
     });
     
     // Clear reply state
     set({ replyingTo: null });
   },
 
+  // 打开当前房间中某条消息的话题（加载根消息和全部回复）
+  openThread: (rootId) => {
+    return new Promise((resolve) => {
+      const { currentRoom } = get();
+      if (!currentRoom) {
+        return resolve({ success: false, error: '未在房间中' });
+      }
+
+      const roomId = currentRoom.id;
+      set({ activeThread: { roomId, rootId, root: null, replies: [], loading: true } });
+      socket.emit('get_thread', { roomId, rootId }, (response) => {
+        // 等待期间关闭或切换了话题，丢弃结果
+        if (get().activeThread?.rootId !== rootId || get().currentRoom?.id !== roomId) {
+          return resolve({ success: false });
+        }
+        if (!response?.success) {
+          set({ activeThread: null });
+          toast.error(response?.error || '加载话题失败');
+          return resolve({ success: false, error: response?.error });
+        }
+        set((state) => ({
+          activeThread: { roomId, rootId, root: response.root, replies: response.replies, loading: false },
+          userAvatars: { ...state.userAvatars, ...response.userAvatars }
+        }));
+        resolve({ success: true });
+      });
+    });
+  },
+
+  closeThread: () => set({ activeThread: null }),
+
+  // 房间中可以 @ 的成员（输入框自动补全），返回 { success, members: [{ username, avatarId }], canMentionAll }
+  fetchMentionableMembers: (roomId) => {
+    return new Promise((resolve) => {
+      socket.emit('get_mentionable_members', roomId, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 提及我的消息，before 为当前列表最后一条的 id；同时更新未读数
+  fetchMentions: ({ before, limit } = {}) => {
+    return new Promise((resolve) => {
+      socket.emit('get_mentions', { before, limit }, (response) => {
+        if (response?.success) set({ mentionUnreadCount: response.unreadCount });
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  markMentionsRead: () => {
+    set({ mentionUnreadCount: 0 });
+    socket.emit('mark_mentions_read', () => {});
+  },
+
+  // 在打开的话题中回复
+  sendThreadReply: (text) => {
+    return new Promise((resolve) => {
+      const { currentRoom, activeThread } = get();
+      if (!currentRoom || !activeThread) {
+        return resolve({ success: false, error: '未打开话题' });
+      }
+
+      socket.emit('send_message', {
+        roomId: currentRoom.id,
+        message: text,
+        threadRootId: activeThread.rootId
+      }, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
   dismissRoom: (roomId, onSuccess) => {
       socket.emit('dismiss_room', roomId, ({ success, error }) => {
           if (success && typeof onSuccess === 'function') {
@@ -883,8 +1552,8 @@ export const useChatStore = create((set, get) => ({
 
   adminBroadcast: (message) => {
     return new Promise((resolve) => {
-      const { currentRoom, user } = get();
-      if (!currentRoom || !user?.isAdmin) {
+      const { currentRoom } = get();
+      if (!currentRoom || !hasRoomRole(currentRoom.myRole, 'moderator')) {
         return resolve({ success: false, error: 'Not allowed' });
       }
       
@@ -896,8 +1565,8 @@ export const useChatStore = create((set, get) => ({
 
   clearRoomBanner: () => {
     return new Promise((resolve) => {
-      const { currentRoom, user } = get();
-      if (!currentRoom || !user?.isAdmin) {
+      const { currentRoom } = get();
+      if (!currentRoom || !hasRoomRole(currentRoom.myRole, 'moderator')) {
         return resolve({ success: false, error: 'Not allowed' });
       }
       
@@ -921,6 +1590,47 @@ export const useChatStore = create((set, get) => ({
     });
   },
 
+  // 编辑自己的消息（房间）
+  editMessage: (messageId, text) => {
+    return new Promise((resolve) => {
+      const { currentRoom } = get();
+      if (!currentRoom) {
+        return resolve({ success: false, error: '未在房间中' });
+      }
+
+      socket.emit('edit_message', { messageId, roomId: currentRoom.id, text }, (response) => {
+        resolve(response || { success: true });
+      });
+    });
+  },
+
+  // 添加 / 取消自己对消息的表情回应（房间）
+  toggleReaction: (messageId, emoji) => {
+    const { currentRoom, messages, user } = get();
+    if (!currentRoom) return Promise.resolve({ success: false, error: '未在房间中' });
+    const msg = messages.find(m => m.id === messageId);
+    const reacted = msg?.reactions?.some(r => r.emoji === emoji && r.userIds.includes(user?.id));
+    return new Promise((resolve) => {
+      socket.emit(reacted ? 'remove_reaction' : 'add_reaction', { messageId, roomId: currentRoom.id, emoji }, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 消息的编辑记录（房间），返回 { success, edits: [{ text, editedAt }] }
+  fetchMessageEdits: (messageId) => {
+    return new Promise((resolve) => {
+      const { currentRoom } = get();
+      if (!currentRoom) {
+        return resolve({ success: false, error: '未在房间中' });
+      }
+
+      socket.emit('get_message_edits', { messageId, roomId: currentRoom.id }, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
   // 删除消息（房间，管理员可删除任何消息，普通用户可删除自己的已撤回消息）
   deleteMessage: (messageId) => {
     return new Promise((resolve) => {
@@ -988,17 +1698,147 @@ export const useChatStore = create((set, get) => ({
     });
   },
 
-  adminKickUser: (roomId, username) => {
+  adminPromoteUser: (username) => {
     return new Promise((resolve) => {
         const { user } = get();
         if (!user?.isAdmin) return resolve({ success: false, error: 'Permission denied' });
-        
+
+        socket.emit('admin_promote_user', { username }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  adminDemoteUser: (username) => {
+    return new Promise((resolve) => {
+        const { user } = get();
+        if (!user?.isAdmin) return resolve({ success: false, error: 'Permission denied' });
+
+        socket.emit('admin_demote_user', { username }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  fetchLoginLocks: () => {
+    return new Promise((resolve) => {
+        const { user } = get();
+        if (!user?.isAdmin) return resolve([]);
+
+        socket.emit('admin_get_login_locks', (response) => {
+            resolve(response?.success ? response.locks : []);
+        });
+    });
+  },
+
+  adminUnlockLogin: (key) => {
+    return new Promise((resolve) => {
+        const { user } = get();
+        if (!user?.isAdmin) return resolve({ success: false, error: 'Permission denied' });
+
+        socket.emit('admin_unlock_login', { key }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  fetchRegistrationSettings: () => {
+    return new Promise((resolve) => {
+        const { user } = get();
+        if (!user?.isAdmin) return resolve(null);
+
+        socket.emit('admin_get_registration', (response) => {
+            resolve(response?.success ? response : null);
+        });
+    });
+  },
+
+  adminSetRegistrationPolicy: (policy) => {
+    return new Promise((resolve) => {
+        socket.emit('admin_set_registration_policy', { policy }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  adminCreateInvite: (maxUses, expiresInDays) => {
+    return new Promise((resolve) => {
+        socket.emit('admin_create_invite', { maxUses, expiresInDays }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  adminRevokeInvite: (code) => {
+    return new Promise((resolve) => {
+        socket.emit('admin_revoke_invite', { code }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  adminSetTwoFactorPolicy: (required) => {
+    return new Promise((resolve) => {
+        socket.emit('admin_set_2fa_policy', { required }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  adminResetTwoFactor: (username) => {
+    return new Promise((resolve) => {
+        socket.emit('admin_reset_2fa', { username }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  // filters: { action, actor, target, roomId, page, pageSize }
+  fetchAuditLog: (filters = {}) => {
+    return new Promise((resolve) => {
+        const { user } = get();
+        if (!user?.isAdmin) return resolve({ success: false, error: 'Permission denied' });
+
+        socket.emit('admin_get_audit_log', filters, (response) => {
+            resolve(response || { success: false });
+        });
+    });
+  },
+
+  // 移出房间成员（管理员 / 房主 / 协管，服务端校验权限）
+  adminKickUser: (roomId, username) => {
+    return new Promise((resolve) => {
         socket.emit('admin_kick_user', { roomId, username }, (response) => {
             resolve(response);
         });
     });
   },
 
+  // 房间成员及角色（协管及以上可用）
+  fetchRoomMembers: (roomId) => {
+    return new Promise((resolve) => {
+        socket.emit('get_room_members', roomId, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  setRoomModerator: (roomId, username, isModerator) => {
+    return new Promise((resolve) => {
+        socket.emit('set_room_moderator', { roomId, username, isModerator }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
+  setRoomMuted: (roomId, username, muted) => {
+    return new Promise((resolve) => {
+        socket.emit('set_room_muted', { roomId, username, muted }, (response) => {
+            resolve(response);
+        });
+    });
+  },
+
   // ======= DM 私聊相关方法 =======
   
   // 搜索用户
@@ -1044,6 +1884,9 @@ export const useChatStore = create((set, get) => ({
           set({
             currentDM: response.conversation,
             dmMessages: response.history || [],
+            dmHasMoreHistory: !!response.hasMore,
+            dmLoadingHistory: false,
+            dmHasNewerMessages: false,
             showDMPanel: true
           });
           
@@ -1096,7 +1939,11 @@ export const useChatStore = create((set, get) => ({
         currentDM: conversation,
         showDMPanel: true,
         dmMessages: state.dmMessageCache[conversation.id] || [], // 使用缓存，避免空白
-        dmLoading: true
+        dmLoading: true,
+        dmHasMoreHistory: false,
+        dmLoadingHistory: false,
+        dmHasNewerMessages: false,
+        highlightedMessageId: null
       }));
 
       // 查询对方用户的在线状态
@@ -1109,7 +1956,7 @@ export const useChatStore = create((set, get) => ({
           set((state) => {
             const history = response.history || [];
             const newCache = { ...state.dmMessageCache, [conversation.id]: history };
-            return { dmMessages: history, dmMessageCache: newCache, dmLoading: false };
+            return { dmMessages: history, dmMessageCache: newCache, dmLoading: false, dmHasMoreHistory: !!response.hasMore };
           });
           
           // 只有当页面可见时才标记消息为已读
@@ -1137,17 +1984,75 @@ export const useChatStore = create((set, get) => ({
     });
   },
 
+  // 加载当前私聊更早的一页消息，同 loadOlderMessages
+  loadOlderDMMessages: () => {
+    return new Promise((resolve) => {
+      const { currentDM, dmMessages, dmHasMoreHistory, dmLoadingHistory } = get();
+      const before = getOldestMessageId(dmMessages);
+      if (!currentDM || !dmHasMoreHistory || dmLoadingHistory || !before) {
+        resolve({ success: false });
+        return;
+      }
+
+      set({ dmLoadingHistory: true });
+      socket.emit('load_dm_history', { conversationId: currentDM.id, before, limit: get().serverConfig.historyPageSize }, (response) => {
+        if (get().currentDM?.id !== currentDM.id) {
+          resolve({ success: false });
+          return;
+        }
+        if (!response?.success) {
+          set({ dmLoadingHistory: false });
+          resolve({ success: false, error: response?.error });
+          return;
+        }
+
+        set((state) => {
+          const { messages: merged, trimmed } = prependHistoryPage(state.dmMessages, response.history);
+          return {
+            dmMessages: merged,
+            dmMessageCache: { ...state.dmMessageCache, [currentDM.id]: merged },
+            dmHasMoreHistory: response.hasMore,
+            dmHasNewerMessages: state.dmHasNewerMessages || trimmed,
+            dmLoadingHistory: false
+          };
+        });
+        resolve({ success: true, count: response.history.length });
+      });
+    });
+  },
+
+  // 重新加载当前私聊最新的消息，同 loadLatestMessages
+  loadLatestDMMessages: () => {
+    return new Promise((resolve) => {
+      const { currentDM } = get();
+      if (!currentDM) {
+        resolve({ success: false });
+        return;
+      }
+
+      socket.emit('load_dm_history', { conversationId: currentDM.id, limit: get().serverConfig.historyPageSize }, (response) => {
+        if (get().currentDM?.id !== currentDM.id || !response?.success) {
+          resolve({ success: false, error: response?.error });
+          return;
+        }
+        set((state) => ({
+          dmMessages: response.history,
+          dmMessageCache: { ...state.dmMessageCache, [currentDM.id]: response.history },
+          dmHasMoreHistory: response.hasMore,
+          dmHasNewerMessages: false,
+          dmLoadingHistory: false
+        }));
+        resolve({ success: true });
+      });
+    });
+  },
+
   // 发送私聊消息
   sendDMMessage: (text, imageUrl = null) => {
     const { currentDM, replyingTo } = get();
     if (!currentDM) return;
     
-    const replyData = replyingTo ? {
-      id: replyingTo.id,
-      text: replyingTo.text,
-      sender: replyingTo.sender,
-      imageUrl: replyingTo.imageUrl || null
-    } : null;
+    const replyData = getReplyData(replyingTo);
 
     socket.emit('send_dm', {
       conversationId: currentDM.id,
@@ -1178,6 +2083,47 @@ export const useChatStore = create((set, get) => ({
     });
   },
 
+  // 编辑自己的私聊消息
+  editDMMessage: (messageId, text) => {
+    return new Promise((resolve) => {
+      const { currentDM } = get();
+      if (!currentDM) {
+        return resolve({ success: false, error: '未在会话中' });
+      }
+
+      socket.emit('edit_dm_message', { messageId, conversationId: currentDM.id, text }, (response) => {
+        resolve(response || { success: true });
+      });
+    });
+  },
+
+  // 添加 / 取消自己对私聊消息的表情回应
+  toggleDMReaction: (messageId, emoji) => {
+    const { currentDM, dmMessages, user } = get();
+    if (!currentDM) return Promise.resolve({ success: false, error: '未在会话中' });
+    const msg = dmMessages.find(m => m.id === messageId);
+    const reacted = msg?.reactions?.some(r => r.emoji === emoji && r.userIds.includes(user?.id));
+    return new Promise((resolve) => {
+      socket.emit(reacted ? 'remove_reaction' : 'add_reaction', { messageId, conversationId: currentDM.id, emoji }, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
+  // 私聊消息的编辑记录，返回 { success, edits: [{ text, editedAt }] }
+  fetchDMMessageEdits: (messageId) => {
+    return new Promise((resolve) => {
+      const { currentDM } = get();
+      if (!currentDM) {
+        return resolve({ success: false, error: '未在会话中' });
+      }
+
+      socket.emit('get_dm_message_edits', { messageId, conversationId: currentDM.id }, (response) => {
+        resolve(response || { success: false });
+      });
+    });
+  },
+
   // 删除私聊消息（管理员可删除任何消息，普通用户可删除自己的已撤回消息）
   deleteDMMessage: (messageId) => {
     return new Promise((resolve) => {
@@ -1214,12 +2160,10 @@ export const useChatStore = create((set, get) => ({
     set({ uploadingImage: true });
     
     try {
-      const formData = new FormData();
-      formData.append('image', file);
-      
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData
+      const { currentRoom, currentDM } = get();
+      const response = await postImageUpload(file, {
+        roomId: currentDM ? null : currentRoom?.id,
+        conversationId: currentDM?.id
       });
       
       const result = await response.json();
@@ -1252,13 +2196,7 @@ export const useChatStore = create((set, get) => ({
     set({ uploadingImage: true });
     
     try {
-      const formData = new FormData();
-      formData.append('image', file);
-
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData
-      });
+      const response = await postImageUpload(file, { roomId: currentRoom.id });
 
       const result = await response.json();
 
@@ -1269,6 +2207,8 @@ export const useChatStore = create((set, get) => ({
           message: '',
           imageUrl: result.imageUrl,
           replyTo: null
+        }, (response) => {
+          if (response && !response.success && response.error) toast.error(response.error);
         });
 
         set({ uploadingImage: false, pendingImage: null });
@@ -1298,13 +2238,7 @@ export const useChatStore = create((set, get) => ({
     set({ uploadingImage: true });
     
     try {
-      const formData = new FormData();
-      formData.append('image', file);
-
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData
-      });
+      const response = await postImageUpload(file, { conversationId: currentDM.id });
 
       const result = await response.json();
 
@@ -1334,5 +2268,49 @@ export const useChatStore = create((set, get) => ({
       toast.error('图片上传失败');
       return { success: false, error: '上传失败' };
     }
+  },
+
+  // ======= 文件附件 =======
+
+  // 上传文件并作为一条消息发送到当前房间
+  sendFileMessage: async (file) => {
+    const { currentRoom } = get();
+    if (!currentRoom) return { success: false };
+
+    set({ uploadingFile: true });
+    const attachment = await uploadAttachment(file, { roomId: currentRoom.id });
+    set({ uploadingFile: false });
+    if (!attachment) return { success: false };
+
+    socket.emit('send_message', {
+      roomId: currentRoom.id,
+      message: '',
+      attachmentId: attachment.id,
+      replyTo: null
+    }, (response) => {
+      if (response && !response.success && response.error) toast.error(response.error);
+    });
+    return { success: true };
+  },
+
+  // 上传文件并作为一条消息发送到当前私聊会话
+  sendDMFileMessage: async (file) => {
+    const { currentDM } = get();
+    if (!currentDM) return { success: false };
+
+    set({ uploadingFile: true });
+    const attachment = await uploadAttachment(file, { conversationId: currentDM.id });
+    set({ uploadingFile: false });
+    if (!attachment) return { success: false };
+
+    socket.emit('send_dm', {
+      conversationId: currentDM.id,
+      message: '',
+      attachmentId: attachment.id,
+      replyTo: null
+    }, (response) => {
+      if (response && !response.success && response.error) toast.error(response.error);
+    });
+    return { success: true };
   }
 }));
@@ -0,0 +1,95 @@
+import { useCallback, useLayoutEffect, useRef } from 'react';
+
+// 距离顶部多少像素时开始加载更早的消息
+const LOAD_OLDER_THRESHOLD = 120;
+// 距离底部多少像素以内视为停留在底部
+const BOTTOM_THRESHOLD = 80;
+
+// 聊天消息列表的滚动控制（房间和私聊共用）
+// - 滚动到顶部时调用 loadOlder 加载更早的消息，加载后保持当前看到的消息位置不变
+// - 新消息到达时，只有停留在底部或消息是自己发送的才滚动到底部
+// - focusMessageId 变化时把该消息滚动到可见区域中间（搜索结果跳转）
+// 消息元素需要带 data-message-id 属性，用于加载前后定位
+export function useHistoryScroll({ messages, resetKey, userId, hasMore, loadingOlder, loadOlder, focusMessageId }) {
+  const containerRef = useRef(null);
+  const endRef = useRef(null);
+  const atBottomRef = useRef(true);
+  const lastMessageIdRef = useRef(null);
+  const anchorRef = useRef(null); // { id, top } 加载前最早一条消息及其位置
+  const focusedIdRef = useRef(null);
+
+  // 滚动到底部（始终无动画，确保立即到位）
+  const scrollToBottom = useCallback(() => {
+    endRef.current?.scrollIntoView({ behavior: 'auto' });
+  }, []);
+
+  // 下一次消息变化时滚动到底部（例如点击“回到最新消息”）
+  const followLatest = useCallback(() => {
+    atBottomRef.current = true;
+  }, []);
+
+  // 图片加载完成后内容变高，只有停留在底部时才跟随
+  const handleImageLoad = useCallback(() => {
+    if (atBottomRef.current) scrollToBottom();
+  }, [scrollToBottom]);
+
+  // 切换房间 / 会话后从底部开始
+  useLayoutEffect(() => {
+    atBottomRef.current = true;
+    lastMessageIdRef.current = null;
+    anchorRef.current = null;
+  }, [resetKey]);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const lastMessage = messages[messages.length - 1];
+    const lastChanged = lastMessage?.id !== lastMessageIdRef.current;
+    lastMessageIdRef.current = lastMessage?.id;
+
+    // 定位到指定的消息（每个 ID 只定位一次）
+    if (focusMessageId !== focusedIdRef.current && container) {
+      const node = focusMessageId && container.querySelector(`[data-message-id="${focusMessageId}"]`);
+      if (node || !focusMessageId) focusedIdRef.current = focusMessageId;
+      if (node) {
+        atBottomRef.current = false;
+        node.scrollIntoView({ behavior: 'auto', block: 'center' });
+        return;
+      }
+    }
+
+    // 加载了更早的消息：把加载前最早的那条消息放回原来的位置
+    const anchor = anchorRef.current;
+    if (anchor && container) {
+      const node = container.querySelector(`[data-message-id="${anchor.id}"]`);
+      if (node) container.scrollTop += node.getBoundingClientRect().top - anchor.top;
+      if (messages[0]?.id !== anchor.id) {
+        anchorRef.current = null;
+        return;
+      }
+    }
+
+    if (!lastChanged || !(atBottomRef.current || lastMessage?.senderId === userId)) return;
+    scrollToBottom();
+    // 延迟滚动，处理图片加载导致的高度变化
+    const timer = setTimeout(scrollToBottom, 100);
+    return () => clearTimeout(timer);
+  }, [messages, userId, focusMessageId, scrollToBottom]);
+
+  const handleScroll = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    atBottomRef.current = container.scrollHeight - container.scrollTop - container.clientHeight < BOTTOM_THRESHOLD;
+
+    if (container.scrollTop > LOAD_OLDER_THRESHOLD || !hasMore || loadingOlder || anchorRef.current) return;
+    const first = messages[0];
+    const node = first && container.querySelector(`[data-message-id="${first.id}"]`);
+    if (!node) return;
+    anchorRef.current = { id: first.id, top: node.getBoundingClientRect().top };
+    loadOlder().then((result) => {
+      // 没有加载到消息时消息列表不会变化，在这里清除定位
+      if (!result?.success || result.count === 0) anchorRef.current = null;
+    });
+  }, [messages, hasMore, loadingOlder, loadOlder]);
+
+  return { containerRef, endRef, handleScroll, handleImageLoad, scrollToBottom, followLatest };
+}
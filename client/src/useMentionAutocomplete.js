@@ -0,0 +1,85 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useChatStore } from './store';
+
+// 最多显示的候选数
+const MAX_OPTIONS = 8;
+
+// 房主和管理员额外可以使用的提及
+const BROADCAST_OPTIONS = [
+  { name: 'all', description: '提醒房间的所有成员' },
+  { name: 'here', description: '提醒正在房间里的成员' }
+];
+
+// 光标前正在输入的 @，例如 "hi @al" 返回 { start: 3, text: 'al' }
+const getMentionQuery = (value, cursor) => {
+  const match = /(^|[^a-zA-Z0-9_])@([a-zA-Z0-9_]{0,16})$/.exec(value.slice(0, cursor));
+  return match ? { start: cursor - match[2].length - 1, end: cursor, text: match[2] } : null;
+};
+
+// 输入框的 @ 自动补全：进入房间时加载可以 @ 的成员，输入 @ 后按前缀筛选
+// input / setInput 为输入框的值，inputRef 指向输入框；输入变化和光标移动时调用 update
+export function useMentionAutocomplete({ roomId, input, setInput, inputRef }) {
+  const fetchMentionableMembers = useChatStore((state) => state.fetchMentionableMembers);
+  const [candidates, setCandidates] = useState({ members: [], canMentionAll: false });
+  const [query, setQuery] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useEffect(() => {
+    setCandidates({ members: [], canMentionAll: false });
+    setQuery(null);
+    if (!roomId) return;
+    let cancelled = false;
+    fetchMentionableMembers(roomId).then((res) => {
+      if (!cancelled && res.success) setCandidates({ members: res.members, canMentionAll: res.canMentionAll });
+    });
+    return () => { cancelled = true; };
+  }, [roomId]);
+
+  const options = useMemo(() => {
+    if (!query) return [];
+    const prefix = query.text.toLowerCase();
+    return [
+      ...candidates.members.map(({ username, avatarId }) => ({ name: username, avatarId })),
+      ...(candidates.canMentionAll ? BROADCAST_OPTIONS : [])
+    ].filter(option => option.name.toLowerCase().startsWith(prefix)).slice(0, MAX_OPTIONS);
+  }, [query, candidates]);
+
+  const update = () => {
+    const el = inputRef.current;
+    if (!el) return;
+    setQuery(getMentionQuery(el.value, el.selectionStart ?? el.value.length));
+    setActiveIndex(0);
+  };
+
+  const close = () => setQuery(null);
+
+  // 用选中的成员替换正在输入的 @
+  const select = (option) => {
+    if (!query) return;
+    const before = `${input.slice(0, query.start)}@${option.name} `;
+    setInput(before + input.slice(query.end));
+    setQuery(null);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  // 候选列表打开时接管上下键、回车、Tab 和 Esc
+  const handleKeyDown = (e) => {
+    if (options.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + options.length) % options.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      select(options[activeIndex] || options[0]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  return { options, activeIndex, setActiveIndex, update, close, select, handleKeyDown };
+}
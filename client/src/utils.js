@@ -107,6 +107,19 @@ export function updateTitleNotification(count) {
   }
 }
 
+// 文件大小的可读形式，例如 512 B、1.5 KB、20 MB
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+}
+
 // 智能时间格式化
 export function formatMessageTime(timestamp) {
   const date = new Date(timestamp);
@@ -212,3 +225,93 @@ export function debounce(fn, wait = 300) {
   
   return debounced;
 }
+
+// 房间角色（与 server/permissions.js 保持一致，由低到高）
+const ROOM_ROLES = ['muted', 'member', 'moderator', 'owner', 'admin'];
+
+export const ROOM_ROLE_NAMES = {
+  admin: '管理员',
+  owner: '房主',
+  moderator: '协管',
+  member: '成员',
+  muted: '禁言成员'
+};
+
+/**
+ * 判断房间角色是否达到要求的最低角色
+ * @param {string} role - 当前角色
+ * @param {string} minRole - 需要的最低角色
+ * @returns {boolean}
+ */
+export function hasRoomRole(role, minRole) {
+  return ROOM_ROLES.includes(role) && ROOM_ROLES.indexOf(role) >= ROOM_ROLES.indexOf(minRole);
+}
+
+/**
+ * 判断角色 a 是否高于角色 b（只能管理比自己低的成员）
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function outranksRoomRole(a, b) {
+  return ROOM_ROLES.indexOf(a) > ROOM_ROLES.indexOf(b);
+}
+
+// @提及：消息中的 @用户名（规则与服务端 server/mentions.js 相同）
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_])@([a-zA-Z0-9_]{2,16})(?![a-zA-Z0-9_])/g;
+
+/**
+ * 把消息文本拆成普通文字和提及两种片段，只有服务端解析生效的提及（message.mentions）才算
+ * @param {string} text - 消息文本
+ * @param {string[]} mentions - 生效的提及（用户名，或 'all' / 'here'）
+ * @returns {Array<{ text: string, mention: boolean }>}
+ */
+export function splitMentions(text, mentions = []) {
+  if (!text || mentions.length === 0) return [{ text: text || '', mention: false }];
+  const names = new Set(mentions.map(name => name.toLowerCase()));
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    if (!names.has(match[2].toLowerCase())) continue;
+    const start = match.index + match[1].length;
+    if (start > last) parts.push({ text: text.slice(last, start), mention: false });
+    parts.push({ text: text.slice(start, start + match[2].length + 1), mention: true });
+    last = start + match[2].length + 1;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), mention: false });
+  return parts;
+}
+
+/**
+ * 消息是否提及了某个用户（包括 @all / @here）
+ * @param {{ mentions?: string[] }} message
+ * @param {string} username
+ * @returns {boolean}
+ */
+export function isMentioned(message, username) {
+  if (!username) return false;
+  const name = username.toLowerCase();
+  return (message.mentions || []).some(mention => ['all', 'here', name].includes(mention.toLowerCase()));
+}
+
+// 审计日志中的操作类型
+export const AUDIT_ACTION_NAMES = {
+  kick_member: '移出成员',
+  set_moderator: '设置协管',
+  set_muted: '禁言',
+  set_banner: '发布通知',
+  clear_banner: '清除通知',
+  recall_message: '撤回消息',
+  delete_message: '删除消息',
+  dismiss_room: '解散房间',
+  update_user: '修改用户',
+  delete_user: '删除用户',
+  promote_user: '设为管理员',
+  demote_user: '撤销管理员',
+  unlock_login: '解除登录锁定',
+  set_registration_policy: '修改注册策略',
+  create_invite: '生成邀请码',
+  revoke_invite: '吊销邀请码',
+  set_2fa_policy: '两步验证策略',
+  reset_2fa: '重置两步验证'
+};
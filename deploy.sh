@@ -59,7 +59,7 @@ if pm2 list | grep -q "secretspace"; then
     pm2 restart secretspace
 else
     echo "    启动服务..."
-    pm2 start server.js --name secretspace
+    pm2 start server.js --name secretspace --kill-timeout 12000
 fi
 
 # 保存 PM2 状态以支持开机自启
@@ -0,0 +1,87 @@
+// 管理员账号命令行工具
+// 用法:
+//   node scripts/admin.js list               列出所有管理员
+//   node scripts/admin.js promote <username> 设为管理员
+//   node scripts/admin.js demote <username>  撤销管理员
+//
+// 注意：服务运行时使用内存中的用户数据，不会重新读取数据库，请先停止服务再执行修改
+import sqlite3 from 'sqlite3';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAdminUsernames, checkDemoteAdmin } from '../server/admins.js';
+import { loadConfig } from '../server/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env'), quiet: true });
+
+const DB_PATH = path.join(loadConfig().dataDir, 'database.sqlite');
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const get = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// username -> { persistentId, isAdmin }
+const loadCredentials = async (db) => {
+  const table = await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'");
+  if (!table) throw new Error('Table "users" not found. Run "node scripts/migrate.js up" first.');
+
+  const rows = await all(db, 'SELECT id, username, is_admin FROM users');
+  return new Map(rows.map(row => [row.username, { persistentId: row.id, isAdmin: !!row.is_admin }]));
+};
+
+const usage = () => {
+  console.log('Usage: node scripts/admin.js <list|promote|demote> [username]');
+  process.exit(1);
+};
+
+const [command, username] = process.argv.slice(2);
+if (!['list', 'promote', 'demote'].includes(command)) usage();
+if (command !== 'list' && !username) usage();
+
+const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, (err) => {
+  if (err) {
+    console.error(`Cannot open database ${DB_PATH}: ${err.message}`);
+    process.exit(1);
+  }
+});
+
+try {
+  const credentials = await loadCredentials(db);
+
+  if (command === 'list') {
+    const admins = [...credentials.entries()].filter(([, cred]) => cred.isAdmin);
+    if (admins.length === 0) console.log('No admin accounts.');
+    admins.forEach(([name]) => console.log(name));
+  } else {
+    const cred = credentials.get(username);
+    if (!cred) throw new Error(`User not found: ${username}`);
+
+    if (command === 'promote') {
+      if (cred.isAdmin) throw new Error(`${username} is already an admin`);
+      cred.isAdmin = true;
+    } else {
+      const error = checkDemoteAdmin(credentials, username, parseAdminUsernames(process.env.ADMIN_USERNAMES));
+      if (error) throw new Error(error);
+      cred.isAdmin = false;
+    }
+
+    await run(db, 'UPDATE users SET is_admin = ? WHERE id = ?', [cred.isAdmin ? 1 : 0, cred.persistentId]);
+    // 已登录的会话需要重新登录才能获得新身份
+    await run(db, 'DELETE FROM sessions WHERE user_id = ?', [cred.persistentId]).catch(() => {});
+    console.log(`${command === 'promote' ? 'Promoted' : 'Demoted'} ${username}. Make sure the server is stopped while running this tool.`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,96 @@
+// 备份、恢复和导出 / 导入命令行工具
+// 用法:
+//   node scripts/backup.js create [--out <file>]   在线备份数据库和图片到 backups/secretspace-<时间>.tar.gz（服务运行时也可以执行）
+//   node scripts/backup.js restore <archive>        从备份归档恢复（当前数据移到 <数据目录>/pre-restore-<时间>/）
+//   node scripts/backup.js export [--out <file>]   导出用户、房间、成员和消息到 backups/secretspace-export-<时间>.json
+//   node scripts/backup.js import <file>            把导出文件导入到新的（空的）数据库
+//
+// 注意：restore 和 import 前请先停止服务。备份和导出文件包含密码哈希和两步验证密钥，请妥善保管
+import fs from 'fs';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMigrations, migrate } from '../server/migrations.js';
+import { loadConfig } from '../server/config.js';
+import {
+  createBackup,
+  restoreBackup,
+  exportData,
+  importData,
+  openDatabase,
+  closeDatabase,
+  timestampForFilename
+} from '../server/backup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env'), quiet: true });
+
+const DATA_DIR = loadConfig().dataDir;
+const DB_PATH = path.join(DATA_DIR, 'database.sqlite');
+const BACKUPS_DIR = path.join(__dirname, '../backups');
+
+const usage = () => {
+  console.log('Usage: node scripts/backup.js <create|restore|export|import> [file] [--out <file>]');
+  process.exit(1);
+};
+
+const args = process.argv.slice(2);
+const command = args[0];
+const outIndex = args.indexOf('--out');
+const outFile = outIndex !== -1 ? args[outIndex + 1] : null;
+const fileArg = args.slice(1).find((arg, i) => !arg.startsWith('--') && args[i] !== '--out');
+
+if (!['create', 'restore', 'export', 'import'].includes(command)) usage();
+if (outIndex !== -1 && !outFile) usage();
+if (['restore', 'import'].includes(command) && !fileArg) usage();
+
+const latestSchemaVersion = async () => {
+  const migrations = await loadMigrations();
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+try {
+  if (command === 'create') {
+    const file = path.resolve(outFile || path.join(BACKUPS_DIR, `secretspace-${timestampForFilename()}.tar.gz`));
+    const { manifest } = await createBackup({ dataDir: DATA_DIR, outFile: file });
+    console.log(`Backup written to ${file} (${formatSize(fs.statSync(file).size)})`);
+    console.log(`  schema version ${manifest.schemaVersion}, ${manifest.uploads} uploaded file(s)`);
+  } else if (command === 'restore') {
+    const { manifest, previousDir } = await restoreBackup({
+      archive: path.resolve(fileArg),
+      dataDir: DATA_DIR,
+      latestSchemaVersion: await latestSchemaVersion()
+    });
+    console.log(`Restored backup created at ${manifest.createdAt} (schema version ${manifest.schemaVersion}, ${manifest.uploads} uploaded file(s)).`);
+    console.log(`The previous data was moved to ${previousDir}. Delete it once the restored instance is verified.`);
+  } else if (command === 'export') {
+    if (!fs.existsSync(DB_PATH)) throw new Error(`Database ${DB_PATH} does not exist`);
+    const db = await openDatabase(DB_PATH);
+    const dump = await exportData(db).finally(() => closeDatabase(db));
+
+    const file = path.resolve(outFile || path.join(BACKUPS_DIR, `secretspace-export-${timestampForFilename()}.json`));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(dump), { mode: 0o600 });
+    const summary = Object.entries(dump.tables).map(([table, rows]) => `${table}: ${rows.length}`).join(', ');
+    console.log(`Exported to ${file}`);
+    console.log(`  ${summary}`);
+    console.log(`Uploaded images are not included; copy ${path.join(DATA_DIR, 'uploads')} separately if needed.`);
+  } else {
+    const dump = JSON.parse(fs.readFileSync(path.resolve(fileArg), 'utf8'));
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const db = await openDatabase(DB_PATH);
+    try {
+      const migrations = await loadMigrations();
+      await migrate(db, migrations);
+      const counts = await importData(db, dump, await latestSchemaVersion());
+      console.log(`Imported ${Object.entries(counts).map(([table, count]) => `${table}: ${count}`).join(', ')}`);
+    } finally {
+      await closeDatabase(db);
+    }
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
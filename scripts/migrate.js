@@ -0,0 +1,76 @@
+// 数据库迁移命令行工具（服务启动时也会自动执行待执行的迁移）
+// 用法:
+//   node scripts/migrate.js status          查看当前版本、已执行和待执行的迁移
+//   node scripts/migrate.js up              执行待执行的迁移
+//   node scripts/migrate.js up --dry-run    在事务中试运行待执行的迁移后回滚，不修改数据库
+//
+// 注意：请先停止服务再执行 up
+import sqlite3 from 'sqlite3';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMigrations, getSchemaStatus, migrate } from '../server/migrations.js';
+import { loadConfig } from '../server/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env'), quiet: true });
+
+const DB_PATH = path.join(loadConfig().dataDir, 'database.sqlite');
+
+const usage = () => {
+  console.log('Usage: node scripts/migrate.js <status|up> [--dry-run]');
+  process.exit(1);
+};
+
+const [command, ...flags] = process.argv.slice(2);
+if (!['status', 'up'].includes(command)) usage();
+const dryRun = flags.includes('--dry-run');
+
+const formatTime = (ms) => new Date(ms).toLocaleString();
+const printPending = (pending) => pending.forEach(m => console.log(`  [ ] ${m.id}  ${m.description}`));
+
+// status 和试运行不创建数据库文件
+if (!fs.existsSync(DB_PATH) && (command === 'status' || dryRun)) {
+  console.log(`Database ${DB_PATH} does not exist yet. Pending migrations:`);
+  printPending(await loadMigrations());
+  process.exit(0);
+}
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+const db = new sqlite3.Database(DB_PATH, (err) => {
+  if (err) {
+    console.error(`Cannot open database ${DB_PATH}: ${err.message}`);
+    process.exit(1);
+  }
+});
+
+try {
+  const migrations = await loadMigrations();
+
+  if (command === 'status') {
+    const status = await getSchemaStatus(db, migrations);
+    console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+    if (status.current > status.latest) {
+      console.log('The database is newer than this code. The server will refuse to start.');
+    }
+    status.applied.forEach(m => {
+      console.log(`  [x] ${String(m.version).padStart(3, '0')}_${m.name}  applied ${formatTime(m.appliedAt)}`);
+    });
+    printPending(status.pending);
+  } else {
+    const applied = await migrate(db, migrations, { dryRun });
+    if (applied.length === 0) {
+      console.log('Database is up to date.');
+    } else if (dryRun) {
+      console.log(`Dry run OK: ${applied.length} migration(s) would be applied. No changes were made.`);
+    } else {
+      console.log(`Applied ${applied.length} migration(s).`);
+    }
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -3,19 +3,67 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import sqlite3 from 'sqlite3';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import sharp from 'sharp';
+import { hashPassword, isPasswordHash, checkStoredPassword } from './server/password.js';
+import {
+  SESSION_TTL_MS,
+  getRotationGraceExpiry,
+  generateSessionId,
+  generateSecret,
+  createSessionToken,
+  verifySessionToken,
+  createUploadSignature,
+  verifyUploadSignature
+} from './server/session.js';
+import { parseAdminUsernames, checkDemoteAdmin } from './server/admins.js';
+import { getRoomRole, can, ROLE_NAMES } from './server/permissions.js';
+import { resolveMentions } from './server/mentions.js';
+import { toPlainText } from './server/markdown.js';
+import {
+  ATTACHMENT_FILENAME_PATTERN, createAttachmentStorage, normalizeAttachmentName, getDownloadContentType, getContentDisposition
+} from './server/attachments.js';
+import { LinkPreviewer, createHttpFetcher, extractFirstUrl, CACHE_TTL_MS as LINK_PREVIEW_CACHE_TTL_MS } from './server/linkPreview.js';
+import { LoginThrottle, USER_MAX_FAILURES } from './server/loginThrottle.js';
+import { loadMigrations, migrate } from './server/migrations.js';
+import {
+  generateSecret as generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  consumeSecondFactor
+} from './server/totp.js';
+import { loadConfig, getClientConfig, formatDuration } from './server/config.js';
 
 dotenv.config();
 
+// 配置不合法时直接退出
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, 'data');
+const DATA_DIR = config.dataDir;
 const DB_PATH = path.join(DATA_DIR, 'database.sqlite');
 const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
-const IMAGE_RETENTION_DAYS = 15;
+const IMAGE_RETENTION_DAYS = config.imageRetentionDays;
+const FILE_RETENTION_DAYS = config.fileRetentionDays;
+const RECALL_WINDOW_MS = config.recallWindowSeconds * 1000;
+const EDIT_WINDOW_MS = config.editWindowSeconds * 1000;
+const KICK_COOLDOWN_MS = config.kickCooldownMinutes * 60 * 1000;
+
+// 提示信息中的时长
+const RECALL_WINDOW_TEXT = formatDuration(config.recallWindowSeconds);
+const EDIT_WINDOW_TEXT = formatDuration(config.editWindowSeconds);
+const KICK_COOLDOWN_TEXT = formatDuration(config.kickCooldownMinutes * 60);
 
 // 确保上传目录存在
 if (!fs.existsSync(UPLOADS_DIR)) {
@@ -27,7 +75,7 @@ const storage = multer.memoryStorage(); // 使用内存存储，便于 sharp 处
 const upload = multer({
   storage,
   limits: {
-    fileSize: 20 * 1024 * 1024, // 20MB 限制
+    fileSize: config.uploadMaxMb * 1024 * 1024,
   },
   fileFilter: (req, file, cb) => {
     // 只允许图片
@@ -39,23 +87,40 @@ const upload = multer({
   }
 });
 
-function cleanupOldImages() {
+// Multer 配置 - 文件附件（先写入上传目录中的临时文件，校验通过后再改名为 file_ 开头的正式文件名）
+// 按类型的大小上限在接收过程中检查，超过时立即中止
+const fileUpload = multer({
+  storage: createAttachmentStorage({ destination: UPLOADS_DIR, maxMb: config.fileUploadMaxMb }),
+  limits: {
+    fileSize: config.fileUploadMaxMb * 1024 * 1024,
+    files: 1
+  }
+});
+
+// 上传文件的保留天数，按文件名前缀区分：图片、文件附件、上传中断留下的临时文件
+const UPLOAD_RETENTION_DAYS = { img: IMAGE_RETENTION_DAYS, file: FILE_RETENTION_DAYS, tmp: 1 };
+const UPLOAD_KIND_NAMES = { img: 'image', file: 'file', tmp: 'temporary file' };
+
+function cleanupOldUploads() {
   fs.promises.readdir(UPLOADS_DIR)
     .then((files) => {
       const tasks = files.map(async (file) => {
-        const match = file.match(/^img_(\d+)_/);
+        const match = file.match(/^(img|file|tmp)_(\d+)_/);
         if (!match) return;
-        const timestamp = Number(match[1]);
+        const kind = match[1];
+        const timestamp = Number(match[2]);
         if (!Number.isFinite(timestamp)) return;
         const ageMs = Date.now() - timestamp;
         const ageDays = ageMs / (1000 * 60 * 60 * 24);
-        if (ageDays > IMAGE_RETENTION_DAYS) {
+        if (ageDays > UPLOAD_RETENTION_DAYS[kind]) {
           const fullPath = path.join(UPLOADS_DIR, file);
           try {
             await fs.promises.unlink(fullPath);
-            console.log(`Deleted old image: ${file}`);
+            if (kind === 'img') await persistence.deleteUpload(file);
+            if (kind === 'file') await persistence.deleteAttachment(file);
+            console.log(`Deleted old ${UPLOAD_KIND_NAMES[kind]}: ${file}`);
           } catch (err) {
-            console.error('Failed to delete image', file, err);
+            console.error(`Failed to delete ${UPLOAD_KIND_NAMES[kind]}`, file, err);
           }
         }
       });
@@ -84,19 +149,85 @@ const io = new Server(httpServer, {
   
   // 允许的来源
   cors: {
-    origin: "*",
+    origin: config.corsOrigin,
     methods: ["GET", "POST"]
   }
 });
 
 // In-memory storage
-const rooms = new Map(); // roomId -> { id, name, ownerId, createdAt }
+const rooms = new Map(); // roomId -> { id, name, ownerId, createdAt, moderators?: [persistentId], mutedUsers?: [persistentId] }
 const users = new Map(); // socket.id -> { id, username, isAdmin, currentRoom } (Transient, do not save)
-const messageHistory = new Map(); // roomId -> [messages] (limited to last 100)
-const userCredentials = new Map(); // username -> { password, persistentId, isAdmin, joinedRooms: [] }
+const messageHistory = new Map(); // roomId -> [messages] (limited to last config.historyCacheSize)
+const userCredentials = new Map(); // username -> { passwordHash, persistentId, isAdmin, joinedRooms: [] } (legacy entries may still have plaintext `password`)
 const roomBanners = new Map(); // roomId -> { message, createdAt, createdBy }
-const kickedUsers = new Map(); // "roomId:username" -> kickedAt timestamp (5 min cooldown)
+const kickedUsers = new Map(); // "roomId:username" -> kickedAt timestamp (cooldown: config.kickCooldownMinutes)
 const dmConversations = new Map(); // conversationId -> { id, participants: [userId1, userId2], createdAt }
+const configuredAdmins = parseAdminUsernames(process.env.ADMIN_USERNAMES); // 由 .env 指定的管理员用户名
+const loginThrottle = new LoginThrottle(); // 登录失败计数与临时锁定（内存）
+// 注册策略：open 开放注册 / invite 需要邀请码 / closed 关闭注册
+// REGISTRATION_POLICY 只作为初始值，管理员在面板中修改后以数据库中保存的为准
+const REGISTRATION_POLICIES = ['open', 'invite', 'closed'];
+let registrationPolicy = REGISTRATION_POLICIES.includes(process.env.REGISTRATION_POLICY)
+  ? process.env.REGISTRATION_POLICY
+  : 'open';
+// 是否强制管理员启用两步验证；ADMIN_2FA_REQUIRED 只作为初始值，管理员在面板中修改后以数据库中保存的为准
+let adminTwoFactorRequired = process.env.ADMIN_2FA_REQUIRED === 'true';
+const twoFactorChallenges = new Map(); // challengeId -> { username, expiresAt, attempts } 密码已验证、等待输入验证码的登录
+const pendingTwoFactorSetups = new Map(); // persistentId -> secret 已生成但尚未确认的 TOTP 密钥
+let sessionSecret = process.env.SESSION_SECRET || null; // HMAC key for session tokens (generated and stored in kv_store if not configured)
+
+// 数据库中的消息行转换为发给客户端的消息格式
+const replyFromRow = (row) => (row.reply_to_id ? {
+  id: row.reply_to_id,
+  sender: row.reply_to_sender,
+  text: row.reply_to_text,
+  imageUrl: row.reply_to_image_url || null
+} : null);
+
+const roomMessageFromRow = (row) => ({
+  id: row.id,
+  text: row.message,
+  sender: row.sender_name,
+  senderId: row.sender_id,
+  senderAvatarId: row.sender_avatar_id,
+  isAdmin: row.is_admin === 1,
+  timestamp: row.timestamp,
+  imageUrl: row.image_url || null,
+  recalled: row.recalled === 1,
+  editedAt: row.edited_at || null,
+  replyTo: replyFromRow(row),
+  threadRootId: row.thread_root_id || null,
+  mentions: row.mentions ? JSON.parse(row.mentions) : [],
+  linkPreview: row.link_preview ? JSON.parse(row.link_preview) : null,
+  attachment: row.attachment ? JSON.parse(row.attachment) : null
+});
+
+const dmMessageFromRow = (row) => ({
+  id: row.id,
+  text: row.message,
+  imageUrl: row.image_url || null,
+  sender: row.sender_name,
+  senderId: row.sender_id,
+  senderAvatarId: row.sender_avatar_id,
+  timestamp: row.timestamp,
+  isRead: row.is_read === 1,
+  recalled: row.recalled === 1,
+  editedAt: row.edited_at || null,
+  replyTo: replyFromRow(row),
+  linkPreview: row.link_preview ? JSON.parse(row.link_preview) : null,
+  attachment: row.attachment ? JSON.parse(row.attachment) : null
+});
+
+// 通知和私聊列表中的消息预览：去掉 Markdown 标记的文字，没有文字时显示图片或文件
+const messagePreview = (text, imageUrl, attachment) =>
+  toPlainText(text) || (imageUrl ? '[图片]' : (attachment ? `[文件] ${attachment.name}` : ''));
+
+// 历史消息分页条件：after 向后取最早的，否则（before 或不带游标）取最近的
+const historyCursorSql = (before, after) => {
+  if (after) return 'AND id > ? ORDER BY id ASC LIMIT ?';
+  return `${before ? 'AND id < ?' : ''} ORDER BY id DESC LIMIT ?`;
+};
+const historyCursorParams = (before, after) => (after ? [after] : before ? [before] : []);
 
 // --- Data Persistence Layer (SQLite) ---
 class DataPersistence {
@@ -105,169 +236,236 @@ class DataPersistence {
       fs.mkdirSync(DATA_DIR, { recursive: true });
     }
     this.db = new sqlite3.Database(DB_PATH);
-    this.initTables();
+    // 按调用顺序依次执行语句，保证对同一条记录的多次写入不会乱序
+    this.db.serialize();
+    this.transactionQueue = Promise.resolve();
+    this.pendingWrites = new Set(); // 尚未完成的写入，关闭数据库前等待
   }
 
-  initTables() {
-    this.db.serialize(() => {
-      // Key-Value store for configuration data
-      this.db.run("CREATE TABLE IF NOT EXISTS kv_store (key TEXT PRIMARY KEY, value TEXT)");
-      // We use a simple Key-Value store structure within SQLite for this architecture
-      // to minimize refactoring while getting DB stability.
-      // Keys: 'rooms', 'userCredentials', 'roomBanners', 'kickedUsers'
-      
-      // Messages table for persistent chat history
-      this.db.run(`CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        room_id TEXT NOT NULL,
-        sender_id TEXT NOT NULL,
-        sender_name TEXT NOT NULL,
-        message TEXT NOT NULL,
-        timestamp TEXT NOT NULL,
-        reply_to_id TEXT,
-        reply_to_sender TEXT,
-        reply_to_text TEXT,
-        sender_avatar_id TEXT,
-        is_admin INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`);
-      
-      // Create index for fast room-based queries
-      this.db.run("CREATE INDEX IF NOT EXISTS idx_room_timestamp ON messages(room_id, timestamp DESC)");
-      
-      // DM conversations table
-      this.db.run(`CREATE TABLE IF NOT EXISTS dm_conversations (
-        id TEXT PRIMARY KEY,
-        user1_id TEXT NOT NULL,
-        user2_id TEXT NOT NULL,
-        user1_name TEXT NOT NULL,
-        user2_name TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`);
-      
-      // DM messages table
-      this.db.run(`CREATE TABLE IF NOT EXISTS dm_messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        conversation_id TEXT NOT NULL,
-        sender_id TEXT NOT NULL,
-        sender_name TEXT NOT NULL,
-        message TEXT,
-        image_url TEXT,
-        timestamp TEXT NOT NULL,
-        reply_to_id TEXT,
-        reply_to_sender TEXT,
-        reply_to_text TEXT,
-        sender_avatar_id TEXT,
-        is_read INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conversation_id) REFERENCES dm_conversations(id)
-      )`);
-      
-      // Create index for DM queries
-      this.db.run("CREATE INDEX IF NOT EXISTS idx_dm_conversation ON dm_messages(conversation_id, timestamp DESC)");
-      
-      // Add image_url column to messages table if not exists (for room messages)
-      this.db.run("ALTER TABLE messages ADD COLUMN image_url TEXT", (err) => {
-        // Ignore error if column already exists
-      });
-      
-      // Add recalled column for message recall feature
-      this.db.run("ALTER TABLE messages ADD COLUMN recalled INTEGER DEFAULT 0", (err) => {
-        // Ignore error if column already exists
-      });
-      
-      // Add recalled column for DM messages
-      this.db.run("ALTER TABLE dm_messages ADD COLUMN recalled INTEGER DEFAULT 0", (err) => {
-        // Ignore error if column already exists
-      });
-      
-      // Add reply_to_image_url column for storing image URL in replies
-      this.db.run("ALTER TABLE messages ADD COLUMN reply_to_image_url TEXT", (err) => {
-        // Ignore error if column already exists
-      });
-      
-      this.db.run("ALTER TABLE dm_messages ADD COLUMN reply_to_image_url TEXT", (err) => {
-        // Ignore error if column already exists
+  // 记录一次写入，flush() 会等待它完成
+  track(promise) {
+    this.pendingWrites.add(promise);
+    const done = () => this.pendingWrites.delete(promise);
+    promise.then(done, done);
+    return promise;
+  }
+
+  run(sql, params = []) {
+    return this.track(new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve(this.changes);
       });
-    });
+    }));
   }
 
-  // Convert Map to JSON-serializable array
-  mapToArray(map) {
-    return Array.from(map.entries());
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
   }
 
+  // 执行数据库迁移后把用户、房间等数据读入内存
   load() {
     console.log('Loading data from SQLite...');
-    return new Promise((resolve, reject) => {
-      this.db.all("SELECT key, value FROM kv_store", (err, rows) => {
-        if (err) {
-          console.error('Error loading data:', err);
-          return resolve(); // Don't crash on load error
-        }
+    return loadMigrations().then(migrations => migrate(this.db, migrations)).then(async () => {
+      const [userRows, roomRows, memberRows, bannerRows, kickRows, settingRows] = await Promise.all([
+        this.all("SELECT * FROM users"),
+        this.all("SELECT * FROM rooms"),
+        this.all("SELECT * FROM room_members ORDER BY joined_at"),
+        this.all("SELECT * FROM room_banners"),
+        this.all("SELECT * FROM room_kicks"),
+        this.all("SELECT key, value FROM kv_store")
+      ]);
+
+      const credentialsById = new Map();
+      userRows.forEach(row => {
+        const cred = {
+          passwordHash: row.password_hash,
+          persistentId: row.id,
+          isAdmin: !!row.is_admin,
+          joinedRooms: [],
+          avatarId: row.avatar_id
+        };
+        if (row.legacy_password !== null) cred.password = row.legacy_password;
+        if (row.totp) cred.totp = JSON.parse(row.totp);
+        userCredentials.set(row.username, cred);
+        credentialsById.set(row.id, cred);
+      });
 
-        rows.forEach(row => {
-          try {
-            const data = JSON.parse(row.value);
-            switch (row.key) {
-              case 'rooms':
-                data.forEach(([k, v]) => rooms.set(k, v));
-                break;
-              case 'userCredentials':
-                data.forEach(([k, v]) => userCredentials.set(k, v));
-                break;
-              case 'messageHistory':
-                // Legacy: messageHistory now stored in 'messages' table, skip loading from kv_store
-                break;
-              case 'roomBanners':
-                data.forEach(([k, v]) => roomBanners.set(k, v));
-                break;
-              case 'kickedUsers':
-                data.forEach(([k, v]) => kickedUsers.set(k, v));
-                break;
-            }
-          } catch (e) {
-            console.error(`Error parsing data for ${row.key}:`, e);
-          }
+      roomRows.forEach(row => {
+        rooms.set(row.id, {
+          id: row.id,
+          name: row.name,
+          ownerId: row.owner_id,
+          createdAt: row.created_at,
+          moderators: [],
+          mutedUsers: []
         });
-        console.log(`Data loaded: ${rooms.size} rooms, ${userCredentials.size} users.`);
-        resolve();
       });
-    });
-  }
 
-  save() {
-    // Serialize Map data to JSON strings and save to SQLite
-    // Using transaction for atomicity
-    // Note: messageHistory is now stored in 'messages' table, not here
-    const dataToSave = [
-      { key: 'rooms', value: JSON.stringify(this.mapToArray(rooms)) },
-      { key: 'userCredentials', value: JSON.stringify(this.mapToArray(userCredentials)) },
-      { key: 'roomBanners', value: JSON.stringify(this.mapToArray(roomBanners)) },
-      { key: 'kickedUsers', value: JSON.stringify(this.mapToArray(kickedUsers)) }
-    ];
+      memberRows.forEach(row => {
+        const room = rooms.get(row.room_id);
+        const cred = credentialsById.get(row.user_id);
+        if (!room || !cred) return;
+        cred.joinedRooms.push(row.room_id);
+        if (row.is_moderator) room.moderators.push(row.user_id);
+        if (row.is_muted) room.mutedUsers.push(row.user_id);
+      });
 
-    this.db.serialize(() => {
-      this.db.run("BEGIN TRANSACTION");
-      const stmt = this.db.prepare("INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)");
-      dataToSave.forEach(item => {
-        stmt.run(item.key, item.value);
+      bannerRows.forEach(row => {
+        roomBanners.set(row.room_id, { message: row.message, createdAt: row.created_at, createdBy: row.created_by });
       });
-      stmt.finalize();
-      this.db.run("COMMIT", (err) => {
-        if (err) console.error('Error saving data to SQLite:', err);
+      kickRows.forEach(row => kickedUsers.set(`${row.room_id}:${row.username}`, row.kicked_at));
+
+      settingRows.forEach(row => {
+        try {
+          const data = JSON.parse(row.value);
+          switch (row.key) {
+            case 'sessionSecret':
+              if (!sessionSecret) sessionSecret = data;
+              break;
+            case 'registrationPolicy':
+              if (REGISTRATION_POLICIES.includes(data)) registrationPolicy = data;
+              break;
+            case 'adminTwoFactorRequired':
+              adminTwoFactorRequired = data === true;
+              break;
+          }
+        } catch (e) {
+          console.error(`Error parsing data for ${row.key}:`, e);
+        }
       });
+
+      // 未配置 SESSION_SECRET 时生成一个并持久化，保证重启后令牌仍然有效
+      if (!sessionSecret) {
+        sessionSecret = generateSecret();
+        await this.setSetting('sessionSecret', sessionSecret);
+      }
+
+      console.log(`Data loaded: ${rooms.size} rooms, ${userCredentials.size} users.`);
     });
   }
 
+  // ======= 用户、房间、通知、踢出记录 =======
+  // 内存中的 Map 仍是运行时读取的数据，每次修改后立即写入对应的表
+
+  saveUser(username, cred) {
+    return this.run(
+      `INSERT INTO users (id, username, password_hash, legacy_password, is_admin, avatar_id, totp)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         username = excluded.username,
+         password_hash = excluded.password_hash,
+         legacy_password = excluded.legacy_password,
+         is_admin = excluded.is_admin,
+         avatar_id = excluded.avatar_id,
+         totp = excluded.totp`,
+      [
+        cred.persistentId,
+        username,
+        cred.passwordHash ?? null,
+        typeof cred.password === 'string' ? cred.password : null,
+        cred.isAdmin ? 1 : 0,
+        cred.avatarId ?? null,
+        cred.totp ? JSON.stringify(cred.totp) : null
+      ]
+    );
+  }
+
+  // 修改用户名：账号和踢出记录中的用户名
+  renameUser(userId, oldName, newName) {
+    return this.runInTransaction([
+      [`UPDATE users SET username = ? WHERE id = ?`, [newName, userId]],
+      [`UPDATE room_kicks SET username = ? WHERE username = ?`, [newName, oldName]]
+    ]);
+  }
+
+  // 删除账号以及房间成员关系、踢出记录（消息由 removeUserFromHistory 处理）
+  deleteUser(userId, username) {
+    return this.runInTransaction([
+      [`DELETE FROM users WHERE id = ?`, [userId]],
+      [`DELETE FROM room_members WHERE user_id = ?`, [userId]],
+      [`DELETE FROM room_kicks WHERE username = ?`, [username]],
+      [`DELETE FROM message_reactions WHERE user_id = ?`, [userId]],
+      [`DELETE FROM mentions WHERE user_id = ?`, [userId]]
+    ]);
+  }
+
+  saveRoom(room) {
+    return this.run(
+      `INSERT INTO rooms (id, name, owner_id, created_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name, owner_id = excluded.owner_id`,
+      [room.id, room.name, room.ownerId ?? null, room.createdAt ?? null]
+    );
+  }
+
+  // 解散房间：删除房间、成员、通知和踢出记录
+  deleteRoom(roomId) {
+    return this.runInTransaction([
+      [`DELETE FROM rooms WHERE id = ?`, [roomId]],
+      [`DELETE FROM room_members WHERE room_id = ?`, [roomId]],
+      [`DELETE FROM room_banners WHERE room_id = ?`, [roomId]],
+      [`DELETE FROM room_kicks WHERE room_id = ?`, [roomId]]
+    ]);
+  }
+
+  // 加入房间（已是成员时不改变角色）
+  addRoomMember(roomId, userId) {
+    return this.run(
+      `INSERT OR IGNORE INTO room_members (room_id, user_id, joined_at) VALUES (?, ?, ?)`,
+      [roomId, userId, Date.now()]
+    );
+  }
+
+  // 按房间对象中的 moderators / mutedUsers 保存某个成员的角色
+  saveRoomMemberRole(room, userId) {
+    return this.run(
+      `INSERT INTO room_members (room_id, user_id, is_moderator, is_muted, joined_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(room_id, user_id) DO UPDATE SET is_moderator = excluded.is_moderator, is_muted = excluded.is_muted`,
+      [
+        room.id,
+        userId,
+        (room.moderators || []).includes(userId) ? 1 : 0,
+        (room.mutedUsers || []).includes(userId) ? 1 : 0,
+        Date.now()
+      ]
+    );
+  }
+
+  saveBanner(roomId, banner) {
+    return this.run(
+      `INSERT OR REPLACE INTO room_banners (room_id, message, created_by, created_at) VALUES (?, ?, ?, ?)`,
+      [roomId, banner.message, banner.createdBy ?? null, banner.createdAt ?? null]
+    );
+  }
+
+  deleteBanner(roomId) {
+    return this.run(`DELETE FROM room_banners WHERE room_id = ?`, [roomId]);
+  }
+
+  saveKick(roomId, username, kickedAt) {
+    return this.run(
+      `INSERT OR REPLACE INTO room_kicks (room_id, username, kicked_at) VALUES (?, ?, ?)`,
+      [roomId, username, kickedAt]
+    );
+  }
+
+  deleteKick(roomId, username) {
+    return this.run(`DELETE FROM room_kicks WHERE room_id = ? AND username = ?`, [roomId, username]);
+  }
+
+  setSetting(key, value) {
+    return this.run(`INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)`, [key, JSON.stringify(value)]);
+  }
+
   // Save a single message to database
   saveMessage(msgData, roomId) {
-    return new Promise((resolve, reject) => {
+    return this.track(new Promise((resolve, reject) => {
       const stmt = this.db.prepare(`
         INSERT INTO messages 
-        (room_id, sender_id, sender_name, message, timestamp, reply_to_id, reply_to_sender, reply_to_text, sender_avatar_id, is_admin, image_url, reply_to_image_url)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (room_id, sender_id, sender_name, message, timestamp, reply_to_id, reply_to_sender, reply_to_text, sender_avatar_id, is_admin, image_url, reply_to_image_url, thread_root_id, mentions, attachment)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       stmt.run(
@@ -283,6 +481,9 @@ class DataPersistence {
         msgData.isAdmin ? 1 : 0,
         msgData.imageUrl || null,
         msgData.replyTo?.imageUrl || null,
+        msgData.threadRootId || null,
+        msgData.mentions?.length ? JSON.stringify(msgData.mentions) : null,
+        msgData.attachment ? JSON.stringify(msgData.attachment) : null,
         function(err) {
           if (err) {
             console.error('Error saving message:', err);
@@ -295,53 +496,30 @@ class DataPersistence {
       );
       
       stmt.finalize();
-    });
+    }));
   }
 
-  // Get message history for a room (most recent first, then reversed)
-  getMessageHistory(roomId, limit = 100) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM messages 
-         WHERE room_id = ? 
-         ORDER BY timestamp DESC 
-         LIMIT ?`,
-        [roomId, limit],
-        (err, rows) => {
-          if (err) {
-            console.error('Error fetching messages:', err);
-            reject(err);
-          } else {
-            // Convert DB rows to message format and reverse to chronological order
-            const messages = rows.reverse().map(row => ({
-              id: row.id,
-              text: row.message,
-              sender: row.sender_name,
-              senderId: row.sender_id,
-              senderAvatarId: row.sender_avatar_id,
-              isAdmin: row.is_admin === 1,
-              timestamp: row.timestamp,
-              imageUrl: row.image_url || null,
-              recalled: row.recalled === 1,
-              replyTo: row.reply_to_id ? {
-                id: row.reply_to_id,
-                sender: row.reply_to_sender,
-                text: row.reply_to_text,
-                imageUrl: row.reply_to_image_url || null
-              } : null
-            }));
-            resolve(messages);
-          }
-        }
-      );
-    });
+  // Get message history for a room (chronological)
+  // 默认返回最近的 limit 条；before: 只返回 id 小于该值的消息（向上翻页）；after: 只返回 id 大于该值的最早 limit 条
+  // 只包含主时间线上的消息（话题中的回复通过 getThreadReplies 读取），根消息带 replyCount / lastReplyAt
+  getMessageHistory(roomId, limit = 100, { before = null, after = null } = {}) {
+    return this.all(
+      `SELECT * FROM messages 
+       WHERE room_id = ? AND thread_root_id IS NULL ${historyCursorSql(before, after)}`,
+      [roomId, ...historyCursorParams(before, after), limit]
+    ).then(rows => this.attachReactions('room', (after ? rows : rows.reverse()).map(roomMessageFromRow)))
+      .then(messages => this.attachThreadSummaries(messages))
+      .catch(err => {
+        console.error('Error fetching messages:', err);
+        throw err;
+      });
   }
 
   // ======= DM 相关数据库方法 =======
   
   // 创建或获取私聊会话
   getOrCreateDMConversation(user1Id, user2Id, user1Name, user2Name) {
-    return new Promise((resolve, reject) => {
+    return this.track(new Promise((resolve, reject) => {
       // 先查找是否已存在会话
       this.db.get(
         `SELECT * FROM dm_conversations 
@@ -383,7 +561,7 @@ class DataPersistence {
           }
         }
       );
-    });
+    }));
   }
 
   // 获取用户的所有私聊会话
@@ -393,7 +571,8 @@ class DataPersistence {
         `SELECT c.*, 
           (SELECT COUNT(*) FROM dm_messages m WHERE m.conversation_id = c.id AND m.sender_id != ? AND m.is_read = 0) as unread_count,
           (SELECT message FROM dm_messages m WHERE m.conversation_id = c.id ORDER BY m.timestamp DESC LIMIT 1) as last_message,
-          (SELECT image_url FROM dm_messages m WHERE m.conversation_id = c.id ORDER BY m.timestamp DESC LIMIT 1) as last_image
+          (SELECT image_url FROM dm_messages m WHERE m.conversation_id = c.id ORDER BY m.timestamp DESC LIMIT 1) as last_image,
+          (SELECT attachment FROM dm_messages m WHERE m.conversation_id = c.id ORDER BY m.timestamp DESC LIMIT 1) as last_attachment
          FROM dm_conversations c
          WHERE c.user1_id = ? OR c.user2_id = ?
          ORDER BY c.last_message_at DESC`,
@@ -410,7 +589,7 @@ class DataPersistence {
             return {
               id: row.id,
               otherUser: { id: otherUserId, name: otherUserName },
-              lastMessage: row.last_message || (row.last_image ? '[图片]' : ''),
+              lastMessage: messagePreview(row.last_message, row.last_image, row.last_attachment && JSON.parse(row.last_attachment)),
               lastMessageAt: row.last_message_at,
               unreadCount: row.unread_count || 0
             };
@@ -424,11 +603,11 @@ class DataPersistence {
 
   // 保存私聊消息
   saveDMMessage(msgData, conversationId) {
-    return new Promise((resolve, reject) => {
+    return this.track(new Promise((resolve, reject) => {
       const stmt = this.db.prepare(`
         INSERT INTO dm_messages 
-        (conversation_id, sender_id, sender_name, message, image_url, timestamp, reply_to_id, reply_to_sender, reply_to_text, sender_avatar_id, reply_to_image_url)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (conversation_id, sender_id, sender_name, message, image_url, timestamp, reply_to_id, reply_to_sender, reply_to_text, sender_avatar_id, reply_to_image_url, attachment)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       stmt.run(
@@ -443,6 +622,7 @@ class DataPersistence {
         msgData.replyTo?.text || null,
         msgData.senderAvatarId || null,
         msgData.replyTo?.imageUrl || null,
+        msgData.attachment ? JSON.stringify(msgData.attachment) : null,
         function(err) {
           if (err) {
             console.error('Error saving DM message:', err);
@@ -460,57 +640,21 @@ class DataPersistence {
         `UPDATE dm_conversations SET last_message_at = ? WHERE id = ?`,
         [msgData.timestamp, conversationId]
       );
-    });
+    }));
   }
 
-  // 获取私聊消息历史（限制条数）
-  getDMHistory(conversationId, limit = 50) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM dm_messages 
-         WHERE conversation_id = ? 
-         ORDER BY timestamp DESC 
-         LIMIT ?`,
-        [conversationId, limit],
-        (err, rows) => {
-          if (err) return reject(err);
-          
-          const messages = rows.reverse().map(row => ({
-            id: row.id,
-            text: row.message,
-            imageUrl: row.image_url || null,
-            sender: row.sender_name,
-            senderId: row.sender_id,
-            senderAvatarId: row.sender_avatar_id,
-            timestamp: row.timestamp,
-            isRead: row.is_read === 1,
-            recalled: row.recalled === 1,
-            replyTo: row.reply_to_id ? {
-              id: row.reply_to_id,
-              sender: row.reply_to_sender,
-              text: row.reply_to_text,
-              imageUrl: row.reply_to_image_url || null
-            } : null
-          }));
-          
-          resolve(messages);
-        }
-      );
-    });
+  // 获取私聊消息历史（按时间正序），limit / before / after 同 getMessageHistory
+  getDMHistory(conversationId, limit = 50, { before = null, after = null } = {}) {
+    return this.all(
+      `SELECT * FROM dm_messages 
+       WHERE conversation_id = ? ${historyCursorSql(before, after)}`,
+      [conversationId, ...historyCursorParams(before, after), limit]
+    ).then(rows => this.attachReactions('dm', (after ? rows : rows.reverse()).map(dmMessageFromRow)));
   }
 
   // 标记消息已读
   markDMMessagesAsRead(conversationId, userId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE dm_messages SET is_read = 1 WHERE conversation_id = ? AND sender_id != ?`,
-        [conversationId, userId],
-        (err) => {
-          if (err) return reject(err);
-          resolve();
-        }
-      );
-    });
+    return this.run(`UPDATE dm_messages SET is_read = 1 WHERE conversation_id = ? AND sender_id != ?`, [conversationId, userId]);
   }
 
   // 搜索用户（用于开始私聊）
@@ -533,67 +677,257 @@ class DataPersistence {
     });
   }
 
+  // 搜索房间消息（scopeType 'room'）或私聊消息（'dm'），只搜索 scopeIds 中的房间 / 会话，不包含已撤回的消息
+  // query 至少 3 个字符时使用 FTS 索引，更短的用 LIKE 匹配；query 为空时只按筛选条件查询
+  // 返回按时间倒序的 [{ scopeId, message }]
+  searchMessages(scopeType, scopeIds, { query, senderId, from, to, hasImage, limit }) {
+    if (scopeIds.length === 0) return Promise.resolve([]);
+    const table = scopeType === 'room' ? 'messages' : 'dm_messages';
+    const scopeColumn = scopeType === 'room' ? 'room_id' : 'conversation_id';
+
+    let source = `${table} m`;
+    const conditions = [`m.${scopeColumn} IN (${scopeIds.map(() => '?').join(', ')})`, 'COALESCE(m.recalled, 0) = 0'];
+    const params = [...scopeIds];
+    if (query && [...query].length >= 3) {
+      source = `${table}_fts f JOIN ${table} m ON m.id = f.rowid`;
+      conditions.push('f.message MATCH ?');
+      params.push(`"${query.replace(/"/g, '""')}"`);
+    } else if (query) {
+      conditions.push("m.message LIKE ? ESCAPE '\\'");
+      params.push(`%${query.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    if (senderId) {
+      conditions.push('m.sender_id = ?');
+      params.push(senderId);
+    }
+    if (from) {
+      conditions.push('m.timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('m.timestamp < ?');
+      params.push(to);
+    }
+    if (hasImage) {
+      conditions.push("COALESCE(m.image_url, '') != ''");
+    }
+
+    const fromRow = scopeType === 'room' ? roomMessageFromRow : dmMessageFromRow;
+    return this.all(
+      `SELECT m.* FROM ${source} WHERE ${conditions.join(' AND ')} ORDER BY m.id DESC LIMIT ?`,
+      [...params, limit]
+    ).then(rows => rows.map(row => ({ scopeId: row[scopeColumn], message: fromRow(row) })));
+  }
+
   // ======= 消息撤回/删除方法 =======
   
   // 撤回房间消息
   recallMessage(messageId, roomId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE messages SET recalled = 1 WHERE id = ? AND room_id = ?`,
-        [messageId, roomId],
-        function(err) {
-          if (err) return reject(err);
-          resolve(this.changes > 0);
-        }
-      );
-    });
+    return this.run(`UPDATE messages SET recalled = 1 WHERE id = ? AND room_id = ?`, [messageId, roomId]).then(changes => changes > 0);
+  }
+
+  // 编辑房间消息：保存编辑前的内容并更新消息
+  editMessage(messageId, roomId, text, previousText, editedAt) {
+    return this.runInTransaction([
+      [`INSERT INTO message_edits (scope_type, message_id, previous_text, edited_at) VALUES ('room', ?, ?, ?)`,
+        [messageId, previousText, editedAt]],
+      [`UPDATE messages SET message = ?, edited_at = ? WHERE id = ? AND room_id = ?`, [text, editedAt, messageId, roomId]]
+    ]);
   }
 
   // 删除房间消息
   deleteMessage(messageId, roomId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `DELETE FROM messages WHERE id = ? AND room_id = ?`,
-        [messageId, roomId],
-        function(err) {
-          if (err) return reject(err);
-          resolve(this.changes > 0);
-        }
-      );
-    });
+    return this.run(`DELETE FROM messages WHERE id = ? AND room_id = ?`, [messageId, roomId]).then(changes => changes > 0);
   }
 
   // 撤回私聊消息
   recallDMMessage(messageId, conversationId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE dm_messages SET recalled = 1 WHERE id = ? AND conversation_id = ?`,
-        [messageId, conversationId],
-        function(err) {
-          if (err) return reject(err);
-          resolve(this.changes > 0);
-        }
-      );
+    return this.run(`UPDATE dm_messages SET recalled = 1 WHERE id = ? AND conversation_id = ?`, [messageId, conversationId]).then(changes => changes > 0);
+  }
+
+  // 编辑私聊消息，同 editMessage
+  editDMMessage(messageId, conversationId, text, previousText, editedAt) {
+    return this.runInTransaction([
+      [`INSERT INTO message_edits (scope_type, message_id, previous_text, edited_at) VALUES ('dm', ?, ?, ?)`,
+        [messageId, previousText, editedAt]],
+      [`UPDATE dm_messages SET message = ?, edited_at = ? WHERE id = ? AND conversation_id = ?`,
+        [text, editedAt, messageId, conversationId]]
+    ]);
+  }
+
+  // 消息的编辑记录（编辑前的各个版本，按时间正序），scopeType 为 'room' 或 'dm'
+  getMessageEdits(scopeType, messageId) {
+    return this.all(
+      `SELECT previous_text, edited_at FROM message_edits WHERE scope_type = ? AND message_id = ? ORDER BY id ASC`,
+      [scopeType, messageId]
+    ).then(rows => rows.map(row => ({ text: row.previous_text, editedAt: row.edited_at })));
+  }
+
+  // 添加表情回应（已回应过同一个表情时忽略），scopeType 为 'room' 或 'dm'
+  addReaction(scopeType, messageId, userId, emoji) {
+    return this.run(
+      `INSERT OR IGNORE INTO message_reactions (scope_type, message_id, user_id, emoji, created_at) VALUES (?, ?, ?, ?, ?)`,
+      [scopeType, messageId, userId, emoji, Date.now()]
+    );
+  }
+
+  removeReaction(scopeType, messageId, userId, emoji) {
+    return this.run(
+      `DELETE FROM message_reactions WHERE scope_type = ? AND message_id = ? AND user_id = ? AND emoji = ?`,
+      [scopeType, messageId, userId, emoji]
+    );
+  }
+
+  // 按消息汇总表情回应，返回 Map<messageId, [{ emoji, userIds, usernames }]>，表情按第一次回应的时间排序
+  getReactions(scopeType, messageIds) {
+    if (messageIds.length === 0) return Promise.resolve(new Map());
+    return this.all(
+      `SELECT r.message_id, r.emoji,
+              json_group_array(r.user_id) AS user_ids,
+              json_group_array(COALESCE(u.username, '')) AS usernames
+       FROM message_reactions r LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.scope_type = ? AND r.message_id IN (${messageIds.map(() => '?').join(', ')})
+       GROUP BY r.message_id, r.emoji
+       ORDER BY MIN(r.created_at)`,
+      [scopeType, ...messageIds]
+    ).then((rows) => {
+      const reactions = new Map();
+      for (const row of rows) {
+        if (!reactions.has(row.message_id)) reactions.set(row.message_id, []);
+        reactions.get(row.message_id).push({
+          emoji: row.emoji,
+          userIds: JSON.parse(row.user_ids),
+          usernames: JSON.parse(row.usernames)
+        });
+      }
+      return reactions;
     });
   }
 
+  // 给历史消息加上 reactions 字段
+  async attachReactions(scopeType, messages) {
+    const reactions = await this.getReactions(scopeType, messages.map(msg => msg.id));
+    return messages.map(msg => ({ ...msg, reactions: reactions.get(msg.id) || [] }));
+  }
+
+  // ======= 链接预览 =======
+
+  // 链接预览缓存，返回 { preview, fetchedAt } 或 null
+  getCachedLinkPreview(url) {
+    return this.all(`SELECT preview, fetched_at FROM link_previews WHERE url = ?`, [url]).then(([row]) => (
+      row ? { preview: row.preview ? JSON.parse(row.preview) : null, fetchedAt: row.fetched_at } : null
+    ));
+  }
+
+  saveCachedLinkPreview(url, preview, fetchedAt) {
+    return this.run(
+      `INSERT OR REPLACE INTO link_previews (url, preview, fetched_at) VALUES (?, ?, ?)`,
+      [url, preview ? JSON.stringify(preview) : null, fetchedAt]
+    );
+  }
+
+  cleanupLinkPreviewCache(before) {
+    return this.run(`DELETE FROM link_previews WHERE fetched_at < ?`, [before]);
+  }
+
+  // 设置消息的链接预览；text 为抓取时的消息内容，消息已被编辑、撤回或删除时不更新，返回是否更新
+  setMessageLinkPreview(scopeType, messageId, text, preview) {
+    const table = scopeType === 'room' ? 'messages' : 'dm_messages';
+    return this.run(
+      `UPDATE ${table} SET link_preview = ? WHERE id = ? AND message = ? AND recalled = 0`,
+      [preview ? JSON.stringify(preview) : null, messageId, text]
+    ).then(changes => changes > 0);
+  }
+
+  // ======= 话题 =======
+
+  // 话题中的全部回复（按时间正序）
+  getThreadReplies(roomId, rootId) {
+    return this.all(
+      `SELECT * FROM messages WHERE room_id = ? AND thread_root_id = ? ORDER BY id ASC`,
+      [roomId, rootId]
+    ).then(rows => rows.map(roomMessageFromRow));
+  }
+
+  // 按根消息汇总话题，返回 Map<rootId, { replyCount, lastReplyAt }>，没有回复的根消息不在其中
+  getThreadSummaries(rootIds) {
+    if (rootIds.length === 0) return Promise.resolve(new Map());
+    return this.all(
+      `SELECT thread_root_id, COUNT(*) AS reply_count, MAX(timestamp) AS last_reply_at
+       FROM messages WHERE thread_root_id IN (${rootIds.map(() => '?').join(', ')})
+       GROUP BY thread_root_id`,
+      rootIds
+    ).then(rows => new Map(rows.map(row => [
+      row.thread_root_id,
+      { replyCount: row.reply_count, lastReplyAt: row.last_reply_at }
+    ])));
+  }
+
+  // 给消息加上 replyCount / lastReplyAt 字段
+  async attachThreadSummaries(messages) {
+    const summaries = await this.getThreadSummaries(messages.map(msg => msg.id));
+    return messages.map(msg => ({ ...msg, replyCount: 0, lastReplyAt: null, ...summaries.get(msg.id) }));
+  }
+
+  // 话题的参与者：根消息的发送者和所有回复过的人
+  getThreadParticipants(rootId) {
+    return this.all(
+      `SELECT DISTINCT sender_id FROM messages WHERE id = ? OR thread_root_id = ?`,
+      [rootId, rootId]
+    ).then(rows => rows.map(row => row.sender_id));
+  }
+
+  // ======= @提及 =======
+
+  // 为被提及的用户保存收件箱记录，targets: Map<userId, kind>（kind 为 'user' / 'all' / 'here'）
+  saveMentions(roomId, messageId, senderId, targets, createdAt) {
+    return this.runInTransaction([...targets].map(([userId, kind]) => [
+      `INSERT INTO mentions (user_id, room_id, message_id, sender_id, kind, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, roomId, messageId, senderId, kind, createdAt]
+    ]));
+  }
+
+  // 提及某个用户的消息（最新的在前），只包含 roomIds 中的房间和未撤回的消息；before 为上一页最后一条的提及 ID
+  getMentions(userId, roomIds, { before = null, limit = 50 } = {}) {
+    if (roomIds.length === 0) return Promise.resolve([]);
+    return this.all(
+      `SELECT m.*, n.id AS mention_id, n.kind AS mention_kind, n.is_read AS mention_read
+       FROM mentions n JOIN messages m ON m.id = n.message_id
+       WHERE n.user_id = ? AND n.room_id IN (${roomIds.map(() => '?').join(', ')})
+         AND COALESCE(m.recalled, 0) = 0 ${before ? 'AND n.id < ?' : ''}
+       ORDER BY n.id DESC LIMIT ?`,
+      [userId, ...roomIds, ...(before ? [before] : []), limit]
+    ).then(rows => rows.map(row => ({
+      id: row.mention_id,
+      kind: row.mention_kind,
+      isRead: row.mention_read === 1,
+      roomId: row.room_id,
+      message: roomMessageFromRow(row)
+    })));
+  }
+
+  countUnreadMentions(userId, roomIds) {
+    if (roomIds.length === 0) return Promise.resolve(0);
+    return this.all(
+      `SELECT COUNT(*) AS count FROM mentions n JOIN messages m ON m.id = n.message_id
+       WHERE n.user_id = ? AND n.is_read = 0 AND COALESCE(m.recalled, 0) = 0
+         AND n.room_id IN (${roomIds.map(() => '?').join(', ')})`,
+      [userId, ...roomIds]
+    ).then(rows => rows[0].count);
+  }
+
+  markMentionsRead(userId) {
+    return this.run(`UPDATE mentions SET is_read = 1 WHERE user_id = ? AND is_read = 0`, [userId]);
+  }
+
   // 删除私聊消息
   deleteDMMessage(messageId, conversationId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `DELETE FROM dm_messages WHERE id = ? AND conversation_id = ?`,
-        [messageId, conversationId],
-        function(err) {
-          if (err) return reject(err);
-          resolve(this.changes > 0);
-        }
-      );
-    });
+    return this.run(`DELETE FROM dm_messages WHERE id = ? AND conversation_id = ?`, [messageId, conversationId]).then(changes => changes > 0);
   }
 
   // 删除整个私聊会话（包括所有消息）
   deleteConversation(conversationId, userId) {
-    return new Promise((resolve, reject) => {
+    return this.track(new Promise((resolve, reject) => {
       // 首先验证用户是否是会话参与者
       this.db.get(
         `SELECT * FROM dm_conversations WHERE id = ? AND (user1_id = ? OR user2_id = ?)`,
@@ -622,7 +956,7 @@ class DataPersistence {
           );
         }
       );
-    });
+    }));
   }
 
   // 获取单条消息（用于验证权限）
@@ -652,56 +986,872 @@ class DataPersistence {
       );
     });
   }
-}
 
-const persistence = new DataPersistence();
+  // 获取私聊会话（用于校验参与者）
+  getDMConversation(conversationId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM dm_conversations WHERE id = ?`,
+        [conversationId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row);
+        }
+      );
+    });
+  }
 
-// Load data on startup
-persistence.load();
+  // ======= 上传文件记录 =======
 
-// Auto-save every 10 seconds
-setInterval(() => persistence.save(), 10000);
+  saveUpload(filename, uploaderId, scopeType, scopeId) {
+    return this.run(`INSERT INTO uploads (filename, uploader_id, scope_type, scope_id) VALUES (?, ?, ?, ?)`, [filename, uploaderId, scopeType, scopeId]);
+  }
 
-// Save on exit
-process.on('SIGINT', () => {
-  console.log('Stopping server, saving data...');
-  persistence.save();
-  process.exit();
-});
+  // 查询文件所属范围；旧文件没有上传记录，退回到引用它的消息所在的房间 / 会话
+  getUploadScope(filename) {
+    const url = `/uploads/${filename}`;
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT scope_type, scope_id FROM uploads WHERE filename = ?`,
+        [filename],
+        (err, row) => {
+          if (err) return reject(err);
+          if (row) return resolve({ scopeType: row.scope_type, scopeId: row.scope_id });
 
-// Helper to get visible user count (excluding stealth admins)
-const getVisibleUserCount = (roomId) => {
-  const socketsInRoom = io.sockets.adapter.rooms.get(roomId);
-  if (!socketsInRoom) return 0;
-  
-  let count = 0;
-  socketsInRoom.forEach(socketId => {
-    const roomUser = users.get(socketId);
-    if (roomUser && !roomUser.isStealthInRoom) {
-      count++;
-    }
-  });
-  return count;
-};
+          this.db.get(
+            `SELECT room_id FROM messages WHERE image_url = ? OR reply_to_image_url = ? LIMIT 1`,
+            [url, url],
+            (err, msgRow) => {
+              if (err) return reject(err);
+              if (msgRow) return resolve({ scopeType: 'room', scopeId: msgRow.room_id });
 
-// Helper to get room list for a specific user
-const getUserRooms = (userId) => {
-  // Find credential entry by persistentId to get joinedRooms
-  // In a real DB this would be easier. Here we have to search or keep a secondary map.
-  // Let's iterate userCredentials for now (inefficient but fine for demo)
-  let joinedRoomIds = [];
-  let username = null;
-  
-  for (const [uName, cred] of userCredentials.entries()) {
-    if (cred.persistentId === userId) {
-      joinedRoomIds = cred.joinedRooms || [];
-      username = uName;
-      break;
-    }
+              this.db.get(
+                `SELECT conversation_id FROM dm_messages WHERE image_url = ? OR reply_to_image_url = ? LIMIT 1`,
+                [url, url],
+                (err, dmRow) => {
+                  if (err) return reject(err);
+                  resolve(dmRow ? { scopeType: 'dm', scopeId: dmRow.conversation_id } : null);
+                }
+              );
+            }
+          );
+        }
+      );
+    });
   }
 
-  return Array.from(rooms.values())
-    .filter(r => joinedRoomIds.includes(r.id))
+  deleteUpload(filename) {
+    return this.run(`DELETE FROM uploads WHERE filename = ?`, [filename]);
+  }
+
+  // ======= 文件附件 =======
+
+  // 保存附件记录，返回附件 ID
+  saveAttachment({ filename, name, size, mime, sha256, uploaderId, scopeType, scopeId }) {
+    return this.track(new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO attachments (filename, name, size, mime, sha256, uploader_id, scope_type, scope_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [filename, name, size, mime, sha256, uploaderId, scopeType, scopeId, Date.now()],
+        function(err) {
+          if (err) return reject(err);
+          resolve(this.lastID);
+        }
+      );
+    }));
+  }
+
+  getAttachment(id) {
+    return this.all(`SELECT * FROM attachments WHERE id = ?`, [id]).then(([row]) => row || null);
+  }
+
+  deleteAttachment(filename) {
+    return this.run(`DELETE FROM attachments WHERE filename = ?`, [filename]);
+  }
+
+  // 删除某个用户上传的附件记录，返回文件名列表（由调用方删除文件）
+  async deleteUserAttachments(userId) {
+    const rows = await this.all(`SELECT filename FROM attachments WHERE uploader_id = ?`, [userId]);
+    await this.run(`DELETE FROM attachments WHERE uploader_id = ?`, [userId]);
+    return rows.map(row => row.filename);
+  }
+
+  // ======= 邀请码 =======
+
+  createInviteCode({ code, createdBy, expiresAt, maxUses }) {
+    return this.run(`INSERT INTO invite_codes (code, created_by, created_at, expires_at, max_uses) VALUES (?, ?, ?, ?, ?)`, [code, createdBy, Date.now(), expiresAt, maxUses]);
+  }
+
+  // 未吊销的邀请码（包括已过期和已用完的，便于管理员查看）
+  listInviteCodes() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM invite_codes WHERE revoked = 0 ORDER BY created_at DESC LIMIT 100`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows.map(row => ({
+            code: row.code,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            maxUses: row.max_uses,
+            uses: row.uses
+          })));
+        }
+      );
+    });
+  }
+
+  // 使用一次邀请码（原子操作），成功返回 true
+  consumeInviteCode(code) {
+    return this.run(
+      `UPDATE invite_codes SET uses = uses + 1
+       WHERE code = ? AND revoked = 0 AND uses < max_uses AND (expires_at IS NULL OR expires_at > ?)`,
+      [code, Date.now()]
+    ).then(changes => changes === 1);
+  }
+
+  // 注册最终失败时退回已使用的次数
+  releaseInviteCode(code) {
+    return this.run(`UPDATE invite_codes SET uses = uses - 1 WHERE code = ? AND uses > 0`, [code]);
+  }
+
+  revokeInviteCode(code) {
+    return this.run(`UPDATE invite_codes SET revoked = 1 WHERE code = ? AND revoked = 0`, [code]).then(changes => changes === 1);
+  }
+
+  // ======= 登录会话 =======
+
+  createSession(sessionId, userId, expiresAt) {
+    const now = Date.now();
+    return this.run(
+      `INSERT INTO sessions (id, user_id, created_at, expires_at, last_used_at) VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, userId, now, expiresAt, now]
+    );
+  }
+
+  // 获取未过期的会话
+  getSession(sessionId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM sessions WHERE id = ? AND expires_at > ?`,
+        [sessionId, Date.now()],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row);
+        }
+      );
+    });
+  }
+
+  touchSession(sessionId) {
+    return this.run(`UPDATE sessions SET last_used_at = ? WHERE id = ?`, [Date.now(), sessionId]);
+  }
+
+  // 缩短会话有效期（令牌轮换后给旧令牌留一个宽限期）
+  expireSession(sessionId, expiresAt) {
+    return this.run(`UPDATE sessions SET expires_at = MIN(expires_at, ?) WHERE id = ?`, [expiresAt, sessionId]);
+  }
+
+  deleteSession(sessionId) {
+    return this.run(`DELETE FROM sessions WHERE id = ?`, [sessionId]);
+  }
+
+  // 吊销某个用户的所有会话（退出所有设备 / 重置密码 / 删除账号）
+  deleteUserSessions(userId) {
+    return this.run(`DELETE FROM sessions WHERE user_id = ?`, [userId]);
+  }
+
+  cleanupExpiredSessions() {
+    return this.run(`DELETE FROM sessions WHERE expires_at <= ?`, [Date.now()]);
+  }
+
+  // ======= 审计日志 =======
+
+  addAuditLog({ actorId, actorName, actorRole, action, target, roomId, roomName, details }) {
+    return this.run(
+      `INSERT INTO audit_log (actor_id, actor_name, actor_role, action, target, room_id, room_name, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [actorId, actorName, actorRole, action, target, roomId, roomName, details ? JSON.stringify(details) : null, Date.now()]
+    );
+  }
+
+  // 按条件分页查询，返回 { entries, total }
+  // action / roomId 精确匹配，actor / target 模糊匹配
+  getAuditLog({ action, actor, target, roomId, page = 1, pageSize = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (actor) {
+      conditions.push('actor_name LIKE ?');
+      params.push(`%${actor}%`);
+    }
+    if (target) {
+      conditions.push('target LIKE ?');
+      params.push(`%${target}%`);
+    }
+    if (roomId) {
+      conditions.push('room_id = ?');
+      params.push(roomId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) as total FROM audit_log ${where}`, params, (err, countRow) => {
+        if (err) return reject(err);
+
+        this.db.all(
+          `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+          [...params, pageSize, (page - 1) * pageSize],
+          (err, rows) => {
+            if (err) return reject(err);
+            resolve({
+              total: countRow.total,
+              entries: rows.map(row => ({
+                id: row.id,
+                actorId: row.actor_id,
+                actorName: row.actor_name,
+                actorRole: row.actor_role,
+                action: row.action,
+                target: row.target,
+                roomId: row.room_id,
+                roomName: row.room_name,
+                details: row.details ? JSON.parse(row.details) : null,
+                createdAt: row.created_at
+              }))
+            });
+          }
+        );
+      });
+    });
+  }
+
+  // ======= 账号变更 =======
+
+  // 在同一个事务中依次执行多条写语句，任意一条失败则全部回滚
+  // 事务依次排队执行，避免在一个事务未结束时开始另一个
+  runInTransaction(statements) {
+    const execute = async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        for (const [sql, params] of statements) {
+          await this.run(sql, params);
+        }
+        await this.run('COMMIT');
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    };
+
+    const result = this.track(this.transactionQueue.then(execute));
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // 等待所有已开始的写入完成（写入过程中可能又产生新的写入）
+  // 直接调用 this.db.run 的单条语句已经在 sqlite3 队列中，close() 会等它们执行完
+  async flush() {
+    while (this.pendingWrites.size > 0) {
+      await Promise.allSettled([...this.pendingWrites]);
+    }
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // 修改用户名后同步已保存的发送者名称、私聊会话以及房间通知中的名字
+  renameUserInHistory(userId, oldName, newName) {
+    return this.runInTransaction([
+      [`UPDATE messages SET sender_name = ? WHERE sender_id = ? AND sender_name = ?`, [newName, userId, oldName]],
+      [`UPDATE dm_messages SET sender_name = ? WHERE sender_id = ? AND sender_name = ?`, [newName, userId, oldName]],
+      [`UPDATE dm_conversations SET user1_name = ? WHERE user1_id = ?`, [newName, userId]],
+      [`UPDATE dm_conversations SET user2_name = ? WHERE user2_id = ?`, [newName, userId]],
+      [`UPDATE room_banners SET created_by = ? WHERE created_by = ?`, [newName, oldName]]
+    ]);
+  }
+
+  // 注销账号：purge 为 true 时删除该用户发送的全部消息，否则只把发送者改为占位名称
+  removeUserFromHistory(userId, placeholderName, purge) {
+    const messageStatements = purge
+      ? [
+          [`DELETE FROM messages WHERE sender_id = ?`, [userId]],
+          [`DELETE FROM dm_messages WHERE sender_id = ?`, [userId]]
+        ]
+      : [
+          [`UPDATE messages SET sender_name = ?, sender_avatar_id = NULL WHERE sender_id = ?`, [placeholderName, userId]],
+          [`UPDATE dm_messages SET sender_name = ?, sender_avatar_id = NULL WHERE sender_id = ?`, [placeholderName, userId]]
+        ];
+
+    return this.runInTransaction([
+      ...messageStatements,
+      [`UPDATE dm_conversations SET user1_name = ? WHERE user1_id = ?`, [placeholderName, userId]],
+      [`UPDATE dm_conversations SET user2_name = ? WHERE user2_id = ?`, [placeholderName, userId]]
+    ]);
+  }
+
+  // 删除某个用户的上传记录，返回文件名列表（由调用方删除文件）
+  async deleteUserUploads(userId) {
+    const rows = await this.all(`SELECT filename FROM uploads WHERE uploader_id = ?`, [userId]);
+    await this.run(`DELETE FROM uploads WHERE uploader_id = ?`, [userId]);
+    return rows.map(row => row.filename);
+  }
+}
+
+const persistence = new DataPersistence();
+
+// 链接预览的抓取和缓存（缓存保存在 link_previews 表中）
+const linkPreviewer = new LinkPreviewer({
+  fetchPage: createHttpFetcher({ timeoutMs: config.linkPreviewTimeoutMs }),
+  cache: {
+    get: (url) => persistence.getCachedLinkPreview(url),
+    set: (url, preview, fetchedAt) => persistence.saveCachedLinkPreview(url, preview, fetchedAt)
+  }
+});
+
+// 按 ADMIN_USERNAMES 设置管理员；账号不存在且配置了 ADMIN_PASSWORD 时自动创建
+const bootstrapAdmins = async () => {
+  for (const username of configuredAdmins) {
+    const cred = userCredentials.get(username);
+    if (cred) {
+      if (!cred.isAdmin) {
+        cred.isAdmin = true;
+        await persistence.saveUser(username, cred);
+        console.log(`Admin granted from config: ${username}`);
+      }
+      continue;
+    }
+
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      console.warn(`Configured admin "${username}" does not exist; set ADMIN_PASSWORD to create it`);
+      continue;
+    }
+
+    const adminCred = {
+      passwordHash: await hashPassword(password),
+      persistentId: `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      isAdmin: true,
+      joinedRooms: [],
+      avatarId: null
+    };
+    userCredentials.set(username, adminCred);
+    await persistence.saveUser(username, adminCred);
+    console.log(`Admin account created from config: ${username}`);
+  }
+
+  if (![...userCredentials.values()].some(cred => cred.isAdmin)) {
+    console.warn('No admin account configured. Set ADMIN_USERNAMES in .env or run: node scripts/admin.js promote <username>');
+  }
+};
+
+// Load data on startup
+// 迁移或读取失败时（包括数据库版本比代码新）退出，避免在空数据上继续运行、注册出与旧数据冲突的账号
+const dataReady = persistence.load()
+  .catch((err) => {
+    console.error('Failed to load data:', err);
+    process.exit(1);
+  })
+  .then(bootstrapAdmins)
+  .catch(err => console.error('Bootstrap admins error:', err));
+
+// 收到 SIGINT / SIGTERM（PM2 重启、停止时发送）后优雅退出：
+// 停止接受新连接，通知在线用户服务器正在重启（客户端显示提示并自动重连），
+// 等待尚未完成的写入后关闭数据库再退出
+const SHUTDOWN_TIMEOUT = 10000; // 超过该时间仍未完成则强制退出
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, stopping server...`);
+
+  const forceExit = setTimeout(() => {
+    console.error('Graceful shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT);
+  forceExit.unref();
+
+  try {
+    io.emit('server_restarting');
+    // 关闭所有 Socket 连接并停止监听端口
+    await new Promise(resolve => io.close(() => resolve()));
+    await persistence.flush();
+    await persistence.close();
+    console.log('Server stopped.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during shutdown:', err);
+    process.exit(1);
+  }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// 校验用户密码，兼容旧版明文存储：明文匹配成功后立即升级为哈希
+const checkUserPassword = async (cred, password) => {
+  const { ok, newHash } = await checkStoredPassword(password, cred);
+  if (newHash) {
+    const wasPlaintext = !isPasswordHash(cred.passwordHash);
+    cred.passwordHash = newHash;
+    delete cred.password;
+    await saveCredential(cred);
+    if (wasPlaintext) console.log('Upgraded legacy plaintext password to hash');
+  }
+  return ok;
+};
+
+// 通过 persistentId 查找用户凭证，返回 [username, cred]
+const findCredentialById = (persistentId) => {
+  for (const [username, cred] of userCredentials.entries()) {
+    if (cred.persistentId === persistentId) {
+      return [username, cred];
+    }
+  }
+  return [null, null];
+};
+
+// 私聊消息的发送者，用于 can() 的权限比较（dm_messages 没有保存发送者是否为管理员）
+const dmSender = (msg) => {
+  const [, cred] = findCredentialById(msg.sender_id);
+  return { persistentId: msg.sender_id, isAdmin: !!cred?.isAdmin };
+};
+
+// 写入失败只记录错误：内存中的数据已经修改，下次修改同一条记录时会再次写入
+const logPersistError = (what) => (err) => console.error(`Failed to save ${what}:`, err);
+
+// 用户凭证修改后立即写入 users 表
+const saveCredential = (cred) => {
+  const [username] = findCredentialById(cred.persistentId);
+  if (!username) return Promise.resolve();
+  return persistence.saveUser(username, cred).catch(logPersistError(`user ${username}`));
+};
+
+// 签发新的会话令牌
+const issueSessionToken = async (persistentId) => {
+  const sid = generateSessionId();
+  const exp = Date.now() + SESSION_TTL_MS;
+  await persistence.createSession(sid, persistentId, exp);
+  return { sid, token: createSessionToken(sessionSecret, { sid, uid: persistentId, exp }) };
+};
+
+// 校验令牌签名、过期时间以及服务端是否仍保存该会话
+const resolveSessionToken = async (token) => {
+  if (!sessionSecret) return null;
+  const payload = verifySessionToken(sessionSecret, token);
+  if (!payload) return null;
+
+  const session = await persistence.getSession(payload.sid);
+  if (!session || session.user_id !== payload.uid) return null;
+  return payload;
+};
+
+// 吊销用户所有会话，并让其在线的 socket 下线（可排除当前 socket）
+const revokeUserSessions = async (persistentId, reason, exceptSocketId = null) => {
+  await persistence.deleteUserSessions(persistentId);
+
+  for (const [socketId, u] of users.entries()) {
+    if (u.persistentId !== persistentId || socketId === exceptSocketId) continue;
+    const targetSocket = io.sockets.sockets.get(socketId);
+    if (targetSocket) {
+      targetSocket.emit('force_logout', { reason });
+      // Delay disconnect to ensure event is received
+      setTimeout(() => targetSocket.disconnect(true), 500);
+    }
+  }
+};
+
+// 记录特权操作的审计日志；写入失败只打印错误，不影响操作本身
+// room: 操作所在的房间对象（用于记录房间和操作者当时的角色）
+// details: 任意可 JSON 序列化的内容，通常为 { before, after }
+const audit = (user, action, { target = null, room = null, details = null } = {}) => {
+  persistence.addAuditLog({
+    actorId: user.persistentId,
+    actorName: user.realUsername || user.username,
+    actorRole: room ? getRoomRole(room, user) : (user.isAdmin ? 'admin' : null),
+    action,
+    target,
+    roomId: room?.id ?? null,
+    roomName: room?.name ?? null,
+    details
+  }).catch((err) => {
+    console.error('Failed to write audit log:', err);
+  });
+};
+
+// 账号注销后消息中显示的发送者名称
+const DELETED_USER_NAME = '已注销用户';
+
+// 修改用户名：凭证、在线连接、踢出冷却记录、房间通知以及已保存的消息 / 私聊会话都改用新名字
+// 管理员对外显示为“超级董事长”，已保存的名字不变，只需要更新凭证和连接
+// 先写数据库：写入失败时内存中的数据保持不变，不会出现只改了一半的情况
+const renameUser = async (currentUsername, newUsername) => {
+  const cred = userCredentials.get(currentUsername);
+  await persistence.renameUser(cred.persistentId, currentUsername, newUsername);
+  userCredentials.delete(currentUsername);
+  userCredentials.set(newUsername, cred);
+
+  // 踢出冷却记录的 key 为 roomId:username
+  for (const [key, kickedAt] of [...kickedUsers.entries()]) {
+    const separator = key.indexOf(':');
+    if (key.slice(separator + 1) !== currentUsername) continue;
+    kickedUsers.delete(key);
+    kickedUsers.set(`${key.slice(0, separator)}:${newUsername}`, kickedAt);
+  }
+
+  for (const u of users.values()) {
+    if (u.persistentId !== cred.persistentId) continue;
+    u.realUsername = newUsername;
+    u.username = cred.isAdmin ? '超级董事长' : newUsername;
+  }
+
+  if (cred.isAdmin) return;
+
+  for (const banner of roomBanners.values()) {
+    if (banner.createdBy === currentUsername) banner.createdBy = newUsername;
+  }
+  for (const history of messageHistory.values()) {
+    history.forEach((msg) => {
+      if (msg.senderId === cred.persistentId) msg.sender = newUsername;
+    });
+  }
+  await persistence.renameUserInHistory(cred.persistentId, currentUsername, newUsername);
+
+  io.emit('user_renamed', { userId: cred.persistentId, oldUsername: currentUsername, username: newUsername });
+};
+
+// 注销 / 管理员删除账号：删除凭证、房间中的角色以及历史消息（purge）或把发送者匿名化
+const removeUserAccount = async (username, purge) => {
+  const cred = userCredentials.get(username);
+  const userId = cred.persistentId;
+  userCredentials.delete(username);
+  await persistence.deleteUser(userId, username);
+
+  for (const room of rooms.values()) {
+    if (room.moderators) room.moderators = room.moderators.filter(id => id !== userId);
+    if (room.mutedUsers) room.mutedUsers = room.mutedUsers.filter(id => id !== userId);
+  }
+
+  for (const [roomId, history] of messageHistory.entries()) {
+    if (purge) {
+      messageHistory.set(roomId, history.filter(msg => msg.senderId !== userId));
+    } else {
+      history.forEach((msg) => {
+        if (msg.senderId !== userId) return;
+        msg.sender = DELETED_USER_NAME;
+        msg.senderAvatarId = null;
+      });
+    }
+  }
+  await persistence.removeUserFromHistory(userId, DELETED_USER_NAME, purge);
+
+  if (purge) {
+    const filenames = [
+      ...await persistence.deleteUserUploads(userId),
+      ...await persistence.deleteUserAttachments(userId)
+    ];
+    await Promise.all(filenames.map(filename =>
+      fs.promises.unlink(path.join(UPLOADS_DIR, filename)).catch(() => {})
+    ));
+  }
+
+  io.emit('user_deleted', { userId, username, purged: purge, placeholderName: DELETED_USER_NAME });
+};
+
+// 剩余等待时间的提示（登录限流、踢出冷却），一分钟以上向上取整到分钟
+const formatRetryAfter = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return formatDuration(seconds >= 60 ? Math.ceil(seconds / 60) * 60 : seconds);
+};
+
+// 被限流时返回给客户端的内容（locked / retryAfter 供登录页显示倒计时）
+const throttleResponse = (throttle) => {
+  const wait = formatRetryAfter(throttle.retryAfterMs);
+  return {
+    success: false,
+    locked: throttle.locked,
+    retryAfter: Math.ceil(throttle.retryAfterMs / 1000),
+    error: throttle.locked
+      ? `登录失败次数过多，已临时锁定，请${wait}后再试或联系管理员解锁`
+      : `尝试过于频繁，请${wait}后再试`
+  };
+};
+
+// 用户名 / 密码格式校验，返回错误信息，合法时返回 null
+const validateUsername = (username) => {
+  // Username validation: 2-16 characters, letters, numbers, underscore only
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9_]{2,16}$/.test(username)) {
+    return '用户名需要2-16个字符，仅支持字母、数字、下划线';
+  }
+  return null;
+};
+
+const validatePassword = (password) => {
+  // Password validation: 4-20 characters
+  if (typeof password !== 'string' || password.length < 4 || password.length > 20) {
+    return '密码需要4-20个字符';
+  }
+  return null;
+};
+
+const validateCredentials = (username, password) => {
+  if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+    return '用户名和密码不能为空';
+  }
+  return validateUsername(username) || validatePassword(password);
+};
+
+const generateInviteCode = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+// ======= 两步验证 =======
+
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+
+// 开启强制策略后，尚未启用两步验证的管理员只能调用 'session' 级别的事件（启用两步验证、退出登录）
+const needsTwoFactorSetup = (cred) => adminTwoFactorRequired && !!cred?.isAdmin && !cred.totp;
+
+// 校验第二步验证码：6 位数字按 TOTP 校验（同一个验证码不能重复使用），否则按恢复码校验（用后作废）
+const verifySecondFactor = (cred, code) => {
+  if (!consumeSecondFactor(cred.totp, code)) return false;
+  saveCredential(cred);
+  return true;
+};
+
+const createTwoFactorChallenge = (username) => {
+  const challengeId = crypto.randomBytes(24).toString('base64url');
+  twoFactorChallenges.set(challengeId, {
+    username,
+    expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS,
+    attempts: 0
+  });
+  return challengeId;
+};
+
+const pruneTwoFactorChallenges = () => {
+  const now = Date.now();
+  for (const [challengeId, challenge] of twoFactorChallenges.entries()) {
+    if (challenge.expiresAt <= now) twoFactorChallenges.delete(challengeId);
+  }
+};
+
+// ======= 上传文件访问控制 =======
+
+const UPLOAD_FILENAME_PATTERN = /^img_\d+_[a-z0-9]+\.webp$/;
+
+// 从图片地址中取出文件名（兼容带签名参数的地址），非本站上传文件返回 null
+const getUploadFilename = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  const filename = url.slice('/uploads/'.length).split('?')[0];
+  return UPLOAD_FILENAME_PATTERN.test(filename) ? filename : null;
+};
+
+// 给图片地址加上短期签名，供 <img> 标签直接访问
+const signUploadUrl = (url) => {
+  const filename = getUploadFilename(url);
+  if (!filename || !sessionSecret) return url;
+  const { exp, sig } = createUploadSignature(sessionSecret, filename);
+  return `/uploads/${filename}?exp=${exp}&sig=${sig}`;
+};
+
+// 附件的下载地址，同样带短期签名（签名对象为 attachment-<ID>）
+const signAttachmentUrl = (id) => {
+  if (!sessionSecret) return `/api/files/${id}`;
+  const { exp, sig } = createUploadSignature(sessionSecret, `attachment-${id}`);
+  return `/api/files/${id}?exp=${exp}&sig=${sig}`;
+};
+
+// 发送给客户端前为消息中的图片和附件签名（数据库里只保存不带签名的地址）
+const presentMessage = (msg) => ({
+  ...msg,
+  imageUrl: signUploadUrl(msg.imageUrl),
+  replyTo: msg.replyTo
+    ? { ...msg.replyTo, imageUrl: signUploadUrl(msg.replyTo.imageUrl) }
+    : msg.replyTo,
+  ...(msg.attachment ? { attachment: { ...msg.attachment, url: signAttachmentUrl(msg.attachment.id) } } : {})
+});
+
+// 历史消息分页：默认每页条数和单页上限
+const HISTORY_PAGE_SIZE = config.historyPageSize;
+const MAX_HISTORY_PAGE_SIZE = config.maxHistoryPageSize;
+
+// 读取一页历史消息（按时间正序），多取一条用于判断是否还有更早的消息
+// fetchPage(limit) 返回最近的 limit 条消息
+const loadHistoryPage = async (fetchPage, limit) => {
+  const rows = await fetchPage(limit + 1);
+  const hasMore = rows.length > limit;
+  return { history: hasMore ? rows.slice(1) : rows, hasMore };
+};
+
+// 客户端传来的分页参数：页大小限制在 1-MAX_HISTORY_PAGE_SIZE，游标必须是正整数消息 ID
+const parseHistoryPaging = ({ before, around, limit } = {}) => {
+  const size = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), MAX_HISTORY_PAGE_SIZE) : HISTORY_PAGE_SIZE;
+  const toCursor = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+  return { before: toCursor(before), around: toCursor(around), limit: size };
+};
+
+// 按客户端的分页参数读取历史消息，返回 { history, hasMore, hasNewer }
+// fetchPage(limit, { before, after }) 对应 getMessageHistory / getDMHistory
+// around: 返回该消息及其前后共一页（搜索结果跳转），hasNewer 表示之后还有更新的消息
+const loadHistory = async (fetchPage, paging) => {
+  const { before, around, limit } = parseHistoryPaging(paging);
+  if (!around) {
+    const page = await loadHistoryPage((size) => fetchPage(size, { before }), limit);
+    return { ...page, hasNewer: false };
+  }
+
+  const newerLimit = Math.floor(limit / 2);
+  const [older, newer] = await Promise.all([
+    loadHistoryPage((size) => fetchPage(size, { before: around + 1 }), limit - newerLimit),
+    fetchPage(newerLimit + 1, { after: around })
+  ]);
+  return {
+    history: [...older.history, ...newer.slice(0, newerLimit)],
+    hasMore: older.hasMore,
+    hasNewer: newer.length > newerLimit
+  };
+};
+
+// 消息搜索：每次最多返回的结果数和关键词最大长度
+const SEARCH_RESULT_LIMIT = 50;
+const SEARCH_QUERY_MAX_LENGTH = 100;
+
+// 校验 search_messages 的参数；from / to 为 ISO 时间（to 不包含），至少需要关键词、发送者或“含图片”之一
+const parseSearchCriteria = (filters) => {
+  if (!filters || typeof filters !== 'object') return { error: '参数错误' };
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const time = (value) => {
+    if (!value) return null;
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? undefined : new Date(ms).toISOString();
+  };
+
+  const criteria = {
+    query: text(filters.query),
+    scope: ['rooms', 'dms'].includes(filters.scope) ? filters.scope : 'all',
+    roomId: text(filters.roomId) || null,
+    conversationId: text(filters.conversationId) || null,
+    sender: text(filters.sender),
+    from: time(filters.from),
+    to: time(filters.to),
+    hasImage: filters.hasImage === true
+  };
+
+  if (criteria.query.length > SEARCH_QUERY_MAX_LENGTH) return { error: `搜索内容不能超过 ${SEARCH_QUERY_MAX_LENGTH} 个字符` };
+  if (criteria.from === undefined || criteria.to === undefined) return { error: '日期格式不正确' };
+  if (!criteria.query && !criteria.sender && !criteria.hasImage) return { error: '请输入搜索内容' };
+  return criteria;
+};
+
+// 历史消息中涉及的用户的最新头像 { 显示名: avatarId }
+const getSenderAvatars = (history) => {
+  const userAvatars = {};
+  const senderNames = new Set(history.map(msg => msg.sender));
+  for (const senderName of senderNames) {
+    // 查找用户凭证获取最新头像
+    for (const [credUsername, cred] of userCredentials.entries()) {
+      const displayName = cred.isAdmin ? '超级董事长' : credUsername;
+      if (displayName === senderName && cred.avatarId !== undefined) {
+        userAvatars[senderName] = cred.avatarId;
+        break;
+      }
+    }
+  }
+  return userAvatars;
+};
+
+// 用户是否属于某个房间 / 私聊会话
+const isScopeMember = async (persistentId, scopeType, scopeId) => {
+  if (scopeType === 'room') {
+    const [, cred] = findCredentialById(persistentId);
+    // 管理员可以隐身进入任意房间
+    return !!cred && (cred.isAdmin || (cred.joinedRooms || []).includes(scopeId));
+  }
+  if (scopeType === 'dm') {
+    const conversation = await persistence.getDMConversation(scopeId);
+    return !!conversation && (conversation.user1_id === persistentId || conversation.user2_id === persistentId);
+  }
+  return false;
+};
+
+// 编辑消息前的检查：只能在 EDIT_WINDOW_MS 内编辑自己未撤回的消息，返回错误信息，可以编辑时返回 null
+// msg 为数据库中的消息行
+const checkMessageEdit = (msg, user, text) => {
+  if (!msg) return '消息不存在';
+  if (msg.sender_id !== user.persistentId) return '只能编辑自己的消息';
+  if (msg.recalled === 1) return '消息已撤回';
+  if (Date.now() - new Date(msg.timestamp).getTime() > EDIT_WINDOW_MS) return `超过${EDIT_WINDOW_TEXT}无法编辑`;
+  if (typeof text !== 'string' || (!text.trim() && !msg.image_url && !msg.attachment)) return '消息内容不能为空';
+  if (text === msg.message) return '消息内容没有变化';
+  return null;
+};
+
+// 表情回应：每条消息最多的不同表情数；表情必须是单个 emoji（允许组合字符和修饰符）
+const MAX_REACTION_EMOJIS = 20;
+const isReactionEmoji = (emoji) =>
+  typeof emoji === 'string' && emoji.length <= 16 &&
+  /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(emoji) &&
+  !/[\s\p{L}]/u.test(emoji);
+
+// 校验消息引用的图片确实上传在同一个房间 / 会话里，返回规范化地址；不合法返回 null
+const resolveScopedImageUrl = async (url, scopeType, scopeId) => {
+  const filename = getUploadFilename(url);
+  if (!filename) return null;
+  const scope = await persistence.getUploadScope(filename);
+  if (!scope || scope.scopeType !== scopeType || scope.scopeId !== scopeId) return null;
+  return `/uploads/${filename}`;
+};
+
+// 校验消息附带的文件确实上传在同一个房间 / 会话里且没有过期，返回消息中保存的附件信息；不合法返回 null
+// 过期的文件每天清理一次，清理之前也不能再发送
+const resolveScopedAttachment = async (attachmentId, scopeType, scopeId) => {
+  if (!Number.isInteger(attachmentId)) return null;
+  const row = await persistence.getAttachment(attachmentId);
+  if (!row || row.scope_type !== scopeType || row.scope_id !== scopeId) return null;
+  if (Date.now() - row.created_at > FILE_RETENTION_DAYS * 24 * 60 * 60 * 1000) return null;
+  return { id: row.id, name: row.name, size: row.size, mime: row.mime };
+};
+
+// Helper to get visible user count (excluding stealth admins)
+const getVisibleUserCount = (roomId) => {
+  const socketsInRoom = io.sockets.adapter.rooms.get(roomId);
+  if (!socketsInRoom) return 0;
+  
+  let count = 0;
+  socketsInRoom.forEach(socketId => {
+    const roomUser = users.get(socketId);
+    if (roomUser && !roomUser.isStealthInRoom) {
+      count++;
+    }
+  });
+  return count;
+};
+
+// Helper to get room list for a specific user
+const getUserRooms = (userId) => {
+  // Find credential entry by persistentId to get joinedRooms
+  // In a real DB this would be easier. Here we have to search or keep a secondary map.
+  // Let's iterate userCredentials for now (inefficient but fine for demo)
+  let joinedRoomIds = [];
+  let username = null;
+  
+  for (const [uName, cred] of userCredentials.entries()) {
+    if (cred.persistentId === userId) {
+      joinedRoomIds = cred.joinedRooms || [];
+      username = uName;
+      break;
+    }
+  }
+
+  return Array.from(rooms.values())
+    .filter(r => joinedRoomIds.includes(r.id))
     .map(r => {
       // Check cooldown
       let cooldownRemaining = 0;
@@ -709,13 +1859,13 @@ const getUserRooms = (userId) => {
          const kickKey = `${r.id}:${username}`;
          const kickedAt = kickedUsers.get(kickKey);
          if (kickedAt) {
-            const cooldownMs = 5 * 60 * 1000;
-            const remaining = cooldownMs - (Date.now() - kickedAt);
+            const remaining = KICK_COOLDOWN_MS - (Date.now() - kickedAt);
             if (remaining > 0) {
                cooldownRemaining = Math.ceil(remaining / 1000); // Seconds
             } else {
                // Clean up expired cooldown
                kickedUsers.delete(kickKey);
+               persistence.deleteKick(r.id, username).catch(logPersistError('kick'));
             }
          }
       }
@@ -739,6 +1889,15 @@ const getRoomList = () => {
   }));
 };
 
+// 房间角色变化后通知该用户的所有连接
+const notifyRoomRoleChanged = (room, persistentId) => {
+  for (const [socketId, u] of users.entries()) {
+    if (u.persistentId === persistentId) {
+      io.to(socketId).emit('room_role_updated', { roomId: room.id, role: getRoomRole(room, u) });
+    }
+  }
+};
+
 // Helper to broadcast room update to admins
 const broadcastAdminRoomUpdate = (roomId) => {
   // Note: admin panel usually wants total count, but consistent with getVisibleUserCount is safer
@@ -788,19 +1947,170 @@ const notifyDMContactsOnlineStatus = async (userId, isOnline) => {
   }
 };
 
+// 房间成员（隐身进入的管理员不算，除非是房主），username 为显示名
+const getRoomMembers = (room) => {
+  const members = [];
+  for (const [username, cred] of userCredentials.entries()) {
+    if (!(cred.joinedRooms || []).includes(room.id)) continue;
+    if (cred.isAdmin && room.ownerId !== cred.persistentId) continue;
+    members.push({ username: cred.isAdmin ? '超级董事长' : username, realUsername: username, cred });
+  }
+  return members;
+};
+
+// 把消息中的 @ 对应到房间成员（按账号用户名），规则见 server/mentions.js
+const resolveRoomMentions = (room, sender, text) => {
+  if (typeof text !== 'string' || !text.includes('@')) return { mentions: [], targets: new Map() };
+  const canMentionAll = can(room, sender, 'mention_all');
+  const presentIds = new Set(
+    [...users.values()].filter(u => u.currentRoom === room.id && !u.isStealthInRoom).map(u => u.persistentId)
+  );
+  return resolveMentions(text, {
+    members: getRoomMembers(room).map(({ realUsername, cred }) => ({ username: realUsername, persistentId: cred.persistentId })),
+    senderId: sender.persistentId,
+    canMentionAll,
+    presentIds
+  });
+};
+
+// 保存提及记录并通知被提及的用户（不论是否在房间里）
+const notifyMentions = async (room, msgData, targets) => {
+  if (targets.size === 0) return;
+  await persistence.saveMentions(room.id, msgData.id, msgData.senderId, targets, msgData.timestamp)
+    .catch(logPersistError('mentions'));
+  for (const [socketId, u] of users.entries()) {
+    const kind = targets.get(u.persistentId);
+    if (!kind) continue;
+    io.to(socketId).emit('mention_notification', {
+      roomId: room.id,
+      roomName: room.name,
+      kind,
+      message: presentMessage(msgData)
+    });
+  }
+};
+
+// 话题的回复数变化后通知房间内的人更新根消息上的回复数和最后回复时间
+const broadcastThreadUpdate = async (roomId, rootId) => {
+  const summary = (await persistence.getThreadSummaries([rootId])).get(rootId) || { replyCount: 0, lastReplyAt: null };
+  io.to(roomId).emit('thread_updated', { roomId, rootId, ...summary });
+};
+
+// 在后台抓取消息中第一个链接的预览，保存到消息上并推送 message_updated（LINK_PREVIEWS=false 时不抓取）
+// 编辑消息时传入 previousText：链接没变不重新抓取，链接去掉了就清除预览
+const refreshLinkPreview = (scopeType, scopeId, messageId, text, previousText = null) => {
+  if (!config.linkPreviews) return;
+  const url = extractFirstUrl(text);
+  if (previousText !== null && extractFirstUrl(previousText) === url) return;
+  if (!url && previousText === null) return;
+
+  (async () => {
+    const linkPreview = url ? await linkPreviewer.get(url) : null;
+    if (!linkPreview && previousText === null) return;
+    if (!(await persistence.setMessageLinkPreview(scopeType, messageId, text, linkPreview))) return;
+
+    if (scopeType === 'room') {
+      const cached = messageHistory.get(scopeId)?.find(m => m.id === messageId);
+      if (cached) cached.linkPreview = linkPreview;
+      io.to(scopeId).emit('message_updated', { messageId, roomId: scopeId, linkPreview });
+    } else {
+      io.to(`dm:${scopeId}`).emit('message_updated', { messageId, conversationId: scopeId, linkPreview });
+    }
+  })().catch(err => console.error('Failed to update link preview:', err));
+};
+
 // Serve static files from client/dist
 app.use(express.static(path.join(__dirname, 'client', 'dist')));
 
-// Serve uploaded files
-app.use('/uploads', express.static(UPLOADS_DIR));
+// 客户端使用的配置（上传大小、撤回时限等），让界面显示和服务端一致的限制
+app.get('/api/config', (req, res) => {
+  res.json(getClientConfig(config));
+});
+
+// HTTP 请求的会话认证：Authorization: Bearer <token>
+const getRequestUser = async (req) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return null;
+
+  const payload = await resolveSessionToken(token);
+  const [username, cred] = payload ? findCredentialById(payload.uid) : [null, null];
+  return cred ? { username, persistentId: cred.persistentId, isAdmin: !!cred.isAdmin } : null;
+};
 
-// 图片上传 API
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+const requireSession = async (req, res, next) => {
+  try {
+    const sessionUser = await getRequestUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: '请先登录' });
+    }
+    req.sessionUser = sessionUser;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 上传的目标房间（?roomId=）或私聊会话（?conversationId=）由查询参数指定
+// 在接收文件内容之前检查是否为成员，不是成员时不会读取和保存上传的内容
+const requireUploadScope = async (req, res, next) => {
+  try {
+    const { roomId, conversationId } = req.query;
+    const scopeType = typeof roomId === 'string' && roomId ? 'room'
+      : (typeof conversationId === 'string' && conversationId ? 'dm' : null);
+    if (!scopeType) {
+      return res.status(400).json({ error: '缺少房间或会话信息' });
+    }
+    const scopeId = scopeType === 'room' ? roomId : conversationId;
+    if (!(await isScopeMember(req.sessionUser.persistentId, scopeType, scopeId))) {
+      return res.status(403).json({ error: '无权在该房间或会话中上传' });
+    }
+    req.uploadScope = { scopeType, scopeId };
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 下载上传的文件：需要有效的签名 URL，或者带会话令牌且是所属房间 / 会话的成员
+app.get('/uploads/:filename', async (req, res) => {
+  const { filename } = req.params;
+  if (!UPLOAD_FILENAME_PATTERN.test(filename)) {
+    return res.status(404).end();
+  }
+
+  try {
+    let allowed = !!sessionSecret && verifyUploadSignature(sessionSecret, filename, req.query.exp, req.query.sig);
+
+    if (!allowed) {
+      const sessionUser = await getRequestUser(req);
+      const scope = sessionUser ? await persistence.getUploadScope(filename) : null;
+      allowed = !!scope && await isScopeMember(sessionUser.persistentId, scope.scopeType, scope.scopeId);
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ error: '无权访问该文件' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(path.join(UPLOADS_DIR, filename), (err) => {
+      if (err && !res.headersSent) res.status(404).end();
+    });
+  } catch (err) {
+    console.error('Serve upload error:', err);
+    res.status(500).end();
+  }
+});
+
+// 图片上传 API（需要登录，并指明图片发到哪个房间 roomId 或私聊会话 conversationId）
+app.post('/api/upload', requireSession, requireUploadScope, upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: '没有上传文件' });
     }
 
+    const { scopeType, scopeId } = req.uploadScope;
+
     // 生成唯一文件名
     const filename = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.webp`;
     const filepath = path.join(UPLOADS_DIR, filename);
@@ -814,7 +2124,9 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
       .webp({ quality: 80 }) // webp 格式，质量 80%
       .toFile(filepath);
 
-    // 返回可访问的 URL
+    await persistence.saveUpload(filename, req.sessionUser.persistentId, scopeType, scopeId);
+
+    // 返回文件地址（发送消息时使用，展示时由服务端签名）
     const imageUrl = `/uploads/${filename}`;
     res.json({ success: true, imageUrl });
     
@@ -825,166 +2137,665 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
   }
 });
 
+// 文件附件上传 API（需要登录，并指明文件发到哪个房间 roomId 或私聊会话 conversationId）
+// 各类型的大小上限见 server/attachments.js；返回的附件 ID 在发送消息时作为 attachmentId
+app.post('/api/files', requireSession, requireUploadScope, fileUpload.single('file'), async (req, res) => {
+  const tempPath = req.file?.path;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '没有上传文件' });
+    }
+    if (req.file.size === 0) {
+      return res.status(400).json({ error: '不能上传空文件' });
+    }
+
+    const { scopeType, scopeId } = req.uploadScope;
+    const name = normalizeAttachmentName(req.file.originalname);
+    const mime = (req.file.mimetype || 'application/octet-stream').toLowerCase();
+    const { size, sha256 } = req.file;
+    const filename = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await fs.promises.rename(tempPath, path.join(UPLOADS_DIR, filename));
+    const id = await persistence.saveAttachment({
+      filename, name, size, mime, sha256,
+      uploaderId: req.sessionUser.persistentId, scopeType, scopeId
+    });
+
+    res.json({ success: true, attachment: { id, name, size, mime, sha256 } });
+    console.log(`File uploaded: ${filename} (${name})`);
+  } catch (err) {
+    console.error('File upload error:', err);
+    res.status(500).json({ error: '上传失败' });
+  } finally {
+    // 校验失败时删除临时文件（成功时已经改名，这里什么也不做）
+    if (tempPath) fs.promises.unlink(tempPath).catch(() => {});
+  }
+});
+
+// 下载文件附件：需要有效的签名 URL，或者带会话令牌且是所属房间 / 会话的成员
+// 一律作为附件下载，HTML、SVG 等类型按二进制返回，避免在本站域名下被浏览器执行
+app.get('/api/files/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(404).json({ error: '文件不存在或已过期' });
+  }
+
+  try {
+    const attachment = await persistence.getAttachment(id);
+    if (!attachment || !ATTACHMENT_FILENAME_PATTERN.test(attachment.filename)) {
+      return res.status(404).json({ error: '文件不存在或已过期' });
+    }
+
+    let allowed = !!sessionSecret && verifyUploadSignature(sessionSecret, `attachment-${id}`, req.query.exp, req.query.sig);
+    if (!allowed) {
+      const sessionUser = await getRequestUser(req);
+      allowed = !!sessionUser && await isScopeMember(sessionUser.persistentId, attachment.scope_type, attachment.scope_id);
+    }
+    if (!allowed) {
+      return res.status(403).json({ error: '无权访问该文件' });
+    }
+
+    res.set({
+      'Content-Type': getDownloadContentType(attachment.mime),
+      'Content-Disposition': getContentDisposition(attachment.name),
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.sendFile(path.join(UPLOADS_DIR, attachment.filename), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: '文件不存在或已过期' });
+    });
+  } catch (err) {
+    console.error('Serve attachment error:', err);
+    res.status(500).end();
+  }
+});
+
 // 处理上传错误
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: '文件太大，最大支持20MB' });
+      const maxMb = req.path === '/api/files' ? config.fileUploadMaxMb : config.uploadMaxMb;
+      return res.status(400).json({ error: `文件太大，最大支持${maxMb}MB` });
     }
     return res.status(400).json({ error: err.message });
   }
-  if (err.message === '只支持图片文件') {
+  if (err.code === 'ATTACHMENT_TOO_LARGE' || err.message === '只支持图片文件') {
     return res.status(400).json({ error: err.message });
   }
   next(err);
 });
 
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+// 将已认证的用户绑定到 socket，返回发送给客户端的用户信息
+const attachUserToSocket = (socket, username, cred, sessionId) => {
+  const isAdmin = !!cred.isAdmin;
+  const avatarId = cred.avatarId ?? null;
 
-  // Initialize user
+  // Display name: show "超级董事长" for admin instead of real username
+  const displayName = isAdmin ? '超级董事长' : username;
+
+  // Store session for this socket
   users.set(socket.id, {
     id: socket.id,
-    username: `User-${socket.id.substr(0, 4)}`,
-    isAdmin: false,
+    username: displayName, // Use display name
+    realUsername: username, // Keep real username for internal use
+    persistentId: cred.persistentId,
+    isAdmin,
+    avatarId,
+    sessionId,
     currentRoom: null
   });
 
+  return {
+    id: cred.persistentId,
+    username: displayName, // Show display name to client
+    realUsername: username, // 账号用户名，@提及按它匹配
+    isAdmin,
+    avatarId,
+    twoFactorEnabled: !!cred.totp,
+    twoFactorSetupRequired: needsTwoFactorSetup(cred)
+  };
+};
+
+// 登录 / 注册成功：签发令牌、绑定连接并返回用户信息
+const startUserSession = async (socket, username, isNewUser, callback) => {
+  const cred = userCredentials.get(username);
+
+  let session;
+  try {
+    session = await issueSessionToken(cred.persistentId);
+  } catch (err) {
+    console.error('Create session error:', err);
+    return callback({ success: false, error: '登录失败，请重试' });
+  }
+
+  const userPayload = attachUserToSocket(socket, username, cred, session.sid);
+
+  // Return success to client
+  callback({
+    success: true,
+    isNewUser,
+    token: session.token,
+    user: userPayload
+  });
+
+  onUserSessionStarted(socket, cred.persistentId);
+};
+
+// 登录 / 恢复会话成功后的公共处理
+const onUserSessionStarted = (socket, persistentId) => {
+  const user = users.get(socket.id);
+
+  // If user is admin, join admin updates channel
+  if (user?.isAdmin) {
+    socket.join('admin_channel');
+  }
+
+  // Send user's joined rooms
+  socket.emit('rooms_updated', getUserRooms(persistentId));
+
+  // 通知该用户的私聊对象：用户上线了
+  notifyDMContactsOnlineStatus(persistentId, true);
+};
+
+// 未登录的 socket 只能调用这些事件
+const PUBLIC_EVENTS = new Set(['ping', 'login', 'login_2fa', 'register', 'get_registration_policy', 'resume_session']);
+
+// 事件权限守卫：统一处理未登录 / 权限不足，通过后把当前用户作为第一个参数传给 handler
+// level: 'session' 只需要登录（强制启用两步验证前也可调用），'user' 需要登录，'admin' 需要全局管理员
+const guard = (socket, level, handler) => (...args) => {
+  const user = users.get(socket.id);
+  const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+
+  if (!user) {
+    return callback && callback({ success: false, error: 'Not logged in' });
+  }
+  if (level !== 'session' && needsTwoFactorSetup(userCredentials.get(user.realUsername))) {
+    return callback && callback({ success: false, error: '管理员账号需要先启用两步验证', twoFactorSetupRequired: true });
+  }
+  if (level === 'admin' && !user.isAdmin) {
+    return callback && callback({ success: false, error: 'Permission denied' });
+  }
+  return handler(user, ...args);
+};
+
+// Socket 握手认证：客户端在 auth.token 中携带会话令牌
+// 没有令牌的连接允许建立（用于登录），但只能调用 PUBLIC_EVENTS；令牌无效则拒绝连接
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next();
+
+  try {
+    const payload = await resolveSessionToken(token);
+    const [username, cred] = payload ? findCredentialById(payload.uid) : [null, null];
+    if (!cred) {
+      return next(new Error('invalid_session'));
+    }
+
+    socket.data.auth = { username, persistentId: cred.persistentId, sessionId: payload.sid };
+    persistence.touchSession(payload.sid).catch(() => {});
+    next();
+  } catch (err) {
+    console.error('Handshake auth error:', err);
+    next(new Error('auth_error'));
+  }
+});
+
+io.on('connection', (socket) => {
+  console.log('User connected:', socket.id);
+
+  // 握手阶段已认证的连接直接恢复用户会话
+  const auth = socket.data.auth;
+  const authCred = auth ? userCredentials.get(auth.username) : null;
+  if (authCred) {
+    attachUserToSocket(socket, auth.username, authCred, auth.sessionId);
+    onUserSessionStarted(socket, authCred.persistentId);
+  }
+
+  // 拒绝未登录 socket 调用除登录以外的事件
+  socket.use(([event, ...args], next) => {
+    if (PUBLIC_EVENTS.has(event) || users.has(socket.id)) {
+      return next();
+    }
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ success: false, error: 'Not logged in' });
+    }
+  });
+
   // --- Events ---
 
-  // Ping/Pong for connection health check
-  socket.on('ping', (callback) => {
-    if (typeof callback === 'function') {
-      callback();
+  // Ping/Pong for connection health check
+  socket.on('ping', (callback) => {
+    if (typeof callback === 'function') {
+      callback();
+    }
+  });
+
+  // 1. Login
+  socket.on('login', async ({ username, password } = {}, callback) => {
+    const invalid = validateCredentials(username, password);
+    if (invalid) {
+      return callback({ success: false, error: invalid });
+    }
+
+    // 防爆破：同时按用户名和来源 IP 限制尝试频率
+    const throttleKeys = [`user:${username}`, `ip:${socket.handshake.address}`];
+    const throttle = loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
+    }
+
+    // 用户不存在和密码错误返回相同提示，避免被用来探测用户名
+    const existingUser = userCredentials.get(username);
+    if (!existingUser || !(await checkUserPassword(existingUser, password))) {
+      loginThrottle.recordFailure(throttleKeys);
+      const after = loginThrottle.check(throttleKeys);
+      if (after.locked) {
+        return callback(throttleResponse(after));
+      }
+      const remaining = USER_MAX_FAILURES - loginThrottle.getEntry(`user:${username}`).failures;
+      return callback({
+        success: false,
+        retryAfter: Math.ceil(after.retryAfterMs / 1000),
+        error: remaining <= 2 ? `用户名或密码错误，再失败 ${remaining} 次账号将被临时锁定` : '用户名或密码错误'
+      });
+    }
+    // 启用了两步验证：密码正确后还需要验证码，失败计数在验证码通过后才清零
+    if (existingUser.totp) {
+      return callback({ success: false, twoFactorRequired: true, challenge: createTwoFactorChallenge(username) });
+    }
+    loginThrottle.reset(`user:${username}`);
+
+    await startUserSession(socket, username, false, callback);
+    console.log('User logged in');
+  });
+
+  // 1.0.2 Login 2FA - 登录第二步：TOTP 验证码或恢复码
+  socket.on('login_2fa', async ({ challenge, code } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+
+    const pending = twoFactorChallenges.get(challenge);
+    if (!pending || pending.expiresAt <= Date.now()) {
+      twoFactorChallenges.delete(challenge);
+      return callback({ success: false, expired: true, error: '验证已过期，请重新登录' });
+    }
+
+    const { username } = pending;
+    const throttleKeys = [`user:${username}`, `ip:${socket.handshake.address}`];
+    const throttle = loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
+    }
+
+    const cred = userCredentials.get(username);
+    if (!cred || !verifySecondFactor(cred, code)) {
+      loginThrottle.recordFailure(throttleKeys);
+      pending.attempts += 1;
+      if (pending.attempts >= TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) {
+        twoFactorChallenges.delete(challenge);
+        return callback({ success: false, expired: true, error: '验证码错误次数过多，请重新登录' });
+      }
+      const after = loginThrottle.check(throttleKeys);
+      return after.locked
+        ? callback(throttleResponse(after))
+        : callback({ success: false, retryAfter: Math.ceil(after.retryAfterMs / 1000), error: '验证码错误' });
+    }
+
+    twoFactorChallenges.delete(challenge);
+    loginThrottle.reset(`user:${username}`);
+    await startUserSession(socket, username, false, callback);
+    console.log('User logged in with 2FA');
+  });
+
+  // 1.0 Register - 按注册策略创建新账号
+  socket.on('register', async ({ username, password, inviteCode } = {}, callback) => {
+    const invalid = validateCredentials(username, password);
+    if (invalid) {
+      return callback({ success: false, error: invalid });
+    }
+    if (registrationPolicy === 'closed') {
+      return callback({ success: false, error: '当前已关闭注册，请联系管理员' });
+    }
+
+    // 邀请码错误按 IP 计入失败次数，防止枚举邀请码
+    const ipKeys = [`ip:${socket.handshake.address}`];
+    const throttle = loginThrottle.check(ipKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
+    }
+
+    if (userCredentials.has(username)) {
+      return callback({ success: false, error: '用户名已被占用' });
+    }
+    const code = typeof inviteCode === 'string' ? inviteCode.trim().toUpperCase() : '';
+    if (registrationPolicy === 'invite' && !code) {
+      return callback({ success: false, error: '需要邀请码才能注册' });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    if (registrationPolicy === 'invite' && !(await persistence.consumeInviteCode(code))) {
+      loginThrottle.recordFailure(ipKeys);
+      return callback({ success: false, error: '邀请码无效、已过期或已用完' });
+    }
+
+    // 异步操作期间可能有同名用户注册
+    if (userCredentials.has(username)) {
+      if (registrationPolicy === 'invite') await persistence.releaseInviteCode(code);
+      return callback({ success: false, error: '用户名已被占用' });
+    }
+
+    // 新注册用户都是普通用户，管理员通过 ADMIN_USERNAMES、管理脚本或管理员面板授予
+    const cred = {
+      passwordHash,
+      persistentId: `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      isAdmin: false,
+      joinedRooms: [],
+      avatarId: null // Default: use username-based avatar
+    };
+    userCredentials.set(username, cred);
+    await saveCredential(cred);
+
+    await startUserSession(socket, username, true, callback);
+    console.log(`User registered${registrationPolicy === 'invite' ? ` with invite ${code}` : ''}`);
+  });
+
+  // 1.0.1 注册策略（登录页据此显示注册入口和邀请码输入框）
+  socket.on('get_registration_policy', (callback) => {
+    if (typeof callback === 'function') callback({ policy: registrationPolicy });
+  });
+
+  // 1.1 Resume Session - 使用会话令牌恢复登录，并轮换令牌
+  socket.on('resume_session', async ({ token } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+
+    try {
+      const payload = await resolveSessionToken(token);
+      if (!payload) {
+        return callback({ success: false, error: '登录已过期，请重新登录' });
+      }
+
+      const [username, cred] = findCredentialById(payload.uid);
+      if (!cred) {
+        await persistence.deleteSession(payload.sid);
+        return callback({ success: false, error: '账号不存在' });
+      }
+
+      // 轮换：签发新令牌，旧令牌只保留一个短暂的宽限期
+      const session = await issueSessionToken(cred.persistentId);
+      await persistence.expireSession(payload.sid, getRotationGraceExpiry(payload.exp));
+
+      // 握手时已经用同一账号认证过的连接不再重复上线通知
+      const alreadyAttached = users.get(socket.id)?.persistentId === cred.persistentId;
+      const userPayload = attachUserToSocket(socket, username, cred, session.sid);
+      callback({ success: true, token: session.token, user: userPayload });
+
+      console.log('User session resumed');
+      if (!alreadyAttached) {
+        onUserSessionStarted(socket, cred.persistentId);
+      }
+    } catch (err) {
+      console.error('Resume session error:', err);
+      callback({ success: false, error: '恢复会话失败' });
+    }
+  });
+
+  // 1.2 Logout - 吊销当前会话
+  socket.on('logout', guard(socket, 'session', async (user, callback) => {
+    try {
+      if (user.sessionId) {
+        await persistence.deleteSession(user.sessionId);
+      }
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    if (typeof callback === 'function') callback({ success: true });
+  }));
+
+  // 1.3 Logout All Devices - 吊销该用户的全部会话
+  socket.on('logout_all_devices', guard(socket, 'session', async (user, callback) => {
+    try {
+      await revokeUserSessions(user.persistentId, '您已在所有设备上退出登录', socket.id);
+      if (callback) callback({ success: true });
+      console.log(`User ${user.username} logged out of all devices`);
+    } catch (err) {
+      console.error('Logout all devices error:', err);
+      if (callback) callback({ success: false, error: '操作失败' });
+    }
+  }));
+
+  // 1.5 Update Avatar
+  socket.on('update_avatar', guard(socket, 'user', (user, avatarId, callback) => {
+    // Update in credentials (use realUsername for admin)
+    const credKey = user.realUsername || user.username;
+    const cred = userCredentials.get(credKey);
+    if (cred) {
+      cred.avatarId = avatarId;
+      saveCredential(cred);
+    }
+
+    // Update in session
+    user.avatarId = avatarId;
+    users.set(socket.id, user);
+
+    // Broadcast to all users that this user changed avatar
+    io.emit('user_avatar_updated', {
+      username: user.username,
+      avatarId: avatarId
+    });
+
+    if (callback) callback({ success: true, avatarId });
+    console.log(`User ${user.username} updated avatar to ${avatarId}`);
+  }));
+
+  // 1.6 Change Password - 需要验证当前密码，其他设备上的会话全部失效，当前连接换发新令牌
+  socket.on('change_password', guard(socket, 'user', async (user, { currentPassword, newPassword } = {}, callback) => {
+    const username = user.realUsername || user.username;
+    const cred = userCredentials.get(username);
+    if (!cred) {
+      return callback({ success: false, error: '账号不存在' });
+    }
+    const invalid = validatePassword(newPassword);
+    if (invalid) {
+      return callback({ success: false, error: invalid });
+    }
+
+    // 当前密码错误与登录失败一样计数，防止借已登录的连接暴力猜测密码
+    const throttleKeys = [`user:${username}`];
+    const throttle = loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
     }
-  });
+    if (typeof currentPassword !== 'string' || !(await checkUserPassword(cred, currentPassword))) {
+      loginThrottle.recordFailure(throttleKeys);
+      return callback({ success: false, error: '当前密码错误' });
+    }
+    loginThrottle.reset(throttleKeys[0]);
 
-  // 1. Login / Register
-  socket.on('login', ({ username, password }, callback) => {
-    // Basic validation
-    if (!username || !password) {
-      return callback({ success: false, error: '用户名和密码不能为空' });
+    try {
+      cred.passwordHash = await hashPassword(newPassword);
+      delete cred.password;
+      await saveCredential(cred);
+      await revokeUserSessions(cred.persistentId, '您的密码已修改，请重新登录', socket.id);
+
+      const session = await issueSessionToken(cred.persistentId);
+      user.sessionId = session.sid;
+      callback({ success: true, token: session.token });
+      console.log(`User ${username} changed password`);
+    } catch (err) {
+      console.error('Change password error:', err);
+      callback({ success: false, error: '修改密码失败' });
     }
+  }));
 
-    // Username validation: 2-16 characters, letters, numbers, underscore only
-    const usernameRegex = /^[a-zA-Z0-9_]{2,16}$/;
-    if (!usernameRegex.test(username)) {
-      return callback({ 
-        success: false, 
-        error: '用户名需要2-16个字符，仅支持字母、数字、下划线' 
-      });
+  // 1.7 Change Username - 新用户名同步到房间、私聊会话和历史消息
+  socket.on('change_username', guard(socket, 'user', async (user, { newUsername } = {}, callback) => {
+    const username = user.realUsername || user.username;
+    const invalid = validateUsername(newUsername);
+    if (invalid) {
+      return callback({ success: false, error: invalid });
+    }
+    if (newUsername === username) {
+      return callback({ success: false, error: '新用户名与当前用户名相同' });
+    }
+    if (userCredentials.has(newUsername)) {
+      return callback({ success: false, error: '用户名已被占用' });
+    }
+    if (configuredAdmins.includes(username)) {
+      return callback({ success: false, error: '该管理员由 ADMIN_USERNAMES 配置，请先修改环境变量' });
     }
 
-    // Password validation: 4-20 characters
-    if (password.length < 4 || password.length > 20) {
-      return callback({ 
-        success: false, 
-        error: '密码需要4-20个字符' 
-      });
+    try {
+      await renameUser(username, newUsername);
+      callback({ success: true, username: user.username });
+      console.log(`User renamed: ${username} -> ${newUsername}`);
+    } catch (err) {
+      console.error('Change username error:', err);
+      callback({ success: false, error: '修改用户名失败' });
     }
+  }));
 
-    let persistentId;
-    let isAdmin = false;
-    let isNewUser = false;
-    const existingUser = userCredentials.get(username);
+  // 1.8 Delete My Account - 注销账号
+  // messages: 'anonymize' 保留消息但发送者显示为“已注销用户”，'purge' 删除自己发送的全部消息和图片
+  socket.on('delete_my_account', guard(socket, 'user', async (user, { password, messages } = {}, callback) => {
+    const username = user.realUsername || user.username;
+    const cred = userCredentials.get(username);
+    if (!cred) {
+      return callback({ success: false, error: '账号不存在' });
+    }
+    if (!['anonymize', 'purge'].includes(messages)) {
+      return callback({ success: false, error: '请选择如何处理已发送的消息' });
+    }
+    if (cred.isAdmin) {
+      const error = checkDemoteAdmin(userCredentials, username, configuredAdmins);
+      if (error) return callback({ success: false, error });
+    }
 
-    if (existingUser) {
-      // Login: Check password
-      if (existingUser.password !== password) {
-        return callback({ success: false, error: '密码错误' });
-      }
-      persistentId = existingUser.persistentId;
-      isAdmin = existingUser.isAdmin;
-    } else {
-      // Register: Create new user
-      isNewUser = true;
-      persistentId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      // Only specific username + password combo grants admin
-      isAdmin = (username === 'lsk45' && password === 'woshisuperman');
-      
-      userCredentials.set(username, {
-        password,
-        persistentId,
-        isAdmin,
-        joinedRooms: [],
-        avatarId: null // Default: use username-based avatar
-      });
+    const throttleKeys = [`user:${username}`];
+    const throttle = loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
     }
+    if (typeof password !== 'string' || !(await checkUserPassword(cred, password))) {
+      loginThrottle.recordFailure(throttleKeys);
+      return callback({ success: false, error: '密码错误' });
+    }
+    loginThrottle.reset(throttleKeys[0]);
 
-    // Get avatarId for response
-    const userCred = userCredentials.get(username);
-    const avatarId = userCred?.avatarId ?? null;
+    try {
+      await revokeUserSessions(cred.persistentId, '您的账号已注销', socket.id);
+      await removeUserAccount(username, messages === 'purge');
+    } catch (err) {
+      console.error('Delete account error:', err);
+      return callback({ success: false, error: '注销失败，请重试' });
+    }
 
-    // Display name: show "超级董事长" for admin instead of real username
-    const displayName = isAdmin ? '超级董事长' : username;
+    callback({ success: true });
+    setTimeout(() => socket.disconnect(true), 500);
+    console.log(`User deleted own account (${messages})`);
+  }));
 
-    // Store session for this socket
-    users.set(socket.id, {
-      id: socket.id,
-      username: displayName, // Use display name
-      realUsername: username, // Keep real username for internal use
-      persistentId,
-      isAdmin,
-      avatarId,
-      currentRoom: null
+  // 1.9 两步验证状态
+  socket.on('get_2fa_status', guard(socket, 'session', (user, callback) => {
+    const cred = userCredentials.get(user.realUsername);
+    callback({
+      success: true,
+      enabled: !!cred?.totp,
+      recoveryCodesLeft: cred?.totp?.recoveryCodes.length ?? 0,
+      adminRequired: adminTwoFactorRequired
     });
+  }));
 
-    // Return success to client
-    callback({ 
-      success: true, 
-      isNewUser,
-      user: { 
-        id: persistentId, 
-        username: displayName, // Show display name to client
-        isAdmin,
-        avatarId
-      } 
-    });
+  // 1.10 开始启用两步验证：生成密钥，客户端展示 otpauth 地址供认证应用添加
+  socket.on('setup_2fa', guard(socket, 'session', (user, callback) => {
+    const cred = userCredentials.get(user.realUsername);
+    if (!cred) {
+      return callback({ success: false, error: '账号不存在' });
+    }
+    if (cred.totp) {
+      return callback({ success: false, error: '已启用两步验证' });
+    }
+
+    const secret = generateTotpSecret();
+    pendingTwoFactorSetups.set(cred.persistentId, secret);
+    callback({ success: true, secret, uri: buildOtpauthUri({ secret, account: user.realUsername }) });
+  }));
 
-    // If user is admin, join admin updates channel
-    if (isAdmin) {
-      socket.join('admin_channel');
+  // 1.11 确认启用：输入认证应用中的验证码，返回一次性恢复码（只显示这一次）
+  socket.on('enable_2fa', guard(socket, 'session', (user, { code } = {}, callback) => {
+    const cred = userCredentials.get(user.realUsername);
+    const secret = cred && pendingTwoFactorSetups.get(cred.persistentId);
+    if (!secret) {
+      return callback({ success: false, error: '请先生成密钥' });
     }
 
-    // Send user's joined rooms
-    socket.emit('rooms_updated', getUserRooms(persistentId));
-    console.log('User logged in');
-    
-    // 通知该用户的私聊对象：用户上线了
-    notifyDMContactsOnlineStatus(persistentId, true);
-  });
+    const counter = verifyTotp(secret, typeof code === 'string' ? code.replace(/\s/g, '') : '');
+    if (counter === null) {
+      return callback({ success: false, error: '验证码错误，请确认手机时间准确' });
+    }
 
-  // 1.5 Update Avatar
-  socket.on('update_avatar', (avatarId, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
+    const { codes, hashes } = generateRecoveryCodes();
+    cred.totp = { secret, lastCounter: counter, recoveryCodes: hashes, enabledAt: Date.now() };
+    pendingTwoFactorSetups.delete(cred.persistentId);
+    saveCredential(cred);
+
+    callback({ success: true, recoveryCodes: codes });
+    console.log(`User ${user.realUsername} enabled 2FA`);
+  }));
+
+  // 1.12 关闭两步验证（需要密码和验证码 / 恢复码）
+  socket.on('disable_2fa', guard(socket, 'user', async (user, { password, code } = {}, callback) => {
+    const cred = userCredentials.get(user.realUsername);
+    if (!cred?.totp) {
+      return callback({ success: false, error: '未启用两步验证' });
+    }
+    if (adminTwoFactorRequired && cred.isAdmin) {
+      return callback({ success: false, error: '管理员账号必须启用两步验证' });
     }
 
-    // Update in credentials (use realUsername for admin)
-    const credKey = user.realUsername || user.username;
-    const cred = userCredentials.get(credKey);
-    if (cred) {
-      cred.avatarId = avatarId;
+    const throttleKeys = [`user:${user.realUsername}`];
+    const throttle = loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
+    }
+    if (typeof password !== 'string' || !(await checkUserPassword(cred, password)) || !verifySecondFactor(cred, code)) {
+      loginThrottle.recordFailure(throttleKeys);
+      return callback({ success: false, error: '密码或验证码错误' });
     }
+    loginThrottle.reset(throttleKeys[0]);
 
-    // Update in session
-    user.avatarId = avatarId;
-    users.set(socket.id, user);
+    delete cred.totp;
+    saveCredential(cred);
+    callback({ success: true });
+    console.log(`User ${user.realUsername} disabled 2FA`);
+  }));
 
-    // Broadcast to all users that this user changed avatar
-    io.emit('user_avatar_updated', {
-      username: user.username,
-      avatarId: avatarId
-    });
+  // 1.13 重新生成恢复码（旧的恢复码全部作废）
+  socket.on('regenerate_recovery_codes', guard(socket, 'user', (user, { code } = {}, callback) => {
+    const cred = userCredentials.get(user.realUsername);
+    if (!cred?.totp) {
+      return callback({ success: false, error: '未启用两步验证' });
+    }
 
-    if (callback) callback({ success: true, avatarId });
-    console.log(`User ${user.username} updated avatar to ${avatarId}`);
-  });
+    const throttleKeys = [`user:${user.realUsername}`];
+    const throttle = loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return callback(throttleResponse(throttle));
+    }
+    if (!verifySecondFactor(cred, code)) {
+      loginThrottle.recordFailure(throttleKeys);
+      return callback({ success: false, error: '验证码错误' });
+    }
+    loginThrottle.reset(throttleKeys[0]);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    cred.totp.recoveryCodes = hashes;
+    saveCredential(cred);
+    callback({ success: true, recoveryCodes: codes });
+  }));
 
   // 2. Create Room
-  socket.on('create_room', (roomName, callback) => {
-    const user = users.get(socket.id);
+  socket.on('create_room', guard(socket, 'user', (user, roomName, callback) => {
     const roomId = `room-${Date.now()}`;
     
     const newRoom = {
@@ -995,12 +2806,14 @@ io.on('connection', (socket) => {
     };
 
     rooms.set(roomId, newRoom);
+    persistence.saveRoom(newRoom).catch(logPersistError('room'));
     
     // Auto-add to user's joinedRooms
     const cred = userCredentials.get(user.username);
     if (cred) {
         if (!cred.joinedRooms) cred.joinedRooms = [];
         cred.joinedRooms.push(roomId);
+        persistence.addRoomMember(roomId, cred.persistentId).catch(logPersistError('room member'));
     }
 
     // Broadcast only to user
@@ -1008,33 +2821,30 @@ io.on('connection', (socket) => {
 
     if (callback) callback({ success: true, roomId });
     console.log('Room created');
-  });
+  }));
 
   // 3. Join Room
-  socket.on('join_room', async (roomId, callback) => {
-    const user = users.get(socket.id);
+  socket.on('join_room', guard(socket, 'user', async (user, roomId, callback) => {
     if (!rooms.has(roomId)) {
       return callback && callback({ success: false, error: 'Room not found' });
     }
 
-    // Check kick cooldown (5 minutes) - admins bypass this
+    // Check kick cooldown - admins bypass this
     if (!user.isAdmin) {
       const kickKey = `${roomId}:${user.realUsername || user.username}`;
       const kickedAt = kickedUsers.get(kickKey);
       if (kickedAt) {
-        const cooldownMinutes = 5;
-        const cooldownMs = cooldownMinutes * 60 * 1000;
-        const timeRemaining = cooldownMs - (Date.now() - kickedAt);
+        const timeRemaining = KICK_COOLDOWN_MS - (Date.now() - kickedAt);
         
         if (timeRemaining > 0) {
-          const minutesLeft = Math.ceil(timeRemaining / 60000);
           return callback && callback({ 
             success: false, 
-            error: `您已被移出该房间，请 ${minutesLeft} 分钟后再试` 
+            error: `您已被移出该房间，请${formatRetryAfter(timeRemaining)}后再试` 
           });
         } else {
           // Cooldown expired, remove from kicked list
           kickedUsers.delete(kickKey);
+          persistence.deleteKick(roomId, user.realUsername || user.username).catch(logPersistError('kick'));
         }
       }
     }
@@ -1050,6 +2860,7 @@ io.on('connection', (socket) => {
         if (!cred.joinedRooms) cred.joinedRooms = [];
         if (!cred.joinedRooms.includes(roomId)) {
             cred.joinedRooms.push(roomId);
+            persistence.addRoomMember(roomId, cred.persistentId).catch(logPersistError('room member'));
         }
     }
 
@@ -1089,10 +2900,14 @@ io.on('connection', (socket) => {
     user.isStealthInRoom = isAdminStealth;
     users.set(socket.id, user);
 
-    // Get message history from database (last 100 messages)
+    // Get message history from database (last config.historyCacheSize messages)
     let history = [];
+    let hasMore = false;
     try {
-      history = await persistence.getMessageHistory(roomId, 100);
+      ({ history, hasMore } = await loadHistoryPage(
+        (limit) => persistence.getMessageHistory(roomId, limit),
+        config.historyCacheSize
+      ));
     } catch (err) {
       console.error('Failed to load message history:', err);
       // Fallback to memory cache if DB fails
@@ -1134,18 +2949,7 @@ io.on('connection', (socket) => {
     const banner = roomBanners.get(roomId) || null;
     
     // 获取历史消息中涉及的用户的最新头像
-    const userAvatars = {};
-    const senderNames = new Set(history.map(msg => msg.sender));
-    for (const senderName of senderNames) {
-      // 查找用户凭证获取最新头像
-      for (const [credUsername, cred] of userCredentials.entries()) {
-        const displayName = cred.isAdmin ? '超级董事长' : credUsername;
-        if (displayName === senderName && cred.avatarId !== undefined) {
-          userAvatars[senderName] = cred.avatarId;
-          break;
-        }
-      }
-    }
+    const userAvatars = getSenderAvatars(history);
     
     // Notify admins about new room update
     broadcastAdminRoomUpdate(roomId);
@@ -1156,13 +2960,15 @@ io.on('connection', (socket) => {
         id: room.id,
         name: room.name,
         userCount: visibleUserCount,
-        ownerId: room.ownerId
+        ownerId: room.ownerId,
+        myRole: getRoomRole(room, user)
       },
-      history,
+      history: history.map(presentMessage),
+      hasMore,  // 是否还有更早的消息（load_room_history 继续加载）
       banner,
       userAvatars  // 返回用户头像映射
     });
-  });
+  }));
 
   // 3.5 Join Room By ID (New)
   socket.on('join_room_by_id', (roomId, callback) => {
@@ -1171,9 +2977,32 @@ io.on('connection', (socket) => {
       // For now, reuse join_room logic on client side calling 'join_room'
   });
 
+  // 3.6 Load room messages: before 为当前最早一条消息的 ID（加载更早的消息），around 为要定位的消息 ID，都不传则返回最新一页
+  socket.on('load_room_history', guard(socket, 'user', async (user, { roomId, ...paging } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+    if (!rooms.has(roomId) || !(await isScopeMember(user.persistentId, 'room', roomId))) {
+      return callback({ success: false, error: '房间不存在或你不是房间成员' });
+    }
+    try {
+      const { history, hasMore, hasNewer } = await loadHistory(
+        (size, cursor) => persistence.getMessageHistory(roomId, size, cursor),
+        paging
+      );
+      callback({
+        success: true,
+        history: history.map(presentMessage),
+        hasMore,
+        hasNewer,
+        userAvatars: getSenderAvatars(history)
+      });
+    } catch (err) {
+      console.error('Failed to load message history:', err);
+      callback({ success: false, error: '加载消息失败' });
+    }
+  }));
+
   // 4. Leave Room
-  socket.on('leave_room', () => {
-    const user = users.get(socket.id);
+  socket.on('leave_room', guard(socket, 'user', (user) => {
     if (user.currentRoom) {
       const roomId = user.currentRoom;
       const wasStealthMode = user.isStealthInRoom;
@@ -1209,50 +3038,117 @@ io.on('connection', (socket) => {
       // Update leaving user's room list too
       socket.emit('rooms_updated', getUserRooms(user.persistentId));
     }
-  });
+  }));
 
   // 5. Send Message (支持文本和图片)
-  socket.on('send_message', async ({ message, roomId, replyTo, imageUrl }) => {
-    const user = users.get(socket.id);
+  // threadRootId: 在该消息的话题中回复（回复不进入主时间线，只通知话题参与者）
+  socket.on('send_message', guard(socket, 'user', async (user, { message, roomId, replyTo, imageUrl, attachmentId, threadRootId }, callback) => {
     // Verify user is actually in the room
     if (user.currentRoom !== roomId) return;
 
+    if (!can(rooms.get(roomId), user, 'send_message')) {
+      return callback && callback({ success: false, error: '你已被禁言' });
+    }
+
+    // 话题只能挂在主时间线的消息上，回复话题中的回复时归入同一个话题
+    let rootId = null;
+    if (threadRootId) {
+      const root = Number.isInteger(threadRootId) ? await persistence.getMessage(threadRootId, roomId) : null;
+      if (!root) {
+        return callback && callback({ success: false, error: '消息不存在' });
+      }
+      if (root.recalled === 1) {
+        return callback && callback({ success: false, error: '消息已撤回' });
+      }
+      rootId = root.thread_root_id || root.id;
+    }
+
+    const { mentions, targets: mentionTargets } = resolveRoomMentions(rooms.get(roomId), user, message);
+
+    // 图片只能引用上传到本房间的文件
+    const scopedImageUrl = imageUrl ? await resolveScopedImageUrl(imageUrl, 'room', roomId) : null;
+    if (imageUrl && !scopedImageUrl) return;
+
+    // 文件附件同样只能引用上传到本房间的文件
+    const attachment = attachmentId ? await resolveScopedAttachment(attachmentId, 'room', roomId) : null;
+    if (attachmentId && !attachment) {
+      return callback && callback({ success: false, error: '文件不存在或已过期' });
+    }
+
     const msgData = {
       text: message || '',
-      imageUrl: imageUrl || null, // 图片URL
+      imageUrl: scopedImageUrl, // 图片URL
+      attachment,
       sender: user.username,
       senderId: user.persistentId,
       senderAvatarId: user.avatarId ?? null, // Include avatar ID
       isAdmin: user.isAdmin,
       timestamp: new Date().toISOString(),
-      replyTo: replyTo || null // Add replyTo field
+      replyTo: replyTo ? {
+        ...replyTo,
+        imageUrl: replyTo.imageUrl ? await resolveScopedImageUrl(replyTo.imageUrl, 'room', roomId) : null
+      } : null, // Add replyTo field
+      threadRootId: rootId,
+      mentions
     };
 
     // Save message to database (persistent storage) and get the real ID
+    let saved = false;
     try {
       const dbId = await persistence.saveMessage(msgData, roomId);
       msgData.id = dbId; // 使用数据库生成的 ID
+      saved = true;
     } catch (err) {
       console.error('Failed to save message to database:', err);
       msgData.id = Date.now(); // 回退使用时间戳
     }
 
-    // Also keep in memory cache for quick access (last 100 messages)
+    // 被提及的人单独收到 mention_notification，下面不再重复发送 room_notification
+    if (saved) {
+      await notifyMentions(rooms.get(roomId), msgData, mentionTargets);
+      refreshLinkPreview('room', roomId, msgData.id, msgData.text);
+    }
+
+    if (rootId) {
+      io.to(roomId).emit('receive_message', presentMessage(msgData));
+      await broadcastThreadUpdate(roomId, rootId).catch(err => console.error('Failed to update thread:', err));
+
+      // 通知话题的其他参与者（包括正在房间里的人，话题回复不会出现在他们的主时间线上）
+      const participants = new Set(await persistence.getThreadParticipants(rootId).catch(() => []));
+      for (const [socketId, socketUser] of users.entries()) {
+        if (socketUser.persistentId === user.persistentId || !participants.has(socketUser.persistentId)) continue;
+        if (mentionTargets.has(socketUser.persistentId)) continue;
+        const cred = userCredentials.get(socketUser.realUsername || socketUser.username);
+        if (cred && cred.joinedRooms && cred.joinedRooms.includes(roomId)) {
+          io.to(socketId).emit('room_notification', {
+            roomId,
+            threadRootId: rootId,
+            sender: user.username,
+            lastMessage: messagePreview(msgData.text, msgData.imageUrl, msgData.attachment),
+            timestamp: msgData.timestamp
+          });
+        }
+      }
+      return callback && callback({ success: true });
+    }
+
+    // Also keep in memory cache for quick access (last config.historyCacheSize messages)
     if (!messageHistory.has(roomId)) {
       messageHistory.set(roomId, []);
     }
     const history = messageHistory.get(roomId);
     history.push(msgData);
-    if (history.length > 100) {
+    if (history.length > config.historyCacheSize) {
       history.shift(); // Remove oldest message
     }
 
-    io.to(roomId).emit('receive_message', msgData);
+    io.to(roomId).emit('receive_message', presentMessage(msgData));
 
     // Notify users who are members of this room but NOT currently inside
     for (const [socketId, socketUser] of users.entries()) {
         // Skip if user is in the room (they already got receive_message)
         if (socketUser.currentRoom === roomId) continue;
+        if (mentionTargets.has(socketUser.persistentId)) continue;
 
         // Check if user has joined this room (use realUsername for admin)
         const credKey = socketUser.realUsername || socketUser.username;
@@ -1260,27 +3156,28 @@ io.on('connection', (socket) => {
         if (cred && cred.joinedRooms && cred.joinedRooms.includes(roomId)) {
             io.to(socketId).emit('room_notification', {
                 roomId,
-                lastMessage: message || (imageUrl ? '[图片]' : ''),
+                lastMessage: messagePreview(msgData.text, msgData.imageUrl, msgData.attachment),
                 timestamp: msgData.timestamp
             });
         }
     }
-  });
 
-  // 5.5 Admin Broadcast (Admin only) - Set persistent banner notification for room
-  socket.on('admin_broadcast', ({ roomId, message }, callback) => {
-    const user = users.get(socket.id);
-    
-    // Only admin can broadcast
-    if (!user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
-    }
-    
+    if (callback) callback({ success: true });
+  }));
+
+  // 5.5 Admin Broadcast (管理员 / 房主 / 协管) - Set persistent banner notification for room
+  socket.on('admin_broadcast', guard(socket, 'user', (user, { roomId, message }, callback) => {
     // Verify room exists
-    if (!rooms.has(roomId)) {
+    const room = rooms.get(roomId);
+    if (!room) {
       return callback && callback({ success: false, error: 'Room not found' });
     }
+    if (!can(room, user, 'manage_banner')) {
+      return callback && callback({ success: false, error: 'Permission denied' });
+    }
     
+    const previousBanner = roomBanners.get(roomId);
+
     // Store banner persistently
     const banner = {
       message,
@@ -1288,27 +3185,24 @@ io.on('connection', (socket) => {
       createdBy: user.username
     };
     roomBanners.set(roomId, banner);
+    persistence.saveBanner(roomId, banner).catch(logPersistError('banner'));
     
     // Broadcast banner update to all users in the room
     io.to(roomId).emit('room_banner_updated', banner);
     
     // Also send as system message for chat history
     io.to(roomId).emit('system_message', {
-      text: `📢 超级董事长发布了新通知：${message}`,
+      text: `📢 ${user.username}发布了新通知：${message}`,
       isAdminBroadcast: true
     });
     
+    audit(user, 'set_banner', { room, details: { before: previousBanner?.message ?? null, after: message } });
     if (callback) callback({ success: true, banner });
-    console.log(`Admin set banner for room ${roomId}: ${message}`);
-  });
-
-  // 5.6 撤回消息 (2分钟内可撤回自己的消息)
-  socket.on('recall_message', async ({ messageId, roomId }, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
+    console.log(`${ROLE_NAMES[getRoomRole(room, user)]} set banner for room ${roomId}: ${message}`);
+  }));
 
+  // 5.6 撤回消息（RECALL_WINDOW_MS 内可撤回自己的消息）
+  socket.on('recall_message', guard(socket, 'user', async (user, { messageId, roomId }, callback) => {
     try {
       // 获取消息验证权限
       const msg = await persistence.getMessage(messageId, roomId);
@@ -1316,17 +3210,18 @@ io.on('connection', (socket) => {
         return callback && callback({ success: false, error: '消息不存在' });
       }
 
-      // 检查是否是自己的消息或管理员
-      if (msg.sender_id !== user.persistentId && !user.isAdmin) {
+      // 自己的消息，或者有权管理发送者消息的管理员 / 房主 / 协管
+      const sender = { persistentId: msg.sender_id, isAdmin: msg.is_admin === 1 };
+      const moderating = can(rooms.get(roomId), user, 'moderate_messages', sender);
+      if (msg.sender_id !== user.persistentId && !moderating) {
         return callback && callback({ success: false, error: '只能撤回自己的消息' });
       }
 
-      // 检查时间限制（2分钟内，管理员无限制）
+      // 检查时间限制（RECALL_WINDOW_MS 内，有管理权限时无限制）
       const msgTime = new Date(msg.timestamp).getTime();
       const now = Date.now();
-      const twoMinutes = 2 * 60 * 1000;
-      if (!user.isAdmin && (now - msgTime) > twoMinutes) {
-        return callback && callback({ success: false, error: '超过2分钟无法撤回' });
+      if (!moderating && (now - msgTime) > RECALL_WINDOW_MS) {
+        return callback && callback({ success: false, error: `超过${RECALL_WINDOW_TEXT}无法撤回` });
       }
 
       // 执行撤回
@@ -1344,21 +3239,24 @@ io.on('connection', (socket) => {
       // 广播给房间内所有人
       io.to(roomId).emit('message_recalled', { messageId, roomId, recalledBy: user.username });
 
+      if (msg.sender_id !== user.persistentId) {
+        audit(user, 'recall_message', {
+          target: msg.sender_name,
+          room: rooms.get(roomId),
+          details: { messageId, text: msg.message }
+        });
+      }
+
       if (callback) callback({ success: true });
       console.log(`Message ${messageId} recalled by ${user.username} in room ${roomId}`);
     } catch (err) {
       console.error('Recall message error:', err);
       if (callback) callback({ success: false, error: '撤回失败' });
     }
-  });
-
-  // 5.7 删除消息 (管理员可删除任何消息，普通用户可删除自己的已撤回消息)
-  socket.on('delete_message', async ({ messageId, roomId }, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
+  }));
 
+  // 5.7 删除消息 (管理员 / 房主 / 协管可删除权限低于自己的成员的消息，普通用户可删除自己的已撤回消息)
+  socket.on('delete_message', guard(socket, 'user', async (user, { messageId, roomId }, callback) => {
     try {
       // 获取消息验证权限
       const msg = await persistence.getMessage(messageId, roomId);
@@ -1366,13 +3264,18 @@ io.on('connection', (socket) => {
         return callback && callback({ success: false, error: '消息不存在' });
       }
 
-      // 权限检查：管理员可删除任何消息，普通用户只能删除自己的已撤回消息
+      // 权限检查：有管理权限可删除，普通用户只能删除自己的已撤回消息
+      const sender = { persistentId: msg.sender_id, isAdmin: msg.is_admin === 1 };
+      const moderating = can(rooms.get(roomId), user, 'moderate_messages', sender);
       const isOwner = msg.sender_id === user.persistentId;
       const isRecalled = msg.recalled === 1;
-      if (!user.isAdmin && !(isOwner && isRecalled)) {
+      if (!moderating && !(isOwner && isRecalled)) {
         return callback && callback({ success: false, error: '只能删除自己已撤回的消息' });
       }
 
+      // 删除话题的根消息时，数据库触发器会一并删除全部回复，先记下回复的 id 通知客户端
+      const replyIds = msg.thread_root_id ? [] : (await persistence.getThreadReplies(roomId, messageId)).map(reply => reply.id);
+
       // 执行删除
       const deleted = await persistence.deleteMessage(messageId, roomId);
       if (!deleted) {
@@ -1390,6 +3293,20 @@ io.on('connection', (socket) => {
 
       // 广播给房间内所有人
       io.to(roomId).emit('message_deleted', { messageId, roomId });
+      if (replyIds.length > 0) {
+        io.to(roomId).emit('thread_deleted', { roomId, rootId: messageId, replyIds });
+      }
+      if (msg.thread_root_id) {
+        await broadcastThreadUpdate(roomId, msg.thread_root_id);
+      }
+
+      if (!isOwner) {
+        audit(user, 'delete_message', {
+          target: msg.sender_name,
+          room: rooms.get(roomId),
+          details: { messageId, text: msg.message }
+        });
+      }
 
       if (callback) callback({ success: true });
       console.log(`Message ${messageId} deleted by ${user.username} in room ${roomId}`);
@@ -1397,39 +3314,138 @@ io.on('connection', (socket) => {
       console.error('Delete message error:', err);
       if (callback) callback({ success: false, error: '删除失败' });
     }
-  });
+  }));
 
-  // 5.6 Clear Room Banner (Admin only)
-  socket.on('clear_room_banner', ({ roomId }, callback) => {
-    const user = users.get(socket.id);
-    
-    if (!user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
+  // 5.8 编辑消息（EDIT_WINDOW_MS 内可编辑自己的消息，编辑前的内容保存为编辑记录）
+  socket.on('edit_message', guard(socket, 'user', async (user, { messageId, roomId, text }, callback) => {
+    try {
+      if (!rooms.has(roomId) || !(await isScopeMember(user.persistentId, 'room', roomId))) {
+        return callback && callback({ success: false, error: '房间不存在或你不是房间成员' });
+      }
+      if (!can(rooms.get(roomId), user, 'send_message')) {
+        return callback && callback({ success: false, error: '你已被禁言' });
+      }
+
+      const msg = await persistence.getMessage(messageId, roomId);
+      const error = checkMessageEdit(msg, user, text);
+      if (error) {
+        return callback && callback({ success: false, error });
+      }
+
+      const editedAt = new Date().toISOString();
+      await persistence.editMessage(messageId, roomId, text, msg.message, editedAt);
+
+      // 更新内存缓存
+      const cached = messageHistory.get(roomId)?.find(m => m.id === messageId);
+      if (cached) {
+        cached.text = text;
+        cached.editedAt = editedAt;
+      }
+
+      io.to(roomId).emit('message_edited', { messageId, roomId, text, editedAt });
+      refreshLinkPreview('room', roomId, messageId, text, msg.message);
+
+      if (callback) callback({ success: true });
+      console.log(`Message ${messageId} edited by ${user.username} in room ${roomId}`);
+    } catch (err) {
+      console.error('Edit message error:', err);
+      if (callback) callback({ success: false, error: '编辑失败' });
     }
-    
-    if (!rooms.has(roomId)) {
+  }));
+
+  // 5.9 消息的编辑记录
+  socket.on('get_message_edits', guard(socket, 'user', async (user, { messageId, roomId }, callback) => {
+    try {
+      if (!rooms.has(roomId) || !(await isScopeMember(user.persistentId, 'room', roomId))) {
+        return callback && callback({ success: false, error: '房间不存在或你不是房间成员' });
+      }
+      const msg = await persistence.getMessage(messageId, roomId);
+      if (!msg || msg.recalled === 1) {
+        return callback && callback({ success: false, error: '消息不存在' });
+      }
+
+      const edits = await persistence.getMessageEdits('room', messageId);
+      if (callback) callback({ success: true, edits });
+    } catch (err) {
+      console.error('Get message edits error:', err);
+      if (callback) callback({ success: false, error: '获取编辑记录失败' });
+    }
+  }));
+
+  // 5.10 话题：根消息和它的全部回复
+  socket.on('get_thread', guard(socket, 'user', async (user, { roomId, rootId } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      if (!rooms.has(roomId) || !(await isScopeMember(user.persistentId, 'room', roomId))) {
+        return callback({ success: false, error: '房间不存在或你不是房间成员' });
+      }
+      const root = await persistence.getMessage(rootId, roomId);
+      if (!root || root.thread_root_id) {
+        return callback({ success: false, error: '消息不存在' });
+      }
+
+      const [[rootMessage], replies] = await Promise.all([
+        persistence.attachThreadSummaries([roomMessageFromRow(root)]),
+        persistence.getThreadReplies(roomId, rootId)
+      ]);
+      callback({
+        success: true,
+        root: presentMessage(rootMessage),
+        replies: replies.map(presentMessage),
+        userAvatars: getSenderAvatars([rootMessage, ...replies])
+      });
+    } catch (err) {
+      console.error('Get thread error:', err);
+      callback({ success: false, error: '加载话题失败' });
+    }
+  }));
+
+  // 5.11 可以 @ 的房间成员（输入框自动补全），canMentionAll 表示能否使用 @all / @here
+  socket.on('get_mentionable_members', guard(socket, 'user', async (user, roomId, callback) => {
+    if (typeof callback !== 'function') return;
+    const room = rooms.get(roomId);
+    if (!room || !(await isScopeMember(user.persistentId, 'room', roomId))) {
+      return callback({ success: false, error: '房间不存在或你不是房间成员' });
+    }
+    // 提及按账号用户名匹配，候选中也给出账号用户名（管理员不是显示名“超级董事长”）
+    const members = getRoomMembers(room)
+      .filter(({ cred }) => cred.persistentId !== user.persistentId)
+      .map(({ realUsername, cred }) => ({ username: realUsername, avatarId: cred.avatarId ?? null }));
+    callback({ success: true, members, canMentionAll: can(room, user, 'mention_all') });
+  }));
+
+  // 5.6 Clear Room Banner (管理员 / 房主 / 协管)
+  socket.on('clear_room_banner', guard(socket, 'user', (user, { roomId }, callback) => {
+    const room = rooms.get(roomId);
+    if (!room) {
       return callback && callback({ success: false, error: 'Room not found' });
     }
+    if (!can(room, user, 'manage_banner')) {
+      return callback && callback({ success: false, error: 'Permission denied' });
+    }
     
     // Remove banner
+    const previousBanner = roomBanners.get(roomId);
     roomBanners.delete(roomId);
+    persistence.deleteBanner(roomId).catch(logPersistError('banner'));
+    audit(user, 'clear_banner', { room, details: { before: previousBanner?.message ?? null } });
     
     // Notify all users in the room
     io.to(roomId).emit('room_banner_updated', null);
     
     if (callback) callback({ success: true });
-    console.log(`Admin cleared banner for room ${roomId}`);
-  });
+    console.log(`${ROLE_NAMES[getRoomRole(room, user)]} cleared banner for room ${roomId}`);
+  }));
 
   // 6. Dismiss Room (Admin or Owner only)
-  socket.on('dismiss_room', (roomId, callback) => {
-    const user = users.get(socket.id);
+  socket.on('dismiss_room', guard(socket, 'user', (user, roomId, callback) => {
     const room = rooms.get(roomId);
 
     if (!room) return callback({ error: 'Room not found' });
 
-    // Check against persistentId
-    if (user.isAdmin || room.ownerId === user.persistentId) {
+    if (can(room, user, 'dismiss_room')) {
+      audit(user, 'dismiss_room', { target: room.name, room, details: { ownerId: room.ownerId } });
+
       // Notify all users in the room
       io.to(roomId).emit('room_dismissed', {
         text: `房间「${room.name}」已被 ${user.username} 解散`,
@@ -1457,6 +3473,7 @@ io.on('connection', (socket) => {
       io.in(roomId).socketsLeave(roomId);
       
       rooms.delete(roomId);
+      persistence.deleteRoom(roomId).catch(logPersistError('room'));
       
       // Broadcast to everyone to update list (since room is gone)
       io.emit('rooms_updated', getRoomList()); // This sends full list to everyone, but we usually send user-specific lists. 
@@ -1505,29 +3522,20 @@ io.on('connection', (socket) => {
     } else {
       if (callback) callback({ error: 'Permission denied' });
     }
-  });
+  }));
 
   // 7. Get Rooms - returns user-specific rooms, or all rooms for admin
-  socket.on('get_rooms', (callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback([]);
-    }
+  socket.on('get_rooms', guard(socket, 'user', (user, callback) => {
     // Admin gets all rooms (for admin panel), normal users get only their joined rooms
     if (user.isAdmin) {
       if (callback) callback(getRoomList());
     } else {
       if (callback) callback(getUserRooms(user.persistentId));
     }
-  });
+  }));
 
   // 7. Admin: Get All Users
-  socket.on('admin_get_all_users', (callback) => {
-    const user = users.get(socket.id);
-    if (!user || !user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
-    }
-
+  socket.on('admin_get_all_users', guard(socket, 'admin', (user, callback) => {
     const allUsers = [];
     for (const [username, cred] of userCredentials.entries()) {
       // Check online status
@@ -1545,10 +3553,12 @@ io.on('connection', (socket) => {
         }
       }
 
+      // 密码只存哈希，管理员只能重置不能查看
       allUsers.push({
         username,
-        password: cred.password, // Admin can see passwords
         isAdmin: cred.isAdmin,
+        isConfiguredAdmin: configuredAdmins.includes(username), // 由 .env 配置，不能在面板中撤销
+        twoFactorEnabled: !!cred.totp,
         persistentId: cred.persistentId,
         isOnline,
         currentRoomName
@@ -1556,58 +3566,113 @@ io.on('connection', (socket) => {
     }
 
     callback({ success: true, users: allUsers });
-  });
-
-  // 8. Admin: Update User (Username/Password)
-  socket.on('admin_update_user', ({ currentUsername, newUsername, newPassword }, callback) => {
-    const user = users.get(socket.id);
-    if (!user || !user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
-    }
+  }));
 
+  // 8. Admin: Update User (Username / reset Password)
+  // newPassword 为空表示不修改密码；密码只能重置，无法读取
+  socket.on('admin_update_user', guard(socket, 'admin', async (user, { currentUsername, newUsername, newPassword }, callback) => {
     const cred = userCredentials.get(currentUsername);
     if (!cred) {
       return callback({ success: false, error: 'User not found' });
     }
 
-    // If username is changing, check if new one exists
-    if (newUsername !== currentUsername) {
-        if (userCredentials.has(newUsername)) {
-            return callback({ success: false, error: 'Username already taken' });
-        }
-        
-        // Remove old entry and add new one
-        userCredentials.delete(currentUsername);
-        userCredentials.set(newUsername, {
-            ...cred,
-            password: newPassword
-        });
-        
-        // Update any active sessions for this user
-        for (const [sid, u] of users.entries()) {
-            if (u.realUsername === currentUsername) {
-                u.realUsername = newUsername;
-                u.username = cred.isAdmin ? '超级董事长' : newUsername; // Update display name if not admin
-                users.set(sid, u);
-                
-                // Notify user? Or just let them be
-            }
-        }
-    } else {
-        // Just update password
-        cred.password = newPassword;
+    const renaming = !!newUsername && newUsername !== currentUsername;
+    if (renaming) {
+      const invalid = validateUsername(newUsername);
+      if (invalid) {
+        return callback({ success: false, error: invalid });
+      }
+      if (userCredentials.has(newUsername)) {
+        return callback({ success: false, error: 'Username already taken' });
+      }
+      if (configuredAdmins.includes(currentUsername)) {
+        return callback({ success: false, error: '该管理员由 ADMIN_USERNAMES 配置，请先修改环境变量' });
+      }
+    }
+    if (newPassword) {
+      const invalid = validatePassword(newPassword);
+      if (invalid) {
+        return callback({ success: false, error: invalid });
+      }
+    }
+
+    // 审计日志只记录实际生效的修改
+    const auditChanges = (passwordReset) => audit(user, 'update_user', {
+      target: renaming ? newUsername : currentUsername,
+      details: {
+        before: { username: currentUsername },
+        after: { username: renaming ? newUsername : currentUsername },
+        passwordReset
+      }
+    });
+
+    // 先改用户名：改名失败时密码和会话都保持不变
+    if (renaming) {
+      try {
+        await renameUser(currentUsername, newUsername);
+      } catch (err) {
+        console.error('Rename user error:', err);
+        return callback({ success: false, error: '修改用户名失败' });
+      }
+    }
+
+    if (newPassword) {
+      try {
+        cred.passwordHash = await hashPassword(newPassword);
+        delete cred.password;
+        await saveCredential(cred);
+        // 重置密码后旧的登录会话全部失效
+        await revokeUserSessions(cred.persistentId, '您的密码已被管理员重置，请重新登录');
+      } catch (err) {
+        console.error('Reset password error:', err);
+        if (renaming) auditChanges(false);
+        return callback({ success: false, error: renaming ? '用户名已修改，但重置密码失败' : '重置密码失败' });
+      }
+    }
+
+    if (renaming || newPassword) auditChanges(!!newPassword);
+    callback({ success: true });
+  }));
+
+  // 8.1 Admin: Promote User - 授予管理员权限
+  socket.on('admin_promote_user', guard(socket, 'admin', async (user, { username }, callback) => {
+    const cred = userCredentials.get(username);
+    if (!cred) {
+      return callback({ success: false, error: '用户不存在' });
+    }
+    if (cred.isAdmin) {
+      return callback({ success: false, error: '该用户已经是管理员' });
+    }
+
+    cred.isAdmin = true;
+    await saveCredential(cred);
+    // 身份变化会影响显示名和可见房间，让对方重新登录
+    await revokeUserSessions(cred.persistentId, '您已被设为管理员，请重新登录');
+
+    audit(user, 'promote_user', { target: username, details: { before: { isAdmin: false }, after: { isAdmin: true } } });
+    console.log(`Admin promoted user: ${username}`);
+    callback({ success: true });
+  }));
+
+  // 8.2 Admin: Demote User - 撤销管理员权限（不能撤销最后一个管理员）
+  socket.on('admin_demote_user', guard(socket, 'admin', async (user, { username }, callback) => {
+    const error = checkDemoteAdmin(userCredentials, username, configuredAdmins);
+    if (error) {
+      return callback({ success: false, error });
     }
 
+    const cred = userCredentials.get(username);
+    cred.isAdmin = false;
+    await saveCredential(cred);
+    await revokeUserSessions(cred.persistentId, '您的管理员权限已被撤销，请重新登录');
+
+    audit(user, 'demote_user', { target: username, details: { before: { isAdmin: true }, after: { isAdmin: false } } });
+    console.log(`Admin demoted user: ${username}`);
     callback({ success: true });
-  });
+  }));
 
   // 9. Admin: Get Room Users
-  socket.on('admin_get_room_users', (roomId, callback) => {
-    const user = users.get(socket.id);
-    if (!user || !user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
-    }
-    
+  socket.on('admin_get_room_users', guard(socket, 'admin', (user, roomId, callback) => {
     const room = rooms.get(roomId);
     const socketsInRoom = io.sockets.adapter.rooms.get(roomId);
     const roomUsers = [];
@@ -1628,15 +3693,10 @@ io.on('connection', (socket) => {
     }
     
     callback({ success: true, users: roomUsers });
-  });
-
-  // 10. Admin: Kick User from Room
-  socket.on('admin_kick_user', ({ roomId, username }, callback) => {
-    const user = users.get(socket.id);
-    if (!user || !user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
-    }
+  }));
 
+  // 10. Kick User from Room (管理员 / 房主 / 协管，只能踢权限低于自己的成员)
+  socket.on('admin_kick_user', guard(socket, 'user', (user, { roomId, username }, callback) => {
     const room = rooms.get(roomId);
     if (!room) {
       return callback({ success: false, error: 'Room not found' });
@@ -1655,9 +3715,15 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'User not in this room' });
     }
 
+    const targetUser = users.get(targetSocketId);
+    if (!can(room, user, 'kick_member', targetUser)) {
+      return callback({ success: false, error: 'Permission denied' });
+    }
+    const kickerName = ROLE_NAMES[getRoomRole(room, user)];
+
     const targetSocket = io.sockets.sockets.get(targetSocketId);
+    const auditDetails = {};
     if (targetSocket) {
-      const targetUser = users.get(targetSocketId);
       const isOwner = room.ownerId === targetUser.persistentId;
       
       // Check how many users are in the room
@@ -1666,15 +3732,16 @@ io.on('connection', (socket) => {
       const isOnlyUser = roomSize === 1;
 
       // If this is the only user in the room, dismiss the room instead
-      if (isOnlyUser) {
+      if (isOnlyUser && can(room, user, 'dismiss_room')) {
         // Dismiss room
         rooms.delete(roomId);
         messageHistory.delete(roomId);
         roomBanners.delete(roomId);
+        persistence.deleteRoom(roomId).catch(logPersistError('room'));
         
         // Notify the user about room dismissal (not kick)
         targetSocket.emit('room_dismissed', { 
-          text: '房间已被管理员解散',
+          text: `房间已被${kickerName}解散`,
           roomName: room.name,
           roomId: roomId
         });
@@ -1685,13 +3752,16 @@ io.on('connection', (socket) => {
           targetUser.currentRoom = null;
         }
         
+        auditDetails.roomDismissed = true;
         console.log(`Room ${roomId} dismissed (only user kicked by admin)`);
       } else {
         // Multiple users in room, proceed with kick
         
-        // Record kick time (5 min cooldown)
+        // Record kick time (starts the rejoin cooldown)
         const kickKey = `${roomId}:${username}`;
-        kickedUsers.set(kickKey, Date.now());
+        const kickedAt = Date.now();
+        kickedUsers.set(kickKey, kickedAt);
+        persistence.saveKick(roomId, username, kickedAt).catch(logPersistError('kick'));
         
         // If kicking the room owner, transfer ownership
         if (isOwner) {
@@ -1724,6 +3794,12 @@ io.on('connection', (socket) => {
           if (newOwner) {
             // Transfer ownership
             room.ownerId = newOwner.persistentId;
+            room.moderators = (room.moderators || []).filter(id => id !== newOwner.persistentId);
+            room.mutedUsers = (room.mutedUsers || []).filter(id => id !== newOwner.persistentId);
+            persistence.saveRoom(room).catch(logPersistError('room'));
+            persistence.saveRoomMemberRole(room, newOwner.persistentId).catch(logPersistError('room member'));
+            notifyRoomRoleChanged(room, newOwner.persistentId);
+            auditDetails.newOwner = newOwner.realUsername || newOwner.username;
             console.log(`Room ownership transferred to ${newOwner.username}`);
             
             // Notify room about ownership transfer
@@ -1740,8 +3816,8 @@ io.on('connection', (socket) => {
         targetSocket.emit('kicked_from_room', { 
           roomName: room.name,
           reason: isOwner 
-            ? '您已被管理员移出房间并失去房主身份，5分钟内无法重新加入' 
-            : '您已被管理员移出房间，5分钟内无法重新加入'
+            ? `您已被${kickerName}移出房间并失去房主身份，${KICK_COOLDOWN_TEXT}内无法重新加入` 
+            : `您已被${kickerName}移出房间，${KICK_COOLDOWN_TEXT}内无法重新加入`
         });
         
         // Force leave the room
@@ -1754,7 +3830,7 @@ io.on('connection', (socket) => {
         const systemMsg = {
           id: `sys-${Date.now()}`,
           type: 'system',
-          text: `${username} 被管理员移出房间`,
+          text: `${username} 被${kickerName}移出房间`,
           timestamp: new Date().toISOString()
         };
         io.to(roomId).emit('system_message', systemMsg);
@@ -1784,17 +3860,102 @@ io.on('connection', (socket) => {
       }
     }
 
+    audit(user, 'kick_member', { target: username, room, details: auditDetails });
     callback({ success: true });
-    console.log(`Admin kicked ${username} from room ${roomId} (5 min cooldown)`);
-  });
+    console.log(`${kickerName} kicked ${username} from room ${roomId} (${config.kickCooldownMinutes} min cooldown)`);
+  }));
 
-  // 11. Admin: Delete User
-  socket.on('admin_delete_user', ({ username }, callback) => {
-    const user = users.get(socket.id);
-    if (!user || !user.isAdmin) {
-      return callback && callback({ success: false, error: 'Permission denied' });
+  // 10.1 房间成员列表（协管及以上可见，用于管理角色）
+  socket.on('get_room_members', guard(socket, 'user', (user, roomId, callback) => {
+    const room = rooms.get(roomId);
+    if (!room) {
+      return callback({ success: false, error: 'Room not found' });
+    }
+    if (!can(room, user, 'view_members')) {
+      return callback({ success: false, error: 'Permission denied' });
+    }
+
+    // 管理员以隐身方式进入房间，不出现在成员列表中（除非是房主）
+    const members = getRoomMembers(room).map(({ username, realUsername, cred }) => {
+      const sockets = [...users.values()].filter(u => u.persistentId === cred.persistentId);
+      return {
+        username,
+        realUsername,
+        role: getRoomRole(room, { persistentId: cred.persistentId, isAdmin: cred.isAdmin }),
+        isOnline: sockets.length > 0,
+        inRoom: sockets.some(u => u.currentRoom === roomId)
+      };
+    });
+
+    callback({ success: true, members, myRole: getRoomRole(room, user) });
+  }));
+
+  // 10.2 设置 / 取消协管（房主及管理员）
+  socket.on('set_room_moderator', guard(socket, 'user', (user, { roomId, username, isModerator }, callback) => {
+    const room = rooms.get(roomId);
+    const cred = userCredentials.get(username);
+    if (!room || !cred) {
+      return callback({ success: false, error: '房间或用户不存在' });
+    }
+    const target = { persistentId: cred.persistentId, isAdmin: !!cred.isAdmin };
+    if (target.persistentId === user.persistentId || !can(room, user, 'manage_moderators', target)) {
+      return callback({ success: false, error: 'Permission denied' });
+    }
+    if (!(cred.joinedRooms || []).includes(roomId)) {
+      return callback({ success: false, error: '该用户不是房间成员' });
+    }
+
+    const roleBefore = getRoomRole(room, target);
+    room.moderators = (room.moderators || []).filter(id => id !== cred.persistentId);
+    if (isModerator) {
+      room.moderators.push(cred.persistentId);
+      // 协管不能同时处于禁言状态
+      room.mutedUsers = (room.mutedUsers || []).filter(id => id !== cred.persistentId);
+    }
+    persistence.saveRoomMemberRole(room, cred.persistentId).catch(logPersistError('room member'));
+
+    notifyRoomRoleChanged(room, cred.persistentId);
+    io.to(roomId).emit('system_message', {
+      text: isModerator ? `${username} 被设为协管` : `${username} 不再是协管`
+    });
+
+    audit(user, 'set_moderator', { target: username, room, details: { before: roleBefore, after: getRoomRole(room, target) } });
+    callback({ success: true });
+    console.log(`Room ${roomId} moderator ${isModerator ? 'added' : 'removed'}: ${username}`);
+  }));
+
+  // 10.3 禁言 / 解除禁言（协管及以上，只能禁言权限低于自己的成员）
+  socket.on('set_room_muted', guard(socket, 'user', (user, { roomId, username, muted }, callback) => {
+    const room = rooms.get(roomId);
+    const cred = userCredentials.get(username);
+    if (!room || !cred) {
+      return callback({ success: false, error: '房间或用户不存在' });
+    }
+    const target = { persistentId: cred.persistentId, isAdmin: !!cred.isAdmin };
+    if (target.persistentId === user.persistentId || !can(room, user, 'mute_member', target)) {
+      return callback({ success: false, error: 'Permission denied' });
     }
 
+    const roleBefore = getRoomRole(room, target);
+    room.mutedUsers = (room.mutedUsers || []).filter(id => id !== cred.persistentId);
+    if (muted) {
+      room.mutedUsers.push(cred.persistentId);
+      room.moderators = (room.moderators || []).filter(id => id !== cred.persistentId);
+    }
+    persistence.saveRoomMemberRole(room, cred.persistentId).catch(logPersistError('room member'));
+
+    notifyRoomRoleChanged(room, cred.persistentId);
+    io.to(roomId).emit('system_message', {
+      text: muted ? `${username} 已被禁言` : `${username} 已被解除禁言`
+    });
+
+    audit(user, 'set_muted', { target: username, room, details: { before: roleBefore, after: getRoomRole(room, target) } });
+    callback({ success: true });
+    console.log(`Room ${roomId} ${muted ? 'muted' : 'unmuted'}: ${username}`);
+  }));
+
+  // 11. Admin: Delete User
+  socket.on('admin_delete_user', guard(socket, 'admin', async (user, { username }, callback) => {
     const targetCred = userCredentials.get(username);
     if (!targetCred) {
       return callback({ success: false, error: 'User not found' });
@@ -1805,46 +3966,153 @@ io.on('connection', (socket) => {
       return callback({ success: false, error: 'Cannot delete admin users' });
     }
 
-    // Find and disconnect all sessions of this user
+    // 与用户自己注销相同：下线所有会话，清理房间中的角色，消息保留但发送者匿名化
     const targetPersistentId = targetCred.persistentId;
-    const socketsToDisconnect = [];
-    
-    for (const [socketId, u] of users.entries()) {
-      if (u.persistentId === targetPersistentId) {
-        socketsToDisconnect.push(socketId);
-      }
+    try {
+      await revokeUserSessions(targetPersistentId, '您的账号已被管理员删除');
+      await removeUserAccount(username, false);
+    } catch (err) {
+      console.error('Admin delete user error:', err);
+      return callback({ success: false, error: '删除用户失败' });
     }
 
-    // Disconnect all sessions
-    socketsToDisconnect.forEach(socketId => {
-      const targetSocket = io.sockets.sockets.get(socketId);
-      if (targetSocket) {
-        console.log(`Sending force_logout to socket ${socketId}`);
-        targetSocket.emit('force_logout', { reason: '您的账号已被管理员删除' });
-        // Delay disconnect to ensure event is received
-        setTimeout(() => {
-          console.log(`Disconnecting socket ${socketId}`);
-          targetSocket.disconnect(true);
-        }, 500);
-      }
-    });
-
-    // Delete user credentials
-    userCredentials.delete(username);
-
+    audit(user, 'delete_user', { target: username, details: { userId: targetPersistentId } });
     callback({ success: true });
     console.log(`Admin deleted user: ${username}`);
-  });
+  }));
 
   // ======= 私聊 DM 相关事件 =======
   
-  // 12. 搜索用户（用于开始私聊）
-  socket.on('search_users', async (query, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
+  // 11.1 Admin: 登录锁定列表
+  socket.on('admin_get_login_locks', guard(socket, 'admin', (user, callback) => {
+    callback({ success: true, locks: loginThrottle.listLocked() });
+  }));
+
+  // 11.2 Admin: 解除登录锁定
+  socket.on('admin_unlock_login', guard(socket, 'admin', (user, { key }, callback) => {
+    if (!loginThrottle.reset(key)) {
+      return callback({ success: false, error: '该锁定已失效' });
     }
-    
+    audit(user, 'unlock_login', { target: key });
+    console.log(`Admin unlocked login: ${key}`);
+    callback({ success: true });
+  }));
+
+  // 11.3 Admin: 注册策略和邀请码列表
+  socket.on('admin_get_registration', guard(socket, 'admin', async (user, callback) => {
+    try {
+      const invites = await persistence.listInviteCodes();
+      callback({ success: true, policy: registrationPolicy, invites });
+    } catch (err) {
+      console.error('List invite codes error:', err);
+      callback({ success: false, error: '获取邀请码失败' });
+    }
+  }));
+
+  // 11.4 Admin: 修改注册策略
+  socket.on('admin_set_registration_policy', guard(socket, 'admin', (user, { policy }, callback) => {
+    if (!REGISTRATION_POLICIES.includes(policy)) {
+      return callback({ success: false, error: '无效的注册策略' });
+    }
+    audit(user, 'set_registration_policy', { details: { before: registrationPolicy, after: policy } });
+    registrationPolicy = policy;
+    persistence.setSetting('registrationPolicy', policy).catch(logPersistError('registration policy'));
+    console.log(`Registration policy set to ${policy}`);
+    callback({ success: true, policy });
+  }));
+
+  // 11.5 Admin: 生成邀请码
+  socket.on('admin_create_invite', guard(socket, 'admin', async (user, { maxUses = 1, expiresInDays = 7 } = {}, callback) => {
+    const uses = Number(maxUses);
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(uses) || uses < 1 || uses > 100) {
+      return callback({ success: false, error: '可用次数需要在1-100之间' });
+    }
+    if (!Number.isFinite(days) || days < 0 || days > 365) {
+      return callback({ success: false, error: '有效期需要在0-365天之间（0 表示不过期）' });
+    }
+
+    const invite = {
+      code: generateInviteCode(),
+      createdBy: user.realUsername,
+      expiresAt: days > 0 ? Date.now() + days * 24 * 60 * 60 * 1000 : null,
+      maxUses: uses
+    };
+    try {
+      await persistence.createInviteCode(invite);
+      audit(user, 'create_invite', { target: invite.code, details: { maxUses: invite.maxUses, expiresAt: invite.expiresAt } });
+      callback({ success: true, invite: { ...invite, uses: 0, createdAt: Date.now() } });
+    } catch (err) {
+      console.error('Create invite code error:', err);
+      callback({ success: false, error: '生成邀请码失败' });
+    }
+  }));
+
+  // 11.6 Admin: 吊销邀请码
+  socket.on('admin_revoke_invite', guard(socket, 'admin', async (user, { code }, callback) => {
+    try {
+      const revoked = await persistence.revokeInviteCode(code);
+      if (revoked) audit(user, 'revoke_invite', { target: code });
+      callback(revoked ? { success: true } : { success: false, error: '邀请码不存在' });
+    } catch (err) {
+      console.error('Revoke invite code error:', err);
+      callback({ success: false, error: '吊销失败' });
+    }
+  }));
+
+  // 11.7 Admin: 审计日志（按操作类型 / 操作者 / 对象 / 房间筛选，分页）
+  socket.on('admin_get_audit_log', guard(socket, 'admin', async (user, { action, actor, target, roomId, page = 1, pageSize = 50 } = {}, callback) => {
+    const safePage = Math.max(1, Math.floor(Number(page)) || 1);
+    const safePageSize = Math.min(Math.max(1, Math.floor(Number(pageSize)) || 50), 200);
+    try {
+      const { entries, total } = await persistence.getAuditLog({
+        action, actor, target, roomId, page: safePage, pageSize: safePageSize
+      });
+      callback({ success: true, entries, total, page: safePage, pageSize: safePageSize });
+    } catch (err) {
+      console.error('Get audit log error:', err);
+      callback({ success: false, error: '获取审计日志失败' });
+    }
+  }));
+
+  // 11.8 Admin: 强制管理员启用两步验证
+  socket.on('admin_set_2fa_policy', guard(socket, 'admin', (user, { required } = {}, callback) => {
+    const cred = userCredentials.get(user.realUsername);
+    // 避免开启后自己立刻被限制在启用两步验证的页面
+    if (required && !cred?.totp) {
+      return callback({ success: false, error: '请先为自己的账号启用两步验证' });
+    }
+
+    audit(user, 'set_2fa_policy', { details: { before: adminTwoFactorRequired, after: !!required } });
+    adminTwoFactorRequired = !!required;
+    persistence.setSetting('adminTwoFactorRequired', adminTwoFactorRequired).catch(logPersistError('2FA policy'));
+    io.to('admin_channel').emit('two_factor_policy_updated', { required: adminTwoFactorRequired });
+
+    callback({ success: true, required: adminTwoFactorRequired });
+    console.log(`Admin 2FA requirement ${adminTwoFactorRequired ? 'enabled' : 'disabled'}`);
+  }));
+
+  // 11.9 Admin: 重置用户的两步验证（用户丢失手机且没有恢复码时）
+  socket.on('admin_reset_2fa', guard(socket, 'admin', async (user, { username } = {}, callback) => {
+    const cred = userCredentials.get(username);
+    if (!cred) {
+      return callback({ success: false, error: '用户不存在' });
+    }
+    if (!cred.totp) {
+      return callback({ success: false, error: '该用户未启用两步验证' });
+    }
+
+    delete cred.totp;
+    await saveCredential(cred);
+    await revokeUserSessions(cred.persistentId, '您的两步验证已被管理员重置，请重新登录');
+    audit(user, 'reset_2fa', { target: username });
+
+    callback({ success: true });
+    console.log(`Admin reset 2FA of user: ${username}`);
+  }));
+
+  // 12. 搜索用户（用于开始私聊）
+  socket.on('search_users', guard(socket, 'user', async (user, query, callback) => {
     try {
       const results = await persistence.searchUsers(query, user.persistentId);
       callback({ success: true, users: results });
@@ -1852,15 +4120,72 @@ io.on('connection', (socket) => {
       console.error('Search users error:', err);
       callback({ success: false, error: 'Search failed' });
     }
-  });
+  }));
 
-  // 13. 开始/获取私聊会话
-  socket.on('start_dm', async ({ targetUserId, targetUsername }, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
+  // 12.1 搜索消息：只搜索自己加入的房间和参与的私聊会话
+  // filters: { query, scope: 'all' | 'rooms' | 'dms', roomId, conversationId, sender, from, to, hasImage }
+  socket.on('search_messages', guard(socket, 'user', async (user, filters, callback) => {
+    if (typeof callback !== 'function') return;
+    const criteria = parseSearchCriteria(filters);
+    if (criteria.error) return callback({ success: false, error: criteria.error });
+
+    try {
+      const [, cred] = findCredentialById(user.persistentId);
+      let roomIds = (cred?.joinedRooms || []).filter(roomId => rooms.has(roomId));
+      const conversations = await persistence.getUserDMConversations(user.persistentId);
+      let conversationIds = conversations.map(conv => conv.id);
+
+      // 限定在某个房间 / 会话内搜索
+      if (criteria.roomId || criteria.conversationId) {
+        roomIds = roomIds.filter(roomId => roomId === criteria.roomId);
+        conversationIds = conversationIds.filter(id => id === criteria.conversationId);
+      }
+      if (criteria.scope === 'dms') roomIds = [];
+      if (criteria.scope === 'rooms') conversationIds = [];
+
+      // 发送者按用户名查找，找不到时没有结果
+      let senderId = null;
+      if (criteria.sender) {
+        senderId = userCredentials.get(criteria.sender)?.persistentId;
+        if (!senderId) return callback({ success: true, results: [], truncated: false });
+      }
+
+      const options = { ...criteria, senderId, limit: SEARCH_RESULT_LIMIT + 1 };
+      const [roomHits, dmHits] = await Promise.all([
+        persistence.searchMessages('room', roomIds, options),
+        persistence.searchMessages('dm', conversationIds, options)
+      ]);
+
+      const conversationById = new Map(conversations.map(conv => [conv.id, conv]));
+      const results = [
+        ...roomHits.map(({ scopeId, message }) => ({
+          type: 'room',
+          scopeId,
+          scopeName: rooms.get(scopeId)?.name || scopeId,
+          message: presentMessage(message)
+        })),
+        ...dmHits.map(({ scopeId, message }) => ({
+          type: 'dm',
+          scopeId,
+          scopeName: conversationById.get(scopeId)?.otherUser.name || '',
+          otherUser: conversationById.get(scopeId)?.otherUser,
+          message: presentMessage(message)
+        }))
+      ].sort((a, b) => (a.message.timestamp < b.message.timestamp ? 1 : -1));
+
+      callback({
+        success: true,
+        results: results.slice(0, SEARCH_RESULT_LIMIT),
+        truncated: results.length > SEARCH_RESULT_LIMIT
+      });
+    } catch (err) {
+      console.error('Search messages error:', err);
+      callback({ success: false, error: '搜索失败' });
     }
-    
+  }));
+
+  // 13. 开始/获取私聊会话
+  socket.on('start_dm', guard(socket, 'user', async (user, { targetUserId, targetUsername }, callback) => {
     try {
       const conversation = await persistence.getOrCreateDMConversation(
         user.persistentId,
@@ -1884,7 +4209,10 @@ io.on('connection', (socket) => {
       }
       
       // 获取消息历史
-      const history = await persistence.getDMHistory(conversation.id);
+      const { history, hasMore } = await loadHistoryPage(
+        (limit) => persistence.getDMHistory(conversation.id, limit),
+        HISTORY_PAGE_SIZE
+      );
       
       // 标记消息已读
       await persistence.markDMMessagesAsRead(conversation.id, user.persistentId);
@@ -1895,21 +4223,17 @@ io.on('connection', (socket) => {
           ...conversation,
           otherUser: { id: targetUserId, name: targetUsername }
         },
-        history 
+        history: history.map(presentMessage),
+        hasMore
       });
     } catch (err) {
       console.error('Start DM error:', err);
       callback({ success: false, error: 'Failed to start DM' });
     }
-  });
+  }));
 
   // 14. 获取私聊列表
-  socket.on('get_dm_list', async (callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
-    
+  socket.on('get_dm_list', guard(socket, 'user', async (user, callback) => {
     try {
       const conversations = await persistence.getUserDMConversations(user.persistentId);
       
@@ -1923,31 +4247,45 @@ io.on('connection', (socket) => {
       console.error('Get DM list error:', err);
       callback({ success: false, error: 'Failed to get DM list' });
     }
-  });
+  }));
 
   // 15. 发送私聊消息
-  socket.on('send_dm', async ({ conversationId, message, imageUrl, replyTo }, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
-    
+  socket.on('send_dm', guard(socket, 'user', async (user, { conversationId, message, imageUrl, attachmentId, replyTo }, callback) => {
     try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
+
+      // 图片只能引用上传到本会话的文件
+      const scopedImageUrl = imageUrl ? await resolveScopedImageUrl(imageUrl, 'dm', conversationId) : null;
+      if (imageUrl && !scopedImageUrl) {
+        return callback && callback({ success: false, error: '图片无效' });
+      }
+      const attachment = attachmentId ? await resolveScopedAttachment(attachmentId, 'dm', conversationId) : null;
+      if (attachmentId && !attachment) {
+        return callback && callback({ success: false, error: '文件不存在或已过期' });
+      }
+
       const msgData = {
         text: message || '',
-        imageUrl: imageUrl || null,
+        imageUrl: scopedImageUrl,
+        attachment,
         sender: user.username,
         senderId: user.persistentId,
         senderAvatarId: user.avatarId ?? null,
         timestamp: new Date().toISOString(),
-        replyTo: replyTo || null
+        replyTo: replyTo ? {
+          ...replyTo,
+          imageUrl: replyTo.imageUrl ? await resolveScopedImageUrl(replyTo.imageUrl, 'dm', conversationId) : null
+        } : null
       };
       
       // 保存到数据库
       const msgId = await persistence.saveDMMessage(msgData, conversationId);
+      refreshLinkPreview('dm', conversationId, msgId, msgData.text);
       
       // 广播给会话中的所有参与者
-      const fullMsg = { ...msgData, id: msgId };
+      const fullMsg = presentMessage({ ...msgData, id: msgId });
       io.to(`dm:${conversationId}`).emit('receive_dm', {
         conversationId,
         message: fullMsg
@@ -1957,7 +4295,7 @@ io.on('connection', (socket) => {
       // 这里简化处理，让前端通过 dm_notification 更新未读数
       io.to(`dm:${conversationId}`).emit('dm_notification', {
         conversationId,
-        lastMessage: message || '[图片]',
+        lastMessage: messagePreview(msgData.text, msgData.imageUrl, msgData.attachment),
         timestamp: msgData.timestamp
       });
       
@@ -1966,27 +4304,21 @@ io.on('connection', (socket) => {
       console.error('Send DM error:', err);
       if (callback) callback({ success: false, error: 'Failed to send message' });
     }
-  });
+  }));
 
   // 15.5 查询用户在线状态
-  socket.on('check_user_online', (userId, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
-    
+  socket.on('check_user_online', guard(socket, 'user', (user, userId, callback) => {
     const online = isUserOnline(userId);
     if (callback) callback({ success: true, isOnline: online });
-  });
+  }));
 
   // 16. 进入私聊会话（加入房间 + 标记已读）
-  socket.on('enter_dm', async (conversationId, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
-    
+  socket.on('enter_dm', guard(socket, 'user', async (user, conversationId, callback) => {
     try {
+      // 只有会话双方可以进入（加入推送房间、读取历史和签名的图片地址）
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
       socket.join(`dm:${conversationId}`);
       await persistence.markDMMessagesAsRead(conversationId, user.persistentId);
       
@@ -1997,22 +4329,41 @@ io.on('connection', (socket) => {
         readByName: user.username
       });
       
-      const history = await persistence.getDMHistory(conversationId);
-      callback({ success: true, history });
+      const { history, hasMore } = await loadHistoryPage(
+        (limit) => persistence.getDMHistory(conversationId, limit),
+        HISTORY_PAGE_SIZE
+      );
+      callback({ success: true, history: history.map(presentMessage), hasMore });
     } catch (err) {
       console.error('Enter DM error:', err);
       callback({ success: false, error: 'Failed to enter DM' });
     }
-  });
+  }));
 
-  // 17. 标记私聊已读
-  socket.on('mark_dm_read', async (conversationId, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
+  // 16.5 加载私聊消息：参数同 load_room_history
+  socket.on('load_dm_history', guard(socket, 'user', async (user, { conversationId, ...paging } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback({ success: false, error: '会话不存在' });
+      }
+      const { history, hasMore, hasNewer } = await loadHistory(
+        (size, cursor) => persistence.getDMHistory(conversationId, size, cursor),
+        paging
+      );
+      callback({ success: true, history: history.map(presentMessage), hasMore, hasNewer });
+    } catch (err) {
+      console.error('Load DM history error:', err);
+      callback({ success: false, error: '加载消息失败' });
     }
-    
+  }));
+
+  // 17. 标记私聊已读
+  socket.on('mark_dm_read', guard(socket, 'user', async (user, conversationId, callback) => {
     try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
       await persistence.markDMMessagesAsRead(conversationId, user.persistentId);
       
       // 通知对方消息已被阅读
@@ -2027,33 +4378,32 @@ io.on('connection', (socket) => {
       console.error('Mark DM read error:', err);
       if (callback) callback({ success: false, error: 'Failed to mark as read' });
     }
-  });
-
-  // 18. 撤回私聊消息 (2分钟内可撤回自己的消息)
-  socket.on('recall_dm_message', async ({ messageId, conversationId }, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
+  }));
 
+  // 18. 撤回私聊消息（RECALL_WINDOW_MS 内可撤回自己的消息）
+  socket.on('recall_dm_message', guard(socket, 'user', async (user, { messageId, conversationId }, callback) => {
     try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
+
       // 获取消息验证权限
       const msg = await persistence.getDMMessage(messageId, conversationId);
       if (!msg) {
         return callback && callback({ success: false, error: '消息不存在' });
       }
 
-      // 检查是否是自己的消息或管理员
-      if (msg.sender_id !== user.persistentId && !user.isAdmin) {
+      // 自己的消息，或者有权管理发送者消息的管理员（私聊没有房间角色）
+      const moderating = can(null, user, 'moderate_messages', dmSender(msg));
+      if (msg.sender_id !== user.persistentId && !moderating) {
         return callback && callback({ success: false, error: '只能撤回自己的消息' });
       }
 
-      // 检查时间限制（2分钟内，管理员无限制）
+      // 检查时间限制（RECALL_WINDOW_MS 内，有管理权限时无限制）
       const msgTime = new Date(msg.timestamp).getTime();
       const now = Date.now();
-      const twoMinutes = 2 * 60 * 1000;
-      if (!user.isAdmin && (now - msgTime) > twoMinutes) {
-        return callback && callback({ success: false, error: '超过2分钟无法撤回' });
+      if (!moderating && (now - msgTime) > RECALL_WINDOW_MS) {
+        return callback && callback({ success: false, error: `超过${RECALL_WINDOW_TEXT}无法撤回` });
       }
 
       // 执行撤回
@@ -2066,32 +4416,85 @@ io.on('connection', (socket) => {
         recalledBy: user.username 
       });
 
+      if (msg.sender_id !== user.persistentId) {
+        audit(user, 'recall_message', {
+          target: msg.sender_name,
+          details: { messageId, conversationId, text: msg.message }
+        });
+      }
+
       if (callback) callback({ success: true });
       console.log(`DM message ${messageId} recalled by ${user.username}`);
     } catch (err) {
       console.error('Recall DM message error:', err);
       if (callback) callback({ success: false, error: '撤回失败' });
     }
-  });
+  }));
 
-  // 19. 删除私聊消息 (管理员可删除任何消息，普通用户可删除自己的已撤回消息)
-  socket.on('delete_dm_message', async ({ messageId, conversationId }, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
+  // 18.5 编辑私聊消息，规则同 edit_message
+  socket.on('edit_dm_message', guard(socket, 'user', async (user, { messageId, conversationId, text }, callback) => {
+    try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
+
+      const msg = await persistence.getDMMessage(messageId, conversationId);
+      const error = checkMessageEdit(msg, user, text);
+      if (error) {
+        return callback && callback({ success: false, error });
+      }
+
+      const editedAt = new Date().toISOString();
+      await persistence.editDMMessage(messageId, conversationId, text, msg.message, editedAt);
+
+      io.to(`dm:${conversationId}`).emit('message_edited', { messageId, conversationId, text, editedAt });
+      refreshLinkPreview('dm', conversationId, messageId, text, msg.message);
+
+      if (callback) callback({ success: true });
+      console.log(`DM message ${messageId} edited by ${user.username}`);
+    } catch (err) {
+      console.error('Edit DM message error:', err);
+      if (callback) callback({ success: false, error: '编辑失败' });
+    }
+  }));
+
+  // 18.6 私聊消息的编辑记录
+  socket.on('get_dm_message_edits', guard(socket, 'user', async (user, { messageId, conversationId }, callback) => {
+    try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
+      const msg = await persistence.getDMMessage(messageId, conversationId);
+      if (!msg || msg.recalled === 1) {
+        return callback && callback({ success: false, error: '消息不存在' });
+      }
+
+      const edits = await persistence.getMessageEdits('dm', messageId);
+      if (callback) callback({ success: true, edits });
+    } catch (err) {
+      console.error('Get DM message edits error:', err);
+      if (callback) callback({ success: false, error: '获取编辑记录失败' });
     }
+  }));
 
+  // 19. 删除私聊消息 (管理员可删除权限低于自己的用户的消息，普通用户可删除自己的已撤回消息)
+  socket.on('delete_dm_message', guard(socket, 'user', async (user, { messageId, conversationId }, callback) => {
     try {
+      if (!(await isScopeMember(user.persistentId, 'dm', conversationId))) {
+        return callback && callback({ success: false, error: '会话不存在' });
+      }
+
       // 获取消息验证权限
       const msg = await persistence.getDMMessage(messageId, conversationId);
       if (!msg) {
         return callback && callback({ success: false, error: '消息不存在' });
       }
 
-      // 权限检查：管理员可删除任何消息，普通用户只能删除自己的已撤回消息
+      // 权限检查：有管理权限可删除，普通用户只能删除自己的已撤回消息
+      const moderating = can(null, user, 'moderate_messages', dmSender(msg));
       const isOwner = msg.sender_id === user.persistentId;
       const isRecalled = msg.recalled === 1;
-      if (!user.isAdmin && !(isOwner && isRecalled)) {
+      if (!moderating && !(isOwner && isRecalled)) {
         return callback && callback({ success: false, error: '只能删除自己已撤回的消息' });
       }
 
@@ -2104,21 +4507,23 @@ io.on('connection', (socket) => {
       // 广播给会话中的所有人
       io.to(`dm:${conversationId}`).emit('dm_message_deleted', { messageId, conversationId });
 
+      if (!isOwner) {
+        audit(user, 'delete_message', {
+          target: msg.sender_name,
+          details: { messageId, conversationId, text: msg.message }
+        });
+      }
+
       if (callback) callback({ success: true });
       console.log(`DM message ${messageId} deleted by ${user.username}`);
     } catch (err) {
       console.error('Delete DM message error:', err);
       if (callback) callback({ success: false, error: '删除失败' });
     }
-  });
+  }));
 
   // 20. 删除整个私聊会话
-  socket.on('delete_conversation', async (conversationId, callback) => {
-    const user = users.get(socket.id);
-    if (!user) {
-      return callback && callback({ success: false, error: 'Not logged in' });
-    }
-
+  socket.on('delete_conversation', guard(socket, 'user', async (user, conversationId, callback) => {
     try {
       const deleted = await persistence.deleteConversation(conversationId, user.persistentId);
       if (!deleted) {
@@ -2134,7 +4539,103 @@ io.on('connection', (socket) => {
       console.error('Delete conversation error:', err);
       if (callback) callback({ success: false, error: '删除失败' });
     }
+  }));
+
+  // 21. 表情回应：房间消息传 { messageId, roomId, emoji }，私聊消息传 { messageId, conversationId, emoji }
+  // 变化后向房间 / 会话广播 reaction_updated，带上这条消息最新的全部回应
+  const handleReaction = (adding) => guard(socket, 'user', async (user, { messageId, roomId, conversationId, emoji } = {}, callback) => {
+    try {
+      const scopeType = roomId ? 'room' : 'dm';
+      const scopeId = roomId || conversationId;
+      // 消息 id 必须是整数：字符串 "123" 在数据库中也能查到消息，但按它保存和广播的表情对不上客户端中的消息
+      if (!Number.isInteger(messageId)) {
+        return callback && callback({ success: false, error: '消息不存在' });
+      }
+      if (!isReactionEmoji(emoji)) {
+        return callback && callback({ success: false, error: '无效的表情' });
+      }
+      if (!scopeId || (roomId && !rooms.has(roomId)) || !(await isScopeMember(user.persistentId, scopeType, scopeId))) {
+        return callback && callback({ success: false, error: roomId ? '房间不存在或你不是房间成员' : '会话不存在' });
+      }
+      if (roomId && adding && !can(rooms.get(roomId), user, 'send_message')) {
+        return callback && callback({ success: false, error: '你已被禁言' });
+      }
+
+      const msg = roomId
+        ? await persistence.getMessage(messageId, roomId)
+        : await persistence.getDMMessage(messageId, conversationId);
+      if (!msg) {
+        return callback && callback({ success: false, error: '消息不存在' });
+      }
+      if (msg.recalled === 1) {
+        return callback && callback({ success: false, error: '消息已撤回' });
+      }
+
+      if (adding) {
+        const existing = (await persistence.getReactions(scopeType, [messageId])).get(messageId) || [];
+        if (existing.length >= MAX_REACTION_EMOJIS && !existing.some(r => r.emoji === emoji)) {
+          return callback && callback({ success: false, error: `每条消息最多 ${MAX_REACTION_EMOJIS} 种表情` });
+        }
+        await persistence.addReaction(scopeType, messageId, user.persistentId, emoji);
+      } else {
+        await persistence.removeReaction(scopeType, messageId, user.persistentId, emoji);
+      }
+
+      const reactions = (await persistence.getReactions(scopeType, [messageId])).get(messageId) || [];
+      const target = roomId ? { roomId } : { conversationId };
+      io.to(roomId || `dm:${conversationId}`).emit('reaction_updated', { messageId, ...target, reactions });
+
+      if (callback) callback({ success: true, reactions });
+    } catch (err) {
+      console.error('Reaction error:', err);
+      if (callback) callback({ success: false, error: '操作失败' });
+    }
   });
+  socket.on('add_reaction', handleReaction(true));
+  socket.on('remove_reaction', handleReaction(false));
+
+  // 22. 提及我的消息（只包含仍在的房间），before 为当前列表最后一条的 id；同时返回未读数
+  socket.on('get_mentions', guard(socket, 'user', async (user, { before, limit } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      const [, cred] = findCredentialById(user.persistentId);
+      const roomIds = (cred?.joinedRooms || []).filter(roomId => rooms.has(roomId));
+      const size = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), MAX_HISTORY_PAGE_SIZE) : HISTORY_PAGE_SIZE;
+      const [rows, unreadCount] = await Promise.all([
+        persistence.getMentions(user.persistentId, roomIds, {
+          before: Number.isInteger(before) ? before : null,
+          limit: size + 1
+        }),
+        persistence.countUnreadMentions(user.persistentId, roomIds)
+      ]);
+      callback({
+        success: true,
+        mentions: rows.slice(0, size).map(({ roomId, message, ...mention }) => ({
+          ...mention,
+          type: 'room',
+          scopeId: roomId,
+          scopeName: rooms.get(roomId)?.name || roomId,
+          message: presentMessage(message)
+        })),
+        hasMore: rows.length > size,
+        unreadCount
+      });
+    } catch (err) {
+      console.error('Get mentions error:', err);
+      callback({ success: false, error: '加载提及失败' });
+    }
+  }));
+
+  // 22.1 把提及我的消息全部标为已读
+  socket.on('mark_mentions_read', guard(socket, 'user', async (user, callback) => {
+    try {
+      await persistence.markMentionsRead(user.persistentId);
+      if (callback) callback({ success: true });
+    } catch (err) {
+      console.error('Mark mentions read error:', err);
+      if (callback) callback({ success: false, error: '操作失败' });
+    }
+  }));
   
   // Cleanup on disconnect
   socket.on('disconnect', () => {
@@ -2192,11 +4693,26 @@ app.get('/{*splat}', (req, res) => {
   res.sendFile(path.join(__dirname, 'client', 'dist', 'index.html'));
 });
 
-cleanupOldImages();
-setInterval(cleanupOldImages, 24 * 60 * 60 * 1000);
-
-const PORT = 3001; // Hardcoded to avoid .env conflicts
-httpServer.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('SecretSpace backend is ready.');
+// 定期清理过期会话和登录失败记录
+setInterval(() => {
+  persistence.cleanupExpiredSessions().catch((err) => {
+    console.error('Failed to cleanup expired sessions', err);
+  });
+  persistence.cleanupLinkPreviewCache(Date.now() - LINK_PREVIEW_CACHE_TTL_MS).catch((err) => {
+    console.error('Failed to cleanup link preview cache', err);
+  });
+  loginThrottle.prune();
+  pruneTwoFactorChallenges();
+}, 60 * 60 * 1000);
+
+const PORT = config.port;
+// 数据库迁移和数据加载完成后再清理过期的上传文件（需要删除对应的数据库记录）并开始接受连接
+dataReady.then(() => {
+  cleanupOldUploads();
+  setInterval(cleanupOldUploads, 24 * 60 * 60 * 1000);
+
+  httpServer.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log('SecretSpace backend is ready.');
+  });
 });
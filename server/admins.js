@@ -0,0 +1,30 @@
+// 管理员账号配置（.env）
+// ADMIN_USERNAMES: 逗号分隔的用户名，服务启动时这些账号会被设为管理员
+// ADMIN_PASSWORD:  可选，列表中的账号还不存在时用它创建账号；未设置则跳过，避免用户名被他人抢注后获得管理员权限
+export function parseAdminUsernames(value) {
+  return (value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// credentials: Map<username, { isAdmin, ... }>
+export function countAdmins(credentials) {
+  let count = 0;
+  for (const cred of credentials.values()) {
+    if (cred.isAdmin) count++;
+  }
+  return count;
+}
+
+// 撤销管理员前的检查：返回错误信息，可以撤销时返回 null
+export function checkDemoteAdmin(credentials, username, configuredAdmins = []) {
+  const cred = credentials.get(username);
+  if (!cred) return '用户不存在';
+  if (!cred.isAdmin) return '该用户不是管理员';
+  if (configuredAdmins.includes(username)) {
+    return '该管理员由 ADMIN_USERNAMES 配置，请先修改环境变量';
+  }
+  if (countAdmins(credentials) <= 1) return '至少需要保留一个管理员';
+  return null;
+}
@@ -0,0 +1,153 @@
+// 文件附件（图片以外的文件）：按类型的大小上限、上传时的存储引擎、文件名清理和下载时的响应头
+// 附件保存在上传目录中，文件名为 file_<时间戳>_<随机串>，原始文件名、大小、类型和 sha256 记录在 attachments 表
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const ATTACHMENT_FILENAME_PATTERN = /^file_\d+_[a-z0-9]+$/;
+
+const MAX_NAME_LENGTH = 200;
+
+const extensionOf = (name) => {
+  const match = /\.([a-z0-9]{1,10})$/i.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+// 按类型的大小上限（MB），从上到下取第一条匹配的，都不匹配时用 DEFAULT_LIMIT
+// 类型由浏览器提供的 MIME 和扩展名判断，只用于限制大小，下载时不信任 MIME（见 getDownloadContentType）
+const TYPE_LIMITS = [
+  {
+    label: '文本文件',
+    maxMb: 10,
+    test: (mime, ext) => mime.startsWith('text/') ||
+      ['txt', 'log', 'md', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'ini', 'conf'].includes(ext)
+  },
+  {
+    label: '文档',
+    maxMb: 50,
+    test: (mime, ext) => mime === 'application/pdf' || mime.startsWith('application/vnd.openxmlformats') ||
+      mime.startsWith('application/vnd.ms-') || mime === 'application/msword' ||
+      ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'rtf'].includes(ext)
+  },
+  {
+    label: '压缩包',
+    maxMb: 100,
+    test: (mime, ext) => /^application\/(zip|x-zip-compressed|gzip|x-gzip|x-tar|x-7z-compressed|x-rar-compressed|vnd\.rar|x-bzip2|x-xz)$/.test(mime) ||
+      ['zip', 'gz', 'tgz', 'tar', '7z', 'rar', 'bz2', 'xz'].includes(ext)
+  },
+  {
+    label: '音视频',
+    maxMb: 100,
+    test: (mime) => mime.startsWith('audio/') || mime.startsWith('video/')
+  }
+];
+const DEFAULT_LIMIT = { label: '文件', maxMb: 20 };
+
+/**
+ * 文件的大小上限，不超过 FILE_UPLOAD_MAX_MB
+ * @param {string} mime
+ * @param {string} name
+ * @param {number} maxMb 全局上限（MB）
+ * @returns {{ label: string, maxMb: number, maxBytes: number }}
+ */
+export function getAttachmentLimit(mime, name, maxMb) {
+  const type = (mime || '').toLowerCase();
+  const { label, maxMb: typeMaxMb } = TYPE_LIMITS.find(limit => limit.test(type, extensionOf(name))) || DEFAULT_LIMIT;
+  const limitMb = Math.min(typeMaxMb, maxMb);
+  return { label, maxMb: limitMb, maxBytes: limitMb * 1024 * 1024 };
+}
+
+/**
+ * multer 存储引擎：把附件写入上传目录中的临时文件（tmp_ 开头），边写边统计大小和 sha256
+ * 超过该类型的大小上限时立即停止写入、删除临时文件，并以 code 为 ATTACHMENT_TOO_LARGE 的错误结束上传
+ * 成功时 req.file 带有 path、size、sha256
+ * @param {{ destination: string, maxMb: number }} options maxMb 为全局上限 FILE_UPLOAD_MAX_MB
+ */
+export function createAttachmentStorage({ destination, maxMb }) {
+  return {
+    _handleFile(req, file, cb) {
+      const limit = getAttachmentLimit(file.mimetype, normalizeAttachmentName(file.originalname), maxMb);
+      const tempPath = path.join(destination, `tmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+      const out = fs.createWriteStream(tempPath);
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      let done = false;
+
+      const fail = (err) => {
+        if (done) return;
+        done = true;
+        // 丢弃剩余的内容，让 multer 继续处理请求
+        file.stream.unpipe(out);
+        file.stream.resume();
+        // 等文件关闭后再删除（文件可能还没打开完）
+        out.once('close', () => fs.unlink(tempPath, () => cb(err)));
+        out.destroy();
+      };
+
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit.maxBytes) {
+          const err = new Error(`${limit.label}最大支持${limit.maxMb}MB`);
+          err.code = 'ATTACHMENT_TOO_LARGE';
+          return fail(err);
+        }
+        hash.update(chunk);
+      });
+      file.stream.on('error', fail);
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (done) return;
+        done = true;
+        cb(null, { path: tempPath, size, sha256: hash.digest('hex') });
+      });
+      file.stream.pipe(out);
+    },
+
+    _removeFile(req, file, cb) {
+      fs.unlink(file.path, () => cb(null));
+    }
+  };
+}
+
+/**
+ * 清理用户提供的文件名：去掉路径和控制字符，限制长度（保留扩展名）
+ * multer 按 latin1 解码文件名，浏览器发送的是 UTF-8，这里转回来
+ * @param {string} originalName multer 的 file.originalname
+ * @returns {string}
+ */
+export function normalizeAttachmentName(originalName) {
+  let name = Buffer.from(String(originalName || ''), 'latin1').toString('utf8');
+  if (name.includes('\uFFFD')) name = String(originalName || '');
+  name = name.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  if (!name || name === '.' || name === '..') return 'file';
+  if (name.length > MAX_NAME_LENGTH) {
+    const ext = extensionOf(name);
+    name = ext ? `${name.slice(0, MAX_NAME_LENGTH - ext.length - 1)}.${ext}` : name.slice(0, MAX_NAME_LENGTH);
+  }
+  return name;
+}
+
+// 浏览器可能直接执行或渲染的类型一律按二进制下载
+const UNSAFE_MIME_PATTERN = /html|xml|javascript|ecmascript|svg|x-sh|x-msdownload/i;
+
+/**
+ * 下载时使用的 Content-Type
+ * @param {string} mime
+ * @returns {string}
+ */
+export function getDownloadContentType(mime) {
+  if (typeof mime !== 'string' || !/^[\w.+-]+\/[\w.+-]+$/.test(mime) || UNSAFE_MIME_PATTERN.test(mime)) {
+    return 'application/octet-stream';
+  }
+  return mime;
+}
+
+/**
+ * 下载用的 Content-Disposition，附带 ASCII 回退文件名和 UTF-8 文件名
+ * @param {string} name
+ * @returns {string}
+ */
+export function getContentDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
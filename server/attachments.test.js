@@ -0,0 +1,93 @@
+/**
+ * 文件附件测试：按类型的大小上限，以及上传时边写边检查大小的存储引擎
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { finished } from 'stream/promises';
+import { getAttachmentLimit, createAttachmentStorage } from './attachments.js';
+
+const MB = 1024 * 1024;
+
+describe('getAttachmentLimit', () => {
+  it('按 MIME 或扩展名匹配类型', () => {
+    expect(getAttachmentLimit('text/plain', 'a.bin', 100)).toMatchObject({ label: '文本文件', maxMb: 10 });
+    expect(getAttachmentLimit('application/octet-stream', 'notes.MD', 100)).toMatchObject({ label: '文本文件' });
+    expect(getAttachmentLimit('application/pdf', 'a', 100)).toMatchObject({ label: '文档', maxMb: 50 });
+    expect(getAttachmentLimit('application/octet-stream', 'a.tgz', 100)).toMatchObject({ label: '压缩包', maxMb: 100 });
+    expect(getAttachmentLimit('application/x-unknown', 'a.bin', 100)).toMatchObject({ label: '文件', maxMb: 20 });
+  });
+
+  it('不超过全局上限', () => {
+    expect(getAttachmentLimit('video/mp4', 'a.mp4', 30)).toEqual({ label: '音视频', maxMb: 30, maxBytes: 30 * MB });
+  });
+});
+
+describe('createAttachmentStorage', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  // 模拟 multer 传入的文件：写入 chunks 后结束，返回存储引擎的回调结果
+  const handle = (storage, { mimetype, originalname, chunks }) => new Promise((resolve) => {
+    const stream = new PassThrough();
+    storage._handleFile({}, { mimetype, originalname, stream }, (err, info) => resolve({ err, info, stream }));
+    for (const chunk of chunks) stream.write(chunk);
+    stream.end();
+  });
+
+  it('写入临时文件，返回大小和 sha256', async () => {
+    const storage = createAttachmentStorage({ destination: dir, maxMb: 100 });
+    const { err, info } = await handle(storage, {
+      mimetype: 'text/plain',
+      originalname: 'a.txt',
+      chunks: [Buffer.from('hello '), Buffer.from('world')]
+    });
+
+    expect(err).toBeNull();
+    expect(path.dirname(info.path)).toBe(dir);
+    expect(path.basename(info.path)).toMatch(/^tmp_\d+_[a-z0-9]+$/);
+    expect(info.size).toBe(11);
+    expect(info.sha256).toBe(crypto.createHash('sha256').update('hello world').digest('hex'));
+    expect(await fs.promises.readFile(info.path, 'utf8')).toBe('hello world');
+
+    await new Promise(resolve => storage._removeFile({}, info, resolve));
+    expect(fs.existsSync(info.path)).toBe(false);
+  });
+
+  it('超过该类型的上限时中止，删除临时文件并消耗剩余内容', async () => {
+    const storage = createAttachmentStorage({ destination: dir, maxMb: 100 });
+    const chunk = Buffer.alloc(MB, 97);
+    const { err, stream } = await handle(storage, {
+      mimetype: 'text/plain',
+      originalname: 'big.log',
+      chunks: Array.from({ length: 12 }, () => chunk)
+    });
+
+    expect(err.code).toBe('ATTACHMENT_TOO_LARGE');
+    expect(err.message).toBe('文本文件最大支持10MB');
+    expect(await fs.promises.readdir(dir)).toEqual([]);
+    await finished(stream);
+  });
+
+  it('按全局上限计算，正好等于上限时允许', async () => {
+    const storage = createAttachmentStorage({ destination: dir, maxMb: 1 });
+    const ok = await handle(storage, { mimetype: 'application/zip', originalname: 'a.zip', chunks: [Buffer.alloc(MB)] });
+    expect(ok.err).toBeNull();
+    expect(ok.info.size).toBe(MB);
+
+    const tooLarge = await handle(storage, { mimetype: 'application/zip', originalname: 'b.zip', chunks: [Buffer.alloc(MB + 1)] });
+    expect(tooLarge.err.message).toBe('压缩包最大支持1MB');
+    expect(await fs.promises.readdir(dir)).toEqual([path.basename(ok.info.path)]);
+  });
+});
@@ -0,0 +1,307 @@
+// 数据备份、恢复和导出 / 导入（scripts/backup.js 使用）
+// 备份归档（.tar.gz）包含：
+//   manifest.json    格式、创建时间、数据库结构版本、图片数量
+//   database.sqlite  使用 SQLite 在线备份接口得到的一致快照，服务运行时也可以备份
+//   uploads/...      上传的图片和文件附件
+// 导出文件（.json）包含用户、房间、成员、通知、房间消息、私聊、图片和文件附件记录，用于迁移到另一台服务器
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import sqlite3 from 'sqlite3';
+import { pipeline } from 'stream/promises';
+import { writeTar, readTar } from './tar.js';
+
+export const BACKUP_FORMAT = 'secretspace-backup';
+export const EXPORT_FORMAT = 'secretspace-export';
+const FORMAT_VERSION = 1;
+
+const DB_FILENAME = 'database.sqlite';
+const UPLOADS_DIRNAME = 'uploads';
+// SQLite 可能留下的附属文件，恢复时和数据库一起移走
+const DB_SIDE_FILES = ['-journal', '-wal', '-shm'];
+
+// 导出的表，按导入顺序排列；sessions、邀请码、审计日志、链接预览缓存等只和当前服务器有关的数据不导出
+const EXPORT_TABLES = [
+  'users',
+  'rooms',
+  'room_members',
+  'room_banners',
+  'dm_conversations',
+  'messages',
+  'dm_messages',
+  'message_edits',
+  'message_reactions',
+  'mentions',
+  'uploads',
+  'attachments'
+];
+// 导出的设置（kv_store），sessionSecret 不导出，新服务器会重新生成
+const EXPORT_SETTINGS = ['registrationPolicy', 'adminTwoFactorRequired'];
+
+export const openDatabase = (file, mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(file, mode, (err) => (err ? reject(err) : resolve(db)));
+});
+
+export const closeDatabase = (db) => new Promise((resolve, reject) => {
+  db.close((err) => (err ? reject(err) : resolve()));
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const getSchemaVersion = async (db) => {
+  const [table] = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+  if (!table) return 0;
+  const [row] = await all(db, 'SELECT MAX(version) AS version FROM schema_version');
+  return row?.version || 0;
+};
+
+// 本地时间 YYYYMMDD-HHMMSS，用于文件名
+export const timestampForFilename = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// 用 SQLite 备份接口把正在使用的数据库复制到 destFile（其他连接同时写入时会自动重试）
+const snapshotDatabase = async (dbFile, destFile) => {
+  const db = await openDatabase(dbFile, sqlite3.OPEN_READONLY);
+  try {
+    await new Promise((resolve, reject) => {
+      const backup = db.backup(destFile, (err) => {
+        if (err) return reject(err);
+        backup.step(-1, (stepErr) => {
+          if (stepErr) return reject(stepErr);
+          backup.finish((finishErr) => (finishErr ? reject(finishErr) : resolve()));
+        });
+      });
+    });
+  } finally {
+    await closeDatabase(db);
+  }
+};
+
+const listUploads = async (uploadsDir) => {
+  const names = await fs.promises.readdir(uploadsDir).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+  const files = [];
+  for (const name of names.sort()) {
+    // 清理任务可能在备份过程中删除过期图片
+    const stat = await fs.promises.stat(path.join(uploadsDir, name)).catch(() => null);
+    if (stat?.isFile()) files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+  }
+  return files;
+};
+
+// 创建备份归档，返回 { file, manifest }
+export async function createBackup({ dataDir, outFile }) {
+  const dbFile = path.join(dataDir, DB_FILENAME);
+  if (!fs.existsSync(dbFile)) throw new Error(`Database ${dbFile} does not exist`);
+
+  await fs.promises.mkdir(path.dirname(outFile), { recursive: true });
+  const snapshotFile = `${outFile}.sqlite.tmp`;
+  try {
+    await snapshotDatabase(dbFile, snapshotFile);
+
+    const snapshot = await openDatabase(snapshotFile, sqlite3.OPEN_READONLY);
+    const schemaVersion = await getSchemaVersion(snapshot).finally(() => closeDatabase(snapshot));
+
+    const uploadsDir = path.join(dataDir, UPLOADS_DIRNAME);
+    const uploads = await listUploads(uploadsDir);
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      schemaVersion,
+      uploads: uploads.length
+    };
+
+    const manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+    const snapshotStat = await fs.promises.stat(snapshotFile);
+    async function* entries() {
+      yield { name: 'manifest.json', size: manifestData.length, content: manifestData };
+      yield {
+        name: DB_FILENAME,
+        size: snapshotStat.size,
+        content: () => fs.createReadStream(snapshotFile)
+      };
+      for (const upload of uploads) {
+        yield {
+          name: `${UPLOADS_DIRNAME}/${upload.name}`,
+          size: upload.size,
+          mtime: upload.mtime,
+          content: () => fs.createReadStream(path.join(uploadsDir, upload.name))
+        };
+      }
+    }
+
+    await pipeline(writeTar(entries()), zlib.createGzip(), fs.createWriteStream(outFile, { mode: 0o600 }));
+    return { file: outFile, manifest };
+  } catch (err) {
+    await fs.promises.rm(outFile, { force: true });
+    throw err;
+  } finally {
+    await fs.promises.rm(snapshotFile, { force: true });
+  }
+}
+
+// 归档中的文件名只允许 manifest.json、database.sqlite 和 uploads/<文件名>
+const resolveArchivePath = (name) => {
+  if (name === 'manifest.json' || name === DB_FILENAME) return name;
+  const [dir, file, ...rest] = name.split('/');
+  if (dir === UPLOADS_DIRNAME && file && rest.length === 0 && file !== '.' && file !== '..') {
+    return path.join(UPLOADS_DIRNAME, file);
+  }
+  return null;
+};
+
+// 把归档解压到 destDir 并校验，返回 manifest
+const extractBackup = async (archive, destDir, latestSchemaVersion) => {
+  await fs.promises.mkdir(path.join(destDir, UPLOADS_DIRNAME), { recursive: true });
+
+  let manifest = null;
+  let hasDatabase = false;
+  const source = fs.createReadStream(archive).pipe(zlib.createGunzip());
+  for await (const { name, data } of readTar(source)) {
+    if (!manifest) {
+      if (name !== 'manifest.json') throw new Error('Not a backup archive (manifest.json missing)');
+      manifest = JSON.parse(data.toString('utf8'));
+      if (manifest.format !== BACKUP_FORMAT || manifest.version !== FORMAT_VERSION) {
+        throw new Error('Not a backup archive or unsupported backup version');
+      }
+      if (manifest.schemaVersion > latestSchemaVersion) {
+        throw new Error(
+          `Backup schema version ${manifest.schemaVersion} is newer than this server supports (${latestSchemaVersion}). ` +
+          'Upgrade the server before restoring this backup.'
+        );
+      }
+      continue;
+    }
+
+    const relativePath = resolveArchivePath(name);
+    if (!relativePath) throw new Error(`Unexpected file in backup archive: ${name}`);
+    if (relativePath === DB_FILENAME) hasDatabase = true;
+    await fs.promises.writeFile(path.join(destDir, relativePath), data, { mode: 0o600 });
+  }
+  if (!manifest || !hasDatabase) throw new Error('Backup archive is incomplete (database.sqlite missing)');
+
+  const db = await openDatabase(path.join(destDir, DB_FILENAME), sqlite3.OPEN_READONLY);
+  try {
+    const [result] = await all(db, 'PRAGMA integrity_check');
+    if (result?.integrity_check !== 'ok') throw new Error('Database in backup archive is corrupted');
+  } finally {
+    await closeDatabase(db);
+  }
+  return manifest;
+};
+
+// 从备份归档恢复 dataDir 中的数据库和图片（服务必须已停止）
+// 当前的数据会先移到 dataDir/pre-restore-<时间>/，返回 { manifest, previousDir }
+export async function restoreBackup({ archive, dataDir, latestSchemaVersion }) {
+  await fs.promises.mkdir(dataDir, { recursive: true });
+  const stamp = timestampForFilename();
+  const stagingDir = path.join(dataDir, `.restore-${stamp}`);
+  const previousDir = path.join(dataDir, `pre-restore-${stamp}`);
+
+  let manifest;
+  try {
+    manifest = await extractBackup(archive, stagingDir, latestSchemaVersion);
+  } catch (err) {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    if (err.code === 'Z_DATA_ERROR') throw new Error('Not a backup archive (not gzip-compressed)');
+    throw err;
+  }
+
+  // 先移走当前数据，再把解压好的数据移到原位置（同一个目录下 rename 不会出现只复制了一半的情况）
+  await fs.promises.mkdir(previousDir);
+  const moveAway = [DB_FILENAME, ...DB_SIDE_FILES.map(suffix => DB_FILENAME + suffix), UPLOADS_DIRNAME];
+  for (const name of moveAway) {
+    if (fs.existsSync(path.join(dataDir, name))) {
+      await fs.promises.rename(path.join(dataDir, name), path.join(previousDir, name));
+    }
+  }
+  await fs.promises.rename(path.join(stagingDir, DB_FILENAME), path.join(dataDir, DB_FILENAME));
+  await fs.promises.rename(path.join(stagingDir, UPLOADS_DIRNAME), path.join(dataDir, UPLOADS_DIRNAME));
+  await fs.promises.rm(stagingDir, { recursive: true, force: true });
+
+  return { manifest, previousDir };
+}
+
+// 导出为可移植的 JSON：{ format, version, exportedAt, schemaVersion, settings, tables: { 表名: [行] } }
+export async function exportData(db) {
+  const schemaVersion = await getSchemaVersion(db);
+  const existing = new Set((await all(db, "SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name));
+
+  const tables = {};
+  for (const table of EXPORT_TABLES) {
+    if (!existing.has(table)) throw new Error(`Table "${table}" not found. Run "node scripts/migrate.js up" first.`);
+    tables[table] = await all(db, `SELECT * FROM ${table} ORDER BY rowid`);
+  }
+
+  const placeholders = EXPORT_SETTINGS.map(() => '?').join(', ');
+  const settingRows = await all(db, `SELECT key, value FROM kv_store WHERE key IN (${placeholders})`, EXPORT_SETTINGS);
+  const settings = Object.fromEntries(settingRows.map(row => [row.key, JSON.parse(row.value)]));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersion,
+    settings,
+    tables
+  };
+}
+
+// 把 exportData 的结果导入到已执行完迁移的空数据库，返回 { 表名: 行数 }
+// 只导入目标表中存在的列；消息 ID 保持不变，回复引用仍然有效
+export async function importData(db, dump, latestSchemaVersion) {
+  if (dump?.format !== EXPORT_FORMAT || dump.version !== FORMAT_VERSION || !dump.tables) {
+    throw new Error('Not an export file or unsupported export version');
+  }
+  if (dump.schemaVersion > latestSchemaVersion) {
+    throw new Error(
+      `Export schema version ${dump.schemaVersion} is newer than this server supports (${latestSchemaVersion}). ` +
+      'Upgrade the server before importing this file.'
+    );
+  }
+
+  for (const table of ['users', 'rooms', 'messages', 'dm_messages']) {
+    const [row] = await all(db, `SELECT COUNT(*) AS count FROM ${table}`);
+    if (row.count > 0) throw new Error(`Target database is not empty (table "${table}" has data). Import into a new data directory.`);
+  }
+
+  const counts = {};
+  await run(db, 'BEGIN IMMEDIATE');
+  try {
+    for (const table of EXPORT_TABLES) {
+      const rows = dump.tables[table] || [];
+      const columns = new Set((await all(db, `PRAGMA table_info(${table})`)).map(col => col.name));
+      for (const row of rows) {
+        const names = Object.keys(row).filter(name => columns.has(name));
+        await run(
+          db,
+          `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+          names.map(name => row[name])
+        );
+      }
+      counts[table] = rows.length;
+    }
+
+    for (const [key, value] of Object.entries(dump.settings || {})) {
+      if (!EXPORT_SETTINGS.includes(key)) continue;
+      await run(db, 'INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)', [key, JSON.stringify(value)]);
+    }
+    await run(db, 'COMMIT');
+  } catch (err) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+  return counts;
+}
@@ -0,0 +1,270 @@
+/**
+ * 备份测试：数据库和上传文件的备份 / 恢复往返，拒绝损坏或不是本程序生成的归档，以及 JSON 导出 / 导入
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { writeTar } from './tar.js';
+import { loadMigrations, migrate } from './migrations.js';
+import {
+  BACKUP_FORMAT,
+  createBackup,
+  restoreBackup,
+  exportData,
+  importData,
+  openDatabase,
+  closeDatabase
+} from './backup.js';
+
+const query = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const exec = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+let migrations;
+let latest;
+let tmp;
+
+// 在 dataDir 中创建执行完迁移的数据库，写入一个用户、一个房间和一条消息
+const seedDataDir = async (dataDir, username = 'alice') => {
+  await fs.promises.mkdir(path.join(dataDir, 'uploads'), { recursive: true });
+  const db = await openDatabase(path.join(dataDir, 'database.sqlite'));
+  try {
+    await migrate(db, migrations, { log: () => {} });
+    await exec(db, 'INSERT INTO users (id, username, password_hash, is_admin) VALUES (?, ?, ?, 0)', ['user-1', username, 'hash']);
+    await exec(db, 'INSERT INTO rooms (id, name, owner_id, created_at) VALUES (?, ?, ?, ?)', ['room-1', 'Lobby', 'user-1', '2025-01-01']);
+    await exec(
+      db,
+      'INSERT INTO messages (room_id, sender_id, sender_name, message, timestamp) VALUES (?, ?, ?, ?, ?)',
+      ['room-1', 'user-1', username, 'hello', '2025-01-01T00:00:00.000Z']
+    );
+    await exec(db, "INSERT INTO kv_store (key, value) VALUES ('registrationPolicy', '\"invite\"')");
+    await exec(db, "INSERT INTO kv_store (key, value) VALUES ('sessionSecret', '\"secret\"')");
+  } finally {
+    await closeDatabase(db);
+  }
+};
+
+const readUsernames = async (dataDir) => {
+  const db = await openDatabase(path.join(dataDir, 'database.sqlite'));
+  try {
+    return (await query(db, 'SELECT username FROM users ORDER BY id')).map(row => row.username);
+  } finally {
+    await closeDatabase(db);
+  }
+};
+
+// 用给定的条目生成 .tar.gz
+const writeArchive = async (file, entries) => {
+  const chunks = [];
+  for await (const chunk of writeTar(entries.map(([name, data]) => ({ name, size: data.length, content: data })))) {
+    chunks.push(chunk);
+  }
+  await fs.promises.writeFile(file, zlib.gzipSync(Buffer.concat(chunks)));
+};
+
+const manifestFor = (overrides = {}) => Buffer.from(JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: 1,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  schemaVersion: latest,
+  uploads: 0,
+  ...overrides
+}));
+
+beforeEach(async () => {
+  migrations ??= await loadMigrations();
+  latest = migrations.length;
+  tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'backup-test-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(tmp, { recursive: true, force: true });
+});
+
+describe('createBackup / restoreBackup', () => {
+  it('备份数据库和上传文件，恢复到另一个数据目录', async () => {
+    const source = path.join(tmp, 'source');
+    await seedDataDir(source);
+    const fileName = `file_${Date.now()}_k3j9x2.pdf`;
+    await fs.promises.writeFile(path.join(source, 'uploads', 'img_1_abc.webp'), Buffer.alloc(1300, 7));
+    await fs.promises.writeFile(path.join(source, 'uploads', fileName), '附件内容');
+
+    const outFile = path.join(tmp, 'backups', 'backup.tar.gz');
+    const { file, manifest } = await createBackup({ dataDir: source, outFile });
+    expect(file).toBe(outFile);
+    expect(manifest).toMatchObject({ format: BACKUP_FORMAT, version: 1, schemaVersion: latest, uploads: 2 });
+    // 快照临时文件已删除
+    expect(await fs.promises.readdir(path.dirname(outFile))).toEqual(['backup.tar.gz']);
+
+    // 恢复到已有数据的目录：原数据移到 pre-restore-*
+    const target = path.join(tmp, 'target');
+    await seedDataDir(target, 'bob');
+    await fs.promises.writeFile(path.join(target, 'uploads', 'old.webp'), 'old');
+
+    const result = await restoreBackup({ archive: outFile, dataDir: target, latestSchemaVersion: latest });
+    expect(result.manifest).toEqual(manifest);
+    expect(await readUsernames(target)).toEqual(['alice']);
+    expect((await fs.promises.readdir(path.join(target, 'uploads'))).sort()).toEqual([fileName, 'img_1_abc.webp'].sort());
+    expect(await fs.promises.readFile(path.join(target, 'uploads', fileName), 'utf8')).toBe('附件内容');
+    expect((await fs.promises.readFile(path.join(target, 'uploads', 'img_1_abc.webp'))).equals(Buffer.alloc(1300, 7))).toBe(true);
+
+    expect(path.dirname(result.previousDir)).toBe(target);
+    expect(await readUsernames(result.previousDir)).toEqual(['bob']);
+    expect(await fs.promises.readdir(path.join(result.previousDir, 'uploads'))).toEqual(['old.webp']);
+    // 没有留下解压用的临时目录
+    expect((await fs.promises.readdir(target)).filter(name => name.startsWith('.restore-'))).toEqual([]);
+  });
+
+  it('数据库不存在时报错，不留下归档', async () => {
+    const outFile = path.join(tmp, 'backup.tar.gz');
+    await expect(createBackup({ dataDir: path.join(tmp, 'missing'), outFile })).rejects.toThrow('does not exist');
+    expect(fs.existsSync(outFile)).toBe(false);
+  });
+
+  describe('拒绝无法恢复的归档，当前数据保持不变', () => {
+    let target;
+    const restore = (archive, latestSchemaVersion = latest) => restoreBackup({ archive, dataDir: target, latestSchemaVersion });
+
+    beforeEach(async () => {
+      target = path.join(tmp, 'target');
+      await seedDataDir(target, 'bob');
+    });
+
+    afterEach(async () => {
+      expect(await readUsernames(target)).toEqual(['bob']);
+      expect((await fs.promises.readdir(target)).sort()).toEqual(['database.sqlite', 'uploads']);
+    });
+
+    it('不是 gzip 文件', async () => {
+      const archive = path.join(tmp, 'plain.txt');
+      await fs.promises.writeFile(archive, 'hello, this is not an archive');
+      await expect(restore(archive)).rejects.toThrow('not gzip-compressed');
+    });
+
+    it('gzip 压缩但不是 tar', async () => {
+      const archive = path.join(tmp, 'not-tar.gz');
+      await fs.promises.writeFile(archive, zlib.gzipSync(Buffer.from('x'.repeat(2048))));
+      await expect(restore(archive)).rejects.toThrow('bad header checksum');
+    });
+
+    it('其他程序生成的 tar（没有 manifest.json）', async () => {
+      const archive = path.join(tmp, 'foreign.tar.gz');
+      await writeArchive(archive, [['README.md', Buffer.from('# hi')]]);
+      await expect(restore(archive)).rejects.toThrow('manifest.json missing');
+    });
+
+    it('manifest 的格式或版本不对', async () => {
+      const archive = path.join(tmp, 'other-format.tar.gz');
+      await writeArchive(archive, [['manifest.json', manifestFor({ format: 'other-app-backup' })]]);
+      await expect(restore(archive)).rejects.toThrow('unsupported backup version');
+
+      await writeArchive(archive, [['manifest.json', manifestFor({ version: 2 })]]);
+      await expect(restore(archive)).rejects.toThrow('unsupported backup version');
+    });
+
+    it('数据库结构版本比代码新', async () => {
+      const archive = path.join(tmp, 'newer.tar.gz');
+      await writeArchive(archive, [['manifest.json', manifestFor({ schemaVersion: latest + 1 })]]);
+      await expect(restore(archive)).rejects.toThrow(`Backup schema version ${latest + 1} is newer`);
+    });
+
+    it('包含预期以外的路径', async () => {
+      const archive = path.join(tmp, 'escape.tar.gz');
+      await writeArchive(archive, [['manifest.json', manifestFor()], ['uploads/../../evil', Buffer.from('x')]]);
+      await expect(restore(archive)).rejects.toThrow('Unexpected file in backup archive');
+      expect(fs.existsSync(path.join(tmp, 'evil'))).toBe(false);
+    });
+
+    it('缺少数据库', async () => {
+      const archive = path.join(tmp, 'no-db.tar.gz');
+      await writeArchive(archive, [['manifest.json', manifestFor()], ['uploads/img_1_a.webp', Buffer.from('x')]]);
+      await expect(restore(archive)).rejects.toThrow('database.sqlite missing');
+    });
+
+    it('数据库文件损坏', async () => {
+      const archive = path.join(tmp, 'bad-db.tar.gz');
+      await writeArchive(archive, [['manifest.json', manifestFor()], ['database.sqlite', Buffer.from('garbage'.repeat(200))]]);
+      await expect(restore(archive)).rejects.toThrow();
+    });
+
+    it('归档被截断', async () => {
+      const source = path.join(tmp, 'source');
+      await seedDataDir(source);
+      const full = path.join(tmp, 'full.tar.gz');
+      await createBackup({ dataDir: source, outFile: full });
+
+      const raw = zlib.gunzipSync(await fs.promises.readFile(full));
+      const archive = path.join(tmp, 'truncated.tar.gz');
+      await fs.promises.writeFile(archive, zlib.gzipSync(raw.subarray(0, 1024 + 700)));
+      await expect(restore(archive)).rejects.toThrow('Unexpected end of tar archive');
+
+      // gzip 数据本身被截断
+      const compressed = await fs.promises.readFile(full);
+      await fs.promises.writeFile(archive, compressed.subarray(0, Math.floor(compressed.length / 2)));
+      await expect(restore(archive)).rejects.toThrow();
+    });
+  });
+});
+
+describe('exportData / importData', () => {
+  it('导出后导入到新的数据库，sessionSecret 等本机数据不导出', async () => {
+    const source = path.join(tmp, 'source');
+    await seedDataDir(source);
+    const sourceDb = await openDatabase(path.join(source, 'database.sqlite'));
+    const dump = JSON.parse(JSON.stringify(await exportData(sourceDb).finally(() => closeDatabase(sourceDb))));
+    expect(dump).toMatchObject({ format: 'secretspace-export', version: 1, schemaVersion: latest });
+    expect(dump.settings).toEqual({ registrationPolicy: 'invite' });
+
+    const db = await openDatabase(path.join(tmp, 'new.sqlite'));
+    try {
+      await migrate(db, migrations, { log: () => {} });
+      const counts = await importData(db, dump, latest);
+      expect(counts).toMatchObject({ users: 1, rooms: 1, messages: 1, dm_messages: 0 });
+      expect(await query(db, 'SELECT id, sender_name, message FROM messages')).toEqual([{ id: 1, sender_name: 'alice', message: 'hello' }]);
+      expect(await query(db, 'SELECT key FROM kv_store ORDER BY key')).toEqual([{ key: 'registrationPolicy' }]);
+
+      // 目标数据库已有数据时拒绝导入
+      await expect(importData(db, dump, latest)).rejects.toThrow('Target database is not empty');
+    } finally {
+      await closeDatabase(db);
+    }
+  });
+
+  it('拒绝其他格式和更新的结构版本', async () => {
+    const db = await openDatabase(':memory:');
+    try {
+      await migrate(db, migrations, { log: () => {} });
+      await expect(importData(db, { format: 'other', version: 1, tables: {} }, latest)).rejects.toThrow('Not an export file');
+      await expect(importData(db, null, latest)).rejects.toThrow('Not an export file');
+      await expect(importData(db, { format: 'secretspace-export', version: 1, schemaVersion: latest + 1, tables: {} }, latest))
+        .rejects.toThrow('is newer than this server supports');
+    } finally {
+      await closeDatabase(db);
+    }
+  });
+
+  it('导入失败时整体回滚', async () => {
+    const db = await openDatabase(':memory:');
+    try {
+      await migrate(db, migrations, { log: () => {} });
+      const dump = {
+        format: 'secretspace-export',
+        version: 1,
+        schemaVersion: latest,
+        tables: {
+          users: [{ id: 'u1', username: 'same' }, { id: 'u2', username: 'same' }]
+        }
+      };
+      await expect(importData(db, dump, latest)).rejects.toThrow(/UNIQUE/);
+      expect(await query(db, 'SELECT COUNT(*) AS count FROM users')).toEqual([{ count: 0 }]);
+    } finally {
+      await closeDatabase(db);
+    }
+  });
+});
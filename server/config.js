@@ -0,0 +1,170 @@
+// 服务器配置：从环境变量（.env）和可选的配置文件读取，环境变量优先
+// 配置文件默认为项目根目录下的 config.json，可用 CONFIG_FILE 指定其他路径；文件中使用下表的 key
+//
+//   环境变量                key                  默认值   说明
+//   PORT                    port                 3001     监听端口
+//   DATA_DIR                dataDir              data     数据目录（数据库和上传的图片、文件），相对路径相对于项目根目录
+//   IMAGE_RETENTION_DAYS    imageRetentionDays   15       图片保留天数，超过后自动清理
+//   UPLOAD_MAX_MB           uploadMaxMb          20       单张图片上传大小上限（MB）
+//   FILE_UPLOAD_MAX_MB      fileUploadMaxMb      100      文件附件大小上限（MB），各类型另有更小的上限，见 server/attachments.js
+//   FILE_RETENTION_DAYS     fileRetentionDays    15       文件附件保留天数，超过后自动清理
+//   RECALL_WINDOW_SECONDS   recallWindowSeconds  120      发送后多久内可以撤回消息（有管理权限时不限）
+//   EDIT_WINDOW_SECONDS     editWindowSeconds    900      发送后多久内可以编辑自己的消息
+//   KICK_COOLDOWN_MINUTES   kickCooldownMinutes  5        被踢出房间后多久内不能重新加入
+//   HISTORY_CACHE_SIZE      historyCacheSize     100      进入房间时加载的消息条数，也是内存中每个房间缓存的条数
+//   HISTORY_PAGE_SIZE       historyPageSize      50       历史消息翻页的默认每页条数
+//   MAX_HISTORY_PAGE_SIZE   maxHistoryPageSize   100      客户端请求的单页条数上限
+//   CORS_ORIGIN             corsOrigin           *        允许的跨域来源，多个用逗号分隔
+//   LINK_PREVIEWS           linkPreviews         true     是否为消息中的链接抓取预览（服务器不能访问外网时可以关闭）
+//   LINK_PREVIEW_TIMEOUT_MS linkPreviewTimeoutMs 5000     抓取一个链接预览的超时时间（毫秒）
+//
+// 值不合法时 loadConfig 抛出错误，服务直接退出，不会带着错误的配置运行
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// 配置文件中的值可以是任意 JSON 类型，数组、对象等不能转成字符串后再解析（[5] 会变成 "5"）
+const scalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+const integer = (min, max) => (value) => {
+  const number = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : NaN);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const nonEmptyString = (value) => {
+  if (typeof value !== 'string') throw new Error('must be a string');
+  const text = value.trim();
+  if (!text) throw new Error('must not be empty');
+  return text;
+};
+
+const boolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (!scalar(value)) throw new Error('must be true or false');
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(text)) return true;
+  if (['false', '0', 'no', 'off'].includes(text)) return false;
+  throw new Error('must be true or false');
+};
+
+// "*" 表示允许所有来源，否则为来源列表
+const corsOrigins = (value) => {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : null);
+  if (!list || !list.every(origin => typeof origin === 'string')) {
+    throw new Error('must be a string or a list of origins');
+  }
+  const origins = list
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  if (origins.length === 0) throw new Error('must not be empty');
+  if (origins.includes('*')) return '*';
+  for (const origin of origins) {
+    if (!/^https?:\/\/[^/\s]+$/.test(origin)) {
+      throw new Error(`"${origin}" is not an origin like https://chat.example.com`);
+    }
+  }
+  return origins;
+};
+
+const OPTIONS = [
+  { key: 'port', env: 'PORT', default: 3001, parse: integer(1, 65535) },
+  { key: 'dataDir', env: 'DATA_DIR', default: 'data', parse: nonEmptyString },
+  { key: 'imageRetentionDays', env: 'IMAGE_RETENTION_DAYS', default: 15, parse: integer(1, 3650) },
+  { key: 'uploadMaxMb', env: 'UPLOAD_MAX_MB', default: 20, parse: integer(1, 100) },
+  { key: 'fileUploadMaxMb', env: 'FILE_UPLOAD_MAX_MB', default: 100, parse: integer(1, 1024) },
+  { key: 'fileRetentionDays', env: 'FILE_RETENTION_DAYS', default: 15, parse: integer(1, 3650) },
+  { key: 'recallWindowSeconds', env: 'RECALL_WINDOW_SECONDS', default: 120, parse: integer(1, 7 * 24 * 60 * 60) },
+  { key: 'editWindowSeconds', env: 'EDIT_WINDOW_SECONDS', default: 900, parse: integer(1, 7 * 24 * 60 * 60) },
+  { key: 'kickCooldownMinutes', env: 'KICK_COOLDOWN_MINUTES', default: 5, parse: integer(1, 7 * 24 * 60) },
+  { key: 'historyCacheSize', env: 'HISTORY_CACHE_SIZE', default: 100, parse: integer(10, 1000) },
+  { key: 'historyPageSize', env: 'HISTORY_PAGE_SIZE', default: 50, parse: integer(10, 500) },
+  { key: 'maxHistoryPageSize', env: 'MAX_HISTORY_PAGE_SIZE', default: 100, parse: integer(10, 1000) },
+  { key: 'corsOrigin', env: 'CORS_ORIGIN', default: '*', parse: corsOrigins },
+  { key: 'linkPreviews', env: 'LINK_PREVIEWS', default: true, parse: boolean },
+  { key: 'linkPreviewTimeoutMs', env: 'LINK_PREVIEW_TIMEOUT_MS', default: 5000, parse: integer(500, 60 * 1000) }
+];
+
+const readConfigFile = (file, required) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return {};
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  const unknown = Object.keys(values).filter(key => !OPTIONS.some(option => option.key === key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s) in config file ${file}: ${unknown.join(', ')}`);
+  }
+  return values;
+};
+
+// 读取并校验配置，返回冻结的配置对象；所有错误一次性列出
+export function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE
+    ? path.resolve(ROOT_DIR, env.CONFIG_FILE)
+    : path.join(ROOT_DIR, 'config.json');
+  const fileValues = readConfigFile(file, !!env.CONFIG_FILE);
+
+  const config = {};
+  const errors = [];
+  for (const option of OPTIONS) {
+    const fromEnv = env[option.env] !== undefined && env[option.env] !== '';
+    const raw = fromEnv ? env[option.env] : (fileValues[option.key] ?? option.default);
+    try {
+      config[option.key] = option.parse(raw);
+    } catch (err) {
+      const source = fromEnv ? option.env : `${option.key} in ${path.basename(file)}`;
+      errors.push(`${source} ${err.message} (got ${JSON.stringify(raw)})`);
+    }
+  }
+
+  if (errors.length === 0 && config.historyPageSize > config.maxHistoryPageSize) {
+    errors.push('HISTORY_PAGE_SIZE must not be larger than MAX_HISTORY_PAGE_SIZE');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+
+  config.dataDir = path.resolve(ROOT_DIR, config.dataDir);
+  return Object.freeze(config);
+}
+
+// 时长的中文描述（整分钟显示为分钟，否则显示为秒），服务端提示和界面共用
+export function formatDuration(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60}分钟` : `${seconds}秒`;
+}
+
+// 提供给客户端的配置（/api/config），只包含界面需要显示或遵守的限制
+// *Text 为格式化好的时长，界面直接显示，与服务端的提示一致
+export function getClientConfig(config) {
+  return {
+    uploadMaxBytes: config.uploadMaxMb * 1024 * 1024,
+    imageRetentionDays: config.imageRetentionDays,
+    fileUploadMaxBytes: config.fileUploadMaxMb * 1024 * 1024,
+    fileRetentionDays: config.fileRetentionDays,
+    recallWindowSeconds: config.recallWindowSeconds,
+    editWindowSeconds: config.editWindowSeconds,
+    kickCooldownMinutes: config.kickCooldownMinutes,
+    recallWindowText: formatDuration(config.recallWindowSeconds),
+    editWindowText: formatDuration(config.editWindowSeconds),
+    kickCooldownText: formatDuration(config.kickCooldownMinutes * 60),
+    historyPageSize: config.historyPageSize,
+    maxHistoryPageSize: config.maxHistoryPageSize
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * 配置测试：环境变量和配置文件中不合法的值让启动直接失败并指出是哪一项，
+ * 以及界面显示的时长文字和服务端提示使用同一个格式
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, getClientConfig, formatDuration } from './config.js';
+
+// 每个测试使用临时目录中的配置文件，不读取仓库根目录下的 config.json
+let dir;
+let configFile;
+
+const writeConfig = (values) => fs.writeFileSync(configFile, typeof values === 'string' ? values : JSON.stringify(values));
+const load = (env = {}) => loadConfig({ CONFIG_FILE: configFile, ...env });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  configFile = path.join(dir, 'config.json');
+  writeConfig({});
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadConfig', () => {
+  it('没有设置时使用默认值，返回冻结的对象', () => {
+    const config = load();
+    expect(config).toMatchObject({ port: 3001, recallWindowSeconds: 120, corsOrigin: '*', linkPreviews: true });
+    expect(path.isAbsolute(config.dataDir)).toBe(true);
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+
+  it('读取配置文件，环境变量优先', () => {
+    writeConfig({ port: 4000, recallWindowSeconds: 60, corsOrigin: ['https://a.example', 'https://b.example'] });
+    expect(load()).toMatchObject({ port: 4000, recallWindowSeconds: 60, corsOrigin: ['https://a.example', 'https://b.example'] });
+    expect(load({ PORT: ' 5000 ', LINK_PREVIEWS: 'off' })).toMatchObject({ port: 5000, recallWindowSeconds: 60, linkPreviews: false });
+    // 空的环境变量视为没有设置
+    expect(load({ PORT: '' }).port).toBe(4000);
+  });
+
+  it.each([
+    ['PORT', 'abc'],
+    ['PORT', '3001.5'],
+    ['UPLOAD_MAX_MB', '-1'],
+    ['UPLOAD_MAX_MB', '0'],
+    ['PORT', '70000'],
+    ['HISTORY_CACHE_SIZE', '5'],
+    ['LINK_PREVIEWS', 'maybe'],
+    ['CORS_ORIGIN', 'chat.example.com'],
+    ['DATA_DIR', '   ']
+  ])('环境变量 %s=%j 不合法时报错并指出变量名', (name, value) => {
+    expect(() => load({ [name]: value })).toThrow(new RegExp(`Invalid configuration:[\\s\\S]*\\b${name} `));
+  });
+
+  it.each([
+    ['port', 'abc'],
+    ['uploadMaxMb', -5],
+    ['recallWindowSeconds', 7 * 24 * 60 * 60 + 1],
+    ['port', {}],
+    ['kickCooldownMinutes', [5]],
+    ['linkPreviews', 'sometimes'],
+    ['corsOrigin', []],
+    ['corsOrigin', ['https://a.example', 1]],
+    ['dataDir', 5],
+    ['historyPageSize', true]
+  ])('配置文件中 %s=%j 不合法时报错并指出 key 和文件名', (key, value) => {
+    writeConfig({ [key]: value });
+    expect(() => load()).toThrow(`${key} in config.json`);
+  });
+
+  it('一次列出所有错误', () => {
+    writeConfig({ uploadMaxMb: 0 });
+    let message = '';
+    try {
+      load({ PORT: 'x', LINK_PREVIEWS: 'x' });
+    } catch (err) {
+      message = err.message;
+    }
+    expect(message).toContain('PORT must be an integer between 1 and 65535 (got "x")');
+    expect(message).toContain('LINK_PREVIEWS must be true or false');
+    expect(message).toContain('uploadMaxMb in config.json must be an integer between 1 and 100 (got 0)');
+  });
+
+  it('每页条数不能大于上限', () => {
+    expect(() => load({ HISTORY_PAGE_SIZE: '200', MAX_HISTORY_PAGE_SIZE: '100' }))
+      .toThrow('HISTORY_PAGE_SIZE must not be larger than MAX_HISTORY_PAGE_SIZE');
+  });
+
+  it('配置文件中的未知 key、不是 JSON 或不是对象时报错', () => {
+    writeConfig({ port: 3001, prot: 3002 });
+    expect(() => load()).toThrow('Unknown option(s) in config file');
+    expect(() => load()).toThrow('prot');
+
+    writeConfig('{ "port": 3001, }');
+    expect(() => load()).toThrow('is not valid JSON');
+
+    writeConfig('[1, 2]');
+    expect(() => load()).toThrow('must contain a JSON object');
+  });
+
+  it('CONFIG_FILE 指定的文件不存在时报错', () => {
+    expect(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') })).toThrow('Cannot read config file');
+  });
+});
+
+describe('formatDuration', () => {
+  it('整分钟显示为分钟，否则显示为秒', () => {
+    expect(formatDuration(120)).toBe('2分钟');
+    expect(formatDuration(60)).toBe('1分钟');
+    expect(formatDuration(90)).toBe('90秒');
+    expect(formatDuration(45)).toBe('45秒');
+  });
+});
+
+describe('getClientConfig', () => {
+  it('带有格式化好的撤回、编辑和踢出冷却时长', () => {
+    const config = load({ RECALL_WINDOW_SECONDS: '90', EDIT_WINDOW_SECONDS: '900', KICK_COOLDOWN_MINUTES: '5' });
+    expect(getClientConfig(config)).toMatchObject({
+      recallWindowSeconds: 90,
+      recallWindowText: '90秒',
+      editWindowSeconds: 900,
+      editWindowText: '15分钟',
+      kickCooldownMinutes: 5,
+      kickCooldownText: '5分钟'
+    });
+  });
+});
@@ -0,0 +1,281 @@
+// 链接预览：找出消息中的第一个链接，抓取页面的 Open Graph / <title> 元数据
+// - 抓取由可替换的 fetchPage(url) 完成，返回 { url: 最终地址, html } 或 null；测试时传入不联网的实现即可
+// - 默认的 createHttpFetcher 只请求公网地址：主机名解析到内网、回环、链路本地等地址时拒绝连接，
+//   每次重定向都重新检查；限制总超时和读取的字节数，只接受 HTML
+// - 结果（包括没有预览的链接）保存在缓存中，有效期内同一链接不再抓取
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_URL_LENGTH = 2048;
+const USER_AGENT = 'SecretSpaceLinkPreview/1.0 (+link preview bot)';
+
+// 成功的预览缓存一天，抓取失败或页面没有元数据的缓存一小时
+export const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+export const FAILURE_TTL_MS = 60 * 60 * 1000;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+// 不允许抓取的地址段
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * 是否为内网、回环、链路本地、组播等不允许抓取的地址（包括 IPv4 映射的 IPv6 地址）
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// 代码中的链接不预览；句末标点和不成对的右括号不算链接的一部分（与前端的链接识别一致）
+const URL_PATTERN = /https?:\/\/[^\s<>"'`，。！？；：、（）《》「」『』【】]+/g;
+
+/**
+ * 消息文本中的第一个 http(s) 链接，没有时返回 null
+ * @param {string} text
+ * @returns {string | null}
+ */
+export function extractFirstUrl(text) {
+  if (typeof text !== 'string' || !text) return null;
+  const withoutCode = text
+    .replace(/^\s{0,3}```[^\n]*\n[\s\S]*?(?:^\s{0,3}```[^\n]*$|(?![\s\S]))/gm, ' ')
+    .replace(/(`+)[\s\S]*?[^`]\1(?!`)/g, ' ');
+
+  for (const match of withoutCode.matchAll(URL_PATTERN)) {
+    let candidate = match[0].replace(/[.,;:!?'"]+$/, '');
+    if (candidate.endsWith(')') && (candidate.match(/\(/g) || []).length < (candidate.match(/\)/g) || []).length) {
+      candidate = candidate.slice(0, -1);
+    }
+    if (candidate.length > MAX_URL_LENGTH) continue;
+    try {
+      const url = new URL(candidate);
+      if (url.protocol === 'http:' || url.protocol === 'https:') return url.href;
+    } catch {
+      // 不是合法的地址，继续找下一个
+    }
+  }
+  return null;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const cleanText = (text, maxLength) => {
+  if (!text) return null;
+  const cleaned = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+  return cleaned.length > maxLength ? `${cleaned.slice(0, maxLength - 1)}…` : cleaned;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  for (const match of tag.matchAll(/([a-zA-Z:_-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+};
+
+/**
+ * 从 HTML 中取出预览信息，没有标题也没有描述时返回 null
+ * @param {string} html
+ * @param {string} pageUrl 页面的最终地址，用于补全相对的图片地址
+ * @returns {{ url: string, title: string | null, description: string | null, image: string | null, siteName: string } | null}
+ */
+export function parseMetadata(html, pageUrl) {
+  const meta = {};
+  for (const match of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attributes = parseAttributes(match[0]);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) meta[key] = attributes.content;
+  }
+  const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], MAX_TITLE_LENGTH);
+  const description = cleanText(
+    meta['og:description'] || meta['twitter:description'] || meta.description,
+    MAX_DESCRIPTION_LENGTH
+  );
+  if (!title && !description) return null;
+
+  let image = null;
+  const imageUrl = meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  if (imageUrl) {
+    try {
+      const resolved = new URL(decodeEntities(imageUrl.trim()), pageUrl);
+      if (resolved.protocol === 'https:' || resolved.protocol === 'http:') image = resolved.href;
+    } catch {
+      // 图片地址不合法时不显示图片
+    }
+  }
+
+  return {
+    url: pageUrl,
+    title,
+    description,
+    image,
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH) || new URL(pageUrl).hostname
+  };
+}
+
+// 替换 http(s) 请求的 DNS 解析：解析结果中有不允许的地址时直接报错，避免 DNS 重绑定绕过检查
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`Refusing to connect to private address for ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const charsetOf = (contentType) => /charset=["']?([\w-]+)/i.exec(contentType || '')?.[1]?.toLowerCase() || 'utf-8';
+
+const decodeBody = (buffer, charset) => {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+};
+
+/**
+ * 默认的页面抓取：返回 fetchPage(url)，结果为 { url, html } 或 null（不是 HTML 页面、状态码不是 200）
+ * 网络错误、超时、地址不允许时 reject
+ * @param {{ timeoutMs?: number, maxBytes?: number }} [options]
+ */
+export function createHttpFetcher({ timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const request = (url, signal) => new Promise((resolve, reject) => {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    // IP 地址形式的主机名不经过 DNS 解析，需要单独检查
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(new Error(`Refusing to fetch private address ${hostname}`));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: safeLookup,
+      signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+      }
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return resolve({ redirect: new URL(res.headers.location, url) });
+      }
+      const contentType = res.headers['content-type'] || '';
+      if (res.statusCode !== 200 || !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        res.resume();
+        return resolve(null);
+      }
+
+      // 元数据都在 <head> 中，读到 maxBytes 为止
+      const chunks = [];
+      let received = 0;
+      const finish = () => resolve({ html: decodeBody(Buffer.concat(chunks), charsetOf(contentType)) });
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received >= maxBytes) {
+          res.removeAllListeners('data');
+          res.destroy();
+          finish();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+  });
+
+  return async function fetchPage(pageUrl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      let url = new URL(pageUrl);
+      for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        const result = await request(url, controller.signal);
+        if (!result) return null;
+        if (!result.redirect) return { url: url.href, html: result.html };
+        url = result.redirect;
+      }
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * 带缓存的链接预览
+ * cache 为 { get(url) -> { preview, fetchedAt } | null, set(url, preview, fetchedAt) }（均可返回 Promise），
+ * preview 为 null 表示这个链接没有预览
+ */
+export class LinkPreviewer {
+  constructor({ fetchPage = createHttpFetcher(), cache, now = () => Date.now() }) {
+    this.fetchPage = fetchPage;
+    this.cache = cache;
+    this.now = now;
+    this.pending = new Map(); // url -> Promise，同一链接同时只抓取一次
+  }
+
+  // 返回链接的预览，没有预览时返回 null；抓取失败也返回 null，不会 reject
+  get(url) {
+    if (this.pending.has(url)) return this.pending.get(url);
+    const promise = this.load(url).finally(() => this.pending.delete(url));
+    this.pending.set(url, promise);
+    return promise;
+  }
+
+  async load(url) {
+    let preview = null;
+    try {
+      const cached = await this.cache.get(url);
+      if (cached) {
+        const ttl = cached.preview ? CACHE_TTL_MS : FAILURE_TTL_MS;
+        if (this.now() - cached.fetchedAt < ttl) return cached.preview;
+      }
+
+      try {
+        const page = await this.fetchPage(url);
+        // 图片地址相对于重定向后的页面，点击预览打开的是消息中的链接
+        const metadata = page && parseMetadata(page.html, page.url || url);
+        if (metadata) preview = { ...metadata, url };
+      } catch (err) {
+        console.warn(`Link preview for ${url} failed: ${err.message}`);
+      }
+      await this.cache.set(url, preview, this.now());
+    } catch (err) {
+      // 缓存读写失败时照常返回抓取结果（可能为 null）
+      console.warn(`Link preview cache for ${url} failed: ${err.message}`);
+    }
+    return preview;
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * 链接预览测试：地址过滤、链接提取、元数据解析，以及 LinkPreviewer 的缓存和并发去重
+ * 页面抓取使用假的 fetchPage，缓存使用内存 Map，不联网
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  isPrivateAddress,
+  extractFirstUrl,
+  parseMetadata,
+  createHttpFetcher,
+  LinkPreviewer,
+  CACHE_TTL_MS,
+  FAILURE_TTL_MS
+} from './linkPreview.js';
+
+const page = (head) => `<!doctype html><html><head>${head}</head><body></body></html>`;
+
+// 内存缓存，接口同 server.js 中的 link_previews 表
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    entries,
+    get: vi.fn(async (url) => entries.get(url) || null),
+    set: vi.fn(async (url, preview, fetchedAt) => { entries.set(url, { preview, fetchedAt }); })
+  };
+}
+
+describe('isPrivateAddress', () => {
+  it('拒绝内网、回环、链路本地和组播的 IPv4 地址', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+      '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255']) {
+      expect(isPrivateAddress(address), address).toBe(true);
+    }
+  });
+
+  it('拒绝回环、唯一本地、链路本地和组播的 IPv6 地址', () => {
+    for (const address of ['::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1']) {
+      expect(isPrivateAddress(address), address).toBe(true);
+    }
+  });
+
+  it('拒绝 IPv4 映射的 IPv6 内网地址', () => {
+    expect(isPrivateAddress('::ffff:127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:7f00:1')).toBe(true);
+    expect(isPrivateAddress('::ffff:192.168.0.10')).toBe(true);
+    expect(isPrivateAddress('::ffff:8.8.8.8')).toBe(false);
+  });
+
+  it('允许公网地址，不是 IP 的字符串一律拒绝', () => {
+    expect(isPrivateAddress('8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('172.32.0.1')).toBe(false);
+    expect(isPrivateAddress('2001:4860:4860::8888')).toBe(false);
+    expect(isPrivateAddress('localhost')).toBe(true);
+    expect(isPrivateAddress('')).toBe(true);
+  });
+});
+
+describe('extractFirstUrl', () => {
+  it('返回第一个 http(s) 链接', () => {
+    expect(extractFirstUrl('看看 https://example.com/a 和 http://example.org')).toBe('https://example.com/a');
+    expect(extractFirstUrl('ftp://example.com javascript:alert(1)')).toBeNull();
+    expect(extractFirstUrl('')).toBeNull();
+    expect(extractFirstUrl(null)).toBeNull();
+  });
+
+  it('跳过行内代码和代码块中的链接', () => {
+    expect(extractFirstUrl('`https://code.test` then https://real.test')).toBe('https://real.test/');
+    expect(extractFirstUrl('```\nhttps://block.test\n```\nhttps://after.test')).toBe('https://after.test/');
+    // 没有结束的代码块一直到文本末尾
+    expect(extractFirstUrl('```js\nfetch("https://block.test")')).toBeNull();
+  });
+
+  it('去掉句末标点，包括中文标点', () => {
+    expect(extractFirstUrl('see https://example.com/page.')).toBe('https://example.com/page');
+    expect(extractFirstUrl('really? https://example.com/x?!')).toBe('https://example.com/x');
+    expect(extractFirstUrl('链接：https://example.com/路径，后面的文字')).toBe('https://example.com/%E8%B7%AF%E5%BE%84');
+  });
+
+  it('不成对的右括号不算链接的一部分，成对的保留', () => {
+    expect(extractFirstUrl('(see https://example.com/x)')).toBe('https://example.com/x');
+    expect(extractFirstUrl('https://en.wikipedia.org/wiki/Foo_(bar)')).toBe('https://en.wikipedia.org/wiki/Foo_(bar)');
+  });
+
+  it('忽略过长的链接', () => {
+    expect(extractFirstUrl(`https://example.com/${'a'.repeat(2100)}`)).toBeNull();
+  });
+});
+
+describe('parseMetadata', () => {
+  it('优先使用 Open Graph，图片地址相对页面补全', () => {
+    const html = page(`
+      <title>Fallback</title>
+      <meta property="og:title" content="OG &amp; Title">
+      <meta property="og:description" content='Desc &#x4e2d;&#25991;'>
+      <meta property="og:image" content="/img/cover.png">
+      <meta property="og:site_name" content="Example Site">
+    `);
+    expect(parseMetadata(html, 'https://example.com/post/1')).toEqual({
+      url: 'https://example.com/post/1',
+      title: 'OG & Title',
+      description: 'Desc 中文',
+      image: 'https://example.com/img/cover.png',
+      siteName: 'Example Site'
+    });
+  });
+
+  it('没有 Open Graph 时使用 twitter 标签、<title> 和 description，站点名为主机名', () => {
+    const html = page(`
+      <title>  Page
+        Title </title>
+      <meta name="description" content="Plain description">
+      <meta name="twitter:image" content="https://cdn.example.com/t.jpg">
+    `);
+    expect(parseMetadata(html, 'https://www.example.com/')).toEqual({
+      url: 'https://www.example.com/',
+      title: 'Page Title',
+      description: 'Plain description',
+      image: 'https://cdn.example.com/t.jpg',
+      siteName: 'www.example.com'
+    });
+  });
+
+  it('只接受 http(s) 图片', () => {
+    const html = page('<meta property="og:title" content="T"><meta property="og:image" content="javascript:alert(1)">');
+    expect(parseMetadata(html, 'https://example.com/').image).toBeNull();
+  });
+
+  it('没有标题也没有描述时返回 null', () => {
+    expect(parseMetadata(page('<meta charset="utf-8">'), 'https://example.com/')).toBeNull();
+    expect(parseMetadata(page('<title>   </title>'), 'https://example.com/')).toBeNull();
+  });
+
+  it('截断过长的标题', () => {
+    const html = page(`<title>${'x'.repeat(500)}</title>`);
+    const { title } = parseMetadata(html, 'https://example.com/');
+    expect(title).toHaveLength(200);
+    expect(title.endsWith('…')).toBe(true);
+  });
+});
+
+describe('createHttpFetcher', () => {
+  it('直接拒绝 IP 形式的内网地址，不发出请求', async () => {
+    const fetchPage = createHttpFetcher({ timeoutMs: 1000 });
+    await expect(fetchPage('http://127.0.0.1:3001/')).rejects.toThrow(/private address/);
+    await expect(fetchPage('http://[::1]/')).rejects.toThrow(/private address/);
+    await expect(fetchPage('http://[::ffff:10.0.0.1]/')).rejects.toThrow(/private address/);
+  });
+
+  it('不抓取 http(s) 以外的地址', async () => {
+    const fetchPage = createHttpFetcher({ timeoutMs: 1000 });
+    await expect(fetchPage('file:///etc/passwd')).resolves.toBeNull();
+  });
+});
+
+describe('LinkPreviewer', () => {
+  const URL_A = 'https://example.com/a';
+  let now;
+  let cache;
+  let fetchPage;
+  let previewer;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    cache = createMemoryCache();
+    fetchPage = vi.fn(async (url) => ({ url, html: page('<title>Hello</title>') }));
+    previewer = new LinkPreviewer({ fetchPage, cache, now: () => now });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('抓取并缓存预览，预览地址为消息中的链接', async () => {
+    fetchPage.mockResolvedValueOnce({
+      url: 'https://example.com/redirected/',
+      html: page('<meta property="og:title" content="T"><meta property="og:image" content="cover.png">')
+    });
+    const preview = await previewer.get(URL_A);
+    expect(preview.url).toBe(URL_A);
+    expect(preview.image).toBe('https://example.com/redirected/cover.png');
+    expect(cache.entries.get(URL_A)).toEqual({ preview, fetchedAt: now });
+  });
+
+  it('有效期内使用缓存，过期后重新抓取', async () => {
+    await previewer.get(URL_A);
+    now += CACHE_TTL_MS - 1;
+    await previewer.get(URL_A);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+
+    now += 1;
+    await previewer.get(URL_A);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('没有预览的结果按失败有效期缓存', async () => {
+    fetchPage.mockResolvedValue(null);
+    expect(await previewer.get(URL_A)).toBeNull();
+    expect(cache.entries.get(URL_A)).toEqual({ preview: null, fetchedAt: now });
+
+    now += FAILURE_TTL_MS - 1;
+    expect(await previewer.get(URL_A)).toBeNull();
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+
+    now += 1;
+    await previewer.get(URL_A);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('抓取失败时返回 null 并按失败缓存', async () => {
+    fetchPage.mockRejectedValueOnce(new Error('timeout'));
+    await expect(previewer.get(URL_A)).resolves.toBeNull();
+    expect(cache.entries.get(URL_A)).toEqual({ preview: null, fetchedAt: now });
+  });
+
+  it('同一链接的并发请求只抓取一次', async () => {
+    let release;
+    fetchPage.mockImplementationOnce((url) => new Promise((resolve) => {
+      release = () => resolve({ url, html: page('<title>Once</title>') });
+    }));
+
+    const first = previewer.get(URL_A);
+    const second = previewer.get(URL_A);
+    expect(second).toBe(first);
+    await vi.waitFor(() => expect(release).toBeTypeOf('function'));
+    release();
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(a.title).toBe('Once');
+    expect(b).toBe(a);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+
+    // 完成后不再占用，过期后可以重新抓取
+    now += CACHE_TTL_MS;
+    await previewer.get(URL_A);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('缓存读取失败时返回 null，不会 reject', async () => {
+    cache.get.mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+    await expect(previewer.get(URL_A)).resolves.toBeNull();
+    expect(fetchPage).not.toHaveBeenCalled();
+  });
+
+  it('缓存写入失败时不会 reject，返回抓取结果', async () => {
+    cache.set.mockRejectedValueOnce(new Error('SQLITE_READONLY'));
+    const preview = await previewer.get(URL_A);
+    expect(preview.title).toBe('Hello');
+  });
+});
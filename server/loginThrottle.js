@@ -0,0 +1,108 @@
+// 登录防爆破：按用户名和 IP 分别记录失败次数
+// - 同一用户名每次失败后需要等待 BASE_DELAY_MS * 2^(失败次数-1) 才能再次尝试（指数退避）
+//   IP 只做锁定计数，不做退避，避免同一出口 IP 下的其他用户被连带拖慢
+// - 用户名连续失败 USER_MAX_FAILURES 次 / IP 失败 IP_MAX_FAILURES 次后锁定 LOCKOUT_MS
+// - 距离上次失败超过 RESET_AFTER_MS 后计数清零
+// 状态只保存在内存中，服务重启后清空
+export const USER_MAX_FAILURES = 5;
+export const IP_MAX_FAILURES = 20;
+export const LOCKOUT_MS = 15 * 60 * 1000;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+const RESET_AFTER_MS = 30 * 60 * 1000;
+
+export class LoginThrottle {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.entries = new Map(); // "user:<name>" | "ip:<addr>" -> { failures, lastFailureAt, lockedUntil }
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const now = this.now();
+    const stillLocked = entry.lockedUntil && entry.lockedUntil > now;
+    if (!stillLocked && now - entry.lastFailureAt > RESET_AFTER_MS) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // 检查是否允许尝试登录，返回 { allowed, locked, retryAfterMs }
+  check(keys) {
+    const now = this.now();
+    let retryAfterMs = 0;
+    let locked = false;
+
+    for (const key of keys) {
+      const entry = this.getEntry(key);
+      if (!entry) continue;
+
+      if (entry.lockedUntil && entry.lockedUntil > now) {
+        locked = true;
+        retryAfterMs = Math.max(retryAfterMs, entry.lockedUntil - now);
+        continue;
+      }
+
+      if (key.startsWith('ip:')) continue;
+      const delay = Math.min(BASE_DELAY_MS * 2 ** (entry.failures - 1), MAX_DELAY_MS);
+      retryAfterMs = Math.max(retryAfterMs, entry.lastFailureAt + delay - now);
+    }
+
+    return { allowed: retryAfterMs <= 0, locked, retryAfterMs: Math.max(retryAfterMs, 0) };
+  }
+
+  // 记录一次失败，达到上限时锁定
+  recordFailure(keys) {
+    const now = this.now();
+    for (const key of keys) {
+      const entry = this.getEntry(key) || { failures: 0, lastFailureAt: 0, lockedUntil: null };
+      // 锁定结束后重新计数
+      if (entry.lockedUntil && entry.lockedUntil <= now) {
+        entry.failures = 0;
+        entry.lockedUntil = null;
+      }
+
+      entry.failures += 1;
+      entry.lastFailureAt = now;
+      const maxFailures = key.startsWith('ip:') ? IP_MAX_FAILURES : USER_MAX_FAILURES;
+      if (entry.failures >= maxFailures) {
+        entry.lockedUntil = now + LOCKOUT_MS;
+      }
+      this.entries.set(key, entry);
+    }
+  }
+
+  reset(key) {
+    return this.entries.delete(key);
+  }
+
+  // 清理过期记录，避免大量随机用户名占用内存
+  prune() {
+    for (const key of [...this.entries.keys()]) {
+      this.getEntry(key);
+    }
+  }
+
+  // 当前处于锁定状态的用户名 / IP
+  listLocked() {
+    const now = this.now();
+    const locked = [];
+    for (const key of [...this.entries.keys()]) {
+      const entry = this.getEntry(key);
+      if (!entry || !entry.lockedUntil || entry.lockedUntil <= now) continue;
+
+      const separator = key.indexOf(':');
+      locked.push({
+        key,
+        type: key.slice(0, separator),
+        name: key.slice(separator + 1),
+        failures: entry.failures,
+        lockedUntil: entry.lockedUntil
+      });
+    }
+    return locked;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * 登录防爆破测试：用户名的指数退避、用户名和 IP 的锁定、解锁和计数清零
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LoginThrottle, USER_MAX_FAILURES, IP_MAX_FAILURES, LOCKOUT_MS } from './loginThrottle.js';
+
+const USER = 'user:alice';
+const IP = 'ip:203.0.113.7';
+const KEYS = [USER, IP];
+
+describe('LoginThrottle', () => {
+  let now;
+  let throttle;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    throttle = new LoginThrottle({ now: () => now });
+  });
+
+  it('没有失败记录时允许登录', () => {
+    expect(throttle.check(KEYS)).toEqual({ allowed: true, locked: false, retryAfterMs: 0 });
+  });
+
+  it('每次失败后等待时间翻倍', () => {
+    const waits = [];
+    for (let i = 0; i < USER_MAX_FAILURES - 1; i++) {
+      throttle.recordFailure(KEYS);
+      const { allowed, locked, retryAfterMs } = throttle.check(KEYS);
+      expect(allowed).toBe(false);
+      expect(locked).toBe(false);
+      waits.push(retryAfterMs);
+      now += retryAfterMs;
+      expect(throttle.check(KEYS).allowed).toBe(true);
+    }
+    expect(waits).toEqual([1000, 2000, 4000, 8000]);
+  });
+
+  it('等待时间随时间减少', () => {
+    throttle.recordFailure(KEYS);
+    throttle.recordFailure(KEYS);
+    now += 500;
+    expect(throttle.check(KEYS).retryAfterMs).toBe(1500);
+  });
+
+  it(`用户名连续失败 ${USER_MAX_FAILURES} 次后锁定`, () => {
+    for (let i = 0; i < USER_MAX_FAILURES; i++) throttle.recordFailure(KEYS);
+    expect(throttle.check(KEYS)).toEqual({ allowed: false, locked: true, retryAfterMs: LOCKOUT_MS });
+    expect(throttle.listLocked()).toEqual([
+      { key: USER, type: 'user', name: 'alice', failures: USER_MAX_FAILURES, lockedUntil: now + LOCKOUT_MS }
+    ]);
+
+    // 锁定只影响这个用户名，同一 IP 的其他用户名不受影响
+    expect(throttle.check(['user:bob', IP]).allowed).toBe(true);
+  });
+
+  it('锁定结束后可以再次尝试，再次失败时重新计数', () => {
+    for (let i = 0; i < USER_MAX_FAILURES; i++) throttle.recordFailure(KEYS);
+    now += LOCKOUT_MS - 1;
+    expect(throttle.check(KEYS).locked).toBe(true);
+
+    now += 1;
+    expect(throttle.check(KEYS)).toEqual({ allowed: true, locked: false, retryAfterMs: 0 });
+    expect(throttle.listLocked()).toEqual([]);
+
+    throttle.recordFailure(KEYS);
+    expect(throttle.check(KEYS)).toEqual({ allowed: false, locked: false, retryAfterMs: 1000 });
+    expect(throttle.entries.get(USER).failures).toBe(1);
+  });
+
+  it('管理员解锁（reset）后立即可以登录', () => {
+    for (let i = 0; i < USER_MAX_FAILURES; i++) throttle.recordFailure(KEYS);
+    expect(throttle.reset(USER)).toBe(true);
+    expect(throttle.check([USER]).allowed).toBe(true);
+    expect(throttle.reset(USER)).toBe(false);
+  });
+
+  it('IP 不做退避，只在失败过多时锁定', () => {
+    for (let i = 0; i < IP_MAX_FAILURES - 1; i++) {
+      throttle.recordFailure([`user:u${i}`, IP]);
+    }
+    expect(throttle.check([IP])).toEqual({ allowed: true, locked: false, retryAfterMs: 0 });
+
+    throttle.recordFailure(['user:last', IP]);
+    expect(throttle.check(['user:someone-else', IP])).toEqual({ allowed: false, locked: true, retryAfterMs: LOCKOUT_MS });
+    expect(throttle.listLocked().map(entry => entry.key)).toEqual([IP]);
+  });
+
+  it('距离上次失败超过 30 分钟后计数清零', () => {
+    for (let i = 0; i < USER_MAX_FAILURES - 1; i++) throttle.recordFailure(KEYS);
+    now += 30 * 60 * 1000 + 1;
+    expect(throttle.check(KEYS).allowed).toBe(true);
+    expect(throttle.entries.has(USER)).toBe(false);
+
+    throttle.recordFailure(KEYS);
+    expect(throttle.check(KEYS).retryAfterMs).toBe(1000);
+  });
+
+  it('prune 清理过期的记录，保留锁定中的记录', () => {
+    throttle.recordFailure(['user:old']);
+    now += 20 * 60 * 1000;
+    for (let i = 0; i < USER_MAX_FAILURES; i++) throttle.recordFailure([USER]);
+    now += 11 * 60 * 1000;
+
+    throttle.prune();
+    expect([...throttle.entries.keys()]).toEqual([USER]);
+  });
+});
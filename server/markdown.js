@@ -0,0 +1,50 @@
+// 消息文本是 Markdown 子集（粗体、斜体、行内代码、代码块、列表、引用、链接），由前端渲染
+// 服务端只需要去掉标记得到纯文本，用于通知和会话列表中的最后一条消息预览
+
+const FENCE_PATTERN = /^\s{0,3}```/;
+const INLINE_CODE_PATTERN = /(`+)([\s\S]*?[^`])\1(?!`)/g;
+
+// 只有 http / https / mailto 链接会被前端渲染成链接，其余写法前端原样显示，这里也保留；
+// 反斜杠转义的 * 和 _ 不作为强调标记
+const stripInline = (text) => text
+  .replace(/\[([^\]\n]+)\]\(\s*((?:https?|mailto):[^)\s]+)\s*\)/gi, '$1')
+  .replace(/(?<!\\)(\*\*|__)(?=\S)(.*?[^\s\\])\1/g, '$2')
+  .replace(/(^|[^*\w\\])\*(?=[^\s*])(.*?[^\s*\\])\*(?!\*)/g, '$1$2')
+  .replace(/(^|[^_\p{L}\p{N}\\])_(?=[^\s_])(.*?[^\s_\\])_(?![_\p{L}\p{N}])/gu, '$1$2')
+  .replace(/\\([\\`*_[\]()>#+\-.!~])/g, '$1');
+
+// 行内代码中的内容原样保留，其余部分去掉强调和链接标记
+const stripLine = (line) => {
+  let result = '';
+  let last = 0;
+  for (const match of line.matchAll(INLINE_CODE_PATTERN)) {
+    result += stripInline(line.slice(last, match.index)) + match[2];
+    last = match.index + match[0].length;
+  }
+  return result + stripInline(line.slice(last));
+};
+
+/**
+ * 去掉 Markdown 标记，换行合并为空格
+ * @param {string} text
+ * @returns {string}
+ */
+export function toPlainText(text) {
+  if (typeof text !== 'string' || !text) return '';
+  const lines = [];
+  let inFence = false;
+  for (const line of text.split(/\r\n?|\n/)) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      lines.push(line);
+      continue;
+    }
+    let quoteStripped = line;
+    while (/^\s{0,3}>/.test(quoteStripped)) quoteStripped = quoteStripped.replace(/^\s{0,3}> ?/, '');
+    lines.push(stripLine(quoteStripped.replace(/^\s{0,3}(?:[-*+]|\d{1,9}[.)])\s+/, '')));
+  }
+  return lines.join(' ').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,46 @@
+/**
+ * 通知和会话列表预览使用的纯文本转换测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toPlainText } from './markdown.js';
+
+describe('toPlainText', () => {
+  it('去掉强调、链接、引用和列表标记，换行合并为空格', () => {
+    expect(toPlainText('**Hi** _there_ [link](https://a.example)\n> quote\n- item\n2. second'))
+      .toBe('Hi there link quote item second');
+  });
+
+  it('行内代码和代码块中的内容原样保留', () => {
+    expect(toPlainText('run `*args*` now')).toBe('run *args* now');
+    expect(toPlainText('```js\nconst a = **b**;\n```\nafter')).toBe('const a = **b**; after');
+    // 没有结束标记的代码块延续到末尾
+    expect(toPlainText('```\n_x_')).toBe('_x_');
+  });
+
+  it('不安全的链接保留原文，与前端的显示一致', () => {
+    expect(toPlainText('[x](javascript:alert(1))')).toBe('[x](javascript:alert(1))');
+    expect(toPlainText('[x](data:text/html,hi)')).toBe('[x](data:text/html,hi)');
+    expect(toPlainText('[mail](mailto:a@b.example) [site](HTTPS://a.example)')).toBe('mail site');
+  });
+
+  it('snake_case 和算式中的符号不当作强调', () => {
+    expect(toPlainText('snake_case_name and 2*3*4')).toBe('snake_case_name and 2*3*4');
+  });
+
+  it('HTML 不做处理（预览作为纯文本显示）', () => {
+    expect(toPlainText('<b>hi</b>')).toBe('<b>hi</b>');
+  });
+
+  it('处理转义和多层引用', () => {
+    expect(toPlainText('\\*literal\\*')).toBe('*literal*');
+    expect(toPlainText('\\_x\\_ and \\*\\*b\\*\\*')).toBe('_x_ and **b**');
+    expect(toPlainText('> > > nested')).toBe('nested');
+  });
+
+  it('非字符串和空文本返回空字符串', () => {
+    expect(toPlainText('')).toBe('');
+    expect(toPlainText(null)).toBe('');
+    expect(toPlainText(undefined)).toBe('');
+  });
+});
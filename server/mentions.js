@@ -0,0 +1,49 @@
+// @提及的解析：从消息文本中找出 @用户名 和 @all / @here
+// 用户名规则与注册时相同（2-16 个字母、数字、下划线），前后不能紧挨着这些字符（例如邮箱地址不算提及）
+// resolveMentions 再对照房间成员和调用方给出的权限决定哪些提及生效
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_])@([a-zA-Z0-9_]{2,16})(?![a-zA-Z0-9_])/g;
+
+// 每条消息最多解析的不同用户名数
+export const MAX_MENTIONS = 20;
+
+// 返回 { usernames: [小写用户名，去重], all, here }
+export function parseMentions(text) {
+  const usernames = new Set();
+  let all = false;
+  let here = false;
+  if (typeof text !== 'string') return { usernames: [], all, here };
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const name = match[2].toLowerCase();
+    if (name === 'all') all = true;
+    else if (name === 'here') here = true;
+    else if (usernames.size < MAX_MENTIONS) usernames.add(name);
+  }
+  return { usernames: [...usernames], all, here };
+}
+
+// 把解析出的提及对应到房间成员，返回 { mentions: 生效的提及（账号用户名 / 'all' / 'here'），targets: Map<persistentId, kind> }
+// members 为 [{ username: 账号用户名, persistentId }]；按账号用户名匹配，管理员对外显示的“超级董事长”不是用户名，不能被 @
+// @all 提及全部成员，@here 提及 presentIds 中的成员，只有 canMentionAll 时生效，否则只当普通文字；不会提及自己
+export function resolveMentions(text, { members, senderId, canMentionAll = false, presentIds = new Set() }) {
+  const parsed = parseMentions(text);
+  const mentions = [];
+  const targets = new Map();
+
+  if ((parsed.all || parsed.here) && canMentionAll) {
+    if (parsed.all) mentions.push('all');
+    if (parsed.here) mentions.push('here');
+    for (const { persistentId } of members) {
+      if (parsed.all) targets.set(persistentId, 'all');
+      else if (presentIds.has(persistentId)) targets.set(persistentId, 'here');
+    }
+  }
+  for (const name of parsed.usernames) {
+    const member = members.find(m => m.username.toLowerCase() === name);
+    if (!member) continue;
+    mentions.push(member.username);
+    targets.set(member.persistentId, 'user');
+  }
+  targets.delete(senderId);
+  return { mentions, targets };
+}
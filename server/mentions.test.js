@@ -0,0 +1,96 @@
+/**
+ * @提及测试：用户名的边界（标点、中文、邮箱）、去重和数量上限，以及按账号用户名对应到房间成员、@all / @here 的权限
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseMentions, resolveMentions, MAX_MENTIONS } from './mentions.js';
+
+describe('parseMentions', () => {
+  it('标点和中文前后的 @ 都能识别', () => {
+    expect(parseMentions('@alice，你好').usernames).toEqual(['alice']);
+    expect(parseMentions('你好@bob_2看一下').usernames).toEqual(['bob_2']);
+    expect(parseMentions('(@carol), [@dave]! "@erin"?').usernames).toEqual(['carol', 'dave', 'erin']);
+    expect(parseMentions('第一行\n@frank\t@grace。').usernames).toEqual(['frank', 'grace']);
+  });
+
+  it('紧挨着字母、数字、下划线的 @ 不算提及', () => {
+    expect(parseMentions('mail me at alice@example.com').usernames).toEqual([]);
+    expect(parseMentions('a_@bob 1@carol').usernames).toEqual([]);
+    // 超过 16 个字符的不是用户名
+    expect(parseMentions(`@${'x'.repeat(17)}`).usernames).toEqual([]);
+    expect(parseMentions('@a @').usernames).toEqual([]);
+    expect(parseMentions('@超级董事长').usernames).toEqual([]);
+  });
+
+  it('转为小写并去重', () => {
+    expect(parseMentions('@Alice @alice @ALICE @bob').usernames).toEqual(['alice', 'bob']);
+  });
+
+  it('识别 @all / @here，不计入用户名', () => {
+    expect(parseMentions('@ALL 开会了 @here')).toEqual({ usernames: [], all: true, here: true });
+    expect(parseMentions('@allen @hereford')).toEqual({ usernames: ['allen', 'hereford'], all: false, here: false });
+  });
+
+  it(`最多解析 ${MAX_MENTIONS} 个不同的用户名`, () => {
+    const text = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}`).join(' ');
+    expect(parseMentions(text).usernames).toHaveLength(MAX_MENTIONS);
+  });
+
+  it('不是字符串时返回空结果', () => {
+    expect(parseMentions(undefined)).toEqual({ usernames: [], all: false, here: false });
+  });
+});
+
+describe('resolveMentions', () => {
+  // admin_1 是管理员，对外显示为“超级董事长”，成员列表中为账号用户名
+  const members = [
+    { username: 'Alice', persistentId: 'p-alice' },
+    { username: 'bob', persistentId: 'p-bob' },
+    { username: 'admin_1', persistentId: 'p-admin' }
+  ];
+  const resolve = (text, options = {}) => {
+    const { mentions, targets } = resolveMentions(text, { members, senderId: 'p-bob', ...options });
+    return { mentions, targets: Object.fromEntries(targets) };
+  };
+
+  it('按账号用户名匹配，不区分大小写，返回成员的用户名', () => {
+    expect(resolve('@alice 和 @ADMIN_1 看一下')).toEqual({
+      mentions: ['Alice', 'admin_1'],
+      targets: { 'p-alice': 'user', 'p-admin': 'user' }
+    });
+  });
+
+  it('管理员的显示名不能被 @', () => {
+    expect(resolve('@超级董事长 你好')).toEqual({ mentions: [], targets: {} });
+  });
+
+  it('忽略不是房间成员的用户名，重复的只算一次', () => {
+    expect(resolve('@nobody @alice @Alice')).toEqual({ mentions: ['Alice'], targets: { 'p-alice': 'user' } });
+  });
+
+  it('不会提及自己，但保留在 mentions 中用于显示', () => {
+    expect(resolve('@bob')).toEqual({ mentions: ['bob'], targets: {} });
+  });
+
+  it('没有权限时 @all / @here 只当普通文字', () => {
+    expect(resolve('@all @here')).toEqual({ mentions: [], targets: {} });
+  });
+
+  it('@all 提及全部成员，@here 只提及在房间里的成员', () => {
+    expect(resolve('@all', { canMentionAll: true })).toEqual({
+      mentions: ['all'],
+      targets: { 'p-alice': 'all', 'p-admin': 'all' }
+    });
+    expect(resolve('@here', { canMentionAll: true, presentIds: new Set(['p-admin', 'p-bob']) })).toEqual({
+      mentions: ['here'],
+      targets: { 'p-admin': 'here' }
+    });
+  });
+
+  it('同时 @all 和 @用户名时，单独提及的用户记为 user', () => {
+    expect(resolve('@all @alice', { canMentionAll: true })).toEqual({
+      mentions: ['all', 'Alice'],
+      targets: { 'p-alice': 'user', 'p-admin': 'all' }
+    });
+  });
+});
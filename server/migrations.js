@@ -0,0 +1,125 @@
+// 数据库结构迁移
+// server/migrations/ 下的文件按编号依次执行（001_initial_schema.js、002_xxx.js ...），编号从 1 开始连续递增
+// 每个文件导出：
+//   description: 一句话说明
+//   up(db):      执行迁移，db 提供 run(sql, params) / all(sql, params) / hasColumn(table, column)
+// 每个迁移在单独的事务中执行，成功后把版本号写入 schema_version；失败时回滚，后面的迁移不再执行
+// 已发布的迁移文件不要再修改，结构变化请新增一个文件
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const wrap = (db) => {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const hasColumn = async (table, column) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+  };
+  return { run, all, hasColumn };
+};
+
+// 读取迁移文件，返回按版本排序的 [{ version, name, id（文件名）, description, up }]
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.promises.readdir(dir)).filter(file => FILE_PATTERN.test(file)).sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, number, name] = file.match(FILE_PATTERN);
+    const version = Number(number);
+    if (version !== migrations.length + 1) {
+      throw new Error(`Migration ${file} is out of sequence, expected version ${migrations.length + 1}`);
+    }
+
+    const module = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export up()`);
+    }
+    migrations.push({ version, name, id: file.replace(/\.js$/, ''), description: module.description || '', up: module.up });
+  }
+  return migrations;
+}
+
+// 当前版本、代码支持的最新版本、已执行和待执行的迁移（只读，不会创建 schema_version）
+export async function getSchemaStatus(db, migrations) {
+  const { all } = wrap(db);
+  const [table] = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+  const applied = table
+    ? await all('SELECT version, name, applied_at AS appliedAt FROM schema_version ORDER BY version')
+    : [];
+
+  const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  return {
+    current,
+    latest,
+    applied,
+    pending: migrations.filter(migration => migration.version > current)
+  };
+}
+
+// 执行待执行的迁移，返回执行过的迁移列表
+// dryRun: 在同一个事务中试运行全部待执行的迁移后回滚，用于升级前检查
+// 数据库版本比代码新时（例如回滚了代码）拒绝执行，避免旧代码写坏新结构的数据
+export async function migrate(db, migrations, { dryRun = false, log = console.log } = {}) {
+  const status = await getSchemaStatus(db, migrations);
+  if (status.current > status.latest) {
+    throw new Error(
+      `Database schema version ${status.current} is newer than this server supports (${status.latest}). ` +
+      'Upgrade the server or restore a backup made with this version.'
+    );
+  }
+  if (status.pending.length === 0) return [];
+
+  const { run, all, hasColumn } = wrap(db);
+  const apply = async (migration) => {
+    await run(`CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )`);
+    try {
+      await migration.up({ run, all, hasColumn });
+    } catch (err) {
+      err.message = `Migration ${migration.id} failed: ${err.message}`;
+      throw err;
+    }
+    await run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [
+      migration.version,
+      migration.name,
+      Date.now()
+    ]);
+    log(`${dryRun ? '[dry-run] ' : ''}Applied migration ${migration.id}: ${migration.description}`);
+  };
+
+  if (dryRun) {
+    await run('BEGIN IMMEDIATE');
+    try {
+      for (const migration of status.pending) {
+        await apply(migration);
+      }
+    } finally {
+      await run('ROLLBACK');
+    }
+    return status.pending;
+  }
+
+  for (const migration of status.pending) {
+    await run('BEGIN IMMEDIATE');
+    try {
+      await apply(migration);
+      await run('COMMIT');
+    } catch (err) {
+      await run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  }
+  return status.pending;
+}
@@ -0,0 +1,210 @@
+/**
+ * 数据库迁移测试（内存 sqlite）：按事务执行、失败回滚、试运行和状态查询、拒绝比代码新的数据库
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { loadMigrations, getSchemaStatus, migrate } from './migrations.js';
+
+const query = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const tableNames = async (db) => (
+  await query(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+).map(row => row.name);
+
+const migration = (version, name, up) => ({
+  version,
+  name,
+  id: `${String(version).padStart(3, '0')}_${name}`,
+  description: name,
+  up
+});
+
+const createNotes = migration(1, 'create_notes', async (db) => {
+  await db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+  await db.run("INSERT INTO notes (body) VALUES ('first')");
+});
+const addPinned = migration(2, 'add_pinned', async (db) => {
+  if (!(await db.hasColumn('notes', 'pinned'))) {
+    await db.run('ALTER TABLE notes ADD COLUMN pinned INTEGER DEFAULT 0');
+  }
+});
+// 先成功执行一部分语句再失败，检查这部分也被回滚
+const failing = migration(3, 'broken', async (db) => {
+  await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY)');
+  await db.run("UPDATE notes SET body = 'changed'");
+  await db.run('INSERT INTO missing_table VALUES (1)');
+});
+
+describe('migrate', () => {
+  let db;
+  let logs;
+  const log = (line) => logs.push(line);
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    logs = [];
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => db.close(resolve));
+  });
+
+  it('依次执行待执行的迁移并记录版本，再次执行时什么都不做', async () => {
+    const applied = await migrate(db, [createNotes, addPinned], { log });
+    expect(applied.map(m => m.version)).toEqual([1, 2]);
+    expect(await tableNames(db)).toEqual(['notes', 'schema_version']);
+    expect(await query(db, 'SELECT body, pinned FROM notes')).toEqual([{ body: 'first', pinned: 0 }]);
+    expect(await query(db, 'SELECT version, name FROM schema_version ORDER BY version')).toEqual([
+      { version: 1, name: 'create_notes' },
+      { version: 2, name: 'add_pinned' }
+    ]);
+    expect(logs).toEqual(['Applied migration 001_create_notes: create_notes', 'Applied migration 002_add_pinned: add_pinned']);
+
+    expect(await migrate(db, [createNotes, addPinned], { log })).toEqual([]);
+    expect(logs).toHaveLength(2);
+  });
+
+  it('只执行比当前版本新的迁移', async () => {
+    await migrate(db, [createNotes], { log });
+    const applied = await migrate(db, [createNotes, addPinned], { log });
+    expect(applied.map(m => m.version)).toEqual([2]);
+    expect((await getSchemaStatus(db, [createNotes, addPinned])).current).toBe(2);
+  });
+
+  it('迁移失败时回滚这个迁移的全部修改，之前的迁移保留，之后的不再执行', async () => {
+    let ranAfterFailure = false;
+    const after = migration(4, 'after', async () => { ranAfterFailure = true; });
+
+    await expect(migrate(db, [createNotes, addPinned, failing, after], { log }))
+      .rejects.toThrow(/^Migration 003_broken failed: .*missing_table/);
+
+    expect(ranAfterFailure).toBe(false);
+    expect(await tableNames(db)).toEqual(['notes', 'schema_version']);
+    expect(await query(db, 'SELECT body FROM notes')).toEqual([{ body: 'first' }]);
+    const status = await getSchemaStatus(db, [createNotes, addPinned, failing, after]);
+    expect(status.current).toBe(2);
+    expect(status.pending.map(m => m.version)).toEqual([3, 4]);
+
+    // 回滚后连接不在事务中，修复迁移后可以继续执行
+    const fixed = migration(3, 'broken', async (db) => {
+      await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY)');
+    });
+    expect((await migrate(db, [createNotes, addPinned, fixed, after], { log })).map(m => m.version)).toEqual([3, 4]);
+    expect(ranAfterFailure).toBe(true);
+  });
+
+  it('试运行执行全部待执行的迁移后回滚，不创建任何表', async () => {
+    const applied = await migrate(db, [createNotes, addPinned], { dryRun: true, log });
+    expect(applied.map(m => m.version)).toEqual([1, 2]);
+    expect(logs.every(line => line.startsWith('[dry-run] '))).toBe(true);
+    expect(await tableNames(db)).toEqual([]);
+    expect((await getSchemaStatus(db, [createNotes, addPinned])).current).toBe(0);
+  });
+
+  it('试运行中失败时报错并回滚', async () => {
+    await migrate(db, [createNotes], { log });
+    await expect(migrate(db, [createNotes, addPinned, failing], { dryRun: true, log }))
+      .rejects.toThrow('Migration 003_broken failed');
+    expect(await tableNames(db)).toEqual(['notes', 'schema_version']);
+    expect(await query(db, 'SELECT body FROM notes')).toEqual([{ body: 'first' }]);
+    expect((await getSchemaStatus(db, [createNotes, addPinned])).current).toBe(1);
+  });
+
+  it('数据库版本比代码新时拒绝执行，也不修改数据库', async () => {
+    await migrate(db, [createNotes, addPinned], { log });
+    await expect(migrate(db, [createNotes], { log }))
+      .rejects.toThrow('Database schema version 2 is newer than this server supports (1)');
+    await expect(migrate(db, [createNotes], { dryRun: true, log })).rejects.toThrow('is newer than');
+    expect((await getSchemaStatus(db, [createNotes, addPinned])).current).toBe(2);
+  });
+});
+
+describe('getSchemaStatus', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => db.close(resolve));
+  });
+
+  it('新数据库：版本为 0，全部待执行，且不创建 schema_version', async () => {
+    const status = await getSchemaStatus(db, [createNotes, addPinned]);
+    expect(status).toMatchObject({ current: 0, latest: 2, applied: [] });
+    expect(status.pending.map(m => m.id)).toEqual(['001_create_notes', '002_add_pinned']);
+    expect(await tableNames(db)).toEqual([]);
+  });
+
+  it('列出已执行的迁移和执行时间', async () => {
+    const before = Date.now();
+    await migrate(db, [createNotes], { log: () => {} });
+    const status = await getSchemaStatus(db, [createNotes, addPinned]);
+    expect(status.current).toBe(1);
+    expect(status.applied).toHaveLength(1);
+    expect(status.applied[0]).toMatchObject({ version: 1, name: 'create_notes' });
+    expect(status.applied[0].appliedAt).toBeGreaterThanOrEqual(before);
+    expect(status.pending.map(m => m.version)).toEqual([2]);
+  });
+
+  it('没有迁移时最新版本为 0', async () => {
+    expect(await getSchemaStatus(db, [])).toMatchObject({ current: 0, latest: 0, pending: [] });
+  });
+});
+
+describe('loadMigrations', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'migrations-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  const write = (file, source) => fs.promises.writeFile(path.join(dir, file), source);
+
+  it('按编号排序读取，忽略不符合命名的文件', async () => {
+    await write('002_second.js', "export const description = 'Second';\nexport async function up() {}\n");
+    await write('001_first.js', 'export async function up() {}\n');
+    await write('README.md', '');
+    await write('helper.js', 'export const x = 1;\n');
+
+    const migrations = await loadMigrations(dir);
+    expect(migrations.map(({ version, name, id, description }) => ({ version, name, id, description }))).toEqual([
+      { version: 1, name: 'first', id: '001_first', description: '' },
+      { version: 2, name: 'second', id: '002_second', description: 'Second' }
+    ]);
+  });
+
+  it('编号不连续时报错', async () => {
+    await write('001_first.js', 'export async function up() {}\n');
+    await write('003_third.js', 'export async function up() {}\n');
+    await expect(loadMigrations(dir)).rejects.toThrow('Migration 003_third.js is out of sequence, expected version 2');
+  });
+
+  it('没有导出 up() 时报错', async () => {
+    await write('001_first.js', 'export const description = "no up";\n');
+    await expect(loadMigrations(dir)).rejects.toThrow('Migration 001_first.js does not export up()');
+  });
+
+  it('仓库中的迁移可以在空数据库上依次执行', async () => {
+    const db = new sqlite3.Database(':memory:');
+    try {
+      const migrations = await loadMigrations();
+      const applied = await migrate(db, migrations, { log: () => {} });
+      expect(applied.map(m => m.version)).toEqual(migrations.map((_, index) => index + 1));
+      expect((await getSchemaStatus(db, migrations)).pending).toEqual([]);
+    } finally {
+      await new Promise(resolve => db.close(resolve));
+    }
+  });
+});
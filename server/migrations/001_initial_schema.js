@@ -0,0 +1,113 @@
+// 引入迁移之前的表结构
+// 之前的版本在每次启动时用 CREATE TABLE IF NOT EXISTS / ALTER TABLE 建表，这里同样可以在已有数据库上重复执行
+export const description = 'Messages, DMs, sessions, uploads, invite codes and audit log';
+
+export async function up(db) {
+  // Key-Value store for configuration data
+  await db.run('CREATE TABLE IF NOT EXISTS kv_store (key TEXT PRIMARY KEY, value TEXT)');
+
+  // Messages table for persistent chat history
+  await db.run(`CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    sender_id TEXT NOT NULL,
+    sender_name TEXT NOT NULL,
+    message TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    reply_to_id TEXT,
+    reply_to_sender TEXT,
+    reply_to_text TEXT,
+    sender_avatar_id TEXT,
+    is_admin INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_room_timestamp ON messages(room_id, timestamp DESC)');
+
+  await db.run(`CREATE TABLE IF NOT EXISTS dm_conversations (
+    id TEXT PRIMARY KEY,
+    user1_id TEXT NOT NULL,
+    user2_id TEXT NOT NULL,
+    user1_name TEXT NOT NULL,
+    user2_name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS dm_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    sender_id TEXT NOT NULL,
+    sender_name TEXT NOT NULL,
+    message TEXT,
+    image_url TEXT,
+    timestamp TEXT NOT NULL,
+    reply_to_id TEXT,
+    reply_to_sender TEXT,
+    reply_to_text TEXT,
+    sender_avatar_id TEXT,
+    is_read INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES dm_conversations(id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_dm_conversation ON dm_messages(conversation_id, timestamp DESC)');
+
+  // 后来加入的列：图片消息、撤回、回复图片
+  const addedColumns = [
+    ['messages', 'image_url', 'TEXT'],
+    ['messages', 'recalled', 'INTEGER DEFAULT 0'],
+    ['dm_messages', 'recalled', 'INTEGER DEFAULT 0'],
+    ['messages', 'reply_to_image_url', 'TEXT'],
+    ['dm_messages', 'reply_to_image_url', 'TEXT']
+  ];
+  for (const [table, column, definition] of addedColumns) {
+    if (!(await db.hasColumn(table, column))) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  // 登录会话表（令牌只保存 sid，可随时吊销）
+  await db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    last_used_at INTEGER
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+
+  // 上传文件记录：上传者以及所属的房间 / 私聊会话（用于下载鉴权）
+  await db.run(`CREATE TABLE IF NOT EXISTS uploads (
+    filename TEXT PRIMARY KEY,
+    uploader_id TEXT NOT NULL,
+    scope_type TEXT NOT NULL,
+    scope_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // 注册邀请码
+  await db.run(`CREATE TABLE IF NOT EXISTS invite_codes (
+    code TEXT PRIMARY KEY,
+    created_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER,
+    max_uses INTEGER NOT NULL DEFAULT 1,
+    uses INTEGER NOT NULL DEFAULT 0,
+    revoked INTEGER NOT NULL DEFAULT 0
+  )`);
+
+  // 审计日志：管理员 / 房主 / 协管的特权操作
+  await db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id TEXT NOT NULL,
+    actor_name TEXT NOT NULL,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    target TEXT,
+    room_id TEXT,
+    room_name TEXT,
+    details TEXT,
+    created_at INTEGER NOT NULL
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at DESC)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action, created_at DESC)');
+}
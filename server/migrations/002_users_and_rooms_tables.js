@@ -0,0 +1,125 @@
+// 用户、房间、成员、通知和踢出记录改为独立的表
+// 旧版本每 10 秒把 rooms / userCredentials / roomBanners / kickedUsers 四个 Map 整体序列化写入 kv_store，
+// 这里把它们导入对应的表并删除旧数据
+export const description = 'Users, rooms, room members, banners and kicks tables; import kv_store blobs';
+
+const LEGACY_KEYS = ['rooms', 'userCredentials', 'roomBanners', 'kickedUsers', 'messageHistory'];
+
+export async function up(db) {
+  // legacy_password 为旧版明文密码，登录成功后升级为 password_hash 并清空
+  await db.run(`CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT,
+    legacy_password TEXT,
+    is_admin INTEGER NOT NULL DEFAULT 0,
+    avatar_id TEXT,
+    totp TEXT
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS rooms (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_id TEXT,
+    created_at TEXT
+  )`);
+
+  // 房间成员以及协管 / 禁言状态（房主记录在 rooms.owner_id）
+  await db.run(`CREATE TABLE IF NOT EXISTS room_members (
+    room_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    is_moderator INTEGER NOT NULL DEFAULT 0,
+    is_muted INTEGER NOT NULL DEFAULT 0,
+    joined_at INTEGER NOT NULL,
+    PRIMARY KEY (room_id, user_id)
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_room_members_user ON room_members(user_id)');
+
+  await db.run(`CREATE TABLE IF NOT EXISTS room_banners (
+    room_id TEXT PRIMARY KEY,
+    message TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT
+  )`);
+
+  // 被踢出房间的时间（5 分钟内不能重新加入）
+  await db.run(`CREATE TABLE IF NOT EXISTS room_kicks (
+    room_id TEXT NOT NULL,
+    username TEXT NOT NULL,
+    kicked_at INTEGER NOT NULL,
+    PRIMARY KEY (room_id, username)
+  )`);
+
+  const placeholders = LEGACY_KEYS.map(() => '?').join(', ');
+  const rows = await db.all(`SELECT key, value FROM kv_store WHERE key IN (${placeholders})`, LEGACY_KEYS);
+  if (rows.length === 0) return;
+
+  // messageHistory 早已改存 messages 表，直接删除
+  const legacy = {};
+  rows.forEach(row => {
+    if (row.key !== 'messageHistory') legacy[row.key] = new Map(JSON.parse(row.value));
+  });
+  const legacyRooms = legacy.rooms || new Map();
+  const legacyCredentials = legacy.userCredentials || new Map();
+  const now = Date.now();
+
+  for (const [username, cred] of legacyCredentials) {
+    await db.run(
+      `INSERT INTO users (id, username, password_hash, legacy_password, is_admin, avatar_id, totp) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        cred.persistentId,
+        username,
+        cred.passwordHash ?? null,
+        typeof cred.password === 'string' ? cred.password : null,
+        cred.isAdmin ? 1 : 0,
+        cred.avatarId ?? null,
+        cred.totp ? JSON.stringify(cred.totp) : null
+      ]
+    );
+  }
+
+  // 成员关系来自用户的 joinedRooms，角色来自房间的 moderators / mutedUsers；已解散房间的成员记录不再导入
+  const members = new Map(); // "roomId:userId" -> { roomId, userId, isModerator, isMuted }
+  const memberOf = (roomId, userId) => {
+    const key = `${roomId}:${userId}`;
+    if (!members.has(key)) members.set(key, { roomId, userId, isModerator: false, isMuted: false });
+    return members.get(key);
+  };
+  for (const cred of legacyCredentials.values()) {
+    (cred.joinedRooms || []).forEach(roomId => {
+      if (legacyRooms.has(roomId)) memberOf(roomId, cred.persistentId);
+    });
+  }
+  for (const room of legacyRooms.values()) {
+    await db.run(
+      `INSERT INTO rooms (id, name, owner_id, created_at) VALUES (?, ?, ?, ?)`,
+      [room.id, room.name, room.ownerId ?? null, room.createdAt ?? null]
+    );
+    (room.moderators || []).forEach(userId => { memberOf(room.id, userId).isModerator = true; });
+    (room.mutedUsers || []).forEach(userId => { memberOf(room.id, userId).isMuted = true; });
+  }
+  for (const member of members.values()) {
+    await db.run(
+      `INSERT INTO room_members (room_id, user_id, is_moderator, is_muted, joined_at) VALUES (?, ?, ?, ?, ?)`,
+      [member.roomId, member.userId, member.isModerator ? 1 : 0, member.isMuted ? 1 : 0, now]
+    );
+  }
+
+  for (const [roomId, banner] of legacy.roomBanners || []) {
+    if (!legacyRooms.has(roomId)) continue;
+    await db.run(
+      `INSERT INTO room_banners (room_id, message, created_by, created_at) VALUES (?, ?, ?, ?)`,
+      [roomId, banner.message, banner.createdBy ?? null, banner.createdAt ?? null]
+    );
+  }
+  for (const [key, kickedAt] of legacy.kickedUsers || []) {
+    const separator = key.indexOf(':');
+    await db.run(
+      `INSERT OR REPLACE INTO room_kicks (room_id, username, kicked_at) VALUES (?, ?, ?)`,
+      [key.slice(0, separator), key.slice(separator + 1), kickedAt]
+    );
+  }
+
+  await db.run(`DELETE FROM kv_store WHERE key IN (${placeholders})`, LEGACY_KEYS);
+  console.log(`Imported kv_store data: ${legacyCredentials.size} users, ${legacyRooms.size} rooms.`);
+}
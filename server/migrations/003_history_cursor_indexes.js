@@ -0,0 +1,7 @@
+// 历史消息改为按 id 翻页（WHERE id < 游标 ORDER BY id DESC），为房间和私聊消息建立对应的索引
+export const description = 'Indexes for id-based history paging of room and DM messages';
+
+export async function up(db) {
+  await db.run('CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages(room_id, id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_dm_messages_conversation_id ON dm_messages(conversation_id, id)');
+}
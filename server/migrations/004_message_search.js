@@ -0,0 +1,41 @@
+// 消息全文搜索：为房间消息和私聊消息建立 FTS5 索引
+// 使用 trigram 分词，中文等没有空格分隔的文本也能按子串搜索
+// 索引只包含未撤回的消息，由触发器在插入、撤回、编辑和删除时同步
+export const description = 'FTS5 full-text index over room and DM messages';
+
+const createIndex = async (db, table, ftsTable) => {
+  await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${ftsTable} USING fts5(
+    message,
+    content = '${table}',
+    content_rowid = 'id',
+    tokenize = 'trigram'
+  )`);
+
+  await db.run(`CREATE TRIGGER IF NOT EXISTS ${ftsTable}_insert AFTER INSERT ON ${table}
+    WHEN COALESCE(new.recalled, 0) = 0
+    BEGIN
+      INSERT INTO ${ftsTable}(rowid, message) VALUES (new.id, new.message);
+    END`);
+
+  await db.run(`CREATE TRIGGER IF NOT EXISTS ${ftsTable}_delete AFTER DELETE ON ${table}
+    WHEN COALESCE(old.recalled, 0) = 0
+    BEGIN
+      INSERT INTO ${ftsTable}(${ftsTable}, rowid, message) VALUES ('delete', old.id, old.message);
+    END`);
+
+  await db.run(`CREATE TRIGGER IF NOT EXISTS ${ftsTable}_update AFTER UPDATE OF message, recalled ON ${table}
+    BEGIN
+      INSERT INTO ${ftsTable}(${ftsTable}, rowid, message)
+        SELECT 'delete', old.id, old.message WHERE COALESCE(old.recalled, 0) = 0;
+      INSERT INTO ${ftsTable}(rowid, message)
+        SELECT new.id, new.message WHERE COALESCE(new.recalled, 0) = 0;
+    END`);
+
+  await db.run(`INSERT INTO ${ftsTable}(rowid, message)
+    SELECT id, message FROM ${table} WHERE COALESCE(recalled, 0) = 0`);
+};
+
+export async function up(db) {
+  await createIndex(db, 'messages', 'messages_fts');
+  await createIndex(db, 'dm_messages', 'dm_messages_fts');
+}
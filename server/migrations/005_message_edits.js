@@ -0,0 +1,27 @@
+// 消息编辑：消息表记录最后编辑时间，编辑前的内容保存在 message_edits 中
+// scope_type 为 'room'（messages）或 'dm'（dm_messages），消息被删除时由触发器一并删除编辑记录
+export const description = 'Message edit history and edited_at columns';
+
+export async function up(db) {
+  for (const table of ['messages', 'dm_messages']) {
+    if (!(await db.hasColumn(table, 'edited_at'))) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN edited_at TEXT`);
+    }
+  }
+
+  await db.run(`CREATE TABLE IF NOT EXISTS message_edits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope_type TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    previous_text TEXT,
+    edited_at TEXT NOT NULL
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(scope_type, message_id)');
+
+  for (const [table, scopeType] of [['messages', 'room'], ['dm_messages', 'dm']]) {
+    await db.run(`CREATE TRIGGER IF NOT EXISTS ${table}_edits_delete AFTER DELETE ON ${table}
+      BEGIN
+        DELETE FROM message_edits WHERE scope_type = '${scopeType}' AND message_id = old.id;
+      END`);
+  }
+}
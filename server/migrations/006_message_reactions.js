@@ -0,0 +1,21 @@
+// 表情回应：每个用户对同一条消息的同一个表情最多回应一次
+// scope_type 为 'room'（messages）或 'dm'（dm_messages），消息被删除时由触发器一并删除回应
+export const description = 'Emoji reactions on room and DM messages';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS message_reactions (
+    scope_type TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    emoji TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (scope_type, message_id, user_id, emoji)
+  )`);
+
+  for (const [table, scopeType] of [['messages', 'room'], ['dm_messages', 'dm']]) {
+    await db.run(`CREATE TRIGGER IF NOT EXISTS ${table}_reactions_delete AFTER DELETE ON ${table}
+      BEGIN
+        DELETE FROM message_reactions WHERE scope_type = '${scopeType}' AND message_id = old.id;
+      END`);
+  }
+}
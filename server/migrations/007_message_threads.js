@@ -0,0 +1,16 @@
+// 话题（thread）：房间消息的 thread_root_id 指向所在话题的根消息，为空表示主时间线上的消息
+// 话题中的回复不出现在主时间线，根消息被删除时由触发器一并删除它的回复
+export const description = 'Threaded replies on room messages';
+
+export async function up(db) {
+  if (!(await db.hasColumn('messages', 'thread_root_id'))) {
+    await db.run('ALTER TABLE messages ADD COLUMN thread_root_id INTEGER');
+  }
+  await db.run('CREATE INDEX IF NOT EXISTS idx_messages_thread_root ON messages(thread_root_id, id)');
+
+  await db.run(`CREATE TRIGGER IF NOT EXISTS messages_thread_delete AFTER DELETE ON messages
+    WHEN old.thread_root_id IS NULL
+    BEGIN
+      DELETE FROM messages WHERE thread_root_id = old.id;
+    END`);
+}
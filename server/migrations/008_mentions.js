@@ -0,0 +1,27 @@
+// @提及：messages.mentions 保存消息中生效的提及（用户名，或 'all' / 'here'），用于显示高亮
+// mentions 表为每个被提及的用户保存一行，作为“提及我的”收件箱；消息被删除时由触发器一并删除
+export const description = 'Mentions inbox and resolved mentions on room messages';
+
+export async function up(db) {
+  if (!(await db.hasColumn('messages', 'mentions'))) {
+    await db.run('ALTER TABLE messages ADD COLUMN mentions TEXT');
+  }
+
+  await db.run(`CREATE TABLE IF NOT EXISTS mentions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    room_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    sender_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    is_read INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_mentions_user ON mentions(user_id, id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_mentions_message ON mentions(message_id)');
+
+  await db.run(`CREATE TRIGGER IF NOT EXISTS messages_mentions_delete AFTER DELETE ON messages
+    BEGIN
+      DELETE FROM mentions WHERE message_id = old.id;
+    END`);
+}
@@ -0,0 +1,17 @@
+// 链接预览：messages / dm_messages.link_preview 保存消息中第一个链接的预览（JSON），发送后在后台抓取
+// link_previews 为按链接缓存的抓取结果，preview 为空表示这个链接没有预览
+export const description = 'Link previews on messages and a link preview cache';
+
+export async function up(db) {
+  for (const table of ['messages', 'dm_messages']) {
+    if (!(await db.hasColumn(table, 'link_preview'))) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN link_preview TEXT`);
+    }
+  }
+
+  await db.run(`CREATE TABLE IF NOT EXISTS link_previews (
+    url TEXT PRIMARY KEY,
+    preview TEXT,
+    fetched_at INTEGER NOT NULL
+  )`);
+}
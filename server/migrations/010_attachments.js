@@ -0,0 +1,26 @@
+// 文件附件：attachments 记录上传的文件（原始文件名、大小、类型、sha256、上传者和所属的房间 / 会话）
+// messages / dm_messages.attachment 保存消息附带的文件信息（JSON：id、name、size、mime），
+// 文件过期被清理后附件记录删除，消息中的信息保留，用于显示“文件已过期”
+export const description = 'Generic file attachments on room and DM messages';
+
+export async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    mime TEXT NOT NULL,
+    sha256 TEXT NOT NULL,
+    uploader_id TEXT NOT NULL,
+    scope_type TEXT NOT NULL,
+    scope_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  )`);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_attachments_uploader ON attachments(uploader_id)');
+
+  for (const table of ['messages', 'dm_messages']) {
+    if (!(await db.hasColumn(table, 'attachment'))) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN attachment TEXT`);
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+// 密码哈希：使用 Node 内置 scrypt（加盐、慢哈希）
+// 存储格式: scrypt$N$r$p$<salt base64>$<hash base64>
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const scryptAsync = (password, salt, keyLength, options) => {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(derivedKey);
+    });
+  });
+};
+
+const parseHash = (stored) => {
+  if (typeof stored !== 'string') return null;
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== HASH_PREFIX) return null;
+
+  const [, n, r, p, salt, hash] = parts;
+  const params = { N: Number(n), r: Number(r), p: Number(p) };
+  if (!Object.values(params).every(Number.isInteger)) return null;
+
+  return {
+    params,
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64')
+  };
+};
+
+// 判断一个存储值是否是本模块生成的哈希（而非旧版明文）
+export function isPasswordHash(stored) {
+  return parseHash(stored) !== null;
+}
+
+// 生成密码哈希
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const params = { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P };
+  const derivedKey = await scryptAsync(password, salt, KEY_LENGTH, {
+    ...params,
+    maxmem: 128 * params.N * params.r * 2
+  });
+
+  return [
+    HASH_PREFIX,
+    params.N,
+    params.r,
+    params.p,
+    salt.toString('base64'),
+    derivedKey.toString('base64')
+  ].join('$');
+}
+
+// 校验密码（恒定时间比较）
+export async function verifyPassword(password, stored) {
+  const parsed = parseHash(stored);
+  if (!parsed || typeof password !== 'string') return false;
+
+  const derivedKey = await scryptAsync(password, parsed.salt, parsed.hash.length, {
+    ...parsed.params,
+    maxmem: 128 * parsed.params.N * parsed.params.r * 2
+  });
+  return crypto.timingSafeEqual(derivedKey, parsed.hash);
+}
+
+// 哈希参数低于当前配置时需要重新哈希
+export function needsRehash(stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+  return parsed.params.N < SCRYPT_N ||
+    parsed.params.r !== SCRYPT_R ||
+    parsed.params.p !== SCRYPT_P ||
+    parsed.hash.length !== KEY_LENGTH;
+}
+
+/**
+ * 校验用户凭证中保存的密码，兼容旧版明文存储（cred.password）
+ * 需要更新存储时（旧版明文匹配成功、哈希参数过低）返回新的哈希，调用方负责保存并删除明文
+ * @param {string} password
+ * @param {{ passwordHash?: string, password?: string }} cred
+ * @returns {Promise<{ ok: boolean, newHash: string | null }>}
+ */
+export async function checkStoredPassword(password, cred) {
+  if (typeof password !== 'string') return { ok: false, newHash: null };
+
+  if (isPasswordHash(cred.passwordHash)) {
+    const ok = await verifyPassword(password, cred.passwordHash);
+    const newHash = ok && needsRehash(cred.passwordHash) ? await hashPassword(password) : null;
+    return { ok, newHash };
+  }
+
+  // Legacy: plaintext password from before hashing was introduced
+  if (typeof cred.password === 'string') {
+    const stored = Buffer.from(cred.password);
+    const given = Buffer.from(password);
+    const ok = stored.length === given.length && crypto.timingSafeEqual(stored, given);
+    return { ok, newHash: ok ? await hashPassword(password) : null };
+  }
+
+  return { ok: false, newHash: null };
+}
@@ -0,0 +1,106 @@
+/**
+ * 密码哈希测试：哈希 / 校验、参数升级，以及旧版明文密码的兼容和升级
+ */
+
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { hashPassword, verifyPassword, isPasswordHash, needsRehash, checkStoredPassword } from './password.js';
+
+// 按给定参数生成存储格式的哈希，模拟旧版本用较弱参数生成的哈希
+function hashWith(password, { N, r, p, keyLength = 64 }) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+describe('hashPassword / verifyPassword', () => {
+  it('生成加盐的 scrypt 哈希，同一密码两次结果不同', async () => {
+    const a = await hashPassword('correct horse');
+    const b = await hashPassword('correct horse');
+    expect(a).toMatch(/^scrypt\$16384\$8\$1\$[\w+/=]+\$[\w+/=]+$/);
+    expect(a).not.toBe(b);
+    expect(isPasswordHash(a)).toBe(true);
+  });
+
+  it('只有正确的密码能通过校验', async () => {
+    const stored = await hashPassword('密码 with ünïcode');
+    expect(await verifyPassword('密码 with ünïcode', stored)).toBe(true);
+    expect(await verifyPassword('密码 with unicode', stored)).toBe(false);
+    expect(await verifyPassword('', stored)).toBe(false);
+  });
+
+  it('格式不对的存储值和非字符串密码直接失败', async () => {
+    const stored = await hashPassword('pw');
+    expect(await verifyPassword('pw', 'plaintext')).toBe(false);
+    expect(await verifyPassword('pw', 'bcrypt$1$2$3$4$5')).toBe(false);
+    expect(await verifyPassword('pw', 'scrypt$x$8$1$aa$bb')).toBe(false);
+    expect(await verifyPassword('pw', null)).toBe(false);
+    expect(await verifyPassword(undefined, stored)).toBe(false);
+  });
+
+  it('篡改哈希后校验失败', async () => {
+    const stored = await hashPassword('pw');
+    const parts = stored.split('$');
+    const hash = Buffer.from(parts[5], 'base64');
+    hash[0] ^= 1;
+    parts[5] = hash.toString('base64');
+    expect(await verifyPassword('pw', parts.join('$'))).toBe(false);
+  });
+});
+
+describe('needsRehash', () => {
+  it('当前参数生成的哈希不需要重新哈希', async () => {
+    expect(needsRehash(await hashPassword('pw'))).toBe(false);
+  });
+
+  it('参数较弱、长度不同或不是哈希时需要重新哈希', () => {
+    expect(needsRehash(hashWith('pw', { N: 1024, r: 8, p: 1 }))).toBe(true);
+    expect(needsRehash(hashWith('pw', { N: 16384, r: 4, p: 1 }))).toBe(true);
+    expect(needsRehash(hashWith('pw', { N: 16384, r: 8, p: 1, keyLength: 32 }))).toBe(true);
+    expect(needsRehash('plaintext')).toBe(true);
+    expect(needsRehash(undefined)).toBe(true);
+  });
+});
+
+describe('checkStoredPassword', () => {
+  it('当前哈希：校验通过，不需要更新', async () => {
+    const cred = { passwordHash: await hashPassword('pw') };
+    expect(await checkStoredPassword('pw', cred)).toEqual({ ok: true, newHash: null });
+    expect(await checkStoredPassword('nope', cred)).toEqual({ ok: false, newHash: null });
+  });
+
+  it('较弱的哈希：校验通过后返回当前参数的新哈希', async () => {
+    const cred = { passwordHash: hashWith('pw', { N: 1024, r: 8, p: 1 }) };
+    const { ok, newHash } = await checkStoredPassword('pw', cred);
+    expect(ok).toBe(true);
+    expect(needsRehash(newHash)).toBe(false);
+    expect(await verifyPassword('pw', newHash)).toBe(true);
+
+    // 密码错误时不升级
+    expect(await checkStoredPassword('nope', cred)).toEqual({ ok: false, newHash: null });
+  });
+
+  it('旧版明文：匹配成功后升级为哈希', async () => {
+    const { ok, newHash } = await checkStoredPassword('legacy-pw', { password: 'legacy-pw' });
+    expect(ok).toBe(true);
+    expect(isPasswordHash(newHash)).toBe(true);
+    expect(newHash).not.toContain('legacy-pw');
+    expect(await verifyPassword('legacy-pw', newHash)).toBe(true);
+  });
+
+  it('旧版明文：不匹配（包括长度不同）时不升级', async () => {
+    expect(await checkStoredPassword('legacy', { password: 'legacy-pw' })).toEqual({ ok: false, newHash: null });
+    expect(await checkStoredPassword('legacy-pX', { password: 'legacy-pw' })).toEqual({ ok: false, newHash: null });
+  });
+
+  it('已有哈希时忽略残留的明文字段', async () => {
+    const cred = { passwordHash: await hashPassword('new-pw'), password: 'old-pw' };
+    expect((await checkStoredPassword('old-pw', cred)).ok).toBe(false);
+    expect((await checkStoredPassword('new-pw', cred)).ok).toBe(true);
+  });
+
+  it('没有任何密码或密码不是字符串时失败', async () => {
+    expect(await checkStoredPassword('pw', {})).toEqual({ ok: false, newHash: null });
+    expect(await checkStoredPassword(undefined, { password: 'undefined' })).toEqual({ ok: false, newHash: null });
+  });
+});
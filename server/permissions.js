@@ -0,0 +1,52 @@
+// 房间角色与权限
+// 角色由高到低：全局管理员 > 房主 > 协管 > 成员 > 禁言成员
+// room: { ownerId, moderators?: [persistentId], mutedUsers?: [persistentId] }
+// user: { persistentId, isAdmin }
+export const ROOM_ROLES = ['muted', 'member', 'moderator', 'owner', 'admin'];
+
+export const ROLE_NAMES = {
+  admin: '管理员',
+  owner: '房主',
+  moderator: '协管',
+  member: '成员',
+  muted: '禁言成员'
+};
+
+const rankOf = (role) => ROOM_ROLES.indexOf(role);
+
+// 每个操作需要的最低角色
+const ACTION_MIN_ROLE = {
+  send_message: 'member',
+  moderate_messages: 'moderator', // 撤回 / 删除他人的消息
+  manage_banner: 'moderator',     // 发布 / 清除房间通知
+  kick_member: 'moderator',
+  mute_member: 'moderator',
+  view_members: 'moderator',
+  mention_all: 'owner',           // @all / @here
+  manage_moderators: 'owner',
+  dismiss_room: 'owner'
+};
+
+export function getRoomRole(room, user) {
+  if (!user) return null;
+  if (user.isAdmin) return 'admin';
+  if (!room) return null;
+  if (room.ownerId === user.persistentId) return 'owner';
+  if ((room.moderators || []).includes(user.persistentId)) return 'moderator';
+  if ((room.mutedUsers || []).includes(user.persistentId)) return 'muted';
+  return 'member';
+}
+
+// 统一的权限检查
+// 传入 target 时（被操作的用户，例如被踢的人或消息发送者），还要求操作者的角色严格高于对方（操作自己除外）
+export function can(room, user, action, target = null) {
+  const minRole = ACTION_MIN_ROLE[action];
+  if (!minRole) throw new Error(`Unknown room action: ${action}`);
+
+  const role = getRoomRole(room, user);
+  if (!role || rankOf(role) < rankOf(minRole)) return false;
+  if (target && target.persistentId !== user.persistentId) {
+    return rankOf(role) > rankOf(getRoomRole(room, target));
+  }
+  return true;
+}
@@ -0,0 +1,120 @@
+/**
+ * 房间权限测试：各角色能执行的操作、全局管理员，以及操作其他成员时要求角色严格高于对方
+ */
+
+import { describe, it, expect } from 'vitest';
+import { can, getRoomRole, ROOM_ROLES, ROLE_NAMES } from './permissions.js';
+
+const room = {
+  ownerId: 'owner',
+  moderators: ['mod', 'mod2'],
+  mutedUsers: ['muted', 'muted2']
+};
+
+const users = {
+  admin: { persistentId: 'admin', isAdmin: true },
+  owner: { persistentId: 'owner', isAdmin: false },
+  moderator: { persistentId: 'mod', isAdmin: false },
+  member: { persistentId: 'member', isAdmin: false },
+  muted: { persistentId: 'muted', isAdmin: false }
+};
+
+// 另一个同角色的用户，用于检查不能操作同级
+const peers = {
+  admin: { persistentId: 'admin2', isAdmin: true },
+  moderator: { persistentId: 'mod2', isAdmin: false },
+  member: { persistentId: 'member2', isAdmin: false },
+  muted: { persistentId: 'muted2', isAdmin: false }
+};
+
+// 每个操作允许的角色
+const ALLOWED = {
+  send_message: ['admin', 'owner', 'moderator', 'member'],
+  moderate_messages: ['admin', 'owner', 'moderator'],
+  manage_banner: ['admin', 'owner', 'moderator'],
+  kick_member: ['admin', 'owner', 'moderator'],
+  mute_member: ['admin', 'owner', 'moderator'],
+  view_members: ['admin', 'owner', 'moderator'],
+  mention_all: ['admin', 'owner'],
+  manage_moderators: ['admin', 'owner'],
+  dismiss_room: ['admin', 'owner']
+};
+
+describe('getRoomRole', () => {
+  it('按房主、协管、禁言依次判断，其他人为成员', () => {
+    for (const [role, user] of Object.entries(users)) {
+      expect(getRoomRole(room, user)).toBe(role);
+    }
+  });
+
+  it('全局管理员在任何房间（包括不存在的房间）都是 admin', () => {
+    expect(getRoomRole(null, users.admin)).toBe('admin');
+    expect(getRoomRole(room, { persistentId: 'owner', isAdmin: true })).toBe('admin');
+  });
+
+  it('房间或用户不存在时没有角色', () => {
+    expect(getRoomRole(null, users.member)).toBeNull();
+    expect(getRoomRole(room, null)).toBeNull();
+  });
+
+  it('没有协管、禁言列表的房间', () => {
+    expect(getRoomRole({ ownerId: 'owner' }, users.moderator)).toBe('member');
+  });
+
+  it('角色按从低到高排列，每个角色都有中文名', () => {
+    expect(ROOM_ROLES).toEqual(['muted', 'member', 'moderator', 'owner', 'admin']);
+    expect(Object.keys(ROLE_NAMES).sort()).toEqual([...ROOM_ROLES].sort());
+  });
+});
+
+describe('can', () => {
+  describe.each(Object.entries(ALLOWED))('%s', (action, allowed) => {
+    it.each(Object.keys(users))('%s', (role) => {
+      expect(can(room, users[role], action)).toBe(allowed.includes(role));
+    });
+  });
+
+  it('未知操作时报错', () => {
+    expect(() => can(room, users.owner, 'delete_everything')).toThrow('Unknown room action: delete_everything');
+  });
+
+  it('房间不存在时只有全局管理员可以操作', () => {
+    expect(can(null, users.member, 'send_message')).toBe(false);
+    expect(can(null, users.owner, 'dismiss_room')).toBe(false);
+    expect(can(null, users.admin, 'dismiss_room')).toBe(true);
+  });
+
+  describe('操作其他成员时要求角色严格高于对方', () => {
+    const actions = ['moderate_messages', 'kick_member', 'mute_member'];
+
+    it.each(actions)('%s：协管可以操作成员和禁言成员，不能操作协管、房主和管理员', (action) => {
+      expect(can(room, users.moderator, action, users.member)).toBe(true);
+      expect(can(room, users.moderator, action, users.muted)).toBe(true);
+      expect(can(room, users.moderator, action, peers.moderator)).toBe(false);
+      expect(can(room, users.moderator, action, users.owner)).toBe(false);
+      expect(can(room, users.moderator, action, users.admin)).toBe(false);
+    });
+
+    it.each(actions)('%s：房主可以操作协管，不能操作管理员', (action) => {
+      expect(can(room, users.owner, action, users.moderator)).toBe(true);
+      expect(can(room, users.owner, action, users.member)).toBe(true);
+      expect(can(room, users.owner, action, users.admin)).toBe(false);
+    });
+
+    it.each(actions)('%s：全局管理员可以操作房主，不能操作其他管理员', (action) => {
+      expect(can(room, users.admin, action, users.owner)).toBe(true);
+      expect(can(room, users.admin, action, peers.admin)).toBe(false);
+    });
+
+    it('成员和禁言成员没有这些权限，对谁都不行', () => {
+      expect(can(room, users.member, 'kick_member', users.muted)).toBe(false);
+      expect(can(room, users.member, 'kick_member', peers.member)).toBe(false);
+      expect(can(room, users.muted, 'moderate_messages', peers.muted)).toBe(false);
+    });
+
+    it('操作自己时只看操作本身的权限', () => {
+      expect(can(room, users.moderator, 'moderate_messages', { ...users.moderator })).toBe(true);
+      expect(can(room, users.member, 'moderate_messages', { ...users.member })).toBe(false);
+    });
+  });
+});
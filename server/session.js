@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+// 会话令牌：<payload base64url>.<HMAC-SHA256 签名>
+// payload = { sid, uid, exp }，服务端同时在 sessions 表中保存 sid 以便吊销
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 天
+export const ROTATION_GRACE_MS = 60 * 1000; // 轮换后旧令牌保留 60 秒，避免多标签页同时重连失败
+
+const sign = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+export function generateSessionId() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+export function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// 签发令牌
+export function createSessionToken(secret, { sid, uid, exp }) {
+  const payload = Buffer.from(JSON.stringify({ sid, uid, exp })).toString('base64url');
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// 校验签名和过期时间，成功返回 payload，否则返回 null
+// 注意：这里不检查是否已被吊销，调用方还需要查询 sessions 表
+export function verifySessionToken(secret, token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(secret, payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.sid || !data.uid || typeof data.exp !== 'number') return null;
+    if (data.exp <= Date.now()) return null;
+    return data;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 令牌轮换后旧会话的过期时间：宽限期结束时，但不晚于原来的过期时间
+ * @param {number} expiresAt 旧会话原来的过期时间
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function getRotationGraceExpiry(expiresAt, now = Date.now()) {
+  return Math.min(expiresAt, now + ROTATION_GRACE_MS);
+}
+
+// ======= 上传文件的签名 URL（供 <img> 标签使用，无法携带 Authorization 头） =======
+
+export const UPLOAD_URL_TTL_MS = 60 * 60 * 1000; // 1 小时
+const UPLOAD_URL_BUCKET_MS = 10 * 60 * 1000; // 过期时间按 10 分钟取整，同一文件短时间内签出的 URL 相同，便于浏览器缓存
+
+export function createUploadSignature(secret, filename, now = Date.now()) {
+  const exp = Math.ceil((now + UPLOAD_URL_TTL_MS) / UPLOAD_URL_BUCKET_MS) * UPLOAD_URL_BUCKET_MS;
+  return { exp, sig: sign(secret, `upload:${filename}:${exp}`) };
+}
+
+export function verifyUploadSignature(secret, filename, exp, sig) {
+  const expNumber = Number(exp);
+  if (!Number.isFinite(expNumber) || expNumber <= Date.now() || typeof sig !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(sign(secret, `upload:${filename}:${expNumber}`));
+  const given = Buffer.from(sig);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
@@ -0,0 +1,136 @@
+/**
+ * 会话令牌和上传签名测试：签名篡改、过期、轮换宽限期
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import {
+  SESSION_TTL_MS,
+  ROTATION_GRACE_MS,
+  UPLOAD_URL_TTL_MS,
+  generateSecret,
+  generateSessionId,
+  createSessionToken,
+  verifySessionToken,
+  getRotationGraceExpiry,
+  createUploadSignature,
+  verifyUploadSignature
+} from './session.js';
+
+const NOW = Date.UTC(2025, 0, 1);
+const SECRET = 'a'.repeat(64);
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+describe('会话令牌', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const payload = { sid: 'session-1', uid: 'user-1', exp: NOW + SESSION_TTL_MS };
+
+  it('签发的令牌可以校验，返回 payload', () => {
+    const token = createSessionToken(SECRET, payload);
+    expect(verifySessionToken(SECRET, token)).toEqual(payload);
+  });
+
+  it('生成的密钥和会话 ID 随机且互不相同', () => {
+    expect(generateSecret()).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateSecret()).not.toBe(generateSecret());
+    expect(generateSessionId()).not.toBe(generateSessionId());
+  });
+
+  it('修改 payload 后签名不再匹配', () => {
+    const token = createSessionToken(SECRET, payload);
+    const [, signature] = token.split('.');
+    const forged = `${encode({ ...payload, uid: 'admin' })}.${signature}`;
+    expect(verifySessionToken(SECRET, forged)).toBeNull();
+
+    const extended = `${encode({ ...payload, exp: payload.exp + SESSION_TTL_MS })}.${signature}`;
+    expect(verifySessionToken(SECRET, extended)).toBeNull();
+  });
+
+  it('修改签名、换用其他密钥或格式不对时失败', () => {
+    const token = createSessionToken(SECRET, payload);
+    const [body, signature] = token.split('.');
+    const flipped = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+
+    expect(verifySessionToken(SECRET, `${body}.${flipped}`)).toBeNull();
+    expect(verifySessionToken(SECRET, `${body}.${signature.slice(0, -2)}`)).toBeNull();
+    expect(verifySessionToken('b'.repeat(64), token)).toBeNull();
+    expect(verifySessionToken(SECRET, body)).toBeNull();
+    expect(verifySessionToken(SECRET, '')).toBeNull();
+    expect(verifySessionToken(SECRET, null)).toBeNull();
+  });
+
+  it('签名正确但内容缺少字段或不是 JSON 时失败', () => {
+    const missingUid = createSessionToken(SECRET, { sid: 's', exp: NOW + 1000 });
+    expect(verifySessionToken(SECRET, missingUid)).toBeNull();
+    const stringExp = createSessionToken(SECRET, { sid: 's', uid: 'u', exp: String(NOW + 1000) });
+    expect(verifySessionToken(SECRET, stringExp)).toBeNull();
+
+    const notJson = Buffer.from('not json').toString('base64url');
+    const signature = crypto.createHmac('sha256', SECRET).update(notJson).digest('base64url');
+    expect(verifySessionToken(SECRET, `${notJson}.${signature}`)).toBeNull();
+  });
+
+  it('到达过期时间后失效', () => {
+    const token = createSessionToken(SECRET, { ...payload, exp: NOW + 1000 });
+    vi.setSystemTime(NOW + 999);
+    expect(verifySessionToken(SECRET, token)).not.toBeNull();
+    vi.setSystemTime(NOW + 1000);
+    expect(verifySessionToken(SECRET, token)).toBeNull();
+  });
+});
+
+describe('getRotationGraceExpiry', () => {
+  it('轮换后旧会话只保留宽限期', () => {
+    expect(getRotationGraceExpiry(NOW + SESSION_TTL_MS, NOW)).toBe(NOW + ROTATION_GRACE_MS);
+  });
+
+  it('不会延长快要过期的会话', () => {
+    expect(getRotationGraceExpiry(NOW + 1000, NOW)).toBe(NOW + 1000);
+  });
+});
+
+describe('上传文件签名', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('签名对同一文件有效，过期时间按 10 分钟取整', () => {
+    const { exp, sig } = createUploadSignature(SECRET, 'img_1_abc.webp');
+    expect(exp).toBeGreaterThanOrEqual(NOW + UPLOAD_URL_TTL_MS);
+    expect(exp % (10 * 60 * 1000)).toBe(0);
+    expect(verifyUploadSignature(SECRET, 'img_1_abc.webp', exp, sig)).toBe(true);
+    // 查询参数是字符串
+    expect(verifyUploadSignature(SECRET, 'img_1_abc.webp', String(exp), sig)).toBe(true);
+    // 同一时间段内签出的 URL 相同
+    expect(createUploadSignature(SECRET, 'img_1_abc.webp', NOW - 1000)).toEqual({ exp, sig });
+  });
+
+  it('换文件名、改过期时间、换密钥时失败', () => {
+    const { exp, sig } = createUploadSignature(SECRET, 'img_1_abc.webp');
+    expect(verifyUploadSignature(SECRET, 'img_2_abc.webp', exp, sig)).toBe(false);
+    expect(verifyUploadSignature(SECRET, 'img_1_abc.webp', exp + 600000, sig)).toBe(false);
+    expect(verifyUploadSignature('b'.repeat(64), 'img_1_abc.webp', exp, sig)).toBe(false);
+    expect(verifyUploadSignature(SECRET, 'img_1_abc.webp', exp, undefined)).toBe(false);
+    expect(verifyUploadSignature(SECRET, 'img_1_abc.webp', 'soon', sig)).toBe(false);
+  });
+
+  it('过期后失败', () => {
+    const { exp, sig } = createUploadSignature(SECRET, 'img_1_abc.webp');
+    vi.setSystemTime(exp);
+    expect(verifyUploadSignature(SECRET, 'img_1_abc.webp', exp, sig)).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+// 备份归档使用的最小 tar（ustar）读写
+// 只处理普通文件；文件名超过 100 字节时拆分到 prefix 字段（整体最长 255 字节）
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+
+const writeOctal = (block, value, offset, length) => {
+  block.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+};
+
+const readString = (block, offset, length) => {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+const checksum = (block) => {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // 计算校验和时校验和字段本身按空格计算
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum;
+};
+
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', base: name };
+  const index = name.lastIndexOf('/', name.length - 1);
+  const prefix = name.slice(0, index);
+  const base = name.slice(index + 1);
+  if (index <= 0 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(base) > 100) {
+    throw new Error(`File name too long for tar archive: ${name}`);
+  }
+  return { prefix, base };
+};
+
+const createHeader = (name, size, mtime) => {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  const { prefix, base } = splitName(name);
+  block.write(base, 0, 100, 'utf8');
+  writeOctal(block, 0o644, 100, 8);
+  writeOctal(block, 0, 108, 8);
+  writeOctal(block, 0, 116, 8);
+  writeOctal(block, size, 124, 12);
+  writeOctal(block, Math.floor(mtime / 1000), 136, 12);
+  block.write('0', 156, 1, 'ascii');
+  block.write('ustar\0' + '00', 257, 8, 'ascii');
+  block.write(prefix, 345, 155, 'utf8');
+  writeOctal(block, checksum(block), 148, 7);
+  block.write(' ', 155, 1, 'ascii');
+  return block;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+// 生成 tar 数据流，entries 为 [{ name, size, mtime, content }] 的（异步）可迭代对象
+// content 为 Buffer，或返回数据块异步迭代器的函数（例如 () => fs.createReadStream(file)），读出的长度必须等于 size
+export async function* writeTar(entries) {
+  for await (const { name, size, mtime = Date.now(), content } of entries) {
+    yield createHeader(name, size, mtime);
+    if (Buffer.isBuffer(content)) {
+      yield content;
+    } else {
+      let written = 0;
+      for await (const chunk of content()) {
+        written += chunk.length;
+        yield chunk;
+      }
+      if (written !== size) throw new Error(`${name} changed while it was being archived`);
+    }
+    yield padding(size);
+  }
+  yield END_OF_ARCHIVE;
+}
+
+// 逐个读出 tar 数据流中的普通文件，产出 { name, data }
+export async function* readTar(source) {
+  let pending = [];
+  let pendingLength = 0;
+  const take = (length) => {
+    const all = pending.length === 1 ? pending[0] : Buffer.concat(pending, pendingLength);
+    pending = [all.subarray(length)];
+    pendingLength = all.length - length;
+    return all.subarray(0, length);
+  };
+
+  let entry = null; // 当前文件 { name, type, size, blocks }
+  for await (const chunk of source) {
+    pending.push(chunk);
+    pendingLength += chunk.length;
+
+    for (;;) {
+      if (!entry) {
+        if (pendingLength < BLOCK_SIZE) break;
+        const block = take(BLOCK_SIZE);
+        if (block.every(byte => byte === 0)) return;
+        if (checksum(block) !== parseInt(readString(block, 148, 8).trim(), 8)) {
+          throw new Error('Invalid tar archive (bad header checksum)');
+        }
+        const prefix = readString(block, 345, 155);
+        const base = readString(block, 0, 100);
+        const size = parseInt(readString(block, 124, 12).trim() || '0', 8);
+        entry = {
+          name: prefix ? `${prefix}/${base}` : base,
+          type: String.fromCharCode(block[156] || 0x30),
+          size,
+          blocks: Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+        };
+      }
+
+      if (pendingLength < entry.blocks) break;
+      const data = Buffer.from(take(entry.blocks).subarray(0, entry.size));
+      if (entry.type === '0') yield { name: entry.name, data };
+      entry = null;
+    }
+  }
+  throw new Error('Unexpected end of tar archive');
+}
@@ -0,0 +1,131 @@
+/**
+ * tar 读写测试：往返、512 字节对齐、长文件名、校验和以及截断和损坏的归档
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'stream';
+import { writeTar, readTar } from './tar.js';
+
+const MTIME = Date.UTC(2025, 0, 1);
+
+const collect = async (iterable) => {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const buildTar = (entries) => collect(writeTar(entries.map(entry => ({ mtime: MTIME, size: entry.content.length, ...entry }))));
+
+const readAll = async (source) => {
+  const files = [];
+  for await (const file of readTar(source)) files.push(file);
+  return files;
+};
+
+// 把归档按给定大小切成多个数据块，模拟流式读取
+const chunked = (buffer, size) => {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+  return chunks;
+};
+
+const text = (files) => files.map(({ name, data }) => [name, data.toString('utf8')]);
+
+describe('writeTar / readTar', () => {
+  it('往返后文件名和内容不变，不受数据块切分影响', async () => {
+    const archive = await buildTar([
+      { name: 'manifest.json', content: Buffer.from('{"a":1}') },
+      { name: 'uploads/空.txt', content: Buffer.alloc(0) },
+      { name: 'uploads/中文名.bin', content: Buffer.from('数据') }
+    ]);
+    const expected = [['manifest.json', '{"a":1}'], ['uploads/空.txt', ''], ['uploads/中文名.bin', '数据']];
+
+    expect(text(await readAll([archive]))).toEqual(expected);
+    expect(text(await readAll(chunked(archive, 7)))).toEqual(expected);
+    expect(text(await readAll(Readable.from(chunked(archive, 700))))).toEqual(expected);
+  });
+
+  it.each([0, 1, 511, 512, 513, 1024])('%i 字节的文件按 512 字节对齐', async (size) => {
+    const content = Buffer.alloc(size, 0x61);
+    const archive = await buildTar([{ name: 'f', content }]);
+    const dataBlocks = Math.ceil(size / 512);
+    // 文件头 + 数据块 + 结尾的两个空块
+    expect(archive.length).toBe(512 * (1 + dataBlocks + 2));
+    expect(archive.subarray(512 + size, 512 * (1 + dataBlocks)).every(byte => byte === 0)).toBe(true);
+
+    const [file] = await readAll([archive]);
+    expect(file.data.equals(content)).toBe(true);
+  });
+
+  it('文件头为 ustar 格式，校验和正确', async () => {
+    const archive = await buildTar([{ name: 'hello.txt', content: Buffer.from('hi') }]);
+    const header = archive.subarray(0, 512);
+    expect(header.subarray(257, 263).toString('ascii')).toBe('ustar\0');
+    expect(header.subarray(124, 135).toString('ascii')).toBe('00000000002');
+    expect(parseInt(header.subarray(136, 147).toString('ascii'), 8)).toBe(MTIME / 1000);
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    expect(parseInt(header.subarray(148, 155).toString('ascii'), 8)).toBe(sum);
+  });
+
+  it('超过 100 字节的文件名拆分到 prefix 字段', async () => {
+    const longName = `uploads/${'d'.repeat(120)}/${'f'.repeat(90)}.bin`;
+    const archive = await buildTar([{ name: longName, content: Buffer.from('x') }]);
+    expect(archive.subarray(0, 100).toString('utf8').replace(/\0+$/, '')).toBe(`${'f'.repeat(90)}.bin`);
+    expect(archive.subarray(345, 500).toString('utf8').replace(/\0+$/, '')).toBe(`uploads/${'d'.repeat(120)}`);
+
+    const [file] = await readAll([archive]);
+    expect(file.name).toBe(longName);
+  });
+
+  it('文件名无法放入 ustar 时报错', async () => {
+    await expect(buildTar([{ name: 'x'.repeat(101), content: Buffer.alloc(0) }])).rejects.toThrow('File name too long');
+    await expect(buildTar([{ name: `${'p'.repeat(160)}/f`, content: Buffer.alloc(0) }])).rejects.toThrow('File name too long');
+    await expect(buildTar([{ name: `p/${'f'.repeat(101)}`, content: Buffer.alloc(0) }])).rejects.toThrow('File name too long');
+  });
+
+  it('从流读取内容，长度和 size 不一致时报错', async () => {
+    const content = () => Readable.from([Buffer.from('abc'), Buffer.from('def')]);
+    const archive = await collect(writeTar([{ name: 'stream.txt', size: 6, mtime: MTIME, content }]));
+    expect(text(await readAll([archive]))).toEqual([['stream.txt', 'abcdef']]);
+
+    await expect(collect(writeTar([{ name: 'grew.txt', size: 4, content }]))).rejects.toThrow('grew.txt changed while it was being archived');
+  });
+
+  it('跳过目录等非普通文件', async () => {
+    const archive = await buildTar([{ name: 'dir', content: Buffer.alloc(0) }, { name: 'dir/file', content: Buffer.from('x') }]);
+    // 把第一个条目改成目录（类型 5），并重新计算校验和
+    const header = archive.subarray(0, 512);
+    header.write('5', 156, 1, 'ascii');
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    expect(text(await readAll([archive]))).toEqual([['dir/file', 'x']]);
+  });
+});
+
+describe('readTar 拒绝损坏的归档', () => {
+  it('文件头被修改时校验和不匹配', async () => {
+    const archive = await buildTar([{ name: 'manifest.json', content: Buffer.from('{}') }]);
+    archive[0] = 'n'.charCodeAt(0);
+    await expect(readAll([archive])).rejects.toThrow('bad header checksum');
+  });
+
+  it('不是 tar 格式的数据', async () => {
+    await expect(readAll([Buffer.from('not a tar archive'.repeat(64))])).rejects.toThrow('bad header checksum');
+  });
+
+  it('在文件内容或结尾标记之前截断', async () => {
+    const archive = await buildTar([{ name: 'big.bin', content: Buffer.alloc(2000, 1) }]);
+    await expect(readAll([archive.subarray(0, 512 + 1000)])).rejects.toThrow('Unexpected end of tar archive');
+    await expect(readAll([archive.subarray(0, 300)])).rejects.toThrow('Unexpected end of tar archive');
+    // 缺少结尾的两个空块
+    await expect(readAll([archive.subarray(0, archive.length - 1024)])).rejects.toThrow('Unexpected end of tar archive');
+  });
+
+  it('空数据', async () => {
+    await expect(readAll([])).rejects.toThrow('Unexpected end of tar archive');
+  });
+});
@@ -0,0 +1,139 @@
+// 两步验证：基于时间的一次性密码（TOTP, RFC 6238）和一次性恢复码
+// 兼容 Google Authenticator / Microsoft Authenticator 等应用：SHA1、6 位数字、30 秒步长
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160 位随机密钥（RFC 4226 推荐长度）
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function generateTotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+export const getCounter = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// 校验验证码，允许前后各 window 个步长的时钟误差
+// 返回匹配的计数器（调用方保存它，拒绝重复使用同一个或更早的验证码），不匹配返回 null
+export function verifyTotp(secret, code, { lastCounter = -1, window = 1, now = Date.now() } = {}) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const current = getCounter(now);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= lastCounter) continue;
+    const expected = generateTotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+// 认证应用扫码 / 点击添加账号用的地址
+export function buildOtpauthUri({ secret, account, issuer = 'SecretSpace' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ======= 恢复码 =======
+// 明文只在生成时返回给用户一次，服务端只保存哈希
+
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// 返回 { codes: 明文列表, hashes: 哈希列表 }
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// 恢复码格式：xxxxx-xxxxx（十六进制）
+export const looksLikeRecoveryCode = (code) =>
+  typeof code === 'string' && /^[0-9a-f]{10}$/.test(normalizeRecoveryCode(code));
+
+/**
+ * 校验第二步验证码并记录使用：6 位数字按 TOTP 校验（更新 lastCounter，同一个验证码不能重复使用），
+ * 否则按恢复码校验（用后从列表中删除）
+ * @param {{ secret: string, lastCounter?: number, recoveryCodes: string[] }} totp 用户的两步验证设置，会被修改
+ * @param {string} code
+ * @param {number} [now]
+ * @returns {'totp' | 'recovery' | null} 通过的方式，未通过返回 null
+ */
+export function consumeSecondFactor(totp, code, now = Date.now()) {
+  if (!totp || typeof code !== 'string') return null;
+
+  const trimmed = code.replace(/\s/g, '');
+  const counter = verifyTotp(totp.secret, trimmed, { lastCounter: totp.lastCounter ?? -1, now });
+  if (counter !== null) {
+    totp.lastCounter = counter;
+    return 'totp';
+  }
+
+  if (looksLikeRecoveryCode(trimmed)) {
+    const index = totp.recoveryCodes.indexOf(hashRecoveryCode(trimmed));
+    if (index >= 0) {
+      totp.recoveryCodes.splice(index, 1);
+      return 'recovery';
+    }
+  }
+  return null;
+}
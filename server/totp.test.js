@@ -0,0 +1,158 @@
+/**
+ * 两步验证测试：RFC 6238 测试向量、时钟误差窗口、验证码和恢复码只能使用一次
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  getCounter,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  looksLikeRecoveryCode,
+  consumeSecondFactor
+} from './totp.js';
+
+// RFC 6238 附录 B 的 SHA1 密钥（ASCII "12345678901234567890"）
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('编码 / 解码 RFC 4648 测试向量', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('MZXW6YTBOI======').toString()).toBe('foobar');
+    expect(base32Decode('mzxw 6ytb oi').toString()).toBe('foobar');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('非法字符报错', () => {
+    expect(() => base32Decode('ABC1')).toThrow();
+  });
+
+  it('生成的密钥为 160 位', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('TOTP', () => {
+  // RFC 6238 附录 B（8 位验证码取后 6 位，截断方式相同）
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+
+  it.each(vectors)('RFC 6238 测试向量 T=%i', (seconds, expected) => {
+    const counter = getCounter(seconds * 1000);
+    expect(generateTotp(RFC_SECRET, counter)).toBe(expected.slice(-6));
+    expect(verifyTotp(RFC_SECRET, expected.slice(-6), { now: seconds * 1000 })).toBe(counter);
+  });
+
+  it('允许前后各一个步长的误差，超出后拒绝', () => {
+    const now = 1111111111 * 1000;
+    const counter = getCounter(now);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter - 1), { now })).toBe(counter - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter + 1), { now })).toBe(counter + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter - 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter + 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter + 2), { now, window: 2 })).toBe(counter + 2);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter - 1), { now, window: 0 })).toBeNull();
+  });
+
+  it('不接受已经使用过的或更早的计数器', () => {
+    const now = 1234567890 * 1000;
+    const counter = getCounter(now);
+    const code = generateTotp(RFC_SECRET, counter);
+    expect(verifyTotp(RFC_SECRET, code, { now, lastCounter: counter - 1 })).toBe(counter);
+    expect(verifyTotp(RFC_SECRET, code, { now, lastCounter: counter })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, counter - 1), { now, lastCounter: counter })).toBeNull();
+  });
+
+  it('只接受 6 位数字', () => {
+    const now = 59 * 1000;
+    expect(verifyTotp(RFC_SECRET, '287082 ', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '94287082', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 287082, { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '', { now })).toBeNull();
+  });
+
+  it('otpauth 地址', () => {
+    expect(buildOtpauthUri({ secret: RFC_SECRET, account: 'alice' })).toBe(
+      `otpauth://totp/SecretSpace%3Aalice?secret=${RFC_SECRET}&issuer=SecretSpace&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('恢复码', () => {
+  it('生成 10 个不同的恢复码，只保存哈希', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    for (const code of codes) expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(hashes).toEqual(codes.map(hashRecoveryCode));
+    expect(hashes.some(hash => codes.some(code => hash.includes(code.replace('-', ''))))).toBe(false);
+  });
+
+  it('格式和哈希忽略大小写、空格和连字符', () => {
+    expect(looksLikeRecoveryCode('ABCDE-01234')).toBe(true);
+    expect(looksLikeRecoveryCode('abcde 01234')).toBe(true);
+    expect(looksLikeRecoveryCode('abcde-0123')).toBe(false);
+    expect(looksLikeRecoveryCode('ghijk-01234')).toBe(false);
+    expect(looksLikeRecoveryCode(null)).toBe(false);
+    expect(hashRecoveryCode('ABCDE-01234')).toBe(hashRecoveryCode('abcde01234'));
+  });
+});
+
+describe('consumeSecondFactor', () => {
+  const NOW = 1234567890 * 1000;
+  const createSettings = () => {
+    const { codes, hashes } = generateRecoveryCodes(3);
+    return { codes, totp: { secret: RFC_SECRET, lastCounter: -1, recoveryCodes: hashes } };
+  };
+
+  it('TOTP 验证码只能使用一次', () => {
+    const { totp } = createSettings();
+    const code = generateTotp(RFC_SECRET, getCounter(NOW));
+    expect(consumeSecondFactor(totp, code, NOW)).toBe('totp');
+    expect(totp.lastCounter).toBe(getCounter(NOW));
+    expect(consumeSecondFactor(totp, code, NOW)).toBeNull();
+
+    // 下一个步长的验证码可以使用
+    const next = generateTotp(RFC_SECRET, getCounter(NOW) + 1);
+    expect(consumeSecondFactor(totp, next, NOW + 30 * 1000)).toBe('totp');
+  });
+
+  it('恢复码用后作废，其他恢复码不受影响', () => {
+    const { codes, totp } = createSettings();
+    expect(consumeSecondFactor(totp, codes[1].toUpperCase(), NOW)).toBe('recovery');
+    expect(totp.recoveryCodes).toHaveLength(2);
+    expect(consumeSecondFactor(totp, codes[1], NOW)).toBeNull();
+    expect(consumeSecondFactor(totp, codes[0], NOW)).toBe('recovery');
+    expect(consumeSecondFactor(totp, codes[2], NOW)).toBe('recovery');
+    expect(totp.recoveryCodes).toEqual([]);
+  });
+
+  it('验证码中的空格被忽略', () => {
+    const { totp } = createSettings();
+    const code = generateTotp(RFC_SECRET, getCounter(NOW));
+    expect(consumeSecondFactor(totp, `${code.slice(0, 3)} ${code.slice(3)}`, NOW)).toBe('totp');
+  });
+
+  it('错误的验证码和未启用两步验证时不通过，也不修改设置', () => {
+    const { totp } = createSettings();
+    expect(consumeSecondFactor(totp, '000000', NOW)).toBeNull();
+    expect(consumeSecondFactor(totp, 'abcde-01234', NOW)).toBeNull();
+    expect(consumeSecondFactor(totp, undefined, NOW)).toBeNull();
+    expect(totp.lastCounter).toBe(-1);
+    expect(totp.recoveryCodes).toHaveLength(3);
+    expect(consumeSecondFactor(null, '000000', NOW)).toBeNull();
+  });
+});
@@ -22,7 +22,7 @@ pm2 delete secretspace 2>/dev/null || true
 
 # 4. 启动应用
 echo ">>> 启动应用..."
-pm2 start server.js --name secretspace
+pm2 start server.js --name secretspace --kill-timeout 12000
 
 # 5. 设置开机自启
 pm2 save
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// 服务端模块的单元测试（前端的测试在 client/ 中单独运行）
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['server/**/*.test.js'],
+  },
+});